@@ -2,6 +2,10 @@ const StorageEngine = require('./storage/StorageEngine');
 const SQLParser = require('./parser/SQLParser');
 const DatabaseManager = require('./management/DatabaseManager');
 const SecurityManager = require('./security/SecurityManager');
+const ExpressionEvaluator = require('./query/ExpressionEvaluator');
+const Aggregator = require('./query/Aggregator');
+const JoinExecutor = require('./query/JoinExecutor');
+const QueryTrace = require('./query/QueryTrace');
 
 class DatabaseEngine {
   constructor(dataDir = './data', securityOptions = {}) {
@@ -11,6 +15,10 @@ class DatabaseEngine {
     this.parser = new SQLParser();
     this.databaseManager = new DatabaseManager(dataDir);
     this.security = new SecurityManager(securityOptions);
+    this.evaluator = new ExpressionEvaluator();
+    this.aggregator = new Aggregator(this.evaluator);
+    // Transaction opened with BEGIN; later queries on this engine run in it until COMMIT or ROLLBACK
+    this.sqlTransaction = null;
     this.initialized = false;
   }
 
@@ -28,6 +36,10 @@ class DatabaseEngine {
   }
 
   async switchDatabase(databaseName) {
+    if (this.sqlTransaction) {
+      throw new Error('Cannot switch databases inside a transaction; COMMIT or ROLLBACK first');
+    }
+
     const StorageEngine = require('./storage/StorageEngine');
     
     const sanitizedName = this.security.sanitizeInput(databaseName, 'identifier');
@@ -53,9 +65,10 @@ class DatabaseEngine {
     return await this.databaseManager.listDatabases();
   }
 
-  async createDatabase(databaseName) {
+  // options.storageFormat: 'json' (default), 'paged' or 'log'; see DatabaseManager.createDatabase
+  async createDatabase(databaseName, options = {}) {
     const sanitizedName = this.security.sanitizeInput(databaseName, 'identifier');
-    return await this.databaseManager.createDatabase(sanitizedName);
+    return await this.databaseManager.createDatabase(sanitizedName, options);
   }
 
   async deleteDatabase(databaseName) {
@@ -63,7 +76,10 @@ class DatabaseEngine {
     return await this.databaseManager.deleteDatabase(sanitizedName);
   }
 
-  async executeQuery(sql, metadata = {}) {
+  /* options.transactions: false refuses BEGIN, COMMIT and ROLLBACK. The transaction they control
+   * belongs to the engine, so callers that share one engine (the web server's users) must not open it.
+   */
+  async executeQuery(sql, metadata = {}, options = {}) {
     if (!this.initialized || !this.storage) {
       throw new Error('Database engine not initialized or no database selected');
     }
@@ -76,6 +92,12 @@ class DatabaseEngine {
       this.security.logQuery(sanitizedSQL, metadata);
       
       const query = this.parser.parse(sanitizedSQL);
+      if (options.transactions === false && DatabaseEngine.TRANSACTION_STATEMENTS.includes(query.type)) {
+        throw new Error(`${query.type} is not available here: every query runs as its own transaction`);
+      }
+      if (this.sqlTransaction && !this.storage.inTransaction() && !['COMMIT', 'ROLLBACK'].includes(query.type)) {
+        return await this.storage.withinTransaction(this.sqlTransaction, () => this.executeAST(query));
+      }
       return await this.executeAST(query);
     } catch (error) {
       // Log security events
@@ -92,7 +114,7 @@ class DatabaseEngine {
   async executeAST(ast) {
     switch (ast.type) {
       case 'SELECT':
-        return await this.executeSelect(ast);
+        return await this.storage.readConsistent(() => this.executeSelect(ast));
       case 'INSERT':
         return await this.executeInsert(ast);
       case 'UPDATE':
@@ -105,17 +127,314 @@ class DatabaseEngine {
         return await this.executeCreateGroup(ast);
       case 'DROP_TABLE':
         return await this.executeDropTable(ast);
+      case 'CREATE_INDEX':
+        return await this.executeCreateIndex(ast);
+      case 'EXPLAIN':
+        return await this.executeExplain(ast);
+      case 'BEGIN':
+        return this.executeBegin();
+      case 'COMMIT':
+        return await this.executeCommit();
+      case 'ROLLBACK':
+        return await this.executeRollback();
+      case 'DROP_INDEX':
+        return await this.executeDropIndex(ast);
+      case 'VACUUM':
+        return await this.executeVacuum(ast);
+      case 'COMPACT':
+        return await this.executeCompact(ast);
+      case 'REINDEX':
+        return await this.executeReindex(ast);
+      case 'CHECK_TABLE':
+        return await this.executeCheckTable(ast);
+      case 'ALTER_TABLE':
+        return await this.executeAlterTable(ast);
       default:
         throw new Error(`Unsupported query type: ${ast.type}`);
     }
   }
 
-  async executeSelect(ast) {
-    const { table, columns, where, group } = ast;
-    
-    const rows = await this.storage.selectRows(table, where, group);
+  executeBegin() {
+    if (this.inTransaction()) {
+      throw new Error('A transaction is already in progress');
+    }
+    this.sqlTransaction = this.storage.beginTransaction();
+    return { success: true, message: 'Transaction started' };
+  }
+
+  async executeCommit() {
+    const tx = this.sqlTransaction;
+    if (!tx) {
+      throw new Error('No transaction in progress');
+    }
+    this.sqlTransaction = null;
+
+    const transactionId = await this.storage.commitTransaction(tx);
+    return {
+      success: true,
+      message: transactionId === null ? 'Transaction committed (no changes)' : `Transaction ${transactionId} committed`
+    };
+  }
+
+  async executeRollback() {
+    if (!this.sqlTransaction) {
+      throw new Error('No transaction in progress');
+    }
+    await this.storage.rollbackTransaction(this.sqlTransaction);
+    this.sqlTransaction = null;
+    return { success: true, message: 'Transaction rolled back' };
+  }
+
+  // VACUUM [table]: drop row versions that no running query can see any more
+  async executeVacuum(ast) {
+    if (this.inTransaction()) {
+      throw new Error('VACUUM cannot run inside a transaction');
+    }
+
+    const removed = await this.storage.vacuum(ast.table);
+    const data = Object.entries(removed).map(([table, removedVersions]) => ({ table, removedVersions }));
+    const total = data.reduce((sum, entry) => sum + entry.removedVersions, 0);
+    return {
+      success: true,
+      data,
+      rowCount: data.length,
+      message: `Vacuumed ${data.length} table(s); removed ${total} row version(s)`
+    };
+  }
+
+  // COMPACT TABLE t: rewrite a table's row log without the lines later ones replaced
+  async executeCompact(ast) {
+    if (this.inTransaction()) {
+      throw new Error('COMPACT cannot run inside a transaction');
+    }
+
+    const { bytesBefore, bytesAfter, reclaimedBytes } = await this.storage.compactTable(ast.table);
+    return {
+      success: true,
+      data: [{ table: ast.table, bytesBefore, bytesAfter, reclaimedBytes }],
+      rowCount: 1,
+      message: `Compacted table '${ast.table}'; reclaimed ${reclaimedBytes} byte(s)`
+    };
+  }
+
+  // REINDEX t: build every index of a table again from its rows
+  async executeReindex(ast) {
+    const rebuilt = await this.storage.reindexTable(ast.table);
+    return {
+      success: true,
+      data: rebuilt.map(({ index, entries }) => ({ table: ast.table, index, entries })),
+      rowCount: rebuilt.length,
+      message: `Rebuilt ${rebuilt.length} index(es) on table '${ast.table}'`
+    };
+  }
+
+  // CHECK TABLE t: report, per index, whether it matches the table's rows
+  async executeCheckTable(ast) {
+    const reports = await this.storage.checkTable(ast.table);
+    const failed = reports.filter(report => report.status !== 'ok');
+    return {
+      success: true,
+      data: reports.map(({ index, status, entries, rowVersions, missing, unexpected, problems }) => ({
+        table: ast.table,
+        index,
+        status,
+        entries,
+        rowVersions,
+        missing,
+        unexpected,
+        problems: problems.join('; ')
+      })),
+      rowCount: reports.length,
+      message: failed.length === 0
+        ? `Table '${ast.table}' is consistent: ${reports.length} index(es) match its rows`
+        : `Table '${ast.table}' has ${failed.length} index(es) out of step with its rows (${failed.map(report => report.index).join(', ')}); REINDEX ${ast.table} rebuilds them`
+    };
+  }
+
+  inTransaction() {
+    return this.sqlTransaction !== null || Boolean(this.storage && this.storage.inTransaction());
+  }
+
+  /* Run fn(tx) as one transaction. Every query and direct call made while it runs (tx is this
+   * engine) is staged and committed together when fn resolves; if fn throws, nothing is written.
+   */
+  async transaction(fn) {
+    if (!this.initialized || !this.storage) {
+      throw new Error('Database engine not initialized or no database selected');
+    }
+    if (this.inTransaction()) {
+      throw new Error('A transaction is already in progress');
+    }
+
+    const tx = this.storage.beginTransaction();
+    let result;
+    try {
+      result = await this.storage.withinTransaction(tx, () => fn(this));
+    } catch (error) {
+      await this.storage.rollbackTransaction(tx);
+      throw error;
+    }
+    await this.storage.commitTransaction(tx);
+    return result;
+  }
+
+  async executeSelect(ast, trace = null) {
+    const plan = await this.planSelect(ast);
+    return await this.runSelect(plan, trace);
+  }
+
+  // Validate and resolve a SELECT and decide how it will be executed, without reading any rows
+  async planSelect(ast) {
+    const { table, group, joins = [], limit = null, offset = null } = ast;
+
+    if (ast.where && this.evaluator.containsAggregate(ast.where)) {
+      throw new Error('Aggregate functions are not allowed in WHERE; use HAVING instead');
+    }
+    [...ast.columns, ast.where, ast.having, ...(ast.groupBy || []), ...joins.map(join => join.on),
+      ...(ast.orderBy || []).map(item => item.expression)]
+      .forEach(node => this.evaluator.checkFunctions(node));
+
+    // ORDER BY may refer to select-list aliases
+    const selectAliases = new Map(ast.columns
+      .filter(col => col.type === 'ALIAS')
+      .map(col => [col.name, col.expression]));
+    const orderByItems = (ast.orderBy || []).map(item => {
+      const { expression } = item;
+      const isAlias = expression.type === 'COLUMN' && !expression.table && selectAliases.has(expression.name);
+      return isAlias ? { ...item, expression: selectAliases.get(expression.name) } : item;
+    });
+
+    // Resolve aliases up front; joined rows are keyed by "alias.column"
+    const joinExecutor = new JoinExecutor(this.storage, this.evaluator);
+    const scope = await joinExecutor.buildScope(ast);
+    const resolve = node => joinExecutor.resolve(node, scope);
+    const isJoin = joins.length > 0;
+
+    const columns = ast.columns.map(col => {
+      if (col === '*') return col;
+      if (col.type === 'ALL_COLUMNS') {
+        if (!scope.has(col.table)) {
+          throw new Error(`Unknown table or alias '${col.table}'`);
+        }
+        return isJoin ? col : '*';
+      }
+      return resolve(typeof col === 'string' ? { type: 'COLUMN', name: col } : col);
+    });
+    const where = resolve(ast.where);
+    const groupBy = (ast.groupBy || []).map(resolve);
+    const having = resolve(ast.having || null);
+    const orderBy = orderByItems.map(item => ({ ...item, expression: resolve(item.expression) }));
+    const baseTable = scope.get(ast.alias || table);
+    const schema = isJoin ? joinExecutor.combinedSchema(scope) : baseTable.schema;
+
+    const aggregates = this.collectAggregates([...columns, having, ...orderBy.map(item => item.expression)]);
+    const isAggregateQuery = aggregates.length > 0 || groupBy.length > 0 || having !== null;
+
+    if (isAggregateQuery) {
+      this.validateAggregateQuery({ columns, groupBy, having, orderBy });
+    }
+
+    /* A single-column ORDER BY can walk an index in order instead of sorting: with a LIMIT it
+     * stops early, and without one it still pays off when WHERE picks that index's range anyway
+     */
+    let orderedScan = null;
+    if (!isJoin && !isAggregateQuery && orderBy.length === 1 && orderBy[0].expression.type === 'COLUMN') {
+      const column = orderBy[0].expression.name;
+      const index = baseTable.indexes.find(indexDef => !indexDef.fulltext && indexDef.columns[0] === column);
+      const wherePlan = index && limit === null ? this.storage.findBestIndex(baseTable.indexes, where) : null;
+      if (index && (limit !== null || (wherePlan && wherePlan.index.name === index.name))) {
+        const rowLimit = limit === null ? Infinity : (offset || 0) + limit;
+        orderedScan = { index, column, direction: orderBy[0].direction, limit: rowLimit };
+      }
+    }
+
+    // Without an ORDER BY, rows matching MATCH ... AGAINST come most relevant first
+    const relevance = !isJoin && !isAggregateQuery && orderBy.length === 0
+      ? this.storage.planner.matchConditions(where)
+      : [];
+
+    return {
+      ast,
+      table,
+      group,
+      limit,
+      offset,
+      isJoin,
+      joinExecutor,
+      scope,
+      joinPlan: isJoin ? joinExecutor.plan(ast, scope, where) : null,
+      columns,
+      where,
+      groupBy,
+      having,
+      orderBy,
+      schema,
+      aggregates,
+      isAggregateQuery,
+      orderedScan,
+      relevance
+    };
+  }
+
+  async runSelect(plan, trace = null) {
+    const { ast, table, group, limit, offset, where, groupBy, aggregates, schema, orderedScan } = plan;
+    let { columns, having, orderBy } = plan;
+    let rows = null;
+
+    if (orderedScan) {
+      rows = await QueryTrace.run(trace, 'INDEX_ORDER_SCAN', this.describeOrderedScan(plan),
+        () => this.storage.selectRowsInIndexOrder(table, where, group, orderedScan));
+      if (!rows && trace) {
+        trace.steps[trace.steps.length - 1].detail += ' (index out of date, reading the table instead)';
+      }
+      if (rows && (limit !== null || offset !== null)) {
+        const ordered = rows;
+        rows = await QueryTrace.run(trace, 'LIMIT', this.describeLimit(plan), () => ordered.slice(offset || 0));
+      }
+    }
+
+    if (!rows) {
+      rows = plan.isJoin
+        ? await plan.joinExecutor.execute(plan.joinPlan, plan.scope, trace)
+        : await this.storage.selectRowsWithIndex(table, where, { groupName: group, trace });
+
+      if (plan.isAggregateQuery) {
+        const input = rows;
+        rows = await QueryTrace.run(trace, 'AGGREGATE', this.describeAggregate(plan),
+          () => this.aggregator.aggregate(input, { groupBy, aggregates, schema }));
+
+        // Group rows only hold GROUP BY values and aggregates, so point matching expressions at them
+        const groupedKeys = new Set(groupBy.map(expression => this.evaluator.describe(expression)));
+        const useGrouped = node => this.replaceGrouped(node, groupedKeys);
+        columns = columns.map(col => (col === '*' || col.type === 'ALL_COLUMNS' ? col : useGrouped(col)));
+        having = useGrouped(having);
+        orderBy = orderBy.map(item => ({ ...item, expression: useGrouped(item.expression) }));
+
+        if (having) {
+          const grouped = rows;
+          rows = await QueryTrace.run(trace, 'HAVING', this.evaluator.describe(plan.having),
+            () => grouped.filter(row => this.evaluator.matches(having, row)));
+        }
+      }
+
+      if (orderBy.length > 0) {
+        const unsorted = rows;
+        rows = await QueryTrace.run(trace, 'SORT', this.describeOrderBy(plan.orderBy),
+          () => this.sortRows(unsorted, orderBy, schema));
+      }
+      if (plan.relevance.length > 0) {
+        const unranked = rows;
+        rows = await QueryTrace.run(trace, 'RANK', this.describeRelevance(plan),
+          () => this.storage.rankByRelevance(table, plan.relevance, unranked));
+      }
+      if (limit !== null || offset !== null) {
+        const unlimited = rows;
+        rows = await QueryTrace.run(trace, 'LIMIT', this.describeLimit(plan),
+          () => this.applyLimit(unlimited, limit, offset));
+      }
+    }
     
-    if (columns.includes('*')) {
+    if (columns.length === 1 && columns[0] === '*') {
       return {
         success: true,
         data: rows,
@@ -123,15 +442,30 @@ class DatabaseEngine {
       };
     }
 
-    const filteredRows = rows.map(row => {
+    const source = rows;
+    const filteredRows = await QueryTrace.run(trace, 'PROJECT', this.describeColumns(ast.columns), () => source.map(row => {
       const filtered = {};
-      columns.forEach(col => {
-        if (row.hasOwnProperty(col)) {
-          filtered[col] = row[col];
+      columns.forEach((col, i) => {
+        if (col === '*') {
+          Object.assign(filtered, row);
+          return;
+        }
+        if (col.type === 'ALL_COLUMNS') {
+          const prefix = `${col.table}.`;
+          Object.keys(row).filter(key => key.startsWith(prefix)).forEach(key => {
+            filtered[key] = row[key];
+          });
+          return;
         }
+
+        // Output columns keep the name used in the query, e.g. "name", "u.name", "total" or "UPPER(name)";
+        // every row has each of them, NULL where it has no value (a column the row lacks, say)
+        const original = ast.columns[i];
+        const name = typeof original === 'string' ? original : this.evaluator.describe(original);
+        filtered[name] = this.evaluator.evaluate(col, row);
       });
       return filtered;
-    });
+    }));
 
     return {
       success: true,
@@ -140,6 +474,235 @@ class DatabaseEngine {
     };
   }
 
+  /* EXPLAIN [ANALYZE] <statement>
+   * Plain EXPLAIN lists the steps with estimated row counts (upper bounds: filters are not costed).
+   * EXPLAIN ANALYZE runs the statement and reports the actual rows and time of every step.
+   */
+  async executeExplain(ast) {
+    const { statement, analyze } = ast;
+
+    if (!['SELECT', 'UPDATE', 'DELETE'].includes(statement.type)) {
+      throw new Error('EXPLAIN supports SELECT, UPDATE and DELETE statements');
+    }
+
+    const selectPlan = statement.type === 'SELECT' ? await this.planSelect(statement) : null;
+    const estimated = selectPlan
+      ? await this.explainSelect(selectPlan)
+      : await this.explainModification(statement);
+
+    let steps = estimated;
+    let summary = null;
+    if (analyze) {
+      const trace = new QueryTrace();
+      const started = process.hrtime.bigint();
+      let result;
+      if (selectPlan) {
+        result = await this.storage.readConsistent(() => this.runSelect(selectPlan, trace));
+      } else {
+        const modified = await trace.step(statement.type, this.describeModification(statement),
+          () => (statement.type === 'UPDATE' ? this.executeUpdate(statement) : this.executeDelete(statement)));
+        result = { rowCount: modified.affectedRows };
+      }
+      summary = { totalTimeMs: QueryTrace.elapsedMs(started), resultRows: result.rowCount };
+      steps = trace.steps;
+    }
+
+    const data = steps.map((step, i) => ({
+      step: i + 1,
+      operation: step.operation,
+      detail: step.detail,
+      ...(analyze
+        ? { actualRows: step.actualRows, timeMs: step.timeMs }
+        : { estimatedRows: step.estimatedRows })
+    }));
+
+    return {
+      success: true,
+      data,
+      rowCount: data.length,
+      explain: { analyze: Boolean(analyze), statement: statement.type, ...summary },
+      message: analyze
+        ? `Executed in ${summary.totalTimeMs} ms; ${summary.resultRows} row(s) ${statement.type === 'SELECT' ? 'returned' : 'affected'}`
+        : `Query plan for ${statement.type}`
+    };
+  }
+
+  async explainSelect(plan) {
+    const { limit, offset } = plan;
+    let steps;
+
+    if (plan.orderedScan) {
+      const tableInfo = await this.storage.getTable(plan.table);
+      steps = [{
+        operation: 'INDEX_ORDER_SCAN',
+        detail: this.describeOrderedScan(plan),
+        estimatedRows: Math.min(plan.orderedScan.limit, tableInfo.rowCount || 0)
+      }];
+    } else if (plan.isJoin) {
+      steps = await plan.joinExecutor.explain(plan.joinPlan);
+    } else {
+      steps = await this.storage.explainSelect(plan.table, plan.where, plan.group);
+    }
+
+    let estimatedRows = steps[steps.length - 1].estimatedRows;
+    const add = (operation, detail) => steps.push({ operation, detail, estimatedRows });
+
+    if (plan.isAggregateQuery) {
+      if (plan.groupBy.length === 0) estimatedRows = 1;
+      add('AGGREGATE', this.describeAggregate(plan));
+      if (plan.having) add('HAVING', this.evaluator.describe(plan.having));
+    }
+    if (plan.orderBy.length > 0 && !plan.orderedScan) {
+      add('SORT', this.describeOrderBy(plan.orderBy));
+    }
+    if (plan.relevance.length > 0) {
+      add('RANK', this.describeRelevance(plan));
+    }
+    if (limit !== null || offset !== null) {
+      if (estimatedRows !== null) {
+        estimatedRows = Math.max(estimatedRows - (offset || 0), 0);
+        if (limit !== null) estimatedRows = Math.min(estimatedRows, limit);
+      }
+      add('LIMIT', this.describeLimit(plan));
+    }
+    if (!(plan.columns.length === 1 && plan.columns[0] === '*')) {
+      add('PROJECT', this.describeColumns(plan.ast.columns));
+    }
+    return steps;
+  }
+
+  // UPDATE and DELETE always scan the table (or group) and check WHERE on every row
+  async explainModification(statement) {
+    const tableInfo = await this.storage.getTable(statement.table);
+    let estimatedRows = tableInfo.rowCount || 0;
+    const steps = [{ operation: 'FULL_SCAN', detail: statement.table, estimatedRows }];
+
+    if (statement.group) {
+      estimatedRows = Math.min(estimatedRows, tableInfo.groups?.[statement.group]?.rowCount || 0);
+      steps.push({ operation: 'GROUP_FILTER', detail: `group ${statement.group}`, estimatedRows });
+    }
+    if (statement.where) {
+      steps.push({ operation: 'FILTER', detail: this.evaluator.describe(statement.where), estimatedRows });
+    }
+    steps.push({ operation: statement.type, detail: this.describeModification(statement), estimatedRows });
+    return steps;
+  }
+
+  describeModification({ type, table }) {
+    return `${type === 'UPDATE' ? 'update' : 'delete'} matching rows in ${table}`;
+  }
+
+  describeRelevance({ relevance }) {
+    return `by relevance to ${relevance.map(match => this.storage.describeMatch(match)).join(', ')}`;
+  }
+
+  describeOrderedScan({ table, orderedScan }) {
+    const scan = `${table} using ${orderedScan.index.name} ordered by ${orderedScan.column} ${orderedScan.direction}`;
+    return Number.isFinite(orderedScan.limit) ? `${scan}, stopping after ${orderedScan.limit} row(s)` : scan;
+  }
+
+  describeAggregate({ groupBy, aggregates }) {
+    const calls = aggregates.map(aggregate => this.evaluator.describe(aggregate)).join(', ');
+    const grouping = groupBy.length > 0
+      ? `GROUP BY ${groupBy.map(expression => this.evaluator.describe(expression)).join(', ')}`
+      : 'all rows';
+    return calls ? `${grouping}: ${calls}` : grouping;
+  }
+
+  describeOrderBy(orderBy) {
+    return orderBy.map(item => `${this.evaluator.describe(item.expression)} ${item.direction}`).join(', ');
+  }
+
+  describeLimit({ limit, offset }) {
+    return [limit !== null ? `LIMIT ${limit}` : null, offset !== null ? `OFFSET ${offset}` : null]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  describeColumns(columns) {
+    return columns.map(col => {
+      if (typeof col === 'string') return col;
+      if (col.type === 'ALL_COLUMNS') return `${col.table}.*`;
+      return col.type === 'ALIAS' ? `${this.evaluator.describe(col.expression)} AS ${col.name}` : this.evaluator.describe(col);
+    }).join(', ');
+  }
+
+  // Replace subexpressions that match a GROUP BY expression with a reference to the group row's value
+  replaceGrouped(node, groupedKeys) {
+    if (!node || typeof node !== 'object') return node;
+    if (node.type !== 'ALIAS' && groupedKeys.has(this.evaluator.describe(node))) {
+      return { type: 'COLUMN', name: this.evaluator.describe(node) };
+    }
+    return this.evaluator.mapChildren(node, child => this.replaceGrouped(child, groupedKeys));
+  }
+
+  // Every distinct aggregate call used by the select list, HAVING or ORDER BY
+  collectAggregates(expressions) {
+    const aggregates = new Map();
+    for (const expression of expressions) {
+      if (!expression || typeof expression !== 'object') continue;
+      this.evaluator.walk(expression, node => {
+        if (node.type !== 'AGGREGATE') return true;
+        if (node.argument && this.evaluator.containsAggregate(node.argument)) {
+          throw new Error('Aggregate functions cannot be nested');
+        }
+        aggregates.set(this.evaluator.describe(node), node);
+        return false;
+      });
+    }
+    return Array.from(aggregates.values());
+  }
+
+  // Outside aggregate calls, a grouped query may only refer to its GROUP BY columns
+  validateAggregateQuery({ columns, groupBy = [], having = null, orderBy = [] }) {
+    if (columns.some(col => col === '*' || col.type === 'ALL_COLUMNS')) {
+      throw new Error('SELECT * cannot be combined with GROUP BY or aggregate functions');
+    }
+
+    const grouped = new Set(groupBy.map(expression => this.evaluator.describe(expression)));
+    for (const expression of [...columns, having, ...orderBy.map(item => item.expression)]) {
+      this.evaluator.walk(expression, node => {
+        if (node.type === 'AGGREGATE') return false;
+        if (grouped.has(this.evaluator.describe(node))) return false;
+        if (node.type === 'COLUMN') {
+          throw new Error(`Column '${this.evaluator.describe(node)}' must appear in GROUP BY or be used in an aggregate function`);
+        }
+        return true;
+      });
+    }
+  }
+
+  // Sort rows by ORDER BY items, comparing column values by their declared schema type
+  sortRows(rows, orderBy, schema = {}) {
+    if (!orderBy || orderBy.length === 0) {
+      return rows;
+    }
+
+    const keys = orderBy.map(item => ({
+      expression: item.expression,
+      sign: item.direction === 'DESC' ? -1 : 1,
+      type: item.expression.type === 'COLUMN' ? schema?.[this.evaluator.columnKey(item.expression)]?.type : null
+    }));
+
+    return rows
+      .map(row => ({ row, values: keys.map(key => this.evaluator.evaluate(key.expression, row)) }))
+      .sort((a, b) => {
+        for (let i = 0; i < keys.length; i++) {
+          const result = this.evaluator.compareValues(a.values[i], b.values[i], keys[i].type);
+          if (result !== 0) {
+            return keys[i].sign * result;
+          }
+        }
+        return 0;
+      })
+      .map(entry => entry.row);
+  }
+
+  applyLimit(rows, limit = null, offset = null) {
+    const start = offset || 0;
+    return limit === null || limit === undefined ? rows.slice(start) : rows.slice(start, start + limit);
+  }
+
   async executeInsert(ast) {
     const { table, columns, values, group } = ast;
     
@@ -169,13 +732,29 @@ class DatabaseEngine {
   }
 
   async executeUpdate(ast) {
-    // Implementation for UPDATE queries
-    throw new Error('UPDATE queries not yet implemented');
+    const { table, assignments, where, group } = ast;
+    this.evaluator.checkFunctions(where);
+
+    const rows = await this.storage.updateRows(table, assignments, where, group);
+
+    return {
+      success: true,
+      affectedRows: rows.length,
+      message: `${rows.length} row(s) updated`
+    };
   }
 
   async executeDelete(ast) {
-    // Implementation for DELETE queries
-    throw new Error('DELETE queries not yet implemented');
+    const { table, where, group } = ast;
+    this.evaluator.checkFunctions(where);
+
+    const rows = await this.storage.deleteRows(table, where, group);
+
+    return {
+      success: true,
+      affectedRows: rows.length,
+      message: `${rows.length} row(s) deleted`
+    };
   }
 
   async executeCreateTable(ast) {
@@ -213,6 +792,72 @@ class DatabaseEngine {
     };
   }
 
+  async executeCreateIndex(ast) {
+    const { table, index } = ast;
+
+    const indexInfo = await this.storage.addIndex(table, index);
+
+    return {
+      success: true,
+      data: indexInfo,
+      message: `${index.fulltext ? 'Full-text index' : index.unique ? 'Unique index' : 'Index'} '${index.name}' created on table '${table}'`
+    };
+  }
+
+  async executeDropIndex(ast) {
+    let { table, index } = ast;
+
+    if (!table) {
+      const tables = await this.storage.findIndexTables(index);
+      if (tables.length === 0) {
+        throw new Error(`Index '${index}' does not exist`);
+      }
+      if (tables.length > 1) {
+        throw new Error(`Index '${index}' exists on tables ${tables.join(', ')}; use DROP INDEX ${index} ON <table>`);
+      }
+      table = tables[0];
+    }
+
+    await this.storage.dropIndex(table, index);
+
+    return {
+      success: true,
+      message: `Index '${index}' dropped from table '${table}'`
+    };
+  }
+
+  async executeAlterTable(ast) {
+    const { table, alteration } = ast;
+    const result = await this.storage.alterTable(table, alteration);
+
+    let message;
+    switch (alteration.action) {
+      case 'ADD_COLUMN':
+        message = `Column '${alteration.column}' added to table '${table}'`;
+        break;
+      case 'DROP_COLUMN':
+        message = `Column '${alteration.column}' dropped from table '${table}'`;
+        if (result.droppedIndexes.length > 0) {
+          message += `, with index(es) ${result.droppedIndexes.join(', ')}`;
+        }
+        break;
+      case 'RENAME_COLUMN':
+        message = `Column '${alteration.column}' of table '${table}' renamed to '${alteration.newName}'`;
+        break;
+      case 'ALTER_COLUMN_TYPE':
+        message = `Column '${alteration.column}' of table '${table}' changed to ${alteration.columnType}`;
+        break;
+      default:
+        message = `Table '${table}' renamed to '${alteration.newName}'`;
+    }
+
+    return {
+      success: true,
+      data: result,
+      message
+    };
+  }
+
   // Direct storage methods for web interface
   async getAllTables() {
     if (!this.initialized) {
@@ -221,11 +866,11 @@ class DatabaseEngine {
     return await this.storage.getAllTables();
   }
 
-  async getTableData(tableName, groupName = null) {
+  async getTableData(tableName, groupName = null, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
-    return await this.storage.selectRows(tableName, {}, groupName);
+    return await this.storage.selectRowRange(tableName, groupName, { limit: options.limit, offset: options.offset });
   }
 
   async getTableGroups(tableName) {
@@ -245,10 +890,11 @@ class DatabaseEngine {
     const sanitizedData = this.security.validateRowData(data);
     const sanitizedGroup = groupName ? this.security.sanitizeInput(groupName, 'identifier') : null;
     
-    // Check resource limits
-    const rows = await this.storage.getRows(sanitizedTableName, sanitizedGroup);
-    if (rows.length >= this.security.options.maxRowsPerTable) {
-      throw new Error(`Maximum number of rows (${this.security.options.maxRowsPerTable}) exceeded for table`);
+    // Check resource limits against the row count kept in the metadata
+    const storageMetadata = await this.storage.loadMetadata();
+    const maxRows = this.security.maxRowsFor(storageMetadata.settings?.storageFormat || 'json');
+    if ((storageMetadata.tables[sanitizedTableName]?.rowCount || 0) >= maxRows) {
+      throw new Error(`Maximum number of rows (${maxRows}) exceeded for table`);
     }
     
     // Log operation
@@ -408,4 +1054,6 @@ class DatabaseEngine {
   }
 }
 
+DatabaseEngine.TRANSACTION_STATEMENTS = ['BEGIN', 'COMMIT', 'ROLLBACK'];
+
 module.exports = DatabaseEngine;
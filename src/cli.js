@@ -31,7 +31,7 @@ program
           {
             type: 'input',
             name: 'command',
-            message: chalk.yellow('customdb>'),
+            message: chalk.yellow(db.inTransaction() ? 'customdb*>' : 'customdb>'),
             prefix: ''
           }
         ]);
@@ -63,8 +63,8 @@ program
         }
 
         if (command.toLowerCase().startsWith('create database ')) {
-          const dbName = command.substring(16).trim();
-          await createDatabase(dbName);
+          const [dbName, storageFormat] = command.substring(16).trim().split(/\s+/);
+          await createDatabase(dbName, storageFormat);
           continue;
         }
 
@@ -203,7 +203,10 @@ async function executeSQL(sql) {
     
     if (result.success) {
       if (result.data) {
-        if (Array.isArray(result.data)) {
+        if (result.explain) {
+          console.log(chalk.green(`\n📊 ${result.explain.analyze ? 'EXPLAIN ANALYZE' : 'EXPLAIN'}: ${result.message}\n`));
+          console.table(result.data);
+        } else if (Array.isArray(result.data)) {
           console.log(chalk.green(`\n✅ Query executed successfully. ${result.rowCount} row(s) returned.\n`));
           console.table(result.data);
         } else {
@@ -400,10 +403,10 @@ async function switchDatabase(dbName) {
   }
 }
 
-async function createDatabase(dbName) {
+async function createDatabase(dbName, storageFormat = 'json') {
   try {
-    await db.createDatabase(dbName);
-    console.log(chalk.green(`✓ Database '${dbName}' created successfully`));
+    await db.createDatabase(dbName, { storageFormat: storageFormat.toLowerCase() });
+    console.log(chalk.green(`✓ Database '${dbName}' created successfully (${storageFormat.toLowerCase()} storage)`));
   } catch (error) {
     console.log(chalk.red(`Error creating database: ${error.message}`));
   }
@@ -464,7 +467,7 @@ function showHelp() {
   console.log(chalk.blue('  Database Management:'));
   console.log(chalk.white('    show databases       - List all databases'));
   console.log(chalk.white('    use <database>       - Switch to database'));
-  console.log(chalk.white('    create database <n>  - Create new database'));
+  console.log(chalk.white('    create database <n> [json|paged|log] - Create new database (default storage: json)'));
   console.log(chalk.white('    drop database <n>    - Delete database (with confirmation)'));
   
   console.log(chalk.blue('  Table Management:'));
@@ -478,13 +481,40 @@ function showHelp() {
   console.log(chalk.white('    CREATE TABLE <name> ('));
   console.log(chalk.white('      column1 TYPE [PRIMARY KEY] [UNIQUE] [NOT NULL],'));
   console.log(chalk.white('      column2 TYPE [AUTO_INCREMENT] [DEFAULT value],'));
-  console.log(chalk.white('      column3 TYPE [FOREIGN_KEY(table.column)],'));
-  console.log(chalk.white('      column4 TYPE [CHECK($value > 0)]'));
+  console.log(chalk.white('      column3 TYPE [FOREIGN_KEY(table.column) | REFERENCES table(column)]'));
+  console.log(chalk.white('        [ON DELETE|ON UPDATE CASCADE|SET NULL|SET DEFAULT|RESTRICT],'));
+  console.log(chalk.white('      column4 TYPE [CHECK($value > 0)],'));
+  console.log(chalk.white('      [CONSTRAINT name] CHECK (column4 > column1)'));
   console.log(chalk.white('    )'));
+  console.log(chalk.white('    TYPE: VARCHAR(n) TEXT INTEGER NUMBER DECIMAL(p,s) BOOLEAN DATE DATETIME UUID JSON'));
+  console.log(chalk.white('    ALTER TABLE <table> ADD [COLUMN] column TYPE [constraints]'));
+  console.log(chalk.white('    ALTER TABLE <table> DROP [COLUMN] column'));
+  console.log(chalk.white('    ALTER TABLE <table> RENAME COLUMN column TO new_name'));
+  console.log(chalk.white('    ALTER TABLE <table> ALTER [COLUMN] column TYPE new_type'));
+  console.log(chalk.white('    ALTER TABLE <table> RENAME TO new_name'));
   console.log(chalk.white('    CREATE GROUP <group> IN <table>'));
-  console.log(chalk.white('    CREATE INDEX <name> ON <table> (columns)'));
+  console.log(chalk.white("    CREATE [UNIQUE|FULLTEXT] INDEX <name> ON <table> (columns | json_col->'key'->>'key')"));
+  console.log(chalk.white('    DROP INDEX <name> [ON <table>]'));
+  console.log(chalk.white('    EXPLAIN [ANALYZE] <SELECT | UPDATE | DELETE statement>'));
+  console.log(chalk.white('    BEGIN | COMMIT | ROLLBACK  (the prompt shows customdb*> inside a transaction)'));
+  console.log(chalk.white('    VACUUM [table_name]'));
+  console.log(chalk.white('    COMPACT TABLE <table_name>  (log storage only)'));
+  console.log(chalk.white('    REINDEX [TABLE] <table_name>'));
+  console.log(chalk.white('    CHECK TABLE <table_name>'));
   console.log(chalk.white('    INSERT INTO <table> [GROUP <group>] [(columns)] VALUES (values)'));
-  console.log(chalk.white('    SELECT * FROM <table> [GROUP <group>] [WHERE conditions]'));
+  console.log(chalk.white('    SELECT *|expr [AS alias], ... FROM <table> [alias] [GROUP <group>]'));
+  console.log(chalk.white('      [[INNER|LEFT] JOIN <table> [alias] ON conditions ...] [WHERE conditions]'));
+  console.log(chalk.white('      [GROUP BY col, ...] [HAVING conditions]'));
+  console.log(chalk.white('      [ORDER BY col [ASC|DESC], ...] [LIMIT n] [OFFSET m]'));
+  console.log(chalk.gray('      aggregates: COUNT(*), COUNT([DISTINCT] col), SUM, AVG, MIN, MAX'));
+  console.log(chalk.gray('      expressions: + - * / % ||, UPPER, LOWER, LENGTH, SUBSTR, COALESCE,'));
+  console.log(chalk.gray('                   ROUND, ABS, NOW, DATE'));
+  console.log(chalk.gray('      conditions: =, !=, <, <=, >, >=, AND, OR, NOT, (...), IN (...),'));
+  console.log(chalk.gray("                  BETWEEN a AND b, LIKE 'a%_', IS [NOT] NULL,"));
+  console.log(chalk.gray("                  MATCH(col, ...) AGAINST('terms'), json_col @> '{\"key\": 1}', <@"));
+  console.log(chalk.gray("      json paths: json_col->'key'->0 (JSON), json_col->>'key' (text)"));
+  console.log(chalk.white('    UPDATE <table> [GROUP <group>] SET col = expr, ... [WHERE conditions]'));
+  console.log(chalk.white('    DELETE FROM <table> [GROUP <group>] [WHERE conditions]'));
   
   console.log(chalk.blue('  Security & Monitoring:'));
   console.log(chalk.white('    security report      - Show security report'));
@@ -547,7 +577,7 @@ async function showIndexes(tableName) {
     
     console.log(chalk.green(`\n📊 Indexes for table '${tableName}':`));
     indexes.forEach(index => {
-      const uniqueText = index.unique ? ' (UNIQUE)' : '';
+      const uniqueText = index.fulltext ? ' (FULLTEXT)' : index.unique ? ' (UNIQUE)' : '';
       console.log(chalk.blue(`  • ${index.name}`) + chalk.gray(` on (${index.columns.join(', ')})${uniqueText}`));
     });
     console.log();
@@ -588,7 +618,7 @@ async function showConstraints(tableName) {
     if (constraints.check && constraints.check.length > 0) {
       console.log(chalk.blue(`  Check Constraints:`));
       constraints.check.forEach(check => {
-        console.log(chalk.gray(`    ${check.column}: ${check.condition}`));
+        console.log(chalk.gray(`    ${check.column || check.name || 'table'}: ${check.condition}`));
       });
     }
     
@@ -1,6 +1,10 @@
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
+const TransactionManager = require('../storage/TransactionManager');
+const DataFile = require('../storage/DataFile');
+const LockManager = require('../storage/LockManager');
+const PagedTableStore = require('../storage/PagedTableStore');
 
 class DatabaseManager {
   constructor(baseDataDir = './databases') {
@@ -21,6 +25,7 @@ class DatabaseManager {
   async initializeManager() {
     try {
       await fs.ensureDir(this.baseDataDir);
+      await DataFile.removeTempFiles(this.baseDataDir);
       
       if (!await fs.pathExists(this.configFile)) {
         await this.saveDatabasesConfig({
@@ -36,16 +41,17 @@ class DatabaseManager {
 
   async loadDatabasesConfig() {
     try {
-      const config = await fs.readJson(this.configFile);
+      const config = await DataFile.read(this.configFile);
       return config;
     } catch (error) {
+      if (error.corrupted) throw error;
       throw new Error(`Failed to load databases config: ${error.message}`);
     }
   }
 
   async saveDatabasesConfig(config) {
     try {
-      await fs.writeJson(this.configFile, config, { spaces: 2 });
+      await DataFile.writeJson(this.configFile, config);
     } catch (error) {
       throw new Error(`Failed to save databases config: ${error.message}`);
     }
@@ -99,13 +105,15 @@ class DatabaseManager {
       lastAccessed: new Date().toISOString(),
       directory: dbDir,
       description: options.description || '',
-      settings: {
+      settings: this.storageSettings({
         maxTableSize: options.maxTableSize || 10000,
         maxTables: options.maxTables || 100,
         enableLogging: options.enableLogging !== false,
         enableBackup: options.enableBackup !== false,
+        storageFormat: options.storageFormat || 'json',
+        pageSize: options.pageSize,
         ...options.settings
-      }
+      })
     };
 
     // Create database directory structure
@@ -117,7 +125,7 @@ class DatabaseManager {
 
     // Create database metadata
     const metadataFile = path.join(dbDir, 'metadata.json');
-    await fs.writeJson(metadataFile, {
+    await DataFile.writeJson(metadataFile, {
       version: '1.0.0',
       id: dbId,
       name: sanitizedName,
@@ -125,8 +133,9 @@ class DatabaseManager {
       tables: {},
       indexes: {},
       lastTransactionId: 0,
+      rowsTyped: true,
       settings: dbInfo.settings
-    }, { spaces: 2 });
+    });
 
     // Update global config
     config.databases[sanitizedName] = dbInfo;
@@ -135,6 +144,22 @@ class DatabaseManager {
     return dbInfo;
   }
 
+  /* How tables are stored: 'json' (one readable file per table, the default), 'paged'
+   * (fixed-size binary pages, see PagedTableStore) or 'log' (an append-only log of row versions,
+   * see LogTableStore). Chosen once; existing tables are not converted.
+   */
+  storageSettings(settings) {
+    if (!DatabaseManager.STORAGE_FORMATS.includes(settings.storageFormat)) {
+      throw new Error(`Storage format must be one of: ${DatabaseManager.STORAGE_FORMATS.join(', ')}`);
+    }
+
+    const { pageSize, ...rest } = settings;
+    if (settings.storageFormat !== 'paged') {
+      return rest;
+    }
+    return { ...rest, pageSize: PagedTableStore.validatePageSize(pageSize || PagedTableStore.PAGE_SIZE) };
+  }
+
   async listDatabases() {
     const config = await this.loadDatabasesConfig();
     const databaseList = Object.values(config.databases);
@@ -253,7 +278,9 @@ class DatabaseManager {
     const backupDir = path.join(this.baseDataDir, 'backups', backupName);
     
     await fs.ensureDir(path.dirname(backupDir));
-    await fs.copy(dbInfo.directory, backupDir);
+    // Lock and snapshot files belong to the running processes, not to the data
+    const processDirs = ['locks', 'snapshots'].map(name => path.join(dbInfo.directory, name));
+    await fs.copy(dbInfo.directory, backupDir, { filter: source => !processDirs.includes(source) });
     
     return {
       name: backupName,
@@ -285,14 +312,23 @@ class DatabaseManager {
 
     const targetDir = path.join(this.baseDataDir, sanitizedTargetName);
     await fs.copy(backupDir, targetDir);
+    await fs.remove(path.join(targetDir, 'locks'));
+    await fs.remove(path.join(targetDir, 'snapshots'));
     
     // Update metadata with new name and ID
     const metadataFile = path.join(targetDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile);
+    // Replay the backup's write-ahead log first, or it would later overwrite the renamed metadata
+    await new TransactionManager({
+      dataDir: targetDir,
+      walDir: path.join(targetDir, 'wal'),
+      metadataFile,
+      locks: LockManager.forDirectory(path.join(targetDir, 'locks'))
+    }).recover();
+    const metadata = await DataFile.read(metadataFile);
     metadata.id = crypto.randomUUID();
     metadata.name = sanitizedTargetName;
     metadata.restored = new Date().toISOString();
-    await fs.writeJson(metadataFile, metadata, { spaces: 2 });
+    await DataFile.writeJson(metadataFile, metadata);
     
     // Add to config
     const dbInfo = {
@@ -344,7 +380,7 @@ class DatabaseManager {
       try {
         const metadataFile = path.join(dbInfo.directory, 'metadata.json');
         if (await fs.pathExists(metadataFile)) {
-          const metadata = await fs.readJson(metadataFile);
+          const metadata = await DataFile.read(metadataFile);
           stats.databases[name] = {
             tables: Object.keys(metadata.tables || {}).length,
             totalRows: Object.values(metadata.tables || {}).reduce((sum, table) => sum + (table.rowCount || 0), 0),
@@ -380,4 +416,6 @@ class DatabaseManager {
   }
 }
 
+DatabaseManager.STORAGE_FORMATS = ['json', 'paged', 'log'];
+
 module.exports = DatabaseManager;
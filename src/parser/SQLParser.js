@@ -1,3 +1,5 @@
+const JsonPath = require('../query/JsonPath');
+
 class SQLParser {
   constructor() {
     this.keywords = new Set([
@@ -7,8 +9,37 @@ class SQLParser {
       // Advanced table creation keywords
       'PRIMARY', 'KEY', 'FOREIGN', 'REFERENCES', 'UNIQUE', 'CHECK', 'DEFAULT',
       'AUTO_INCREMENT', 'AUTOINCREMENT', 'INDEX', 'CONSTRAINT', 'ON', 'BEFORE',
-      'AFTER', 'TRIGGER', 'FOR', 'EACH', 'ROW', 'WHEN', 'BEGIN', 'END'
+      'AFTER', 'TRIGGER', 'FOR', 'EACH', 'ROW', 'WHEN', 'BEGIN', 'END',
+      // Result ordering and paging
+      'ASC', 'DESC', 'OFFSET',
+      // Aggregation
+      'HAVING', 'DISTINCT',
+      // Joins and aliases
+      'JOIN', 'INNER', 'LEFT', 'OUTER', 'AS',
+      // Query plans
+      'EXPLAIN', 'ANALYZE',
+      // Transactions
+      'COMMIT', 'ROLLBACK', 'TRANSACTION', 'VACUUM',
+      // Storage maintenance
+      'COMPACT', 'REINDEX',
+      // Full-text search
+      'FULLTEXT', 'MATCH', 'AGAINST',
+      // Schema changes; ADD, COLUMN, RENAME, TO and TYPE stay usable as names (see parseAlter)
+      'ALTER'
+    ]);
+
+    /* Keywords added with later features. They are not reserved: where a table, column or alias
+     * name is expected they are read as one (see isName), so tables with a column called "desc" or
+     * "match" keep working.
+     */
+    this.nonReservedKeywords = new Set([
+      'ASC', 'DESC', 'OFFSET', 'HAVING', 'DISTINCT', 'JOIN', 'INNER', 'LEFT', 'OUTER', 'AS',
+      'EXPLAIN', 'ANALYZE', 'COMMIT', 'ROLLBACK', 'TRANSACTION', 'VACUUM', 'COMPACT', 'REINDEX',
+      'FULLTEXT', 'MATCH', 'AGAINST', 'ALTER'
     ]);
+
+    // Function names that aggregate over a set of rows rather than a single row
+    this.aggregateFunctions = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
   }
 
   tokenize(sql) {
@@ -60,6 +91,21 @@ class SQLParser {
         continue;
       }
 
+      // JSON paths: -> and ->>
+      if (char === '-' && chars[current + 1] === '>') {
+        const value = chars[current + 2] === '>' ? '->>' : '->';
+        tokens.push({ type: 'ARROW', value });
+        current += value.length;
+        continue;
+      }
+
+      // JSON containment: @> and <@
+      if ((char === '@' && chars[current + 1] === '>') || (char === '<' && chars[current + 1] === '@')) {
+        tokens.push({ type: 'OPERATOR', value: char + chars[current + 1] });
+        current += 2;
+        continue;
+      }
+
       // Handle operators and punctuation
       if (/[=<>!]/.test(char)) {
         let value = char;
@@ -72,6 +118,19 @@ class SQLParser {
         continue;
       }
 
+      // Arithmetic and string concatenation; * is emitted as STAR and read as multiplication in expressions
+      if (/[+\-/%]/.test(char)) {
+        tokens.push({ type: 'ARITHMETIC', value: char });
+        current++;
+        continue;
+      }
+
+      if (char === '|' && chars[current + 1] === '|') {
+        tokens.push({ type: 'ARITHMETIC', value: '||' });
+        current += 2;
+        continue;
+      }
+
       if (char === '(') {
         tokens.push({ type: 'LPAREN', value: '(' });
         current++;
@@ -90,6 +149,12 @@ class SQLParser {
         continue;
       }
 
+      if (char === '.') {
+        tokens.push({ type: 'DOT', value: '.' });
+        current++;
+        continue;
+      }
+
       if (char === ';') {
         tokens.push({ type: 'SEMICOLON', value: ';' });
         current++;
@@ -102,6 +167,18 @@ class SQLParser {
         continue;
       }
 
+      // $value: the column a column's CHECK constraint is declared on
+      if (char === '$' && /[a-zA-Z_]/.test(chars[current + 1] || '')) {
+        let value = char;
+        current++;
+        while (current < chars.length && /[a-zA-Z0-9_]/.test(chars[current])) {
+          value += chars[current];
+          current++;
+        }
+        tokens.push({ type: 'IDENTIFIER', value });
+        continue;
+      }
+
       // Handle identifiers and keywords
       if (/[a-zA-Z_]/.test(char)) {
         let value = '';
@@ -112,7 +189,8 @@ class SQLParser {
 
         const upperValue = value.toUpperCase();
         if (this.keywords.has(upperValue)) {
-          tokens.push({ type: 'KEYWORD', value: upperValue });
+          // text keeps the word as written, for keywords read as names
+          tokens.push({ type: 'KEYWORD', value: upperValue, text: value });
         } else {
           tokens.push({ type: 'IDENTIFIER', value });
         }
@@ -158,11 +236,252 @@ class SQLParser {
         return this.parseCreate(tokens, current);
       case 'DROP':
         return this.parseDrop(tokens, current);
+      case 'EXPLAIN':
+        return this.parseExplain(tokens, current);
+      case 'BEGIN':
+      case 'COMMIT':
+      case 'ROLLBACK':
+        return this.parseTransactionControl(tokens, current);
+      case 'VACUUM':
+        return this.parseVacuum(tokens, current);
+      case 'COMPACT':
+        return this.parseCompact(tokens, current);
+      case 'REINDEX':
+        return this.parseReindex(tokens, current);
+      case 'CHECK':
+        return this.parseCheckTable(tokens, current);
+      case 'ALTER':
+        return this.parseAlter(tokens, current);
       default:
         throw new Error(`Unsupported query type: ${firstToken.value}`);
     }
   }
 
+  // BEGIN [TRANSACTION], COMMIT [TRANSACTION] and ROLLBACK [TRANSACTION]
+  parseTransactionControl(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    const type = consume().value;
+    if (peek() && peek().value === 'TRANSACTION') {
+      consume(); // TRANSACTION
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return { type };
+  }
+
+  // VACUUM [table]
+  parseVacuum(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // VACUUM
+
+    let tableName = null;
+    if (this.isName(peek())) {
+      tableName = this.nameOf(consume());
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return {
+      type: 'VACUUM',
+      table: tableName
+    };
+  }
+
+  // COMPACT TABLE table
+  parseCompact(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // COMPACT
+
+    if (!peek() || peek().value !== 'TABLE') {
+      throw new Error('Expected TABLE after COMPACT');
+    }
+    consume(); // TABLE
+
+    const tableToken = consume();
+    if (!this.isName(tableToken)) {
+      throw new Error('Expected table name');
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return {
+      type: 'COMPACT',
+      table: this.nameOf(tableToken)
+    };
+  }
+
+  // REINDEX [TABLE] table
+  parseReindex(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // REINDEX
+
+    if (peek() && peek().value === 'TABLE') {
+      consume(); // TABLE
+    }
+
+    const tableToken = consume();
+    if (!this.isName(tableToken)) {
+      throw new Error('Expected table name');
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return {
+      type: 'REINDEX',
+      table: this.nameOf(tableToken)
+    };
+  }
+
+  // CHECK TABLE table
+  parseCheckTable(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // CHECK
+
+    if (!peek() || peek().value !== 'TABLE') {
+      throw new Error('Expected TABLE after CHECK');
+    }
+    consume(); // TABLE
+
+    const tableToken = consume();
+    if (!this.isName(tableToken)) {
+      throw new Error('Expected table name');
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return {
+      type: 'CHECK_TABLE',
+      table: this.nameOf(tableToken)
+    };
+  }
+
+  /* ALTER TABLE table followed by one of
+   *   ADD [COLUMN] column TYPE [constraints]
+   *   DROP [COLUMN] column
+   *   RENAME COLUMN column TO new_name
+   *   ALTER [COLUMN] column TYPE new_type
+   *   RENAME TO new_name
+   */
+  parseAlter(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+    // Words that are only keywords here, so tables may still have columns called "type" or "to"
+    const isWord = word => Boolean(peek()) && String(peek().value).toUpperCase() === word;
+    const expectName = (what) => {
+      const token = consume();
+      if (!this.isName(token)) {
+        throw new Error(`Expected ${what}`);
+      }
+      return this.nameOf(token);
+    };
+    const expectWord = (word, after) => {
+      if (!isWord(word)) {
+        throw new Error(`Expected ${word} after ${after}`);
+      }
+      consume();
+    };
+
+    consume(); // ALTER
+    expectWord('TABLE', 'ALTER');
+    const tableName = expectName('table name');
+
+    let alteration;
+    if (isWord('ADD')) {
+      consume(); // ADD
+      if (isWord('COLUMN')) consume();
+      const { name, definition, current: next } = this.parseColumnDefinition(tokens, current);
+      current = next;
+      alteration = { action: 'ADD_COLUMN', column: name, definition };
+    } else if (isWord('DROP')) {
+      consume(); // DROP
+      if (isWord('COLUMN')) consume();
+      alteration = { action: 'DROP_COLUMN', column: expectName('column name') };
+    } else if (isWord('RENAME')) {
+      consume(); // RENAME
+      if (isWord('COLUMN')) {
+        consume(); // COLUMN
+        const column = expectName('column name');
+        expectWord('TO', 'the column name');
+        alteration = { action: 'RENAME_COLUMN', column, newName: expectName('new column name') };
+      } else {
+        expectWord('TO', 'RENAME');
+        alteration = { action: 'RENAME_TABLE', newName: expectName('new table name') };
+      }
+    } else if (isWord('ALTER')) {
+      consume(); // ALTER
+      if (isWord('COLUMN')) consume();
+      const column = expectName('column name');
+      expectWord('TYPE', 'the column name');
+      const parsed = this.parseColumnType(tokens, current);
+      current = parsed.current;
+      alteration = { action: 'ALTER_COLUMN_TYPE', column, columnType: parsed.columnType };
+    } else {
+      throw new Error('Expected ADD, DROP, RENAME or ALTER after the table name');
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return {
+      type: 'ALTER_TABLE',
+      table: tableName,
+      alteration
+    };
+  }
+
+  // EXPLAIN [ANALYZE] followed by a SELECT, UPDATE or DELETE statement
+  parseExplain(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // EXPLAIN
+
+    let analyze = false;
+    if (peek() && peek().value === 'ANALYZE') {
+      consume(); // ANALYZE
+      analyze = true;
+    }
+
+    const statementToken = peek();
+    let statement;
+    switch (statementToken ? statementToken.value : null) {
+      case 'SELECT':
+        statement = this.parseSelect(tokens, current);
+        break;
+      case 'UPDATE':
+        statement = this.parseUpdate(tokens, current);
+        break;
+      case 'DELETE':
+        statement = this.parseDelete(tokens, current);
+        break;
+      default:
+        throw new Error('EXPLAIN supports SELECT, UPDATE and DELETE statements');
+    }
+
+    return {
+      type: 'EXPLAIN',
+      analyze,
+      statement
+    };
+  }
+
   parseSelect(tokens, startIndex) {
     let current = startIndex;
     const consume = () => tokens[current++];
@@ -170,16 +489,40 @@ class SQLParser {
 
     consume(); // SELECT
 
-    // Parse columns
+    // Parse the select list: *, alias.*, or expressions with an optional [AS] alias
     const columns = [];
     do {
-      const token = consume();
-      if (token.type === 'STAR') {
+      const following = tokens[current + 1];
+      if (peek() && peek().type === 'STAR') {
+        consume(); // *
         columns.push('*');
-      } else if (token.type === 'IDENTIFIER') {
-        columns.push(token.value);
+      } else if (this.isName(peek()) && following && following.type === 'DOT' &&
+          tokens[current + 2] && tokens[current + 2].type === 'STAR') {
+        columns.push({ type: 'ALL_COLUMNS', table: this.nameOf(consume()) });
+        current += 2; // . *
       } else {
-        throw new Error(`Expected column name, got ${token.type}`);
+        const { expression, current: next } = this.parseExpression(tokens, current);
+        current = next;
+
+        let alias = null;
+        if (peek() && peek().type === 'KEYWORD' && peek().value === 'AS') {
+          consume(); // AS
+          const aliasToken = consume();
+          if (!this.isName(aliasToken) && !(aliasToken && aliasToken.type === 'STRING')) {
+            throw new Error('Expected alias after AS');
+          }
+          alias = aliasToken.type === 'STRING' ? aliasToken.value : this.nameOf(aliasToken);
+        } else if (peek() && (peek().type === 'IDENTIFIER' || peek().type === 'STRING')) {
+          alias = consume().value;
+        }
+
+        if (alias !== null) {
+          columns.push({ type: 'ALIAS', name: alias, expression });
+        } else if (expression.type === 'COLUMN' && !expression.table) {
+          columns.push(expression.name);
+        } else {
+          columns.push(expression);
+        }
       }
 
       if (peek() && peek().type === 'COMMA') {
@@ -195,39 +538,199 @@ class SQLParser {
     }
     consume(); // FROM
 
-    const tableToken = consume();
-    if (tableToken.type !== 'IDENTIFIER') {
-      throw new Error('Expected table name');
-    }
-    const tableName = tableToken.value;
+    const tableReference = this.parseTableReference(tokens, current);
+    const tableName = tableReference.table;
+    current = tableReference.current;
 
-    // Optional GROUP clause (for our custom groups)
+    // Optional GROUP clause (for our custom groups). GROUP followed by BY is SQL grouping instead.
     let groupName = null;
-    if (peek() && peek().value === 'GROUP') {
+    if (peek() && peek().value === 'GROUP' && !this.isGroupBy(tokens, current)) {
       consume(); // GROUP
       const groupToken = consume();
-      if (groupToken.type !== 'IDENTIFIER') {
+      if (!this.isName(groupToken)) {
         throw new Error('Expected group name');
       }
-      groupName = groupToken.value;
+      groupName = this.nameOf(groupToken);
+    }
+
+    // Optional joins: [INNER | LEFT [OUTER]] JOIN table [[AS] alias] ON condition
+    const joins = [];
+    while (peek() && ['JOIN', 'INNER', 'LEFT'].includes(peek().value) && peek().type === 'KEYWORD') {
+      let joinType = 'INNER';
+      if (peek().value === 'LEFT') {
+        consume(); // LEFT
+        joinType = 'LEFT';
+        if (peek() && peek().value === 'OUTER') {
+          consume(); // OUTER
+        }
+      } else if (peek().value === 'INNER') {
+        consume(); // INNER
+      }
+      if (!peek() || peek().value !== 'JOIN') {
+        throw new Error('Expected JOIN');
+      }
+      consume(); // JOIN
+
+      const joinReference = this.parseTableReference(tokens, current);
+      current = joinReference.current;
+
+      if (!peek() || peek().value !== 'ON') {
+        throw new Error(`Expected ON after joined table '${joinReference.table}'`);
+      }
+      consume(); // ON
+      const onClause = this.parseExpression(tokens, current);
+      current = onClause.current;
+
+      joins.push({
+        type: joinType,
+        table: joinReference.table,
+        alias: joinReference.alias,
+        on: onClause.expression
+      });
     }
 
     // Optional WHERE clause
-    let whereConditions = {};
+    let whereConditions = null;
     if (peek() && peek().value === 'WHERE') {
       consume(); // WHERE
-      whereConditions = this.parseWhereClause(tokens, current);
+      const whereClause = this.parseWhereClause(tokens, current);
+      whereConditions = whereClause.where;
+      current = whereClause.current;
+    }
+
+    // Optional GROUP BY clause
+    let groupBy = [];
+    if (this.isGroupBy(tokens, current)) {
+      current += 2; // GROUP BY
+      do {
+        const { expression, current: next } = this.parseExpression(tokens, current);
+        groupBy.push(expression);
+        current = next;
+
+        if (peek() && peek().type === 'COMMA') {
+          consume();
+        } else {
+          break;
+        }
+      } while (peek());
     }
 
+    // Optional HAVING clause
+    let having = null;
+    if (peek() && peek().value === 'HAVING') {
+      consume(); // HAVING
+      const havingClause = this.parseExpression(tokens, current);
+      having = havingClause.expression;
+      current = havingClause.current;
+    }
+
+    // Optional ORDER BY clause
+    let orderBy = [];
+    if (peek() && peek().value === 'ORDER') {
+      const orderClause = this.parseOrderByClause(tokens, current);
+      orderBy = orderClause.orderBy;
+      current = orderClause.current;
+    }
+
+    // Optional LIMIT / OFFSET clauses
+    let limit = null;
+    let offset = null;
+    if (peek() && peek().value === 'LIMIT') {
+      consume(); // LIMIT
+      limit = this.parseRowCount(consume(), 'LIMIT');
+    }
+    if (peek() && peek().value === 'OFFSET') {
+      consume(); // OFFSET
+      offset = this.parseRowCount(consume(), 'OFFSET');
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
     return {
       type: 'SELECT',
       columns,
       table: tableName,
+      alias: tableReference.alias,
       group: groupName,
-      where: whereConditions
+      joins,
+      where: whereConditions,
+      groupBy,
+      having,
+      orderBy,
+      limit,
+      offset
     };
   }
 
+  // table [[AS] alias]; the alias defaults to the table name
+  parseTableReference(tokens, startIndex) {
+    let current = startIndex;
+    const tableToken = tokens[current++];
+    if (!this.isName(tableToken)) {
+      throw new Error('Expected table name');
+    }
+
+    let alias = this.nameOf(tableToken);
+    if (tokens[current] && tokens[current].value === 'AS' && tokens[current].type === 'KEYWORD') {
+      current++; // AS
+      if (!this.isName(tokens[current])) {
+        throw new Error('Expected alias after AS');
+      }
+      alias = this.nameOf(tokens[current++]);
+    } else if (tokens[current] && tokens[current].type === 'IDENTIFIER') {
+      // Without AS only an identifier is an alias, so FROM t LEFT JOIN ... stays a join
+      alias = tokens[current++].value;
+    }
+
+    return { table: this.nameOf(tableToken), alias, current };
+  }
+
+  isGroupBy(tokens, current) {
+    const token = tokens[current];
+    const next = tokens[current + 1];
+    return Boolean(token && token.type === 'KEYWORD' && token.value === 'GROUP' &&
+      next && next.type === 'KEYWORD' && next.value === 'BY');
+  }
+
+  parseOrderByClause(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // ORDER
+    if (!peek() || peek().value !== 'BY') {
+      throw new Error('Expected BY after ORDER');
+    }
+    consume(); // BY
+
+    const orderBy = [];
+    do {
+      const { expression, current: next } = this.parseExpression(tokens, current);
+      current = next;
+
+      let direction = 'ASC';
+      if (peek() && (peek().value === 'ASC' || peek().value === 'DESC')) {
+        direction = consume().value;
+      }
+      orderBy.push({ expression, direction });
+
+      if (peek() && peek().type === 'COMMA') {
+        consume();
+      } else {
+        break;
+      }
+    } while (peek());
+
+    return { orderBy, current };
+  }
+
+  parseRowCount(token, clause) {
+    if (!token || token.type !== 'NUMBER' || !Number.isInteger(token.value) || token.value < 0) {
+      throw new Error(`Expected a non-negative integer after ${clause}`);
+    }
+    return token.value;
+  }
+
   parseInsert(tokens, startIndex) {
     let current = startIndex;
     const consume = () => tokens[current++];
@@ -241,20 +744,20 @@ class SQLParser {
     consume(); // INTO
 
     const tableToken = consume();
-    if (tableToken.type !== 'IDENTIFIER') {
+    if (!this.isName(tableToken)) {
       throw new Error('Expected table name');
     }
-    const tableName = tableToken.value;
+    const tableName = this.nameOf(tableToken);
 
     // Optional GROUP clause
     let groupName = null;
     if (peek() && peek().value === 'GROUP') {
       consume(); // GROUP
       const groupToken = consume();
-      if (groupToken.type !== 'IDENTIFIER') {
+      if (!this.isName(groupToken)) {
         throw new Error('Expected group name');
       }
-      groupName = groupToken.value;
+      groupName = this.nameOf(groupToken);
     }
 
     // Parse columns (optional)
@@ -263,10 +766,10 @@ class SQLParser {
       consume(); // (
       do {
         const columnToken = consume();
-        if (columnToken.type !== 'IDENTIFIER') {
+        if (!this.isName(columnToken)) {
           throw new Error('Expected column name');
         }
-        columns.push(columnToken.value);
+        columns.push(this.nameOf(columnToken));
 
         if (peek() && peek().type === 'COMMA') {
           consume();
@@ -323,147 +826,186 @@ class SQLParser {
     };
   }
 
-  parseCreate(tokens, startIndex) {
+  parseUpdate(tokens, startIndex) {
     let current = startIndex;
     const consume = () => tokens[current++];
     const peek = () => tokens[current];
 
-    consume(); // CREATE
+    consume(); // UPDATE
 
-    if (peek().value === 'TABLE') {
-      consume(); // TABLE
-      
-      const tableToken = consume();
-      if (tableToken.type !== 'IDENTIFIER') {
-        throw new Error('Expected table name');
-      }
-      const tableName = tableToken.value;
+    const tableToken = consume();
+    if (!this.isName(tableToken)) {
+      throw new Error('Expected table name');
+    }
+    const tableName = this.nameOf(tableToken);
 
-      if (peek().type !== 'LPAREN') {
-        throw new Error('Expected opening parenthesis for table definition');
+    // Optional GROUP clause
+    let groupName = null;
+    if (peek() && peek().value === 'GROUP') {
+      consume(); // GROUP
+      const groupToken = consume();
+      if (!this.isName(groupToken)) {
+        throw new Error('Expected group name');
       }
-      consume(); // (
+      groupName = this.nameOf(groupToken);
+    }
 
-      const schema = {};
-      const options = {
-        indexes: [],
-        triggers: []
-      };
+    if (!peek() || peek().value !== 'SET') {
+      throw new Error('Expected SET clause');
+    }
+    consume(); // SET
 
-      // Parse column definitions and constraints
-      /* CUSTOMIZATION POINT: ADD NEW COLUMN CONSTRAINT PARSING HERE
-       * This is where you can add support for new column-level constraints.
-       * The current parser supports:
-       * - PRIMARY KEY, UNIQUE, NOT NULL, AUTO_INCREMENT
-       * - FOREIGN KEY REFERENCES table.column
-       * - CHECK constraints
-       * - DEFAULT values
-       * 
-       * To add new constraints:
-       * 1. Add the keyword to the keywords Set above
-       * 2. Add parsing logic in the parseColumnConstraints method below
-       * 3. Update the StorageEngine to handle the new constraint
-       */
-      
-      do {
-        const columnToken = consume();
-        if (columnToken.type !== 'IDENTIFIER') {
-          throw new Error('Expected column name');
-        }
-        const columnName = columnToken.value;
+    // Parse assignments: column = value, ...
+    const assignments = {};
+    do {
+      const columnToken = consume();
+      if (!this.isName(columnToken)) {
+        throw new Error('Expected column name in SET clause');
+      }
 
-        const typeToken = consume();
-        if (typeToken.type !== 'IDENTIFIER') {
-          throw new Error('Expected column type');
-        }
-        let columnType = typeToken.value;
+      const operatorToken = consume();
+      if (!operatorToken || operatorToken.type !== 'OPERATOR' || operatorToken.value !== '=') {
+        throw new Error(`Expected '=' after column '${this.nameOf(columnToken)}'`);
+      }
 
-        // Handle type parameters like VARCHAR(255)
-        if (peek() && peek().type === 'LPAREN') {
-          consume(); // consume (
-          const paramToken = consume();
-          if (paramToken.type === 'NUMBER') {
-            columnType += `(${paramToken.value})`;
-          }
-          if (peek() && peek().type === 'RPAREN') {
-            consume(); // consume )
-          }
-        }
+      // The new value is an expression, evaluated against each row (SET v = v * 2, SET name = dept)
+      if (!peek()) {
+        throw new Error(`Expected value for column '${this.nameOf(columnToken)}'`);
+      }
+      const { expression, current: next } = this.parseExpression(tokens, current);
+      current = next;
+      assignments[this.nameOf(columnToken)] = expression;
 
-        const columnDef = { type: columnType };
-        
-        // Parse column constraints
-        /* CUSTOMIZATION POINT: COLUMN CONSTRAINT PARSING
-         * This section parses individual column constraints.
-         * Add new constraint types here by checking for additional keywords.
-         */
-        while (peek() && peek().type === 'IDENTIFIER' && peek().value !== ',' && peek().type !== 'RPAREN') {
-          const constraintToken = peek();
-          
-          if (constraintToken.value === 'PRIMARY') {
-            consume(); // PRIMARY
-            if (peek() && peek().value === 'KEY') {
-              consume(); // KEY
-              columnDef.primaryKey = true;
-            }
-          } else if (constraintToken.value === 'UNIQUE') {
-            consume(); // UNIQUE
-            columnDef.unique = true;
-          } else if (constraintToken.value === 'NOT') {
-            consume(); // NOT
-            if (peek() && peek().value === 'NULL') {
-              consume(); // NULL
-              columnDef.notNull = true;
-            }
-          } else if (constraintToken.value === 'AUTO_INCREMENT' || constraintToken.value === 'AUTOINCREMENT') {
-            consume();
-            columnDef.autoIncrement = true;
-          } else if (constraintToken.value === 'DEFAULT') {
-            consume(); // DEFAULT
-            const defaultToken = consume();
-            if (defaultToken.type === 'STRING' || defaultToken.type === 'NUMBER' || defaultToken.type === 'IDENTIFIER') {
-              columnDef.default = defaultToken.value;
-            }
-          } else if (constraintToken.value === 'FOREIGN_KEY') {
-            consume(); // FOREIGN_KEY
-            if (peek() && peek().type === 'LPAREN') {
-              consume(); // (
-              const refToken = consume();
-              if (refToken.type === 'IDENTIFIER') {
-                columnDef.foreignKey = {
-                  references: refToken.value,
-                  onDelete: 'RESTRICT',
-                  onUpdate: 'RESTRICT'
-                };
-              }
-              if (peek() && peek().type === 'RPAREN') {
-                consume(); // )
-              }
-            }
-          } else if (constraintToken.value === 'CHECK') {
-            consume(); // CHECK
-            if (peek() && peek().type === 'LPAREN') {
-              consume(); // (
-              // Simple check constraint parsing - collect tokens until )
-              let checkExpression = '';
-              let parenCount = 1;
-              while (parenCount > 0 && current < tokens.length) {
-                const token = consume();
-                if (token.type === 'LPAREN') parenCount++;
-                else if (token.type === 'RPAREN') parenCount--;
-                
-                if (parenCount > 0) {
-                  checkExpression += token.value + ' ';
-                }
-              }
-              columnDef.check = checkExpression.trim();
-            }
-          } else {
-            break; // Unknown constraint, break out
-          }
-        }
+      if (peek() && peek().type === 'COMMA') {
+        consume();
+      } else {
+        break;
+      }
+    } while (peek());
+
+    // Optional WHERE clause
+    let whereConditions = null;
+    if (peek() && peek().value === 'WHERE') {
+      consume(); // WHERE
+      const whereClause = this.parseWhereClause(tokens, current);
+      whereConditions = whereClause.where;
+      current = whereClause.current;
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return {
+      type: 'UPDATE',
+      table: tableName,
+      group: groupName,
+      assignments,
+      where: whereConditions
+    };
+  }
+
+  parseDelete(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // DELETE
+
+    if (!peek() || peek().value !== 'FROM') {
+      throw new Error('Expected FROM after DELETE');
+    }
+    consume(); // FROM
+
+    const tableToken = consume();
+    if (!this.isName(tableToken)) {
+      throw new Error('Expected table name');
+    }
+    const tableName = this.nameOf(tableToken);
+
+    // Optional GROUP clause
+    let groupName = null;
+    if (peek() && peek().value === 'GROUP') {
+      consume(); // GROUP
+      const groupToken = consume();
+      if (!this.isName(groupToken)) {
+        throw new Error('Expected group name');
+      }
+      groupName = this.nameOf(groupToken);
+    }
+
+    // Optional WHERE clause
+    let whereConditions = null;
+    if (peek() && peek().value === 'WHERE') {
+      consume(); // WHERE
+      const whereClause = this.parseWhereClause(tokens, current);
+      whereConditions = whereClause.where;
+      current = whereClause.current;
+    }
+
+    this.expectEndOfStatement(tokens, current);
+
+    return {
+      type: 'DELETE',
+      table: tableName,
+      group: groupName,
+      where: whereConditions
+    };
+  }
+
+  parseCreate(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // CREATE
+
+    if (peek().value === 'TABLE') {
+      consume(); // TABLE
+      
+      const tableToken = consume();
+      if (!this.isName(tableToken)) {
+        throw new Error('Expected table name');
+      }
+      const tableName = this.nameOf(tableToken);
+
+      if (peek().type !== 'LPAREN') {
+        throw new Error('Expected opening parenthesis for table definition');
+      }
+      consume(); // (
+
+      const schema = {};
+      const options = {
+        indexes: [],
+        triggers: [],
+        checks: []
+      };
+
+      // Parse column definitions and constraints
+      /* CUSTOMIZATION POINT: ADD NEW COLUMN CONSTRAINT PARSING HERE
+       * This is where you can add support for new column-level constraints.
+       * The current parser supports:
+       * - PRIMARY KEY, UNIQUE, NOT NULL, AUTO_INCREMENT
+       * - FOREIGN KEY REFERENCES table.column
+       * - CHECK (condition), where the condition may call the column $value
+       * - DEFAULT values
+       * 
+       * To add new constraints:
+       * 1. Add the keyword to the keywords Set above
+       * 2. Add parsing logic in the parseColumnDefinition method below
+       * 3. Update the StorageEngine to handle the new constraint
+       */
+      
+      do {
+        // Table-level [CONSTRAINT name] CHECK (condition), which may compare several columns
+        if (peek() && peek().type === 'KEYWORD' && ['CHECK', 'CONSTRAINT'].includes(peek().value)) {
+          const parsed = this.parseTableCheck(tokens, current);
+          current = parsed.current;
+          options.checks.push(parsed.check);
+        } else {
+          const { name: columnName, definition: columnDef, current: next } = this.parseColumnDefinition(tokens, current);
+          current = next;
 
-        schema[columnName] = columnDef;
+          schema[columnName] = columnDef;
+        }
 
         if (peek() && peek().type === 'COMMA') {
           consume();
@@ -478,10 +1020,10 @@ class SQLParser {
       consume(); // )
 
       /* CUSTOMIZATION POINT: TABLE-LEVEL CONSTRAINTS
-       * Add parsing for table-level constraints here like:
+       * Table-level CHECK constraints are parsed with the columns above (see parseTableCheck).
+       * Add parsing for other table-level constraints here like:
        * - CONSTRAINT name PRIMARY KEY (col1, col2)
        * - FOREIGN KEY (col) REFERENCES table(col)
-       * - CHECK constraints that span multiple columns
        * - INDEX definitions
        */
 
@@ -495,10 +1037,10 @@ class SQLParser {
       consume(); // GROUP
       
       const groupToken = consume();
-      if (groupToken.type !== 'IDENTIFIER') {
+      if (!this.isName(groupToken)) {
         throw new Error('Expected group name');
       }
-      const groupName = groupToken.value;
+      const groupName = this.nameOf(groupToken);
 
       if (peek().value !== 'IN') {
         throw new Error('Expected IN after group name');
@@ -506,29 +1048,40 @@ class SQLParser {
       consume(); // IN
 
       const tableToken = consume();
-      if (tableToken.type !== 'IDENTIFIER') {
+      if (!this.isName(tableToken)) {
         throw new Error('Expected table name');
       }
-      const tableName = tableToken.value;
+      const tableName = this.nameOf(tableToken);
 
       return {
         type: 'CREATE_GROUP',
         table: tableName,
         group: groupName
       };
-    } else if (peek().value === 'INDEX') {
+    } else if (['INDEX', 'UNIQUE', 'FULLTEXT'].includes(peek().value)) {
       /* CUSTOMIZATION POINT: CREATE INDEX PARSING
        * Add support for CREATE INDEX statements here:
        * CREATE INDEX idx_name ON table_name (column1, column2)
        * CREATE UNIQUE INDEX idx_name ON table_name (column1)
+       * CREATE FULLTEXT INDEX idx_name ON table_name (column1, column2)
        */
+      let unique = false;
+      let fulltext = false;
+      if (peek().value === 'UNIQUE' || peek().value === 'FULLTEXT') {
+        const kind = consume().value;
+        unique = kind === 'UNIQUE';
+        fulltext = kind === 'FULLTEXT';
+        if (!peek() || peek().value !== 'INDEX') {
+          throw new Error(`Expected INDEX after ${kind}`);
+        }
+      }
       consume(); // INDEX
       
       const indexToken = consume();
-      if (indexToken.type !== 'IDENTIFIER') {
+      if (!this.isName(indexToken)) {
         throw new Error('Expected index name');
       }
-      const indexName = indexToken.value;
+      const indexName = this.nameOf(indexToken);
 
       if (peek().value !== 'ON') {
         throw new Error('Expected ON after index name');
@@ -536,23 +1089,28 @@ class SQLParser {
       consume(); // ON
 
       const tableToken = consume();
-      if (tableToken.type !== 'IDENTIFIER') {
+      if (!this.isName(tableToken)) {
         throw new Error('Expected table name');
       }
-      const tableName = tableToken.value;
+      const tableName = this.nameOf(tableToken);
 
       if (peek().type !== 'LPAREN') {
         throw new Error('Expected opening parenthesis for column list');
       }
       consume(); // (
 
+      // Columns, or paths into JSON columns (payload->>'name'), which the index lists as written
       const columns = [];
       do {
-        const columnToken = consume();
-        if (columnToken.type !== 'IDENTIFIER') {
+        const { expression, current: next } = this.parseExpression(tokens, current);
+        current = next;
+        if (expression.type === 'COLUMN' && !expression.table) {
+          columns.push(expression.name);
+        } else if (JsonPath.columnKey(expression)) {
+          columns.push(JsonPath.columnKey(expression));
+        } else {
           throw new Error('Expected column name');
         }
-        columns.push(columnToken.value);
 
         if (peek() && peek().type === 'COMMA') {
           consume();
@@ -561,67 +1119,655 @@ class SQLParser {
         }
       } while (peek());
 
-      if (peek().type !== 'RPAREN') {
+      if (!peek() || peek().type !== 'RPAREN') {
         throw new Error('Expected closing parenthesis');
       }
       consume(); // )
 
+      this.expectEndOfStatement(tokens, current);
+
+      const index = { name: indexName, columns: columns, unique };
+      if (fulltext) {
+        index.fulltext = true;
+      }
+
       return {
         type: 'CREATE_INDEX',
         table: tableName,
-        index: {
-          name: indexName,
-          columns: columns,
-          unique: false
-        }
+        index
       };
     }
 
     throw new Error('Invalid CREATE statement');
   }
 
-  parseWhereClause(tokens, startIndex) {
+  // TYPE, TYPE(n) or TYPE(precision, scale), as 'VARCHAR(255)' or 'DECIMAL(10,2)'
+  parseColumnType(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    const typeToken = consume();
+    if (!typeToken || typeToken.type !== 'IDENTIFIER') {
+      throw new Error('Expected column type');
+    }
+    let columnType = typeToken.value;
+
+    if (peek() && peek().type === 'LPAREN') {
+      consume(); // (
+      const params = [];
+      for (;;) {
+        const paramToken = consume();
+        if (!paramToken || paramToken.type !== 'NUMBER') {
+          throw new Error(`Expected a number in parentheses after ${columnType}`);
+        }
+        params.push(paramToken.value);
+        if (!peek() || peek().type !== 'COMMA') break;
+        consume(); // ,
+      }
+      if (!peek() || peek().type !== 'RPAREN') {
+        throw new Error(`Expected ) after the parameters of ${columnType}`);
+      }
+      consume(); // )
+      columnType += `(${params.join(',')})`;
+    }
+
+    return { columnType, current };
+  }
+
+  // column TYPE[(n)] [constraints], as in CREATE TABLE and ALTER TABLE ... ADD COLUMN
+  parseColumnDefinition(tokens, startIndex) {
     let current = startIndex;
     const consume = () => tokens[current++];
     const peek = () => tokens[current];
 
-    const conditions = {};
-    
-    // Simple WHERE parsing - just support column = value for now
     const columnToken = consume();
-    if (columnToken.type !== 'IDENTIFIER') {
-      throw new Error('Expected column name in WHERE clause');
+    if (!this.isName(columnToken)) {
+      throw new Error('Expected column name');
     }
+    const columnName = this.nameOf(columnToken);
+
+    const parsed = this.parseColumnType(tokens, current);
+    current = parsed.current;
 
-    const operatorToken = consume();
-    if (operatorToken.type !== 'OPERATOR') {
-      throw new Error('Expected operator in WHERE clause');
+    const columnDef = { type: parsed.columnType };
+    
+    // Parse column constraints
+    /* CUSTOMIZATION POINT: COLUMN CONSTRAINT PARSING
+     * This section parses individual column constraints.
+     * Add new constraint types here by checking for additional keywords.
+     */
+    while (peek() && (peek().type === 'IDENTIFIER' || peek().type === 'KEYWORD')) {
+      const constraintToken = peek();
+      
+      if (constraintToken.value === 'PRIMARY') {
+        consume(); // PRIMARY
+        if (peek() && peek().value === 'KEY') {
+          consume(); // KEY
+          columnDef.primaryKey = true;
+        }
+      } else if (constraintToken.value === 'UNIQUE') {
+        consume(); // UNIQUE
+        columnDef.unique = true;
+      } else if (constraintToken.value === 'NOT') {
+        consume(); // NOT
+        if (peek() && peek().value === 'NULL') {
+          consume(); // NULL
+          columnDef.notNull = true;
+        }
+      } else if (constraintToken.value === 'AUTO_INCREMENT' || constraintToken.value === 'AUTOINCREMENT') {
+        consume();
+        columnDef.autoIncrement = true;
+      } else if (constraintToken.value === 'DEFAULT') {
+        consume(); // DEFAULT
+        const defaultToken = consume();
+        if (defaultToken.type === 'STRING' || defaultToken.type === 'NUMBER' || defaultToken.type === 'IDENTIFIER') {
+          columnDef.default = defaultToken.value;
+        }
+      } else if (constraintToken.value === 'FOREIGN_KEY' || constraintToken.value === 'REFERENCES') {
+        const parsed = this.parseForeignKey(tokens, current);
+        current = parsed.current;
+        columnDef.foreignKey = parsed.foreignKey;
+      } else if (constraintToken.value === 'CHECK') {
+        consume(); // CHECK
+        const parsed = this.parseCheckCondition(tokens, current);
+        current = parsed.current;
+        columnDef.check = parsed.condition;
+      } else {
+        break; // Unknown constraint, break out
+      }
     }
 
-    const valueToken = consume();
-    if (valueToken.type !== 'STRING' && valueToken.type !== 'NUMBER' && valueToken.type !== 'IDENTIFIER') {
-      throw new Error('Expected value in WHERE clause');
+    return { name: columnName, definition: columnDef, current };
+  }
+
+  /* FOREIGN_KEY(table.column) or REFERENCES table(column), then [ON DELETE action] [ON UPDATE action]
+   * with action CASCADE, SET NULL, SET DEFAULT, RESTRICT or NO ACTION (the default, RESTRICT).
+   */
+  parseForeignKey(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+    const expect = (type, message) => {
+      const token = consume();
+      if (!token || token.type !== type) throw new Error(message);
+      return token.value;
+    };
+    const expectName = (message) => {
+      const token = consume();
+      if (!this.isName(token)) throw new Error(message);
+      return this.nameOf(token);
+    };
+
+    let table;
+    let column;
+    if (consume().value === 'FOREIGN_KEY') {
+      expect('LPAREN', 'Expected ( after FOREIGN_KEY');
+      table = expectName('Expected table.column in FOREIGN_KEY');
+      expect('DOT', 'Expected table.column in FOREIGN_KEY');
+      column = expectName('Expected table.column in FOREIGN_KEY');
+      expect('RPAREN', 'Expected ) after FOREIGN_KEY(table.column');
+    } else {
+      table = expectName('Expected table name after REFERENCES');
+      expect('LPAREN', `Expected (column) after REFERENCES ${table}`);
+      column = expectName(`Expected (column) after REFERENCES ${table}`);
+      expect('RPAREN', `Expected ) after REFERENCES ${table}(${column}`);
     }
 
-    // Convert operator to our internal format
-    let operator = 'eq';
-    switch (operatorToken.value) {
-      case '=': operator = 'eq'; break;
-      case '!=': 
-      case '<>': operator = 'ne'; break;
-      case '>': operator = 'gt'; break;
-      case '>=': operator = 'gte'; break;
-      case '<': operator = 'lt'; break;
-      case '<=': operator = 'lte'; break;
+    const foreignKey = { references: `${table}.${column}`, onDelete: 'RESTRICT', onUpdate: 'RESTRICT' };
+    while (peek() && peek().value === 'ON' && tokens[current + 1] &&
+        ['DELETE', 'UPDATE'].includes(tokens[current + 1].value)) {
+      consume(); // ON
+      const event = consume().value;
+      const words = [consume(), peek()].map(token => (token ? String(token.value).toUpperCase() : ''));
+      let action = words[0];
+      if ((words[0] === 'SET' && ['NULL', 'DEFAULT'].includes(words[1])) || (words[0] === 'NO' && words[1] === 'ACTION')) {
+        consume();
+        action = `${words[0]} ${words[1]}`;
+      }
+      if (!SQLParser.REFERENTIAL_ACTIONS.includes(action)) {
+        throw new Error(`Expected CASCADE, SET NULL, SET DEFAULT, RESTRICT or NO ACTION after ON ${event}`);
+      }
+      foreignKey[event === 'DELETE' ? 'onDelete' : 'onUpdate'] = action;
+    }
+    return { foreignKey, current };
+  }
+
+  // [CONSTRAINT name] CHECK (condition) -> { check: { name?, condition }, current }
+  parseTableCheck(tokens, startIndex) {
+    let current = startIndex;
+    const check = {};
+    if (tokens[current].value === 'CONSTRAINT') {
+      const nameToken = tokens[current + 1];
+      if (!this.isName(nameToken)) {
+        throw new Error('Expected constraint name after CONSTRAINT');
+      }
+      check.name = this.nameOf(nameToken);
+      current += 2;
+      if (!tokens[current] || tokens[current].value !== 'CHECK') {
+        throw new Error(`Expected CHECK after CONSTRAINT ${check.name}`);
+      }
+    }
+
+    const parsed = this.parseCheckCondition(tokens, current + 1);
+    check.condition = parsed.condition;
+    return { check, current: parsed.current };
+  }
+
+  // The parenthesized condition after CHECK, in the grammar of WHERE
+  parseCheckCondition(tokens, startIndex) {
+    if (!tokens[startIndex] || tokens[startIndex].type !== 'LPAREN') {
+      throw new Error('Expected ( after CHECK');
+    }
+    const { expression, current } = this.parseExpression(tokens, startIndex + 1);
+    if (!tokens[current] || tokens[current].type !== 'RPAREN') {
+      throw new Error('Expected ) after CHECK condition');
+    }
+    return { condition: expression, current: current + 1 };
+  }
+
+  // A condition on its own, such as a CHECK constraint stored as text
+  parseCondition(text) {
+    const tokens = this.tokenize(String(text));
+    if (tokens.length === 0) {
+      throw new Error('Expected a condition');
+    }
+    const { expression, current } = this.parseExpression(tokens, 0);
+    this.expectEndOfStatement(tokens, current);
+    return expression;
+  }
+
+  parseDrop(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+
+    consume(); // DROP
+
+    if (peek() && peek().value === 'TABLE') {
+      consume(); // TABLE
+
+      const tableToken = consume();
+      if (!this.isName(tableToken)) {
+        throw new Error('Expected table name');
+      }
+
+      this.expectEndOfStatement(tokens, current);
+
+      return {
+        type: 'DROP_TABLE',
+        table: this.nameOf(tableToken)
+      };
+    } else if (peek() && peek().value === 'INDEX') {
+      consume(); // INDEX
+
+      const indexToken = consume();
+      if (!this.isName(indexToken)) {
+        throw new Error('Expected index name');
+      }
+
+      // Optional ON table; without it the index name must be unique across tables
+      let tableName = null;
+      if (peek() && peek().value === 'ON') {
+        consume(); // ON
+        const tableToken = consume();
+        if (!this.isName(tableToken)) {
+          throw new Error('Expected table name');
+        }
+        tableName = this.nameOf(tableToken);
+      }
+
+      this.expectEndOfStatement(tokens, current);
+
+      return {
+        type: 'DROP_INDEX',
+        table: tableName,
+        index: this.nameOf(indexToken)
+      };
     }
 
-    conditions[columnToken.value] = {
-      operator,
-      value: valueToken.value
+    throw new Error('Invalid DROP statement');
+  }
+
+  parseWhereClause(tokens, startIndex) {
+    const { expression, current } = this.parseExpression(tokens, startIndex);
+    return { where: expression, current };
+  }
+
+  /* Boolean expression grammar (lowest to highest precedence):
+   *   or        := and (OR and)*
+   *   and       := not (AND not)*
+   *   not       := NOT not | predicate
+   *   predicate := operand [comparison | [NOT] IN (...) | [NOT] BETWEEN x AND y
+   *                         | [NOT] LIKE pattern | IS [NOT] NULL]
+   *   operand   := term ((+ | - | '||') term)*
+   *   term      := unary ((* | / | %) unary)*
+   *   unary     := - unary | path
+   *   path      := primary (-> key)* [->> key]      key is a 'string' or an array position
+   *   primary   := literal | [table.]column | aggregate | function | ( or )
+   *   aggregate := COUNT(*) | fn([DISTINCT] or)   where fn is COUNT, SUM, AVG, MIN or MAX
+   *   function  := name([or, ...])                 scalar functions such as UPPER or ROUND
+   * Returns the expression tree and the index of the first unconsumed token.
+   */
+  parseExpression(tokens, startIndex) {
+    let current = startIndex;
+    const consume = () => tokens[current++];
+    const peek = () => tokens[current];
+    const isKeyword = (value) => peek() && peek().type === 'KEYWORD' && peek().value === value;
+
+    const comparisonOperators = {
+      '=': 'eq', '!=': 'ne', '<>': 'ne', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte',
+      '@>': 'contains', '<@': 'containedBy'
+    };
+
+    const parseOr = () => {
+      let left = parseAnd();
+      while (isKeyword('OR')) {
+        consume(); // OR
+        left = { type: 'OR', left, right: parseAnd() };
+      }
+      return left;
+    };
+
+    const parseAnd = () => {
+      let left = parseNot();
+      while (isKeyword('AND')) {
+        consume(); // AND
+        left = { type: 'AND', left, right: parseNot() };
+      }
+      return left;
+    };
+
+    const parseNot = () => {
+      if (isKeyword('NOT')) {
+        consume(); // NOT
+        return { type: 'NOT', operand: parseNot() };
+      }
+      return parsePredicate();
+    };
+
+    const parsePredicate = () => {
+      const operand = parseOperand();
+      const token = peek();
+
+      if (!token) {
+        return operand;
+      }
+
+      if (token.type === 'OPERATOR') {
+        const operator = comparisonOperators[token.value];
+        if (!operator) {
+          throw new Error(`Unknown operator: ${token.value}`);
+        }
+        consume();
+        return { type: 'COMPARISON', operator, left: operand, right: parseOperand() };
+      }
+
+      if (isKeyword('IS')) {
+        consume(); // IS
+        let negated = false;
+        if (isKeyword('NOT')) {
+          consume(); // NOT
+          negated = true;
+        }
+        if (!isKeyword('NULL')) {
+          throw new Error('Expected NULL after IS');
+        }
+        consume(); // NULL
+        return { type: 'IS_NULL', operand, negated };
+      }
+
+      let negated = false;
+      if (isKeyword('NOT')) {
+        const next = tokens[current + 1];
+        if (next && next.type === 'KEYWORD' && ['IN', 'BETWEEN', 'LIKE'].includes(next.value)) {
+          consume(); // NOT
+          negated = true;
+        }
+      }
+
+      if (isKeyword('IN')) {
+        consume(); // IN
+        if (!peek() || peek().type !== 'LPAREN') {
+          throw new Error('Expected opening parenthesis after IN');
+        }
+        consume(); // (
+        const values = [];
+        do {
+          values.push(parseOperand());
+          if (peek() && peek().type === 'COMMA') {
+            consume();
+          } else {
+            break;
+          }
+        } while (peek());
+        if (!peek() || peek().type !== 'RPAREN') {
+          throw new Error('Expected closing parenthesis for IN list');
+        }
+        consume(); // )
+        return { type: 'IN', operand, values, negated };
+      }
+
+      if (isKeyword('BETWEEN')) {
+        consume(); // BETWEEN
+        const low = parseOperand();
+        if (!isKeyword('AND')) {
+          throw new Error('Expected AND in BETWEEN expression');
+        }
+        consume(); // AND
+        const high = parseOperand();
+        return { type: 'BETWEEN', operand, low, high, negated };
+      }
+
+      if (isKeyword('LIKE')) {
+        consume(); // LIKE
+        return { type: 'LIKE', operand, pattern: parseOperand(), negated };
+      }
+
+      if (negated) {
+        throw new Error('Expected IN, BETWEEN or LIKE after NOT');
+      }
+
+      return operand;
+    };
+
+    const parseOperand = () => {
+      let left = parseTerm();
+      while (peek() && peek().type === 'ARITHMETIC' && ['+', '-', '||'].includes(peek().value)) {
+        const operator = consume().value;
+        left = { type: 'ARITHMETIC', operator, left, right: parseTerm() };
+      }
+      return left;
+    };
+
+    const parseTerm = () => {
+      let left = parseUnary();
+      while (peek() && (peek().type === 'STAR' || (peek().type === 'ARITHMETIC' && ['/', '%'].includes(peek().value)))) {
+        const operator = consume().value;
+        left = { type: 'ARITHMETIC', operator, left, right: parseUnary() };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      if (peek() && peek().type === 'ARITHMETIC' && peek().value === '-') {
+        consume(); // -
+        const operand = parseUnary();
+        // Fold negative numeric literals so they stay plain values
+        if (operand.type === 'LITERAL' && typeof operand.value === 'number') {
+          return { type: 'LITERAL', value: -operand.value };
+        }
+        return { type: 'NEGATE', operand };
+      }
+      return parsePath();
+    };
+
+    // payload->'user'->>'name' is one JSON_PATH node: { operand, path: ['user', 'name'], text: true }
+    const parsePath = () => {
+      const operand = parsePrimary();
+      if (!peek() || peek().type !== 'ARROW') return operand;
+
+      const path = [];
+      let text = false;
+      while (peek() && peek().type === 'ARROW') {
+        if (text) {
+          throw new Error('->> gives text, which has no keys; use -> for all but the last step');
+        }
+        text = consume().value === '->>';
+
+        let sign = 1;
+        if (peek() && peek().type === 'ARITHMETIC' && peek().value === '-') {
+          consume(); // -
+          sign = -1;
+        }
+        const keyToken = consume();
+        if (keyToken && keyToken.type === 'STRING' && sign === 1) {
+          path.push(keyToken.value);
+        } else if (keyToken && keyToken.type === 'NUMBER' && Number.isInteger(keyToken.value)) {
+          path.push(sign * keyToken.value);
+        } else {
+          throw new Error(`Expected a quoted key or an array position after ${text ? '->>' : '->'}`);
+        }
+      }
+      return { type: 'JSON_PATH', operand, path, text };
+    };
+
+    const parsePrimary = () => {
+      const token = consume();
+      if (!token) {
+        throw new Error('Unexpected end of expression');
+      }
+
+      if (token.type === 'LPAREN') {
+        const expression = parseOr();
+        if (!peek() || peek().type !== 'RPAREN') {
+          throw new Error('Expected closing parenthesis');
+        }
+        consume(); // )
+        return expression;
+      }
+
+      if (token.type === 'STRING' || token.type === 'NUMBER') {
+        return { type: 'LITERAL', value: token.value };
+      }
+
+      if (token.type === 'KEYWORD' && token.value === 'NULL') {
+        return { type: 'LITERAL', value: null };
+      }
+
+      // MATCH not followed by ( is a column called match
+      if (token.type === 'KEYWORD' && token.value === 'MATCH' && peek() && peek().type === 'LPAREN') {
+        return parseMatch();
+      }
+
+      // GROUP on its own refers to the custom row group a row belongs to
+      if (token.type === 'KEYWORD' && token.value === 'GROUP') {
+        return { type: 'COLUMN', name: 'group' };
+      }
+
+      if (token.type === 'IDENTIFIER' && peek() && peek().type === 'LPAREN') {
+        const name = token.value.toUpperCase();
+        return this.aggregateFunctions.has(name) ? parseAggregate(name) : parseFunction(name);
+      }
+
+      // Qualified column reference: alias.column
+      if (this.isName(token) && peek() && peek().type === 'DOT') {
+        consume(); // .
+        const columnToken = consume();
+        if (this.isName(columnToken)) {
+          return { type: 'COLUMN', table: this.nameOf(token), name: this.nameOf(columnToken) };
+        }
+        if (columnToken && columnToken.type === 'KEYWORD' && columnToken.value === 'GROUP') {
+          return { type: 'COLUMN', table: this.nameOf(token), name: 'group' };
+        }
+        throw new Error(`Expected column name after '${this.nameOf(token)}.'`);
+      }
+
+      if (token.type === 'IDENTIFIER') {
+        const lower = token.value.toLowerCase();
+        if (lower === 'true' || lower === 'false') {
+          return { type: 'LITERAL', value: lower === 'true' };
+        }
+      }
+      if (this.isName(token)) {
+        return { type: 'COLUMN', name: this.nameOf(token) };
+      }
+
+      throw new Error(`Unexpected token in expression: ${token.value}`);
+    };
+
+    // MATCH(col, ...) AGAINST(text)
+    const parseMatch = () => {
+      if (!peek() || peek().type !== 'LPAREN') {
+        throw new Error('Expected opening parenthesis after MATCH');
+      }
+      consume(); // (
+      const columns = [];
+      do {
+        const column = parsePrimary();
+        if (column.type !== 'COLUMN') {
+          throw new Error('MATCH expects column names');
+        }
+        columns.push(column);
+        if (peek() && peek().type === 'COMMA') {
+          consume();
+        } else {
+          break;
+        }
+      } while (peek());
+      if (!peek() || peek().type !== 'RPAREN') {
+        throw new Error('Expected closing parenthesis for MATCH');
+      }
+      consume(); // )
+
+      if (!isKeyword('AGAINST')) {
+        throw new Error('Expected AGAINST after MATCH(...)');
+      }
+      consume(); // AGAINST
+      if (!peek() || peek().type !== 'LPAREN') {
+        throw new Error('Expected opening parenthesis after AGAINST');
+      }
+      consume(); // (
+      const query = parseOr();
+      if (!peek() || peek().type !== 'RPAREN') {
+        throw new Error('Expected closing parenthesis for AGAINST');
+      }
+      consume(); // )
+      return { type: 'MATCH', columns, query };
     };
 
-    return conditions;
+    const parseAggregate = (name) => {
+      consume(); // (
+      let argument = null;
+      let distinct = false;
+
+      if (peek() && peek().type === 'STAR') {
+        if (name !== 'COUNT') {
+          throw new Error(`${name}(*) is not supported`);
+        }
+        consume(); // *
+      } else {
+        if (isKeyword('DISTINCT')) {
+          consume(); // DISTINCT
+          distinct = true;
+        }
+        argument = parseOr();
+      }
+
+      if (!peek() || peek().type !== 'RPAREN') {
+        throw new Error(`Expected closing parenthesis for ${name}`);
+      }
+      consume(); // )
+      return { type: 'AGGREGATE', name, argument, distinct };
+    };
+
+    const parseFunction = (name) => {
+      consume(); // (
+      const args = [];
+      if (peek() && peek().type !== 'RPAREN') {
+        do {
+          args.push(parseOr());
+          if (peek() && peek().type === 'COMMA') {
+            consume();
+          } else {
+            break;
+          }
+        } while (peek());
+      }
+
+      if (!peek() || peek().type !== 'RPAREN') {
+        throw new Error(`Expected closing parenthesis for ${name}`);
+      }
+      consume(); // )
+      return { type: 'FUNCTION', name, args };
+    };
+
+    const expression = parseOr();
+    return { expression, current };
+  }
+
+  // Whether token can be a table, column, index, group or alias name
+  isName(token) {
+    return Boolean(token) && (token.type === 'IDENTIFIER' ||
+      (token.type === 'KEYWORD' && this.nonReservedKeywords.has(token.value)));
+  }
+
+  // The name a token passing isName gives, as written
+  nameOf(token) {
+    return token.type === 'KEYWORD' ? token.text : token.value;
+  }
+
+  // Reject anything after the end of a statement except a trailing semicolon
+  expectEndOfStatement(tokens, current) {
+    if (tokens[current] && tokens[current].type === 'SEMICOLON') {
+      current++;
+    }
+    if (tokens[current]) {
+      throw new Error(`Unexpected token: ${tokens[current].value}`);
+    }
   }
 }
 
+SQLParser.REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
+
 module.exports = SQLParser;
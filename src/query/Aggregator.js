@@ -0,0 +1,89 @@
+// Groups filtered rows for GROUP BY and computes COUNT, SUM, AVG, MIN and MAX per group.
+// Each group becomes one output row holding its GROUP BY values and every aggregate keyed by
+// its description (e.g. "COUNT(*)"), so HAVING, ORDER BY and the select list can read them back.
+class Aggregator {
+  constructor(evaluator) {
+    this.evaluator = evaluator;
+  }
+
+  aggregate(rows, { groupBy = [], aggregates = [], schema = {} }) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const values = groupBy.map(expression => this.evaluator.evaluate(expression, row));
+      const key = JSON.stringify(values.map((value, i) =>
+        this.evaluator.groupingKey(value, this.typeOf(groupBy[i], schema))));
+
+      if (!groups.has(key)) {
+        groups.set(key, { values, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    }
+
+    // Without GROUP BY the whole input is one group, even when it is empty (COUNT(*) = 0)
+    if (groupBy.length === 0 && groups.size === 0) {
+      groups.set('[]', { values: [], rows: [] });
+    }
+
+    return Array.from(groups.values()).map(group => {
+      const result = {};
+      groupBy.forEach((expression, i) => {
+        result[this.evaluator.describe(expression)] = group.values[i];
+      });
+      aggregates.forEach(aggregate => {
+        result[this.evaluator.describe(aggregate)] = this.compute(aggregate, group.rows, schema);
+      });
+      return result;
+    });
+  }
+
+  compute(aggregate, rows, schema = {}) {
+    if (!aggregate.argument) {
+      return rows.length; // COUNT(*)
+    }
+
+    const type = this.typeOf(aggregate.argument, schema);
+    let values = rows
+      .map(row => this.evaluator.evaluate(aggregate.argument, row))
+      .filter(value => value !== null && value !== undefined);
+
+    if (aggregate.distinct) {
+      const seen = new Set();
+      values = values.filter(value => {
+        const key = this.evaluator.groupingKey(value, type);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    switch (aggregate.name) {
+      case 'COUNT':
+        return values.length;
+
+      case 'SUM':
+      case 'AVG': {
+        if (values.length === 0) return null;
+        const total = values.reduce((sum, value) => sum + this.evaluator.toNumber(value, aggregate.name), 0);
+        return aggregate.name === 'SUM' ? total : total / values.length;
+      }
+
+      case 'MIN':
+      case 'MAX': {
+        if (values.length === 0) return null;
+        const sign = aggregate.name === 'MIN' ? 1 : -1;
+        return values.reduce((best, value) =>
+          sign * this.evaluator.compareValues(value, best, type) < 0 ? value : best);
+      }
+
+      default:
+        throw new Error(`Unsupported aggregate function: ${aggregate.name}`);
+    }
+  }
+
+  typeOf(expression, schema) {
+    return expression.type === 'COLUMN' ? schema?.[this.evaluator.columnKey(expression)]?.type : null;
+  }
+}
+
+module.exports = Aggregator;
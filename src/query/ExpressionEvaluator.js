@@ -0,0 +1,495 @@
+const TextTokenizer = require('./TextTokenizer');
+const JsonPath = require('./JsonPath');
+
+// Evaluates the expression trees produced by SQLParser.parseExpression against a row.
+// Boolean results follow SQL three-valued logic: true, false or null (unknown).
+class ExpressionEvaluator {
+  constructor() {
+    this.likeCache = new Map();
+    this.tokenizer = new TextTokenizer();
+  }
+
+  isExpression(conditions) {
+    return Boolean(conditions) && typeof conditions.type === 'string' &&
+      ExpressionEvaluator.NODE_TYPES.has(conditions.type);
+  }
+
+  // A row only passes a WHERE clause when the predicate is true, not unknown
+  matches(node, row) {
+    return this.evaluate(node, row) === true;
+  }
+
+  evaluate(node, row) {
+    switch (node.type) {
+      case 'LITERAL':
+        return node.value;
+
+      case 'COLUMN': {
+        const value = row[this.columnKey(node)];
+        return value === undefined ? null : value;
+      }
+
+      case 'AND': {
+        const left = this.evaluate(node.left, row);
+        if (left === false) return false;
+        const right = this.evaluate(node.right, row);
+        if (right === false) return false;
+        return left === null || right === null ? null : true;
+      }
+
+      case 'OR': {
+        const left = this.evaluate(node.left, row);
+        if (left === true) return true;
+        const right = this.evaluate(node.right, row);
+        if (right === true) return true;
+        return left === null || right === null ? null : false;
+      }
+
+      case 'NOT': {
+        const value = this.evaluate(node.operand, row);
+        return value === null ? null : !value;
+      }
+
+      case 'COMPARISON': {
+        const left = this.evaluate(node.left, row);
+        const right = this.evaluate(node.right, row);
+        if (left === null || right === null) return null;
+        return this.compare(node.operator, left, right);
+      }
+
+      case 'IN': {
+        const value = this.evaluate(node.operand, row);
+        if (value === null) return null;
+
+        let sawNull = false;
+        for (const item of node.values) {
+          const candidate = this.evaluate(item, row);
+          if (candidate === null) {
+            sawNull = true;
+          } else if (this.compare('eq', value, candidate)) {
+            return !node.negated;
+          }
+        }
+        if (sawNull) return null;
+        return node.negated;
+      }
+
+      case 'BETWEEN': {
+        const value = this.evaluate(node.operand, row);
+        const low = this.evaluate(node.low, row);
+        const high = this.evaluate(node.high, row);
+
+        const aboveLow = value === null || low === null ? null : this.compare('gte', value, low);
+        const belowHigh = value === null || high === null ? null : this.compare('lte', value, high);
+
+        let result;
+        if (aboveLow === false || belowHigh === false) {
+          result = false;
+        } else if (aboveLow === null || belowHigh === null) {
+          return null;
+        } else {
+          result = true;
+        }
+        return node.negated ? !result : result;
+      }
+
+      case 'LIKE': {
+        const value = this.evaluate(node.operand, row);
+        const pattern = this.evaluate(node.pattern, row);
+        if (value === null || pattern === null) return null;
+        const result = this.compare('like', value, pattern);
+        return node.negated ? !result : result;
+      }
+
+      case 'IS_NULL': {
+        const isNull = this.evaluate(node.operand, row) === null;
+        return node.negated ? !isNull : isNull;
+      }
+
+      // MATCH(columns) AGAINST(text): the columns hold any of the text's terms
+      case 'MATCH': {
+        const text = this.evaluate(node.query, row);
+        if (text === null) return null;
+        const counts = this.tokenizer.termCounts(node.columns.map(column => this.evaluate(column, row)));
+        return this.tokenizer.queryTerms(text).some(term => counts.has(term));
+      }
+
+      case 'JSON_PATH': {
+        const value = this.evaluate(node.operand, row);
+        return value === null ? null : JsonPath.extract(value, node.path, node.text);
+      }
+
+      case 'ARITHMETIC': {
+        const left = this.evaluate(node.left, row);
+        const right = this.evaluate(node.right, row);
+        if (left === null || right === null) return null;
+        return this.applyArithmetic(node.operator, left, right);
+      }
+
+      case 'NEGATE': {
+        const value = this.evaluate(node.operand, row);
+        return value === null ? null : -this.toNumber(value, 'Unary -');
+      }
+
+      case 'FUNCTION': {
+        const definition = this.getFunction(node.name, node.args.length);
+        const args = node.args.map(arg => this.evaluate(arg, row));
+        // Unless a function handles NULL itself, any NULL argument makes the result NULL
+        if (!definition.acceptsNull && args.some(arg => arg === null)) return null;
+        return definition.apply.call(this, ...args);
+      }
+
+      case 'ALIAS':
+        return this.evaluate(node.expression, row);
+
+      // Aggregates are computed per group beforehand and stored on the group's row under their description
+      case 'AGGREGATE': {
+        const key = this.describe(node);
+        if (!Object.prototype.hasOwnProperty.call(row, key)) {
+          throw new Error(`Aggregate function ${key} is not allowed here`);
+        }
+        return row[key];
+      }
+
+      default:
+        throw new Error(`Unsupported expression type: ${node.type}`);
+    }
+  }
+
+  applyArithmetic(operator, left, right) {
+    if (operator === '||') {
+      return `${this.toText(left)}${this.toText(right)}`;
+    }
+
+    const a = this.toNumber(left, `Operator '${operator}'`);
+    const b = this.toNumber(right, `Operator '${operator}'`);
+    switch (operator) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/':
+      case '%':
+        // There is no such number, so the result is unknown
+        if (b === 0) return null;
+        return operator === '/' ? a / b : a % b;
+      default:
+        throw new Error(`Unsupported operator: ${operator}`);
+    }
+  }
+
+  // Numeric columns may be stored as strings ('42'), so convert, rejecting values that are not numbers
+  toNumber(value, context) {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (value === '' || typeof value === 'boolean' || Number.isNaN(number)) {
+      throw new Error(`${context} requires numeric values, got '${value}'`);
+    }
+    return number;
+  }
+
+  toText(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+  }
+
+  // Look up a scalar function and check its argument count
+  getFunction(name, argCount) {
+    const definition = ExpressionEvaluator.SCALAR_FUNCTIONS[name];
+    if (!definition) {
+      throw new Error(`Unknown function: ${name}`);
+    }
+    const [min, max] = definition.args;
+    if (argCount < min || argCount > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      throw new Error(`${name} expects ${expected} argument(s), got ${argCount}`);
+    }
+    return definition;
+  }
+
+  // Validate every function call up front so errors don't depend on the table having rows
+  checkFunctions(node) {
+    this.walk(node, child => {
+      if (child.type === 'FUNCTION') {
+        this.getFunction(child.name, child.args.length);
+      }
+      return true;
+    });
+  }
+
+  // Render an expression back to SQL-like text, used for result column names such as COUNT(*)
+  describe(node) {
+    switch (node.type) {
+      case 'LITERAL':
+        if (node.value === null) return 'NULL';
+        if (typeof node.value === 'string') return `'${node.value.replace(/[\\']/g, '\\$&')}'`;
+        if (typeof node.value === 'boolean') return node.value ? 'TRUE' : 'FALSE';
+        return String(node.value);
+      case 'COLUMN':
+        return this.columnKey(node);
+      case 'AGGREGATE':
+        return `${node.name}(${node.distinct ? 'DISTINCT ' : ''}${node.argument ? this.describe(node.argument) : '*'})`;
+      case 'FUNCTION':
+        return `${node.name}(${node.args.map(arg => this.describe(arg)).join(', ')})`;
+      case 'ALIAS':
+        return node.name;
+      case 'NEGATE':
+        return `-${this.describeOperand(node.operand, Infinity)}`;
+      case 'ARITHMETIC': {
+        const precedence = ExpressionEvaluator.PRECEDENCE[node.operator];
+        return `${this.describeOperand(node.left, precedence)} ${node.operator} ${this.describeOperand(node.right, precedence + 1)}`;
+      }
+      case 'AND':
+      case 'OR':
+        return `(${this.describe(node.left)} ${node.type} ${this.describe(node.right)})`;
+      case 'NOT':
+        return `NOT ${this.describe(node.operand)}`;
+      case 'COMPARISON':
+        return `${this.describe(node.left)} ${ExpressionEvaluator.OPERATOR_SYMBOLS[node.operator]} ${this.describe(node.right)}`;
+      case 'IN':
+        return `${this.describe(node.operand)} ${node.negated ? 'NOT IN' : 'IN'} (${node.values.map(value => this.describe(value)).join(', ')})`;
+      case 'BETWEEN':
+        return `${this.describe(node.operand)} ${node.negated ? 'NOT BETWEEN' : 'BETWEEN'} ${this.describe(node.low)} AND ${this.describe(node.high)}`;
+      case 'LIKE':
+        return `${this.describe(node.operand)} ${node.negated ? 'NOT LIKE' : 'LIKE'} ${this.describe(node.pattern)}`;
+      case 'IS_NULL':
+        return `${this.describe(node.operand)} ${node.negated ? 'IS NOT NULL' : 'IS NULL'}`;
+      case 'MATCH':
+        return `MATCH(${node.columns.map(column => this.describe(column)).join(', ')}) AGAINST(${this.describe(node.query)})`;
+      case 'JSON_PATH': {
+        const operand = this.describe(node.operand);
+        return JsonPath.describe(['COLUMN', 'LITERAL', 'FUNCTION', 'JSON_PATH'].includes(node.operand.type) ? operand : `(${operand})`,
+          node.path, node.text);
+      }
+      default:
+        return node.type;
+    }
+  }
+
+  // Parenthesize arithmetic operands that bind more loosely than their parent
+  describeOperand(node, minPrecedence) {
+    const text = this.describe(node);
+    if (node.type === 'ARITHMETIC' && ExpressionEvaluator.PRECEDENCE[node.operator] < minPrecedence) {
+      return `(${text})`;
+    }
+    return text;
+  }
+
+  // Joined rows store each column under "alias.column"; single-table rows use the bare name
+  columnKey(node) {
+    return node.table ? `${node.table}.${node.name}` : node.name;
+  }
+
+  // Depth-first walk over an expression tree
+  walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+    if (visit(node) === false) return;
+    for (const key of ExpressionEvaluator.CHILD_KEYS) {
+      this.walk(node[key], visit);
+    }
+    for (const key of ExpressionEvaluator.CHILD_LIST_KEYS) {
+      (node[key] || []).forEach(child => this.walk(child, visit));
+    }
+  }
+
+  // Shallow copy of a node with each child expression replaced by transform(child)
+  mapChildren(node, transform) {
+    const copy = { ...node };
+    for (const key of ExpressionEvaluator.CHILD_KEYS) {
+      if (node[key]) copy[key] = transform(node[key]);
+    }
+    for (const key of ExpressionEvaluator.CHILD_LIST_KEYS) {
+      if (node[key]) copy[key] = node[key].map(transform);
+    }
+    return copy;
+  }
+
+  containsAggregate(node) {
+    let found = false;
+    this.walk(node, child => {
+      if (child.type === 'AGGREGATE') found = true;
+      return !found;
+    });
+    return found;
+  }
+
+  // Key under which values count as equal for GROUP BY and DISTINCT, honouring the column type
+  groupingKey(value, type = null) {
+    if (value === null || value === undefined) return 'null';
+    const baseType = type ? String(type).split('(')[0].toUpperCase() : null;
+    const key = this.toSortKey(value, baseType);
+    return this.sortRank(key) === 3 ? `raw:${String(value)}` : `${typeof key}:${String(key)}`;
+  }
+
+  // Compare two non-null values with one of the internal operator names
+  compare(operator, value, target) {
+    switch (operator) {
+      case 'eq': return value === target;
+      case 'ne': return value !== target;
+      case 'gt': return value > target;
+      case 'gte': return value >= target;
+      case 'lt': return value < target;
+      case 'lte': return value <= target;
+      case 'like': return this.likeToRegExp(String(target)).test(String(value));
+      // The right side is JSON, or JSON text
+      case 'contains': return JsonPath.contains(JsonPath.toJson(value), JsonPath.parse(target));
+      case 'containedBy': return JsonPath.contains(JsonPath.parse(target), JsonPath.toJson(value));
+      default: return false;
+    }
+  }
+
+  /* Total order used by ORDER BY and ordered index scans.
+   * Values are compared according to the column's declared schema type when one is given
+   * (so '42' and 7 in a NUMBER column compare numerically). NULLs sort after every other
+   * value, which puts them last for ASC and first for DESC.
+   */
+  compareValues(a, b, type = null) {
+    const aIsNull = a === null || a === undefined;
+    const bIsNull = b === null || b === undefined;
+    if (aIsNull || bIsNull) {
+      if (aIsNull && bIsNull) return 0;
+      return aIsNull ? 1 : -1;
+    }
+
+    const baseType = type ? String(type).split('(')[0].toUpperCase() : null;
+    const left = this.toSortKey(a, baseType);
+    const right = this.toSortKey(b, baseType);
+
+    // Values that could not be converted (e.g. 'abc' in a NUMBER column) sort after converted ones
+    const leftRank = this.sortRank(left);
+    const rightRank = this.sortRank(right);
+    if (leftRank !== rightRank) {
+      return leftRank - rightRank;
+    }
+
+    if (leftRank === 3) {
+      return this.compareValues(String(a), String(b));
+    }
+    if (left < right) return -1;
+    if (left > right) return 1;
+    return 0;
+  }
+
+  toSortKey(value, baseType) {
+    switch (baseType) {
+      case 'NUMBER':
+      case 'INTEGER':
+      case 'DECIMAL':
+        return value === '' ? NaN : Number(value);
+      case 'DATE':
+      case 'DATETIME':
+        return value instanceof Date ? value.getTime() : Date.parse(value);
+      case 'BOOLEAN':
+        if (value === true || value === 'true' || value === 1 || value === '1') return 1;
+        if (value === false || value === 'false' || value === 0 || value === '0') return 0;
+        return NaN;
+      case 'VARCHAR':
+      case 'TEXT':
+        return String(value);
+      default:
+        return value instanceof Date ? value.getTime() : value;
+    }
+  }
+
+  // Booleans < numbers < strings < unconvertible values, so mixed untyped columns still sort deterministically
+  sortRank(key) {
+    if (typeof key === 'boolean') return 0;
+    if (typeof key === 'number') return Number.isNaN(key) ? 3 : 1;
+    if (typeof key === 'string') return 2;
+    return 3;
+  }
+
+  // Translate a SQL LIKE pattern (% = any run of characters, _ = exactly one) to an anchored RegExp
+  likeToRegExp(pattern) {
+    let regex = this.likeCache.get(pattern);
+    if (!regex) {
+      let source = '';
+      for (const char of pattern) {
+        if (char === '%') {
+          source += '[\\s\\S]*';
+        } else if (char === '_') {
+          source += '[\\s\\S]';
+        } else {
+          source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+      }
+      regex = new RegExp(`^${source}$`);
+      if (this.likeCache.size >= 500) {
+        this.likeCache.clear();
+      }
+      this.likeCache.set(pattern, regex);
+    }
+    return regex;
+  }
+}
+
+ExpressionEvaluator.NODE_TYPES = new Set([
+  'LITERAL', 'COLUMN', 'AND', 'OR', 'NOT', 'COMPARISON', 'IN', 'BETWEEN', 'LIKE', 'IS_NULL', 'AGGREGATE',
+  'ARITHMETIC', 'NEGATE', 'FUNCTION', 'ALIAS', 'MATCH', 'JSON_PATH'
+]);
+
+ExpressionEvaluator.CHILD_KEYS = ['left', 'right', 'operand', 'argument', 'low', 'high', 'pattern', 'expression', 'query'];
+ExpressionEvaluator.CHILD_LIST_KEYS = ['values', 'args', 'columns'];
+
+ExpressionEvaluator.PRECEDENCE = {
+  '+': 1, '-': 1, '||': 1, '*': 2, '/': 2, '%': 2
+};
+
+/* Scalar functions available in expressions.
+ * args is the [min, max] argument count; functions are called with the evaluator as `this`.
+ * Functions without acceptsNull return NULL as soon as any argument is NULL.
+ */
+ExpressionEvaluator.SCALAR_FUNCTIONS = {
+  UPPER: { args: [1, 1], apply(value) { return this.toText(value).toUpperCase(); } },
+  LOWER: { args: [1, 1], apply(value) { return this.toText(value).toLowerCase(); } },
+  LENGTH: { args: [1, 1], apply(value) { return this.toText(value).length; } },
+
+  // SUBSTR(text, start[, length]) with a 1-based start; a negative start counts from the end
+  SUBSTR: {
+    args: [2, 3],
+    apply(value, start, length) {
+      const text = this.toText(value);
+      const position = this.toNumber(start, 'SUBSTR');
+      const from = position > 0 ? position - 1 : Math.max(text.length + position, 0);
+      return length === undefined
+        ? text.substring(from)
+        : text.substring(from, from + Math.max(this.toNumber(length, 'SUBSTR'), 0));
+    }
+  },
+
+  COALESCE: {
+    args: [1, Infinity],
+    acceptsNull: true,
+    apply(...values) {
+      const found = values.find(value => value !== null);
+      return found === undefined ? null : found;
+    }
+  },
+
+  // ROUND(number[, digits]) rounds halves away from zero
+  ROUND: {
+    args: [1, 2],
+    apply(value, digits = 0) {
+      const number = this.toNumber(value, 'ROUND');
+      const places = this.toNumber(digits, 'ROUND');
+      const rounded = Number(`${Math.round(Number(`${Math.abs(number)}e${places}`))}e${-places}`);
+      return number < 0 ? -rounded : rounded;
+    }
+  },
+
+  ABS: { args: [1, 1], apply(value) { return Math.abs(this.toNumber(value, 'ABS')); } },
+
+  NOW: { args: [0, 0], apply() { return new Date().toISOString(); } },
+
+  // DATE(value) returns the YYYY-MM-DD part of a date or timestamp, or NULL if it is not a valid date
+  DATE: {
+    args: [1, 1],
+    apply(value) {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+    }
+  }
+};
+
+ExpressionEvaluator.OPERATOR_SYMBOLS = {
+  eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=', contains: '@>', containedBy: '<@'
+};
+
+module.exports = ExpressionEvaluator;
@@ -0,0 +1,286 @@
+const QueryTrace = require('./QueryTrace');
+
+// Resolves table aliases in SELECT statements and executes INNER / LEFT joins.
+// Joined rows hold every column under "alias.column". Equality conditions in ON are
+// executed as hash joins; anything else falls back to a nested loop over the candidates.
+class JoinExecutor {
+  constructor(storage, evaluator) {
+    this.storage = storage;
+    this.evaluator = evaluator;
+  }
+
+  // Map each alias in the FROM clause to its table, schema and known column names
+  async buildScope(ast) {
+    const scope = new Map();
+    const references = [{ table: ast.table, alias: ast.alias || ast.table }, ...(ast.joins || [])];
+
+    for (const reference of references) {
+      const alias = reference.alias || reference.table;
+      if (scope.has(alias)) {
+        throw new Error(`Duplicate table alias '${alias}'`);
+      }
+      const tableInfo = await this.storage.getTable(reference.table);
+      const columns = new Set([...JoinExecutor.SYSTEM_COLUMNS, ...Object.keys(tableInfo.schema || {})]);
+      scope.set(alias, {
+        table: reference.table,
+        schema: tableInfo.schema || {},
+        indexes: tableInfo.indexes || [],
+        columns
+      });
+    }
+    return scope;
+  }
+
+  /* Rewrite column references for execution.
+   * Single-table queries drop the alias so rows keep their stored shape; joined queries
+   * qualify every column, rejecting unknown aliases and ambiguous unqualified names.
+   */
+  resolve(node, scope) {
+    if (!node || typeof node !== 'object') return node;
+    const joined = scope.size > 1;
+
+    if (node.type === 'COLUMN') {
+      if (node.table) {
+        if (!scope.has(node.table)) {
+          throw new Error(`Unknown table or alias '${node.table}'`);
+        }
+        return joined ? node : { type: 'COLUMN', name: node.name };
+      }
+      if (!joined) return node;
+
+      const owners = Array.from(scope.entries())
+        .filter(([, entry]) => entry.columns.has(node.name))
+        .map(([alias]) => alias);
+      if (owners.length === 0) {
+        throw new Error(`Unknown column '${node.name}'`);
+      }
+      if (owners.length > 1) {
+        throw new Error(`Column '${node.name}' is ambiguous; qualify it as ${owners.map(alias => `${alias}.${node.name}`).join(' or ')}`);
+      }
+      return { type: 'COLUMN', table: owners[0], name: node.name };
+    }
+
+    return this.evaluator.mapChildren(node, child => this.resolve(child, scope));
+  }
+
+  // Schema keyed by "alias.column" so sorting and aggregation can find declared types
+  combinedSchema(scope) {
+    const schema = {};
+    for (const [alias, entry] of scope) {
+      for (const [column, definition] of Object.entries(entry.schema)) {
+        schema[`${alias}.${column}`] = definition;
+      }
+    }
+    return schema;
+  }
+
+  // Decide which WHERE conditions can filter each table before joining, and how each join is executed
+  plan(ast, scope, where) {
+    const baseAlias = ast.alias || ast.table;
+    const conjuncts = this.splitConjuncts(where);
+
+    // WHERE conditions on the base table, or on an inner-joined table, can filter that table before joining
+    const takeConjunctsFor = (alias) => {
+      const taken = [];
+      for (let i = conjuncts.length - 1; i >= 0; i--) {
+        const aliases = this.aliasesOf(conjuncts[i]);
+        if (aliases.size === 1 && aliases.has(alias)) {
+          taken.unshift(this.unqualify(conjuncts[i]));
+          conjuncts.splice(i, 1);
+        }
+      }
+      return this.combineConjuncts(taken);
+    };
+
+    const base = { table: ast.table, alias: baseAlias, group: ast.group, filter: takeConjunctsFor(baseAlias) };
+    const joinedAliases = new Set([baseAlias]);
+    const joins = [];
+
+    for (const join of ast.joins) {
+      const alias = join.alias || join.table;
+      const on = this.resolve(join.on, scope);
+      for (const referenced of this.aliasesOf(on)) {
+        if (referenced !== alias && !joinedAliases.has(referenced)) {
+          throw new Error(`ON clause for '${alias}' refers to '${referenced}' before it is joined`);
+        }
+      }
+
+      const { keys, residual } = this.splitJoinCondition(on, joinedAliases, alias);
+      joins.push({
+        ...join,
+        alias,
+        on,
+        filter: join.type === 'INNER' ? takeConjunctsFor(alias) : null,
+        keys,
+        residual,
+        strategy: keys.length > 0 ? 'HASH_JOIN' : 'NESTED_LOOP_JOIN'
+      });
+      joinedAliases.add(alias);
+    }
+
+    return { base, joins, remaining: this.combineConjuncts(conjuncts) };
+  }
+
+  async execute(plan, scope, trace = null) {
+    const { base } = plan;
+    const baseRows = await this.storage.selectRowsWithIndex(base.table, base.filter, { groupName: base.group, trace });
+    let rows = baseRows.map(row => this.qualifyRow(row, base.alias, scope));
+
+    for (const join of plan.joins) {
+      const rightRows = (await this.storage.selectRowsWithIndex(join.table, join.filter, { trace }))
+        .map(row => this.qualifyRow(row, join.alias, scope));
+
+      const left = rows;
+      rows = await QueryTrace.run(trace, join.strategy, this.describeJoin(join),
+        () => this.joinRows(left, rightRows, join, scope));
+    }
+
+    if (plan.remaining) {
+      const joined = rows;
+      rows = await QueryTrace.run(trace, 'FILTER', this.evaluator.describe(plan.remaining),
+        () => joined.filter(row => this.evaluator.matches(plan.remaining, row)));
+    }
+    return rows;
+  }
+
+  // EXPLAIN steps for a join plan; join output sizes are not estimated
+  async explain(plan) {
+    const { base } = plan;
+    const steps = await this.storage.explainSelect(base.table, base.filter, base.group);
+
+    for (const join of plan.joins) {
+      steps.push(...await this.storage.explainSelect(join.table, join.filter));
+      steps.push({ operation: join.strategy, detail: this.describeJoin(join), estimatedRows: null });
+    }
+
+    if (plan.remaining) {
+      steps.push({ operation: 'FILTER', detail: this.evaluator.describe(plan.remaining), estimatedRows: null });
+    }
+    return steps;
+  }
+
+  describeJoin(join) {
+    const alias = join.alias !== join.table ? ` ${join.alias}` : '';
+    return `${join.type} JOIN ${join.table}${alias} ON ${this.evaluator.describe(join.on)}`;
+  }
+
+  // Split ON into equality keys (one side per input) and conditions checked per candidate pair
+  splitJoinCondition(on, joinedAliases, alias) {
+    const keys = [];
+    const residual = [];
+    const isLeft = aliases => aliases.size > 0 && Array.from(aliases).every(name => joinedAliases.has(name));
+    const isRight = aliases => aliases.size === 1 && aliases.has(alias);
+
+    for (const conjunct of this.splitConjuncts(on)) {
+      if (conjunct.type === 'COMPARISON' && conjunct.operator === 'eq') {
+        const leftAliases = this.aliasesOf(conjunct.left);
+        const rightAliases = this.aliasesOf(conjunct.right);
+
+        if (isLeft(leftAliases) && isRight(rightAliases)) {
+          keys.push({ left: conjunct.left, right: conjunct.right });
+          continue;
+        }
+        if (isRight(leftAliases) && isLeft(rightAliases)) {
+          keys.push({ left: conjunct.right, right: conjunct.left });
+          continue;
+        }
+      }
+      residual.push(conjunct);
+    }
+    return { keys, residual };
+  }
+
+  joinRows(leftRows, rightRows, join, scope) {
+    const schema = this.combinedSchema(scope);
+    const { keys } = join;
+    const condition = this.combineConjuncts(join.residual);
+    const typeOf = node => (node.type === 'COLUMN' ? schema[this.evaluator.columnKey(node)]?.type : null);
+    const keyTypes = keys.map(key => typeOf(key.left) || typeOf(key.right));
+    const hashKey = (row, side) => {
+      const values = keys.map(key => this.evaluator.evaluate(key[side], row));
+      if (values.some(value => value === null)) return null; // NULL never equals anything
+      return JSON.stringify(values.map((value, i) => this.evaluator.groupingKey(value, keyTypes[i])));
+    };
+
+    let lookup = null;
+    if (keys.length > 0) {
+      lookup = new Map();
+      for (const row of rightRows) {
+        const key = hashKey(row, 'right');
+        if (key === null) continue;
+        if (!lookup.has(key)) lookup.set(key, []);
+        lookup.get(key).push(row);
+      }
+    }
+
+    const nullRow = this.qualifyRow({}, join.alias, scope);
+    const result = [];
+    for (const left of leftRows) {
+      let candidates = rightRows;
+      if (lookup) {
+        const key = hashKey(left, 'left');
+        candidates = key === null ? [] : lookup.get(key) || [];
+      }
+
+      let matched = false;
+      for (const right of candidates) {
+        const combined = { ...left, ...right };
+        if (!condition || this.evaluator.matches(condition, combined)) {
+          result.push(combined);
+          matched = true;
+        }
+      }
+
+      if (!matched && join.type === 'LEFT') {
+        result.push({ ...left, ...nullRow });
+      }
+    }
+    return result;
+  }
+
+  // Prefix a stored row's columns with its alias, filling unset schema columns with null
+  qualifyRow(row, alias, scope) {
+    const qualified = {};
+    for (const column of scope.get(alias).columns) {
+      qualified[`${alias}.${column}`] = row[column] === undefined ? null : row[column];
+    }
+    for (const [column, value] of Object.entries(row)) {
+      qualified[`${alias}.${column}`] = value;
+    }
+    return qualified;
+  }
+
+  splitConjuncts(node) {
+    if (!node) return [];
+    if (node.type === 'AND') {
+      return [...this.splitConjuncts(node.left), ...this.splitConjuncts(node.right)];
+    }
+    return [node];
+  }
+
+  combineConjuncts(conjuncts) {
+    if (conjuncts.length === 0) return null;
+    return conjuncts.reduce((left, right) => ({ type: 'AND', left, right }));
+  }
+
+  aliasesOf(node) {
+    const aliases = new Set();
+    this.evaluator.walk(node, child => {
+      if (child.type === 'COLUMN' && child.table) aliases.add(child.table);
+      return true;
+    });
+    return aliases;
+  }
+
+  // Strip aliases so a single-table condition can be evaluated against stored rows
+  unqualify(node) {
+    if (!node || typeof node !== 'object') return node;
+    if (node.type === 'COLUMN') return { type: 'COLUMN', name: node.name };
+
+    return this.evaluator.mapChildren(node, child => this.unqualify(child));
+  }
+}
+
+JoinExecutor.SYSTEM_COLUMNS = ['id', 'created', 'updated', 'group'];
+
+module.exports = JoinExecutor;
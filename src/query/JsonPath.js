@@ -0,0 +1,118 @@
+/* Paths into JSON values, as expressions write them:
+ *   payload->'user'     the value under a key of an object, or at a position of an array (tags->0)
+ *   payload->>'name'    the same value as text (objects and arrays as their JSON)
+ * A missing key or position, or a step into something that isn't an object or array, gives NULL.
+ *
+ * An index on a path (CREATE INDEX ... ON t (payload->>'name')) lists the path as its column,
+ * written as describe() writes it; keyOf and valueOf read such keys back from an index definition.
+ */
+class JsonPath {
+  // payload->'user'->>'name'; keys are quoted, array positions are not
+  static describe(operand, path, text) {
+    return operand + path.map((step, i) => {
+      const arrow = text && i === path.length - 1 ? '->>' : '->';
+      return typeof step === 'number' ? `${arrow}${step}` : `${arrow}'${step.replace(/[\\']/g, '\\$&')}'`;
+    }).join('');
+  }
+
+  // The index column a JSON_PATH expression node reads, when it starts from an unqualified column
+  static columnKey(node) {
+    if (node.type !== 'JSON_PATH' || node.operand.type !== 'COLUMN' || node.operand.table) return null;
+    return JsonPath.describe(node.operand.name, node.path, node.text);
+  }
+
+  // { column, path, text } for a key written by describe, or null for a plain column name
+  static parseKey(key) {
+    if (!key.includes('->')) return null;
+    if (JsonPath.keys.has(key)) return JsonPath.keys.get(key);
+
+    const [, column, steps] = key.match(/^([A-Za-z_][A-Za-z0-9_]*)((?:->>?(?:'(?:[^'\\]|\\.)*'|-?\d+))+)$/) || [];
+    let parsed = null;
+    if (column) {
+      const path = [];
+      let text = false;
+      for (const [, arrow, quoted, position] of steps.matchAll(/(->>?)(?:'((?:[^'\\]|\\.)*)'|(-?\d+))/g)) {
+        path.push(quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : Number(position));
+        text = arrow === '->>';
+      }
+      parsed = { column, path, text };
+    }
+    JsonPath.keys.set(key, parsed);
+    return parsed;
+  }
+
+  // The column a key reads: the column itself, or the one a path starts from
+  static baseColumn(key) {
+    const parsed = JsonPath.parseKey(key);
+    return parsed ? parsed.column : key;
+  }
+
+  // A row's value for an index column, which may be a path
+  static valueOf(row, key) {
+    const parsed = JsonPath.parseKey(key);
+    const value = row[parsed ? parsed.column : key];
+    if (value === undefined || value === null) return null;
+    return parsed ? JsonPath.extract(value, parsed.path, parsed.text) : value;
+  }
+
+  static extract(value, path, text) {
+    let current = JsonPath.toJson(value);
+    for (const step of path) {
+      if (Array.isArray(current)) {
+        const position = typeof step === 'number' ? step : Number.NaN;
+        current = Number.isInteger(position) ? current[position < 0 ? current.length + position : position] : undefined;
+      } else if (current !== null && typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, String(step))) {
+        current = current[String(step)];
+      } else {
+        current = undefined;
+      }
+      if (current === undefined || current === null) return null;
+    }
+    if (!text) return current;
+    return typeof current === 'object' ? JSON.stringify(current) : String(current);
+  }
+
+  // Text holding a JSON object or array is read as one, so paths also work on JSON written as a string
+  static toJson(value) {
+    if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  // The right side of @> and <@: a JSON value, or JSON text
+  static parse(value) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${value}`);
+    }
+  }
+
+  /* Whether container holds everything contained does: an object every key of contained with a
+   * value containing its value, an array an element containing each of its elements, and a
+   * scalar the same value.
+   */
+  static contains(container, contained) {
+    if (Array.isArray(contained)) {
+      return Array.isArray(container) &&
+        contained.every(item => container.some(candidate => JsonPath.contains(candidate, item)));
+    }
+    if (contained !== null && typeof contained === 'object') {
+      return container !== null && typeof container === 'object' && !Array.isArray(container) &&
+        Object.entries(contained).every(([key, value]) =>
+          Object.prototype.hasOwnProperty.call(container, key) && JsonPath.contains(container[key], value));
+    }
+    return container === contained;
+  }
+}
+
+// Parsed index keys, by key
+JsonPath.keys = new Map();
+
+module.exports = JsonPath;
@@ -0,0 +1,207 @@
+const JsonPath = require('./JsonPath');
+
+/* Chooses how StorageEngine reads a table for a set of WHERE conditions.
+ * An index is used when equality conditions bind its leading column(s): all of them for an
+ * exact key lookup, or a leading subset for a prefix match on a composite index. A range on
+ * the column after them (<, >, BETWEEN or a LIKE 'prefix%') reads only that part of the index.
+ * Index keys are ordered the way ORDER BY sorts them, which doesn't always agree with how the
+ * WHERE clause compares values (see BTreeIndex.canScanRange), so a lookup only narrows the
+ * candidate rows; the full WHERE clause is always re-applied to them.
+ * A FULLTEXT index serves a MATCH ... AGAINST on exactly its columns: the rows holding any of
+ * the search terms. A path into a JSON column (payload->>'name') counts as a column of its own,
+ * so an index on the path serves conditions on it.
+ */
+class QueryPlanner {
+  // Column -> value for every top-level equality against a non-NULL literal
+  equalityConditions(conditions) {
+    const equalities = new Map();
+    if (!conditions) return equalities;
+
+    if (typeof conditions.type === 'string') {
+      for (const conjunct of this.splitConjuncts(conditions)) {
+        if (conjunct.type !== 'COMPARISON' || conjunct.operator !== 'eq') continue;
+
+        const { left, right } = conjunct;
+        const column = this.columnName(left) || this.columnName(right);
+        const literal = left.type === 'LITERAL' ? left : right.type === 'LITERAL' ? right : null;
+        if (column && literal && literal.value !== null && !equalities.has(column)) {
+          equalities.set(column, literal.value);
+        }
+      }
+      return equalities;
+    }
+
+    // Legacy { column: value } and { column: { operator, value } } condition maps
+    for (const [column, condition] of Object.entries(conditions)) {
+      if (condition !== null && typeof condition === 'object') {
+        if ((condition.operator === 'eq' || condition.operator === '=') && condition.value !== null) {
+          equalities.set(column, condition.value);
+        }
+      } else if (condition !== null && condition !== undefined) {
+        equalities.set(column, condition);
+      }
+    }
+    return equalities;
+  }
+
+  /* Column -> { lower, upper } bounds from top-level range conditions against a non-NULL literal:
+   * comparisons, BETWEEN, and LIKE with a pattern starting with literal text. A bound is
+   * { value, inclusive } (plus like: the pattern, when it came from one); the first of each wins.
+   */
+  rangeConditions(conditions) {
+    const ranges = new Map();
+    if (!conditions || typeof conditions.type !== 'string') return ranges;
+
+    const add = (column, bound, side) => {
+      if (!ranges.has(column)) ranges.set(column, { lower: null, upper: null });
+      const range = ranges.get(column);
+      if (bound && !range[side]) range[side] = bound;
+    };
+
+    for (const conjunct of this.splitConjuncts(conditions)) {
+      if (conjunct.type === 'COMPARISON' && QueryPlanner.RANGE_OPERATORS[conjunct.operator]) {
+        const { left, right } = conjunct;
+        // 5 < b reads as b > 5
+        const [column, literal, operator] = left.type !== 'LITERAL'
+          ? [this.columnName(left), right, conjunct.operator]
+          : [this.columnName(right), left, QueryPlanner.FLIPPED_OPERATORS[conjunct.operator]];
+        if (!column || literal.type !== 'LITERAL' || literal.value === null) continue;
+
+        const { side, inclusive } = QueryPlanner.RANGE_OPERATORS[operator];
+        add(column, { value: literal.value, inclusive }, side);
+      } else if (conjunct.type === 'BETWEEN' && !conjunct.negated) {
+        const { low, high } = conjunct;
+        const column = this.columnName(conjunct.operand);
+        if (!column || low.type !== 'LITERAL' || high.type !== 'LITERAL') continue;
+        if (low.value === null || high.value === null) continue;
+
+        add(column, { value: low.value, inclusive: true }, 'lower');
+        add(column, { value: high.value, inclusive: true }, 'upper');
+      } else if (conjunct.type === 'LIKE' && !conjunct.negated) {
+        const { pattern } = conjunct;
+        const column = this.columnName(conjunct.operand);
+        if (!column || pattern.type !== 'LITERAL' || typeof pattern.value !== 'string') continue;
+
+        // Values matching 'abc%' sort from 'abc' up to, but not including, 'abd'
+        const prefix = pattern.value.split(/[%_]/)[0];
+        if (prefix === '') continue;
+        const stem = prefix.replace(/\uffff+$/, '');
+        add(column, { value: prefix, inclusive: true, like: pattern.value }, 'lower');
+        if (stem !== '') {
+          const next = stem.slice(0, -1) + String.fromCharCode(stem.charCodeAt(stem.length - 1) + 1);
+          add(column, { value: next, inclusive: false, like: pattern.value }, 'upper');
+        }
+      }
+    }
+    return ranges;
+  }
+
+  // Top-level MATCH ... AGAINST a string literal, as { columns, query }
+  matchConditions(conditions) {
+    if (!conditions || typeof conditions.type !== 'string') return [];
+
+    return this.splitConjuncts(conditions)
+      .filter(conjunct => conjunct.type === 'MATCH' && conjunct.query.type === 'LITERAL' && typeof conjunct.query.value === 'string')
+      .filter(conjunct => conjunct.columns.every(column => column.type === 'COLUMN' && !column.table))
+      .map(conjunct => ({ columns: conjunct.columns.map(column => column.name), query: conjunct.query.value }));
+  }
+
+  /* Pick the index whose leading columns are bound by the most equalities.
+   * Ties prefer an index that is fully matched, then a full-text search, then one with a range on
+   * its next column, then a unique one.
+   * Returns { type: 'INDEX_LOOKUP' | 'INDEX_FULLTEXT' | 'INDEX_RANGE' | 'INDEX_PREFIX', index, columns, values }
+   * or null for a scan; columns and values are the equalities, an INDEX_RANGE plan adds
+   * range: { column, lower, upper } for the next column (see rangeConditions) and an
+   * INDEX_FULLTEXT plan match: { columns, query } (see matchConditions).
+   */
+  chooseIndex(indexes, conditions) {
+    const equalities = this.equalityConditions(conditions);
+    const ranges = this.rangeConditions(conditions);
+    const matches = this.matchConditions(conditions);
+    if (equalities.size === 0 && ranges.size === 0 && matches.length === 0) return null;
+
+    let best = null;
+    for (const index of indexes || []) {
+      if (index.fulltext) {
+        const match = matches.find(candidate => QueryPlanner.sameColumns(candidate.columns, index.columns));
+        const candidate = match && { type: 'INDEX_FULLTEXT', index, columns: [], values: [], match };
+        if (candidate && (!best || this.isBetter(candidate, best))) {
+          best = candidate;
+        }
+        continue;
+      }
+
+      let prefixLength = 0;
+      while (prefixLength < index.columns.length && equalities.has(index.columns[prefixLength])) {
+        prefixLength++;
+      }
+
+      const rangeColumn = prefixLength < index.columns.length ? index.columns[prefixLength] : null;
+      const range = ranges.get(rangeColumn);
+      let type;
+      if (prefixLength === index.columns.length) {
+        type = 'INDEX_LOOKUP';
+      } else if (range) {
+        type = 'INDEX_RANGE';
+      } else if (prefixLength > 0) {
+        type = 'INDEX_PREFIX';
+      } else {
+        continue;
+      }
+
+      const candidate = {
+        type,
+        index,
+        columns: index.columns.slice(0, prefixLength),
+        values: index.columns.slice(0, prefixLength).map(col => equalities.get(col))
+      };
+      if (type === 'INDEX_RANGE') {
+        candidate.range = { column: rangeColumn, ...range };
+      }
+      if (!best || this.isBetter(candidate, best)) {
+        best = candidate;
+      }
+    }
+    return best;
+  }
+
+  isBetter(candidate, current) {
+    if (candidate.columns.length !== current.columns.length) {
+      return candidate.columns.length > current.columns.length;
+    }
+    if (candidate.type !== current.type) {
+      return QueryPlanner.PLAN_PREFERENCE.indexOf(candidate.type) < QueryPlanner.PLAN_PREFERENCE.indexOf(current.type);
+    }
+    return Boolean(candidate.index.unique) && !current.index.unique;
+  }
+
+  // The index column an operand reads: an unqualified column, or a path into one; null for anything else
+  columnName(node) {
+    if (node.type === 'COLUMN') return node.table ? null : node.name;
+    return JsonPath.columnKey(node);
+  }
+
+  splitConjuncts(node) {
+    if (node.type === 'AND') {
+      return [...this.splitConjuncts(node.left), ...this.splitConjuncts(node.right)];
+    }
+    return [node];
+  }
+
+  // The same columns, in any order
+  static sameColumns(a, b) {
+    return a.length === b.length && a.every(column => b.includes(column));
+  }
+}
+
+QueryPlanner.PLAN_PREFERENCE = ['INDEX_LOOKUP', 'INDEX_FULLTEXT', 'INDEX_RANGE', 'INDEX_PREFIX'];
+// Which bound of a column each comparison gives, as column <operator> value
+QueryPlanner.RANGE_OPERATORS = {
+  gt: { side: 'lower', inclusive: false },
+  gte: { side: 'lower', inclusive: true },
+  lt: { side: 'upper', inclusive: false },
+  lte: { side: 'upper', inclusive: true }
+};
+QueryPlanner.FLIPPED_OPERATORS = { gt: 'lt', gte: 'lte', lt: 'gt', lte: 'gte' };
+
+module.exports = QueryPlanner;
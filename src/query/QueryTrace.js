@@ -0,0 +1,35 @@
+// Records the steps of a query execution for EXPLAIN ANALYZE: row counts and elapsed time per step.
+class QueryTrace {
+  constructor() {
+    this.steps = [];
+  }
+
+  // Run fn as one step; its result (an array of rows, or an UPDATE/DELETE result) is counted as the step's output
+  async step(operation, detail, fn) {
+    // Reserve the slot first so steps are listed in the order they started
+    const entry = { operation, detail };
+    this.steps.push(entry);
+
+    const started = process.hrtime.bigint();
+    const result = await fn();
+    entry.actualRows = QueryTrace.countRows(result);
+    entry.timeMs = QueryTrace.elapsedMs(started);
+    return result;
+  }
+
+  static countRows(result) {
+    if (Array.isArray(result)) return result.length;
+    return result && typeof result.affectedRows === 'number' ? result.affectedRows : null;
+  }
+
+  static elapsedMs(started) {
+    return Math.round(Number(process.hrtime.bigint() - started) / 1e3) / 1e3;
+  }
+
+  // Run fn as a step when tracing, or just run it otherwise
+  static async run(trace, operation, detail, fn) {
+    return trace ? trace.step(operation, detail, fn) : fn();
+  }
+}
+
+module.exports = QueryTrace;
@@ -0,0 +1,37 @@
+// Splits text into the terms full-text search matches on: lowercased runs of letters and digits,
+// without stop words, single characters and runs too long to be words (encoded data, say).
+// FULLTEXT indexes and MATCH ... AGAINST share it.
+class TextTokenizer {
+  tokenize(text) {
+    if (text === null || text === undefined) return [];
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.filter(word => word.length >= TextTokenizer.MIN_TERM_LENGTH &&
+      word.length <= TextTokenizer.MAX_TERM_LENGTH && !TextTokenizer.STOP_WORDS.has(word));
+  }
+
+  // Term -> number of occurrences over several values (the columns of a row)
+  termCounts(values) {
+    const counts = new Map();
+    for (const value of values) {
+      for (const term of this.tokenize(value)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  // The distinct terms of a search, in the order given
+  queryTerms(text) {
+    return Array.from(new Set(this.tokenize(text)));
+  }
+}
+
+TextTokenizer.MIN_TERM_LENGTH = 2;
+TextTokenizer.MAX_TERM_LENGTH = 64;
+TextTokenizer.STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'if', 'in',
+  'into', 'is', 'it', 'its', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then',
+  'there', 'these', 'they', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+module.exports = TextTokenizer;
@@ -33,6 +33,9 @@ app.set('views', path.join(__dirname, 'views'));
 let dbInitialized = false;
 let currentDatabase = 'main';
 
+// Rows shown per page in the table view
+const PAGE_SIZE = 50;
+
 async function ensureDbInitialized(databaseName = currentDatabase) {
   if (!dbInitialized || db.getCurrentDatabase() !== databaseName) {
     await db.initialize(databaseName);
@@ -41,6 +44,19 @@ async function ensureDbInitialized(databaseName = currentDatabase) {
   }
 }
 
+// JSON columns arrive as text; parse them here, so they aren't escaped like other text on the way in
+async function parseJsonFields(tableName, data) {
+  const table = await db.storage.getTable(tableName);
+  for (const [column, columnInfo] of Object.entries(table.schema || {})) {
+    if (String(columnInfo.type).toUpperCase() !== 'JSON' || typeof data[column] !== 'string') continue;
+    try {
+      data[column] = JSON.parse(data[column]);
+    } catch (error) {
+      throw new Error(`Column '${column}' expects JSON, got '${data[column]}' (${error.message})`);
+    }
+  }
+}
+
 app.use((req, res, next) => {
   if (req.query.db && req.query.db !== currentDatabase) {
     currentDatabase = req.query.db;
@@ -81,8 +97,15 @@ app.get('/table/:tableName', async (req, res) => {
     }
     
     const tableInfo = tables[tableName];
-    const data = await db.getTableData(tableName, group);
     const groups = await db.getTableGroups(tableName);
+
+    const totalRows = group ? (groups[group] ? groups[group].rowCount : 0) : tableInfo.rowCount;
+    const totalPages = Math.max(1, Math.ceil(totalRows / PAGE_SIZE));
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), totalPages);
+    const data = await db.getTableData(tableName, group, {
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    });
     
     res.render('table', {
       title: `Table: ${tableName}`,
@@ -91,6 +114,7 @@ app.get('/table/:tableName', async (req, res) => {
       data,
       groups,
       selectedGroup: group,
+      pagination: { page, totalPages, totalRows, pageSize: PAGE_SIZE },
       tables: tables
     });
   } catch (error) {
@@ -125,6 +149,8 @@ app.post('/create-table', async (req, res) => {
       autoIncrement = [],
       defaultValues = [],
       foreignKeys = [],
+      onDelete = [],
+      onUpdate = [],
       checkConstraints = [],
       indexes = '',
       triggers = ''
@@ -186,8 +212,8 @@ app.post('/create-table', async (req, res) => {
         if (fkParts.length === 2) {
           columnDef.foreignKey = {
             references: foreignKeys[i].trim(),
-            onDelete: 'RESTRICT',
-            onUpdate: 'RESTRICT'
+            onDelete: onDelete[i] || 'RESTRICT',
+            onUpdate: onUpdate[i] || 'RESTRICT'
           };
         }
       }
@@ -284,6 +310,7 @@ app.post('/add-row/:tableName', async (req, res) => {
         delete data[key];
       }
     });
+    await parseJsonFields(tableName, data);
     
     await db.insertRowDirect(tableName, data, group || null, {
       ip: req.ip,
@@ -344,6 +371,7 @@ app.post('/edit-row/:tableName/:rowId', async (req, res) => {
         delete updates[key];
       }
     });
+    await parseJsonFields(tableName, updates);
     
     if (group !== undefined) {
       updates.group = group || null;
@@ -456,10 +484,11 @@ app.post('/query', async (req, res) => {
       throw new Error('SQL query is required');
     }
     
+    // Every visitor shares db, so a transaction opened by one would take in the others' queries
     const result = await db.executeQuery(sql, {
       ip: req.ip,
       userAgent: req.get('User-Agent')
-    });
+    }, { transactions: false });
     
     res.render('query', {
       title: 'SQL Query Interface',
@@ -494,9 +523,9 @@ app.post('/switch-database', async (req, res) => {
 
 app.post('/create-database', async (req, res) => {
   try {
-    const { databaseName } = req.body;
+    const { databaseName, storageFormat } = req.body;
     
-    await db.createDatabase(databaseName);
+    await db.createDatabase(databaseName, { storageFormat: storageFormat || 'json' });
     res.redirect('/');
   } catch (error) {
     res.render('error', { error: error.message });
@@ -0,0 +1,493 @@
+const crypto = require('crypto');
+const DataFile = require('./DataFile');
+const JsonPath = require('../query/JsonPath');
+
+/* A persistent B+tree over one index of a table, kept in a page file (indexes/<table>_<index>.btree)
+ * that is read and written through the TransactionManager like the pages of PagedTableStore: a
+ * change stages only the nodes it touched, and commits write them through the write-ahead log.
+ *
+ * Page 0 holds the tree's metadata and every other page one node. Leaves hold the entries in
+ * order as [key, rowId, count]: key is the row's values for the index columns, count the number
+ * of row versions sharing them. Internal nodes hold separators, [key, rowId] of the first entry
+ * of the child to their right. Entries are ordered by key, column by column as ORDER BY sorts
+ * them (ExpressionEvaluator.compareValues with the column's type, NULLs last), then by row id.
+ * A node that outgrows its page splits; an empty leaf is freed, but nodes are never merged.
+ *
+ * Page: 4-byte checksum, 4-byte length of the JSON payload at offset 4, the payload from HEADER_SIZE on.
+ */
+class BTreeIndex {
+  constructor({ file, transactions, evaluator, meta }) {
+    this.file = file;
+    this.transactions = transactions;
+    this.evaluator = evaluator;
+    this.meta = meta;
+  }
+
+  // The tree in file, or null when there is none
+  static async open({ file, transactions, evaluator }) {
+    if (await transactions.pageCount(file, BTreeIndex.PAGE_SIZE) === 0) return null;
+
+    const tree = new BTreeIndex({ file, transactions, evaluator, meta: null });
+    // The decoded page is shared with other readers; this copy is changed by writes
+    tree.meta = structuredClone(await tree.readNode(0));
+    if (tree.meta.format !== 'btree') {
+      throw DataFile.corrupted(file, 'it is not a B+tree index');
+    }
+    return tree;
+  }
+
+  /* Build a tree over rows in one go, replacing the file: sorted entries are packed into
+   * leaves FILL_FACTOR full, so the next inserts don't split them at once.
+   * definition: { tableName, name, columns, types (the columns' schema types), unique }
+   * entries: [key, rowId, count] to index instead of the rows' values for the columns
+   */
+  static async build({ file, transactions, evaluator, definition, rows, entries: items = null }) {
+    const tree = new BTreeIndex({
+      file,
+      transactions,
+      evaluator,
+      meta: {
+        format: 'btree',
+        ...definition,
+        created: new Date().toISOString(),
+        pageSize: BTreeIndex.PAGE_SIZE,
+        root: 1,
+        height: 1,
+        entries: 0,
+        pages: 1,
+        free: [],
+        kinds: definition.columns.map(() => ({}))
+      }
+    });
+
+    const sorted = (items || rows.map(row => [BTreeIndex.keyOf(row, definition.columns), row.id, 1]))
+      .sort((a, b) => tree.compareEntries(a, b));
+    const entries = [];
+    for (const [key, rowId, count] of sorted) {
+      tree.checkEntrySize(key, rowId);
+      tree.countKinds(key, count);
+      tree.meta.entries += count;
+      const last = entries[entries.length - 1];
+      if (last && tree.compareEntries(last, [key, rowId]) === 0) {
+        last[2] += count;
+      } else {
+        entries.push([key, rowId, count]);
+      }
+    }
+
+    const limit = Math.floor(tree.capacity * BTreeIndex.FILL_FACTOR);
+    let level = BTreeIndex.pack(entries, limit).map(group => ({
+      page: tree.allocate(),
+      node: { leaf: true, entries: group },
+      first: group.length > 0 ? [group[0][0], group[0][1]] : null
+    }));
+    while (level.length > 1) {
+      // A parent's separators are the first entries of its children but the first one
+      const parents = BTreeIndex.pack(level, limit, item => BTreeIndex.byteSize(item.first));
+      level = parents.map(children => ({
+        page: tree.allocate(),
+        node: { leaf: false, keys: children.slice(1).map(child => child.first), children: children.map(child => child.page) },
+        first: children[0].first,
+        children
+      }));
+      tree.meta.height++;
+    }
+    tree.meta.root = level[0].page;
+
+    await transactions.remove(file);
+    const write = async ({ page, node, children = [] }) => {
+      await tree.writeNode(page, node);
+      for (const child of children) await write(child);
+    };
+    await write(level[0]);
+    await tree.writeMeta();
+    return tree;
+  }
+
+  get capacity() {
+    return this.meta.pageSize - BTreeIndex.HEADER_SIZE;
+  }
+
+  // Number of row versions indexed
+  get size() {
+    return this.meta.entries;
+  }
+
+  async insert(key, rowId, count = 1) {
+    this.checkEntrySize(key, rowId);
+    const path = await this.descend([key, rowId]);
+    const { page, node } = path.pop();
+
+    const entries = node.entries.slice();
+    const position = this.lowerBound(entries, [key, rowId]);
+    if (position < entries.length && this.compareEntries(entries[position], [key, rowId]) === 0) {
+      entries[position] = [key, rowId, entries[position][2] + count];
+    } else {
+      entries.splice(position, 0, [key, rowId, count]);
+    }
+    this.meta.entries += count;
+    this.countKinds(key, count);
+
+    await this.store(page, { leaf: true, entries }, path);
+    await this.writeMeta();
+  }
+
+  // Remove one row version's entry (count of them); false when the tree has none
+  async remove(key, rowId, count = 1) {
+    const path = await this.descend([key, rowId]);
+    const { page, node } = path.pop();
+
+    const position = this.lowerBound(node.entries, [key, rowId]);
+    if (position >= node.entries.length || this.compareEntries(node.entries[position], [key, rowId]) !== 0) {
+      return false;
+    }
+
+    const entries = node.entries.slice();
+    const held = entries[position][2];
+    const removed = Math.min(count, held);
+    if (held > removed) {
+      entries[position] = [key, rowId, held - removed];
+    } else {
+      entries.splice(position, 1);
+    }
+    this.meta.entries -= removed;
+    this.countKinds(key, -removed);
+
+    if (entries.length > 0 || path.length === 0) {
+      await this.writeNode(page, { leaf: true, entries });
+    } else {
+      await this.unlink(page, path);
+    }
+    await this.writeMeta();
+    return true;
+  }
+
+  // Remove a row version's entry wherever it is, for an index that has drifted from the table
+  async removeRowId(rowId) {
+    for await (const entry of this.scan()) {
+      if (entry.rowId === rowId) return await this.remove(entry.key, rowId);
+    }
+    return false;
+  }
+
+  /* Entries between the bounds, in order or in reverse (descending). A bound, { key, inclusive },
+   * compares only as many columns as its key has, so [5] bounds every key starting with 5.
+   * Yields { key, rowId, count }.
+   */
+  async *scan({ lower = null, upper = null, descending = false } = {}) {
+    yield* this.walk(this.meta.root, { lower, upper }, descending);
+  }
+
+  async *walk(page, bounds, descending) {
+    const node = await this.readNode(page);
+    if (node.leaf) {
+      const count = node.entries.length;
+      for (let i = 0; i < count; i++) {
+        const [key, rowId, entryCount] = node.entries[descending ? count - 1 - i : i];
+        if (!this.belowLower(key, bounds) && !this.aboveUpper(key, bounds)) {
+          yield { key, rowId, count: entryCount };
+        }
+      }
+      return;
+    }
+
+    // Child i holds the entries from separator i - 1 up to separator i
+    let first = 0;
+    while (first < node.keys.length && this.belowLower(node.keys[first][0], bounds)) first++;
+    let last = node.children.length - 1;
+    while (last > first && this.aboveUpper(node.keys[last - 1][0], bounds)) last--;
+
+    for (let i = 0; i <= last - first; i++) {
+      yield* this.walk(node.children[descending ? last - i : first + i], bounds, descending);
+    }
+  }
+
+  belowLower(key, { lower }) {
+    if (!lower) return false;
+    const result = this.compareKeys(key, lower.key);
+    return result < 0 || (result === 0 && !lower.inclusive);
+  }
+
+  aboveUpper(key, { upper }) {
+    if (!upper) return false;
+    const result = this.compareKeys(key, upper.key);
+    return result > 0 || (result === 0 && !upper.inclusive);
+  }
+
+  /* Whether the index order agrees with how a WHERE clause compares the column at position with
+   * value (JavaScript <, >, or LIKE on the text), so that one range of the index holds every row
+   * the condition can match. It does when the column's values and value are all numbers, or all
+   * strings, and the column's type orders them as such; a LIKE prefix needs values ordered as text.
+   */
+  canScanRange(position, value, { like = false } = {}) {
+    const kinds = Object.keys(this.meta.kinds[position] || {});
+    const type = this.meta.types[position] ? String(this.meta.types[position]).split('(')[0].toUpperCase() : null;
+    const orderedAs = BTreeIndex.ORDERED_AS[type] !== undefined ? BTreeIndex.ORDERED_AS[type] : 'value';
+
+    if (like) {
+      return orderedAs === 'string' || (orderedAs === 'value' && kinds.every(kind => kind === 'string'));
+    }
+    const kind = typeof value;
+    if (!['string', 'number'].includes(kind) || !kinds.every(other => other === kind)) return false;
+    return orderedAs === 'value' || orderedAs === kind;
+  }
+
+  // Root-to-leaf path to where entry belongs: [{ page, node, slot (child taken) }]
+  async descend(entry) {
+    const path = [];
+    let page = this.meta.root;
+    for (;;) {
+      const node = await this.readNode(page);
+      if (node.leaf) {
+        path.push({ page, node });
+        return path;
+      }
+      let slot = 0;
+      while (slot < node.keys.length && this.compareEntries(node.keys[slot], entry) <= 0) slot++;
+      path.push({ page, node, slot });
+      page = node.children[slot];
+    }
+  }
+
+  // Write a changed node, splitting it and then its ancestors as long as they outgrow their page
+  async store(page, node, path) {
+    for (;;) {
+      if (BTreeIndex.byteSize(node) <= this.capacity) {
+        await this.writeNode(page, node);
+        return;
+      }
+
+      const { left, right, separator } = BTreeIndex.split(node);
+      const rightPage = this.allocate();
+      await this.writeNode(page, left);
+      await this.writeNode(rightPage, right);
+
+      if (path.length === 0) {
+        this.meta.root = this.allocate();
+        this.meta.height++;
+        await this.writeNode(this.meta.root, { leaf: false, keys: [separator], children: [page, rightPage] });
+        return;
+      }
+
+      const parent = path.pop();
+      node = { leaf: false, keys: parent.node.keys.slice(), children: parent.node.children.slice() };
+      node.keys.splice(parent.slot, 0, separator);
+      node.children.splice(parent.slot + 1, 0, rightPage);
+      page = parent.page;
+    }
+  }
+
+  // Free an emptied leaf and take it out of its parent, and so on up for parents left without children
+  async unlink(page, path) {
+    this.meta.free.push(page);
+    while (path.length > 0) {
+      const parent = path.pop();
+      const node = { leaf: false, keys: parent.node.keys.slice(), children: parent.node.children.slice() };
+      node.children.splice(parent.slot, 1);
+      node.keys.splice(Math.max(parent.slot - 1, 0), 1);
+
+      if (node.children.length > 0) {
+        await this.writeNode(parent.page, node);
+        break;
+      }
+      if (path.length === 0) {
+        await this.writeNode(parent.page, { leaf: true, entries: [] });
+        break;
+      }
+      this.meta.free.push(parent.page);
+    }
+
+    // A root left with one child hands over to it
+    for (;;) {
+      const root = await this.readNode(this.meta.root);
+      if (root.leaf || root.children.length > 1) break;
+      this.meta.free.push(this.meta.root);
+      this.meta.root = root.children[0];
+      this.meta.height--;
+    }
+  }
+
+  allocate() {
+    return this.meta.free.length > 0 ? this.meta.free.pop() : this.meta.pages++;
+  }
+
+  async readNode(page) {
+    for (let attempt = 1; ; attempt++) {
+      const data = await this.transactions.readPage(this.file, page, BTreeIndex.PAGE_SIZE);
+      if (data) {
+        if (BTreeIndex.decoded.has(data)) return BTreeIndex.decoded.get(data);
+        if (data.readUInt32LE(0) === BTreeIndex.checksum(data)) {
+          const node = JSON.parse(data.toString('utf8', BTreeIndex.HEADER_SIZE, BTreeIndex.HEADER_SIZE + data.readUInt32LE(4)));
+          BTreeIndex.decoded.set(data, node);
+          return node;
+        }
+      }
+
+      // Most likely read while another process was writing it
+      this.transactions.evictPage(this.file, page);
+      if (attempt >= BTreeIndex.MAX_READ_ATTEMPTS) {
+        throw DataFile.corrupted(this.file, `page ${page} ${data ? 'failed its checksum' : 'is missing'}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, BTreeIndex.RETRY_MS));
+    }
+  }
+
+  // Nodes are not changed once written: writes build new ones
+  async writeNode(page, node) {
+    const data = BTreeIndex.encode(node, this.meta.pageSize);
+    BTreeIndex.decoded.set(data, node);
+    await this.transactions.writePage(this.file, page, data);
+  }
+
+  async writeMeta() {
+    // Freed pages that don't fit in the metadata page stay unused until the index is rebuilt
+    while (BTreeIndex.byteSize(this.meta) > this.capacity && this.meta.free.length > 0) {
+      this.meta.free.splice(0, Math.ceil(this.meta.free.length / 2));
+    }
+    await this.writeNode(0, structuredClone(this.meta));
+  }
+
+  // Row versions per type of value ('string', 'number', ...) in each column, for canScanRange
+  countKinds(key, delta) {
+    key.forEach((value, position) => {
+      if (value === null) return;
+      const kinds = this.meta.kinds[position];
+      const kind = typeof value;
+      kinds[kind] = (kinds[kind] || 0) + delta;
+      if (kinds[kind] === 0) delete kinds[kind];
+    });
+  }
+
+  checkEntrySize(key, rowId) {
+    const size = BTreeIndex.byteSize([key, rowId, 1]);
+    const limit = Math.floor(this.capacity / 4);
+    if (size > limit) {
+      throw new Error(`Index entry is too large for index '${this.meta.name}' (${size} bytes, at most ${limit})`);
+    }
+  }
+
+  // By key, then row id, then the key's exact values, so keys that only sort alike (5 and '5') stay apart
+  compareEntries(a, b) {
+    const result = this.compareKeys(a[0], b[0]);
+    if (result !== 0) return result;
+    if (a[1] !== b[1]) return a[1] < b[1] ? -1 : 1;
+    const left = JSON.stringify(a[0]);
+    const right = JSON.stringify(b[0]);
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+  }
+
+  // Compare keys column by column, over as many columns as the shorter one has
+  compareKeys(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      const result = this.evaluator.compareValues(a[i], b[i], this.meta.types[i]);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  // First position whose entry is not below entry
+  lowerBound(entries, entry) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.compareEntries(entries[middle], entry) < 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  // A row's key: its values for the index columns (or paths into them), with NULL for a missing one
+  static keyOf(row, columns) {
+    return columns.map(column => JsonPath.valueOf(row, column));
+  }
+
+  // Split an overflowing node in two of about the same size; an internal node's middle separator moves up
+  static split(node) {
+    const items = node.leaf ? node.entries : node.keys;
+    const sizes = items.map(item => BTreeIndex.byteSize(item) + 1);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+
+    let middle = 0;
+    for (let used = 0; middle < items.length - 1 && used + sizes[middle] <= total / 2; middle++) {
+      used += sizes[middle];
+    }
+    middle = Math.max(middle, 1);
+
+    if (node.leaf) {
+      const right = node.entries.slice(middle);
+      return {
+        left: { leaf: true, entries: node.entries.slice(0, middle) },
+        right: { leaf: true, entries: right },
+        separator: [right[0][0], right[0][1]]
+      };
+    }
+    return {
+      left: { leaf: false, keys: node.keys.slice(0, middle), children: node.children.slice(0, middle + 1) },
+      right: { leaf: false, keys: node.keys.slice(middle + 1), children: node.children.slice(middle + 1) },
+      separator: node.keys[middle]
+    };
+  }
+
+  // Group items in order into runs whose JSON fits in limit bytes; every run gets at least one item
+  static pack(items, limit, sizeOf = item => BTreeIndex.byteSize(item)) {
+    const groups = [[]];
+    let used = 0;
+    for (const item of items) {
+      const size = sizeOf(item) + 1;
+      if (used + size > limit && groups[groups.length - 1].length > 0) {
+        groups.push([]);
+        used = 0;
+      }
+      groups[groups.length - 1].push(item);
+      used += size;
+    }
+    return groups;
+  }
+
+  static encode(node, pageSize) {
+    const payload = Buffer.from(JSON.stringify(node), 'utf8');
+    const data = Buffer.alloc(pageSize);
+    data.writeUInt32LE(payload.length, 4);
+    payload.copy(data, BTreeIndex.HEADER_SIZE);
+    data.writeUInt32LE(BTreeIndex.checksum(data), 0);
+    return data;
+  }
+
+  static byteSize(value) {
+    return Buffer.byteLength(JSON.stringify(value));
+  }
+
+  static checksum(data) {
+    return crypto.createHash('sha256').update(data.subarray(4)).digest().readUInt32LE(0);
+  }
+}
+
+BTreeIndex.PAGE_SIZE = 8192;
+BTreeIndex.HEADER_SIZE = 8;
+// Share of a page bulk-built nodes fill
+BTreeIndex.FILL_FACTOR = 0.9;
+// How compareValues orders a column type's values: as numbers, as text, by date or truth value
+// (never scanned as ranges), or as they are (any type not listed)
+BTreeIndex.ORDERED_AS = {
+  NUMBER: 'number',
+  INTEGER: 'number',
+  DECIMAL: 'number',
+  VARCHAR: 'string',
+  TEXT: 'string',
+  DATE: null,
+  DATETIME: null,
+  BOOLEAN: null
+};
+// A page failing its checksum is read again a few times before it is reported as corrupted
+BTreeIndex.MAX_READ_ATTEMPTS = 3;
+BTreeIndex.RETRY_MS = 20;
+// Decoded nodes of the pages read or written; the buffer pool shares pages between reads
+BTreeIndex.decoded = new WeakMap();
+
+module.exports = BTreeIndex;
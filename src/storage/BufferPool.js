@@ -0,0 +1,153 @@
+const fs = require('fs-extra');
+const path = require('path');
+const DataFile = require('./DataFile');
+
+/* Keeps recently used pages of page files (see PagedTableStore) in memory, least recently used
+ * pages going first once `capacity` pages are cached. Cached pages belong to one version of their
+ * file (see DataFile.version): when another engine or process has written the file since, its
+ * pages are dropped and read again. Page files are only written through writePages.
+ */
+class BufferPool {
+  constructor(capacity = BufferPool.CAPACITY) {
+    this.capacity = capacity;
+    this.pages = new Map();     // "file#page" -> Buffer, least recently used first
+    this.versions = new Map();  // file -> version its cached pages were read from
+    this.generations = new Map();  // file -> how many times its cached pages were dropped
+  }
+
+  // Number of whole pages in the file; checks the cached pages against the file first
+  async pageCount(file, pageSize) {
+    let stats;
+    try {
+      stats = await fs.stat(file, { bigint: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.invalidate(file);
+      return 0;
+    }
+
+    const version = DataFile.versionOf(stats);
+    if (this.versions.get(file) !== version) {
+      this.invalidate(file);
+      this.versions.set(file, version);
+    }
+    return Number(stats.size / BigInt(pageSize));
+  }
+
+  // The page's bytes, or null past the end of the file. The buffer is shared: don't modify it.
+  // Pages are only cached once pageCount has recorded the version of their file.
+  async read(file, pageNo, pageSize) {
+    const key = `${file}#${pageNo}`;
+    const cached = this.pages.get(key);
+    if (cached) {
+      this.pages.delete(key);
+      this.pages.set(key, cached);
+      return cached;
+    }
+
+    const data = Buffer.alloc(pageSize);
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    let bytesRead;
+    try {
+      ({ bytesRead } = await handle.read(data, 0, pageSize, pageNo * pageSize));
+    } finally {
+      await handle.close();
+    }
+    if (bytesRead < pageSize) return null;
+
+    if (this.versions.has(file)) {
+      this.put(key, data);
+    }
+    return data;
+  }
+
+  // Forget one cached page, e.g. one read while another process was writing it
+  evict(file, pageNo) {
+    this.pages.delete(`${file}#${pageNo}`);
+  }
+
+  /* Write pages (page number -> Buffer) in place and fsync the file. Called with the commit lock
+   * held, so the cache can be updated instead of dropped when nobody else wrote the file meanwhile.
+   * skipUnchanged leaves pages that already hold the same bytes alone.
+   */
+  async writePages(file, pages, { skipUnchanged = false } = {}) {
+    const before = await DataFile.version(file);
+    let written = 0;
+
+    const handle = await fs.promises.open(file, before === null ? 'w+' : 'r+');
+    try {
+      for (const [pageNo, data] of pages) {
+        if (skipUnchanged) {
+          const current = Buffer.alloc(data.length);
+          const { bytesRead } = await handle.read(current, 0, data.length, pageNo * data.length);
+          if (bytesRead === data.length && current.equals(data)) continue;
+        }
+        await handle.write(data, 0, data.length, pageNo * data.length);
+        written++;
+      }
+      if (written > 0) {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+    if (before === null) {
+      await DataFile.syncDirectory(path.dirname(file));
+    }
+    if (written === 0) return;
+
+    if (this.versions.get(file) === before) {
+      for (const [pageNo, data] of pages) {
+        this.put(`${file}#${pageNo}`, data);
+      }
+      this.versions.set(file, await DataFile.version(file));
+    } else {
+      this.invalidate(file);
+    }
+  }
+
+  put(key, data) {
+    this.pages.delete(key);
+    this.pages.set(key, data);
+    while (this.pages.size > this.capacity) {
+      this.pages.delete(this.pages.keys().next().value);
+    }
+  }
+
+  invalidate(file) {
+    const prefix = `${file}#`;
+    for (const key of this.pages.keys()) {
+      if (key.startsWith(prefix)) this.pages.delete(key);
+    }
+    this.versions.delete(file);
+    this.generations.set(file, this.generation(file) + 1);
+  }
+
+  /* Changes whenever the file's cached pages are dropped: it was written by another process (as
+   * pageCount or writePages noticed) or removed. What was learnt from its pages before may be stale.
+   */
+  generation(file) {
+    return this.generations.get(file) || 0;
+  }
+
+  // One pool per data directory in this process, shared by every engine using that database
+  static forDirectory(directory) {
+    const key = path.resolve(directory);
+    if (!BufferPool.pools.has(key)) {
+      BufferPool.pools.set(key, new BufferPool());
+    }
+    return BufferPool.pools.get(key);
+  }
+}
+
+// 1024 pages of 8 KB: 8 MB per database
+BufferPool.CAPACITY = 1024;
+BufferPool.pools = new Map();
+
+module.exports = BufferPool;
@@ -0,0 +1,195 @@
+/* The column types a schema may declare, and how values are made to fit them on insert and update.
+ * A value that reads as the column's type is stored as that type, so the string "42" that a web
+ * form sends for an INTEGER column is stored as 42 and compares as a number. A value that doesn't,
+ * or that doesn't fit the type's size, is refused with an error naming the column. NULL fits every
+ * type; whether a column takes it is up to NOT NULL. A blank string is NULL in columns other than
+ * text ones, as that is what an empty form field sends.
+ *
+ *   INTEGER            whole numbers
+ *   NUMBER, DECIMAL    numbers; with (precision[, scale]) rounded to scale digits after the point
+ *   BOOLEAN            true/false, also 1/0, yes/no and on/off (what a checkbox sends)
+ *   VARCHAR, TEXT      text; with (n) at most n characters
+ *   DATE               'YYYY-MM-DD'
+ *   DATETIME           ISO 8601, stored in UTC as '2024-05-01T12:30:00.000Z'; without a zone, UTC
+ *   UUID               stored lowercase
+ *   JSON               objects, arrays and other JSON values, or JSON text (which is parsed)
+ */
+class ColumnTypes {
+  // 'DECIMAL(10,2)' -> { baseType: 'DECIMAL', params: [10, 2] }; throws for a type there isn't
+  static parse(columnType) {
+    const match = typeof columnType === 'string' &&
+      columnType.trim().toUpperCase().match(/^([A-Z_]+)\s*(?:\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\))?$/);
+    const baseType = match && match[1];
+    const params = match ? [match[2], match[3]].filter(param => param !== undefined).map(Number) : [];
+    if (!match || !ColumnTypes.TYPES.includes(baseType)) {
+      throw new Error(`Invalid column type: ${columnType}`);
+    }
+
+    const maxParams = ColumnTypes.PARAMETERS[baseType] || 0;
+    if (params.length > maxParams || params.some(param => param === 0) ||
+        (params.length === 2 && params[1] > params[0])) {
+      throw new Error(`Invalid column type: ${columnType}`);
+    }
+    return { baseType, params };
+  }
+
+  /* value as stored in a column of columnType. Types this version doesn't know (from a schema
+   * written before types were checked) leave values as they are.
+   */
+  static coerce(value, columnType, column) {
+    if (value === null || value === undefined) return value;
+
+    let type;
+    try {
+      type = ColumnTypes.parse(columnType);
+    } catch (error) {
+      return value;
+    }
+    if (typeof value === 'string' && value.trim() === '' && !ColumnTypes.TEXT_TYPES.includes(type.baseType)) {
+      return null;
+    }
+
+    const mismatch = () => {
+      const shown = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : `'${value}'`;
+      return new Error(`Column '${column}' expects ${columnType}, got ${shown}`);
+    };
+
+    switch (type.baseType) {
+      case 'INTEGER': {
+        const number = ColumnTypes.toNumber(value);
+        if (!Number.isSafeInteger(number)) throw mismatch();
+        return number;
+      }
+      case 'NUMBER':
+      case 'DECIMAL': {
+        const number = ColumnTypes.toNumber(value);
+        if (!Number.isFinite(number)) throw mismatch();
+        const [precision, scale = 0] = type.params;
+        if (precision === undefined) return number;
+
+        const rounded = Number(number.toFixed(scale));
+        if (Math.abs(rounded) >= 10 ** (precision - scale)) {
+          throw new Error(`Column '${column}' expects ${columnType}, got ${value}, which has too many digits`);
+        }
+        return rounded;
+      }
+      case 'BOOLEAN': {
+        if (typeof value === 'boolean') return value;
+        const text = typeof value === 'number' || typeof value === 'string' ? String(value).trim().toLowerCase() : null;
+        if (ColumnTypes.TRUE_WORDS.includes(text)) return true;
+        if (ColumnTypes.FALSE_WORDS.includes(text)) return false;
+        throw mismatch();
+      }
+      case 'VARCHAR':
+      case 'TEXT': {
+        if (!['string', 'number', 'boolean'].includes(typeof value)) throw mismatch();
+        const text = String(value);
+        const [length] = type.params;
+        if (length !== undefined && text.length > length) {
+          throw new Error(`Column '${column}' is ${columnType}; the value is ${text.length} characters long`);
+        }
+        return text;
+      }
+      case 'DATE': {
+        const date = value instanceof Date ? value : ColumnTypes.parseDateTime(value, false);
+        if (!date || Number.isNaN(date.getTime())) throw mismatch();
+        return date.toISOString().slice(0, 10);
+      }
+      case 'DATETIME': {
+        const date = value instanceof Date ? value : ColumnTypes.parseDateTime(value, true);
+        if (!date || Number.isNaN(date.getTime())) throw mismatch();
+        return date.toISOString();
+      }
+      case 'UUID': {
+        if (typeof value !== 'string' || !ColumnTypes.UUID_PATTERN.test(value.trim())) throw mismatch();
+        return value.trim().toLowerCase();
+      }
+      // Stored as it reads back from JSON text, so what was written is what later reads get
+      case 'JSON': {
+        if (typeof value === 'string') {
+          try {
+            return JSON.parse(value);
+          } catch (error) {
+            throw new Error(`Column '${column}' expects JSON, got '${value}' (${error.message})`);
+          }
+        }
+        const text = typeof value === 'number' && !Number.isFinite(value) ? undefined : JSON.stringify(value);
+        if (text === undefined) throw mismatch();
+        return JSON.parse(text);
+      }
+      default:
+        return value;
+    }
+  }
+
+  // The columns of row the schema declares, coerced to their types; other columns are kept as they are
+  static coerceRow(row, schema) {
+    const coerced = { ...row };
+    for (const [column, columnInfo] of Object.entries(schema || {})) {
+      if (coerced[column] !== undefined) {
+        coerced[column] = ColumnTypes.coerce(coerced[column], columnInfo.type, column);
+      }
+    }
+    return coerced;
+  }
+
+  /* A value a WHERE clause compares with a column of columnType, as the column would store it, so
+   * quantity = '42' finds the 42 stored for it. A value that wouldn't be stored (not of the type,
+   * too long, blank) is compared as it is, and so matches what it did before.
+   */
+  static coerceOperand(value, columnType) {
+    try {
+      const coerced = ColumnTypes.coerce(value, columnType, '');
+      return coerced === null ? value : coerced;
+    } catch (error) {
+      return value;
+    }
+  }
+
+  // Numbers as written in SQL or a form: no hex, no blank strings, no booleans
+  static toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && ColumnTypes.NUMBER_PATTERN.test(value.trim())) return Number(value);
+    return NaN;
+  }
+
+  /* 'YYYY-MM-DD', and with withTime also 'YYYY-MM-DD[( |T)HH:MM[:SS[.fff]]][Z|+HH:MM]'. A day or time
+   * that doesn't exist (February 30th, 25:00) is null rather than rolled over.
+   */
+  static parseDateTime(value, withTime) {
+    if (typeof value !== 'string') return null;
+    const match = value.trim().match(ColumnTypes.DATETIME_PATTERN);
+    if (!match) return null;
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '', zone] = match;
+    if (!withTime && (match[4] !== undefined || zone)) return null;
+
+    const fields = [year, month - 1, day, hour, minute, second].map(Number);
+    const millis = Math.round(Number(`0.${fraction || 0}`) * 1000);
+    const utc = Date.UTC(...fields, millis);
+    const date = new Date(utc);
+    if (date.getUTCFullYear() !== fields[0] || date.getUTCMonth() !== fields[1] || date.getUTCDate() !== fields[2] ||
+        date.getUTCHours() !== fields[3] || date.getUTCMinutes() !== fields[4] || date.getUTCSeconds() !== fields[5]) {
+      return null;
+    }
+
+    if (zone && zone !== 'Z' && zone !== 'z') {
+      const [, sign, zoneHours, zoneMinutes] = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+      const offset = (Number(zoneHours) * 60 + Number(zoneMinutes)) * 60000;
+      return new Date(sign === '+' ? utc - offset : utc + offset);
+    }
+    return date;
+  }
+}
+
+ColumnTypes.TYPES = ['VARCHAR', 'TEXT', 'NUMBER', 'DECIMAL', 'INTEGER', 'BOOLEAN', 'DATE', 'DATETIME', 'UUID', 'JSON'];
+ColumnTypes.TEXT_TYPES = ['VARCHAR', 'TEXT'];
+// How many numbers a type takes in parentheses
+ColumnTypes.PARAMETERS = { VARCHAR: 1, TEXT: 1, NUMBER: 2, DECIMAL: 2 };
+ColumnTypes.TRUE_WORDS = ['true', '1', 'yes', 'on'];
+ColumnTypes.FALSE_WORDS = ['false', '0', 'no', 'off'];
+ColumnTypes.NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+ColumnTypes.DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+ColumnTypes.UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = ColumnTypes;
@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/* Reads and writes the engine's JSON files (tables, indexes, metadata).
+ * Writes go to a temporary file that is fsynced and then renamed over the target, so a crash
+ * leaves either the old or the new file, never half of one. Each file carries a checksum of
+ * its contents that is verified on load.
+ */
+class DataFile {
+  // Pretty-printed JSON with a "checksum" field; files written before checksums were added have none
+  static serialize(data) {
+    const { checksum, ...contents } = data;
+    return `${JSON.stringify({ checksum: DataFile.checksum(contents), ...contents }, null, 2)}\n`;
+  }
+
+  // Parse and verify serialized contents; the checksum field is not part of the returned data
+  static parse(text, file) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw DataFile.corrupted(file, `invalid JSON (${error.message})`);
+    }
+    if (!data || typeof data !== 'object' || !Object.prototype.hasOwnProperty.call(data, 'checksum')) {
+      return data;
+    }
+
+    const { checksum, ...contents } = data;
+    if (checksum !== DataFile.checksum(contents)) {
+      throw DataFile.corrupted(file, 'checksum mismatch');
+    }
+    return contents;
+  }
+
+  static async read(file) {
+    return DataFile.parse(await fs.readFile(file, 'utf8'), file);
+  }
+
+  static async write(file, contents) {
+    const directory = path.dirname(file);
+    const tempFile = path.join(directory, `.${path.basename(file)}.${process.pid}.tmp`);
+    await fs.ensureDir(directory);
+
+    const handle = await fs.promises.open(tempFile, 'w');
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempFile, file);
+    await DataFile.syncDirectory(directory);
+  }
+
+  static async writeJson(file, data) {
+    await DataFile.write(file, DataFile.serialize(data));
+  }
+
+  // Persist the rename itself; not every platform can open a directory, which is fine to skip
+  static async syncDirectory(directory) {
+    let handle;
+    try {
+      handle = await fs.promises.open(directory, 'r');
+      await handle.sync();
+    } catch (error) {
+      if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL'].includes(error.code)) throw error;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  // Temporary files left by a crash before their rename
+  static async removeTempFiles(directory) {
+    if (!await fs.pathExists(directory)) return;
+    const names = await fs.readdir(directory);
+    for (const name of names.filter(name => name.startsWith('.') && name.endsWith('.tmp'))) {
+      await fs.remove(path.join(directory, name));
+    }
+  }
+
+  // Every write replaces the file by rename (or, for page files, changes its change time), so inode,
+  // change time and size identify a version of it, in any process; null when it doesn't exist
+  static async version(file) {
+    try {
+      return DataFile.versionOf(await fs.stat(file, { bigint: true }));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  static versionOf(stats) {
+    return `${stats.ino}:${stats.ctimeNs}:${stats.size}`;
+  }
+
+  static checksum(contents) {
+    return crypto.createHash('sha256').update(JSON.stringify(contents)).digest('hex');
+  }
+
+  static corrupted(file, reason) {
+    const error = new Error(`Data file '${file}' is corrupted: ${reason}`);
+    error.corrupted = true;
+    return error;
+  }
+}
+
+module.exports = DataFile;
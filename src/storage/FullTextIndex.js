@@ -0,0 +1,81 @@
+const BTreeIndex = require('./BTreeIndex');
+
+/* A FULLTEXT index: an inverted index from the terms of a table's indexed columns (see
+ * TextTokenizer) to the row versions holding them. It is kept in a BTreeIndex in the same
+ * kind of page file as other indexes (indexes/<table>_<index>.btree): its keys are [term] and
+ * an entry's count is how often the term occurs in the row version. The tree's metadata also
+ * counts the row versions indexed, which MATCH ... AGAINST needs to rank rows by relevance.
+ */
+class FullTextIndex {
+  constructor(tree, tokenizer) {
+    this.tree = tree;
+    this.tokenizer = tokenizer;
+  }
+
+  // Replace the file with an index over rows. definition: { tableName, name, columns }
+  static async build({ file, transactions, evaluator, tokenizer, definition, rows }) {
+    const tree = await BTreeIndex.build({
+      file,
+      transactions,
+      evaluator,
+      definition: { ...definition, types: FullTextIndex.KEY_TYPES, unique: false, fulltext: true, documents: rows.length },
+      entries: rows.flatMap(row => FullTextIndex.entriesOf(row, definition.columns, tokenizer))
+    });
+    return new FullTextIndex(tree, tokenizer);
+  }
+
+  // A row version's entries: [[term], rowId, occurrences] for each term of its indexed columns
+  static entriesOf(row, columns, tokenizer) {
+    const counts = tokenizer.termCounts(columns.map(column => row[column]));
+    return Array.from(counts, ([term, count]) => [[term], row.id, count]);
+  }
+
+  get meta() {
+    return this.tree.meta;
+  }
+
+  // Number of row versions indexed
+  get size() {
+    return this.tree.meta.documents;
+  }
+
+  async insertRow(row) {
+    for (const [key, rowId, count] of FullTextIndex.entriesOf(row, this.meta.columns, this.tokenizer)) {
+      await this.tree.insert(key, rowId, count);
+    }
+    this.meta.documents++;
+    await this.tree.writeMeta();
+  }
+
+  // A term the index doesn't hold for the row has drifted from the table; CHECK TABLE reports that
+  async removeRow(row) {
+    for (const [key, rowId, count] of FullTextIndex.entriesOf(row, this.meta.columns, this.tokenizer)) {
+      await this.tree.remove(key, rowId, count);
+    }
+    this.meta.documents = Math.max(this.meta.documents - 1, 0);
+    await this.tree.writeMeta();
+  }
+
+  /* The rows holding any of terms: their ids, and for each term the number of rows holding it
+   * (counting a row once however many of its versions do).
+   */
+  async search(terms) {
+    const rowIds = new Set();
+    const frequencies = new Map();
+    for (const term of terms) {
+      const bound = { key: [term], inclusive: true };
+      const holders = new Set();
+      for await (const { rowId } of this.tree.scan({ lower: bound, upper: bound })) {
+        holders.add(rowId);
+        rowIds.add(rowId);
+      }
+      frequencies.set(term, holders.size);
+    }
+    return { rowIds, frequencies };
+  }
+}
+
+// Terms are ordered as text
+FullTextIndex.KEY_TYPES = ['TEXT'];
+
+module.exports = FullTextIndex;
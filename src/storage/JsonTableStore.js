@@ -0,0 +1,89 @@
+const path = require('path');
+const DataFile = require('./DataFile');
+const SnapshotManager = require('./SnapshotManager');
+
+/* The default table storage: each table is one human-readable JSON file, tables/<name>.json,
+ * holding { rows, groups, sequences }. Every write rewrites the whole file.
+ * Table stores (see also PagedTableStore) read and write through the TransactionManager, so
+ * a transaction sees its own changes and commits them through the write-ahead log.
+ */
+class JsonTableStore {
+  constructor({ tablesDir, transactions }) {
+    this.tablesDir = tablesDir;
+    this.transactions = transactions;
+  }
+
+  tableFile(tableName) {
+    return path.join(this.tablesDir, `${tableName}.json`);
+  }
+
+  async read(tableName) {
+    return await this.transactions.readJson(this.tableFile(tableName));
+  }
+
+  async write(tableName, tableData) {
+    await this.transactions.writeJson(this.tableFile(tableName), tableData);
+  }
+
+  async readSequences(tableName) {
+    return (await this.read(tableName)).sequences || {};
+  }
+
+  // Add one row version (with its group's list and the table's sequences); the file is rewritten all the same
+  async insert(tableName, row, sequences) {
+    const tableData = await this.read(tableName);
+    tableData.rows.push(row);
+    if (row.group) {
+      tableData.groups[row.group] = tableData.groups[row.group] || [];
+      tableData.groups[row.group].push(row.id);
+    }
+    tableData.sequences = sequences;
+    await this.write(tableName, tableData);
+  }
+
+  // Row versions in table order; the file is read whole all the same
+  async *scan(tableName) {
+    yield* (await this.read(tableName)).rows;
+  }
+
+  // Every version of the given rows, in table order
+  async readVersions(tableName, rowIds) {
+    const ids = new Set(rowIds);
+    return (await this.read(tableName)).rows.filter(row => ids.has(row.id));
+  }
+
+  async exists(tableName) {
+    return await this.transactions.exists(this.tableFile(tableName));
+  }
+
+  async drop(tableName) {
+    if (await this.exists(tableName)) {
+      await this.transactions.remove(this.tableFile(tableName));
+    }
+  }
+
+  // Give the versions a transaction wrote its id, once the commit has assigned one
+  stamp(tx) {
+    for (const [file, contents] of tx.writes) {
+      if (contents === null || path.dirname(file) !== this.tablesDir) continue;
+
+      const tableData = DataFile.parse(contents, file);
+      let stamped = false;
+      for (const row of tableData.rows || []) {
+        if (row.createdTx === SnapshotManager.PENDING) {
+          row.createdTx = tx.id;
+          stamped = true;
+        }
+        if (row.deletedTx === SnapshotManager.PENDING) {
+          row.deletedTx = tx.id;
+          stamped = true;
+        }
+      }
+      if (stamped) {
+        tx.writes.set(file, DataFile.serialize(tableData));
+      }
+    }
+  }
+}
+
+module.exports = JsonTableStore;
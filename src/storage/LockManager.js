@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/* Named exclusive locks that work both inside one process and across processes (the web server
+ * and the CLI can open the same database). Inside the process each lock is an async mutex that
+ * its owner may take again (it is reentrant); the first acquisition also creates
+ * locks/<name>.lock, which other processes wait on. A lock file whose process no longer
+ * exists is treated as stale and removed.
+ */
+class LockManager {
+  constructor(lockDir, { timeoutMs = LockManager.TIMEOUT_MS, retryMs = LockManager.RETRY_MS } = {}) {
+    this.lockDir = lockDir;
+    this.timeoutMs = timeoutMs;
+    this.retryMs = retryMs;
+    this.holders = new Map();  // name -> { owner, count }
+    this.waiters = new Map();  // name -> [wake functions]
+  }
+
+  // Wait for the lock and return a function that releases it
+  async acquire(name, owner, description = `'${name}'`) {
+    const deadline = Date.now() + this.timeoutMs;
+    const holder = this.holders.get(name);
+
+    if (holder && holder.owner === owner) {
+      holder.count++;
+      return () => this.release(name, owner);
+    }
+
+    while (this.holders.has(name)) {
+      await this.waitInProcess(name, deadline, description);
+    }
+    this.holders.set(name, { owner, count: 1 });
+
+    try {
+      await this.lockFile(name, deadline, description);
+    } catch (error) {
+      this.holders.delete(name);
+      this.wakeNext(name);
+      throw error;
+    }
+    return () => this.release(name, owner);
+  }
+
+  async release(name, owner) {
+    const holder = this.holders.get(name);
+    if (!holder || holder.owner !== owner) return;
+    if (--holder.count > 0) return;
+
+    await fs.remove(this.lockFilePath(name));
+    this.holders.delete(name);
+    this.wakeNext(name);
+  }
+
+  // Run fn while holding the lock
+  async withLock(name, owner, fn, description) {
+    const release = await this.acquire(name, owner, description);
+    try {
+      return await fn();
+    } finally {
+      await release();
+    }
+  }
+
+  async waitInProcess(name, deadline, description) {
+    await new Promise((resolve, reject) => {
+      const waiters = this.waiters.get(name) || [];
+      this.waiters.set(name, waiters);
+
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(wake), 1);
+        reject(LockManager.timeout(description));
+      }, Math.max(deadline - Date.now(), 0));
+      const wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      waiters.push(wake);
+    });
+  }
+
+  wakeNext(name) {
+    const waiters = this.waiters.get(name);
+    if (waiters && waiters.length > 0) {
+      waiters.shift()();
+    }
+  }
+
+  async lockFile(name, deadline, description) {
+    const file = this.lockFilePath(name);
+    await fs.ensureDir(this.lockDir);
+
+    for (;;) {
+      try {
+        await fs.writeFile(file, JSON.stringify({ pid: process.pid, acquired: new Date().toISOString() }), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Another process holds the file, or it is stale: left by a dead process, or by this one (which holds the mutex)
+      const lock = await this.readLockFile(name);
+      if (lock === null) continue;
+      if (lock.pid === process.pid) {
+        await fs.remove(file);
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw LockManager.timeout(description);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.retryMs));
+    }
+  }
+
+  // Contents of a live lock file, or null (a stale file is removed)
+  async readLockFile(name) {
+    const file = this.lockFilePath(name);
+    let lock;
+    try {
+      lock = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      // Missing, or still being written by its creator
+      return error.code === 'ENOENT' ? null : { pid: null };
+    }
+
+    if (lock.pid !== process.pid && !LockManager.isProcessAlive(lock.pid)) {
+      await fs.remove(file);
+      return null;
+    }
+    return lock;
+  }
+
+  lockFilePath(name) {
+    return path.join(this.lockDir, `${name}.lock`);
+  }
+
+  // One manager per lock directory in this process: lock files only tell processes apart
+  static forDirectory(lockDir) {
+    const key = path.resolve(lockDir);
+    if (!LockManager.managers.has(key)) {
+      LockManager.managers.set(key, new LockManager(key));
+    }
+    return LockManager.managers.get(key);
+  }
+
+  static isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  static timeout(description) {
+    const error = new Error(`Timed out waiting for the lock on ${description}; another transaction is holding it`);
+    error.lockTimeout = true;
+    return error;
+  }
+}
+
+LockManager.TIMEOUT_MS = 10000;
+LockManager.RETRY_MS = 20;
+LockManager.managers = new Map();
+
+module.exports = LockManager;
@@ -0,0 +1,379 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const DataFile = require('./DataFile');
+const SnapshotManager = require('./SnapshotManager');
+const RowRecord = require('./RowRecord');
+
+/* Table storage as an append-only log of rows, chosen per database with the storageFormat setting
+ * (see DatabaseManager.createDatabase). A table is two files:
+ *   tables/<name>.json  descriptor: group names and auto-increment sequences
+ *   tables/<name>.log   a header line, then one JSON line per written row version:
+ *                       {"key":3,"row":{...}} puts a row, {"key":3,"removed":true} removes it
+ * A write only appends the rows that changed, so inserting a row costs one line instead of the
+ * whole table. Each row keeps its key for good; the last line for a key wins. The lines a later
+ * one replaced stay in the file until the table is compacted (COMPACT TABLE, or in the background
+ * as they pile up), which rewrites the log with one line per row under a new header.
+ *
+ * Where each row's latest line is, is kept in memory per log and brought up to date by reading
+ * only what was appended since; a log rewritten meanwhile (its header differs) is read again.
+ */
+class LogTableStore {
+  constructor({ tablesDir, transactions }) {
+    this.tablesDir = tablesDir;
+    this.transactions = transactions;
+    // Table data returned by read() -> key and record of each row, for write() to find what changed
+    this.layouts = new WeakMap();
+    // Log file -> its rows as of the last read (see parseLines)
+    this.logs = new Map();
+  }
+
+  descriptorFile(tableName) {
+    return path.join(this.tablesDir, `${tableName}.json`);
+  }
+
+  logFile(tableName) {
+    return path.join(this.tablesDir, `${tableName}.log`);
+  }
+
+  async read(tableName) {
+    const descriptor = await this.readDescriptor(tableName);
+    const state = await this.readState(tableName);
+
+    const layout = LogTableStore.emptyLayout(descriptor);
+    layout.maxKey = state.maxKey;
+    const rows = [];
+    for (const [key, { source }] of state.records) {
+      const row = RowRecord.toRow(source);
+      rows.push(row);
+      layout.locations.set(row, { key, source });
+    }
+
+    const tableData = { rows, groups: RowRecord.groupLists(rows, layout.groups), sequences: layout.sequences };
+    this.layouts.set(tableData, layout);
+    return tableData;
+  }
+
+  async readDescriptor(tableName) {
+    const descriptor = await this.transactions.readJson(this.descriptorFile(tableName));
+    if (descriptor.format !== 'log') {
+      throw new Error(`Table '${tableName}' is not stored in the log format`);
+    }
+    return descriptor;
+  }
+
+  // The log as the current transaction sees it: what it wrote or appended on top of the file
+  async readState(tableName) {
+    const file = this.logFile(tableName);
+    const staged = await this.transactions.staged(file);
+
+    let state;
+    if (staged && staged.contents !== undefined) {
+      state = LogTableStore.emptyState();
+      if (staged.contents !== null) {
+        LogTableStore.parseLines(state, Buffer.from(staged.contents), 0, file);
+      }
+    } else {
+      state = await this.loadLog(file);
+    }
+    if (!state.header) {
+      throw DataFile.corrupted(file, 'the log has no header');
+    }
+
+    if (staged && staged.appended) {
+      state = { ...state, records: new Map(state.records) };
+      LogTableStore.parseLines(state, Buffer.from(staged.appended), state.parsed, file);
+    }
+    return state;
+  }
+
+  // Read what was appended to the log since it was last read, or all of it if it was rewritten
+  async loadLog(file) {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') throw DataFile.corrupted(file, 'the log is missing');
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      let state = this.logs.get(file);
+      if (state) {
+        const header = Buffer.alloc(state.header.length);
+        const { bytesRead } = await handle.read(header, 0, header.length, 0);
+        if (size < state.parsed || bytesRead < header.length || !header.equals(state.header)) {
+          state = null;
+        }
+      }
+      if (!state) {
+        state = LogTableStore.emptyState();
+        this.logs.delete(file);
+      }
+
+      const data = Buffer.alloc(size - state.parsed);
+      const { bytesRead } = await handle.read(data, 0, data.length, state.parsed);
+      try {
+        LogTableStore.parseLines(state, data.subarray(0, bytesRead), state.parsed, file);
+      } catch (error) {
+        this.logs.delete(file);
+        throw error;
+      }
+      if (state.header) {
+        this.logs.set(file, state);
+      }
+      return state;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async write(tableName, tableData) {
+    const layout = this.layouts.get(tableData) || await this.currentLayout(tableName);
+    const file = this.logFile(tableName);
+
+    // A new table starts its log; an existing one only gets the rows that changed
+    if (layout.descriptor === null) {
+      await this.transactions.writeText(file, LogTableStore.headerLine());
+    }
+
+    let text = '';
+    const locations = new Map();
+    for (const row of tableData.rows) {
+      const location = layout.locations.get(row);
+      let key;
+      if (location && !locations.has(row)) {
+        if (RowRecord.isUnchanged(row, location.source)) {
+          locations.set(row, location);
+          continue;
+        }
+        key = location.key;
+      } else {
+        key = ++layout.maxKey;
+      }
+      text += LogTableStore.putLine(key, row);
+      locations.set(row, { key, source: RowRecord.fromRow(row) });
+    }
+    for (const [row, { key }] of layout.locations) {
+      if (!locations.has(row)) text += LogTableStore.removeLine(key);
+    }
+    layout.locations = locations;
+
+    if (text) {
+      await this.transactions.appendText(file, text);
+    }
+
+    // The descriptor only changes with groups and sequences
+    const descriptor = LogTableStore.describe({
+      groups: Object.keys(tableData.groups || {}),
+      sequences: tableData.sequences || {}
+    });
+    if (JSON.stringify(descriptor) !== layout.descriptor) {
+      await this.transactions.writeJson(this.descriptorFile(tableName), descriptor);
+      layout.descriptor = JSON.stringify(descriptor);
+    }
+  }
+
+  async readSequences(tableName) {
+    return (await this.readDescriptor(tableName)).sequences || {};
+  }
+
+  // Append one row version under a new key, without reading the other rows
+  async insert(tableName, row, sequences) {
+    const descriptor = await this.readDescriptor(tableName);
+    const state = await this.readState(tableName);
+    await this.transactions.appendText(this.logFile(tableName), LogTableStore.putLine(state.maxKey + 1, row));
+
+    const groups = descriptor.groups || [];
+    const updated = LogTableStore.describe({
+      groups: row.group && !groups.includes(row.group) ? [...groups, row.group] : groups,
+      sequences
+    });
+    if (JSON.stringify(updated) !== JSON.stringify(LogTableStore.describe(descriptor))) {
+      await this.transactions.writeJson(this.descriptorFile(tableName), updated);
+    }
+  }
+
+  // Row versions in table order
+  async *scan(tableName) {
+    await this.readDescriptor(tableName);
+    const state = await this.readState(tableName);
+    for (const { source } of state.records.values()) {
+      yield RowRecord.toRow(source);
+    }
+  }
+
+  // Every version of the given rows, in table order
+  async readVersions(tableName, rowIds) {
+    await this.readDescriptor(tableName);
+    const state = await this.readState(tableName);
+    const ids = new Set(rowIds);
+    const rows = [];
+    for (const { source } of state.records.values()) {
+      if (ids.has(source.columns.id)) rows.push(RowRecord.toRow(source));
+    }
+    return rows;
+  }
+
+  // Layout of the table as stored, for table data that wasn't read from it (a new table)
+  async currentLayout(tableName) {
+    if (await this.exists(tableName)) {
+      const tableData = await this.read(tableName);
+      return this.layouts.get(tableData);
+    }
+    return { ...LogTableStore.emptyLayout({}), descriptor: null };
+  }
+
+  /* Rewrite the log with one line per row, dropping the lines later ones replaced. Returns the
+   * log's size before and after; a log with nothing to reclaim is left alone.
+   */
+  async compact(tableName) {
+    await this.readDescriptor(tableName);
+    const state = await this.readState(tableName);
+
+    let text = LogTableStore.headerLine();
+    for (const [key, { source }] of state.records) {
+      text += LogTableStore.putLine(key, RowRecord.toRow(source));
+    }
+
+    const bytesBefore = state.parsed;
+    const bytesAfter = Buffer.byteLength(text);
+    if (bytesAfter >= bytesBefore) {
+      return { bytesBefore, bytesAfter: bytesBefore, reclaimedBytes: 0 };
+    }
+    await this.transactions.writeText(this.logFile(tableName), text);
+    return { bytesBefore, bytesAfter, reclaimedBytes: bytesBefore - bytesAfter };
+  }
+
+  // How much of the log compaction would reclaim: lines a later one replaced, and removals
+  async stats(tableName) {
+    await this.readDescriptor(tableName);
+    const state = await this.readState(tableName);
+    const liveBytes = state.header.length + state.liveBytes;
+    return {
+      format: 'log',
+      rows: state.records.size,
+      bytes: state.parsed,
+      liveBytes,
+      garbageBytes: state.parsed - liveBytes
+    };
+  }
+
+  async exists(tableName) {
+    return await this.transactions.exists(this.descriptorFile(tableName));
+  }
+
+  async drop(tableName) {
+    if (!await this.exists(tableName)) return;
+    for (const file of [this.descriptorFile(tableName), this.logFile(tableName)]) {
+      await this.transactions.remove(file);
+    }
+  }
+
+  // Give the versions a transaction wrote its id, in its staged lines, once the commit has assigned one
+  stamp(tx) {
+    for (const [file, texts] of tx.appends) {
+      if (this.isLogFile(file)) {
+        tx.appends.set(file, texts.map(text => LogTableStore.stampLines(text, tx.id)));
+      }
+    }
+    for (const [file, contents] of tx.writes) {
+      if (contents !== null && this.isLogFile(file)) {
+        tx.writes.set(file, LogTableStore.stampLines(contents, tx.id));
+      }
+    }
+  }
+
+  isLogFile(file) {
+    return path.dirname(file) === this.tablesDir && path.extname(file) === '.log';
+  }
+
+  static describe({ groups = [], sequences = {} }) {
+    return { format: 'log', groups, sequences };
+  }
+
+  static emptyLayout(descriptor) {
+    return {
+      groups: descriptor.groups || [],
+      sequences: descriptor.sequences || {},
+      descriptor: JSON.stringify(LogTableStore.describe(descriptor)),
+      locations: new Map(),
+      maxKey: 0
+    };
+  }
+
+  /* What a log holds: its header line, how far it was read (the end of its last complete line),
+   * the latest record of each row by key and the bytes of those lines.
+   */
+  static emptyState() {
+    return { header: null, parsed: 0, records: new Map(), maxKey: 0, liveBytes: 0 };
+  }
+
+  /* Apply the complete lines of data, which starts at byte offset of the log. A line without its
+   * newline was cut short by a crash, or is still being appended by another process; it is left
+   * for the next read. A complete line that isn't JSON means the log is corrupted.
+   */
+  static parseLines(state, data, offset, file) {
+    let start = 0;
+    for (let end = data.indexOf(0x0a); end !== -1; start = end + 1, end = data.indexOf(0x0a, start)) {
+      const lineOffset = offset + start;
+      const length = end + 1 - start;
+      let line;
+      try {
+        line = JSON.parse(data.toString('utf8', start, end));
+      } catch (error) {
+        throw DataFile.corrupted(file, `invalid line at byte ${lineOffset} (${error.message})`);
+      }
+
+      if (lineOffset === 0) {
+        if (!line || line.format !== 'log') {
+          throw DataFile.corrupted(file, 'the log has no header');
+        }
+        state.header = Buffer.from(data.subarray(start, end + 1));
+      } else {
+        const previous = state.records.get(line.key);
+        if (previous) {
+          state.liveBytes -= previous.length;
+        }
+        if (line.removed) {
+          state.records.delete(line.key);
+        } else {
+          state.records.set(line.key, { length, source: RowRecord.fromRow(line.row) });
+          state.liveBytes += length;
+        }
+        state.maxKey = Math.max(state.maxKey, line.key);
+      }
+      state.parsed = lineOffset + length;
+    }
+  }
+
+  // A new generation of the log, so cached reads of the one it replaces are noticed
+  static headerLine() {
+    return `${JSON.stringify({ format: 'log', generation: crypto.randomBytes(8).toString('hex') })}\n`;
+  }
+
+  static putLine(key, row) {
+    return `${JSON.stringify({ key, row })}\n`;
+  }
+
+  static removeLine(key) {
+    return `${JSON.stringify({ key, removed: true })}\n`;
+  }
+
+  static stampLines(text, transactionId) {
+    const pending = JSON.stringify(SnapshotManager.PENDING);
+    if (!text.includes(pending)) return text;
+
+    return text.split('\n').map(line => {
+      if (!line.includes(pending)) return line;
+      const record = JSON.parse(line);
+      if (!record.row) return line;
+      if (record.row.createdTx === SnapshotManager.PENDING) record.row.createdTx = transactionId;
+      if (record.row.deletedTx === SnapshotManager.PENDING) record.row.deletedTx = transactionId;
+      return JSON.stringify(record);
+    }).join('\n');
+  }
+}
+
+module.exports = LogTableStore;
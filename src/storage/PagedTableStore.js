@@ -0,0 +1,520 @@
+const path = require('path');
+const crypto = require('crypto');
+const DataFile = require('./DataFile');
+const SnapshotManager = require('./SnapshotManager');
+const RowRecord = require('./RowRecord');
+
+/* Binary table storage in fixed-size pages, chosen per database with the storageFormat setting
+ * (see DatabaseManager.createDatabase). A table is three files:
+ *   tables/<name>.json   descriptor: page size, group names and auto-increment sequences
+ *   tables/<name>.pages  data pages, each holding whole rows
+ *   tables/<name>.fsm    free-space map: one byte per data page, its free space in 1/256ths
+ * A write only stages the pages whose rows changed (and the map pages that describe them), and
+ * insert() adds a row without reading the others, so inserting costs a page or two instead of the
+ * whole table. Pages are read through the
+ * BufferPool and written by commits, through the write-ahead log.
+ *
+ * Data page: 4-byte checksum, 2-byte record count, 4-byte end of records at offset 8, then the
+ * records from HEADER_SIZE on. Record: payload length, createdTx and deletedTx (4 bytes each, 0
+ * for none, PENDING_TX until the commit stamps its id) and the row's columns as JSON.
+ * A row stays in its page for good: new and moved rows go to the first page the free-space map
+ * says has room, or to a new page at the end, so rows come back in page order, not insertion order.
+ */
+class PagedTableStore {
+  constructor({ tablesDir, transactions, pageSize = PagedTableStore.PAGE_SIZE }) {
+    this.tablesDir = tablesDir;
+    this.transactions = transactions;
+    this.pageSize = PagedTableStore.validatePageSize(pageSize);
+    // Table data returned by read() -> where its rows are, for write() to find what changed
+    this.layouts = new WeakMap();
+    // Pages whose checksum has been verified, and their decoded records; the buffer pool shares pages between reads
+    this.verified = new WeakSet();
+    this.decoded = new WeakMap();
+  }
+
+  descriptorFile(tableName) {
+    return path.join(this.tablesDir, `${tableName}.json`);
+  }
+
+  pagesFile(tableName) {
+    return path.join(this.tablesDir, `${tableName}.pages`);
+  }
+
+  freeSpaceFile(tableName) {
+    return path.join(this.tablesDir, `${tableName}.fsm`);
+  }
+
+  async read(tableName) {
+    const layout = await this.readLayout(tableName, await this.readDescriptor(tableName));
+    const rows = [];
+    for (const entries of layout.pages) {
+      for (const entry of entries) rows.push(entry.row);
+    }
+
+    const tableData = { rows, groups: RowRecord.groupLists(rows, layout.groups), sequences: layout.sequences };
+    this.layouts.set(tableData, layout);
+    return tableData;
+  }
+
+  async readDescriptor(tableName) {
+    const descriptor = await this.transactions.readJson(this.descriptorFile(tableName));
+    if (descriptor.format !== 'paged') {
+      throw new Error(`Table '${tableName}' is not stored in the paged format`);
+    }
+    return descriptor;
+  }
+
+  async readLayout(tableName, descriptor) {
+    const { pageSize } = descriptor;
+    const file = this.pagesFile(tableName);
+    const layout = {
+      pageSize,
+      groups: descriptor.groups || [],
+      sequences: descriptor.sequences || {},
+      descriptor: JSON.stringify(PagedTableStore.describe(descriptor)),
+      pages: [],
+      locations: new Map()
+    };
+
+    const pageCount = await this.transactions.pageCount(file, pageSize);
+    // Pages a transaction staged may yet be rolled back, so only the table as stored says where its rows are
+    const staged = await this.transactions.staged(file);
+    const rowPages = staged && staged.pages ? null : new Map();
+    for (let pageNo = 0; pageNo < pageCount; pageNo++) {
+      const page = await this.readDataPage(file, pageNo, pageSize);
+
+      // Callers get rows of their own; the decoded records stay as they were, to compare against in write()
+      const entries = this.decodedPage(page).map(source => ({ row: RowRecord.toRow(source), bytes: source.bytes, source }));
+      layout.pages.push(entries);
+      entries.forEach((entry, slot) => layout.locations.set(entry.row, { page: pageNo, slot, entry }));
+      if (rowPages) PagedTableStore.addRowPages(rowPages, pageNo, entries);
+    }
+    if (rowPages) {
+      PagedTableStore.rowPages.set(path.resolve(file), { generation: this.transactions.pageGeneration(file), rowPages });
+    }
+    return layout;
+  }
+
+  decodedPage(page) {
+    if (!this.decoded.has(page)) {
+      this.decoded.set(page, PagedTableStore.decodePage(page));
+    }
+    return this.decoded.get(page);
+  }
+
+  // Row id -> pages holding its versions, when known for the file as it is now (see PagedTableStore.rowPages)
+  knownRowPages(file) {
+    const known = PagedTableStore.rowPages.get(path.resolve(file));
+    return known && known.generation === this.transactions.pageGeneration(file) ? known.rowPages : null;
+  }
+
+  // Note that the entries' rows are on a page just written
+  notePages(file, pageNo, entries) {
+    const rowPages = this.knownRowPages(file);
+    if (rowPages) PagedTableStore.addRowPages(rowPages, pageNo, entries);
+  }
+
+  async readDataPage(file, pageNo, pageSize) {
+    for (let attempt = 1; ; attempt++) {
+      const page = await this.transactions.readPage(file, pageNo, pageSize);
+      if (page && this.isIntact(page)) return page;
+
+      // Most likely read while another process was writing it
+      this.transactions.evictPage(file, pageNo);
+      if (attempt >= PagedTableStore.MAX_READ_ATTEMPTS) {
+        throw DataFile.corrupted(file, `page ${pageNo} failed its checksum`);
+      }
+      await new Promise(resolve => setTimeout(resolve, PagedTableStore.RETRY_MS));
+    }
+  }
+
+  isIntact(page) {
+    if (this.verified.has(page)) return true;
+    // A page that was never written is all zeros
+    if (page.readUInt32LE(0) !== PagedTableStore.checksum(page) && page.some(byte => byte !== 0)) return false;
+    this.verified.add(page);
+    return true;
+  }
+
+  async write(tableName, tableData) {
+    const layout = this.layouts.get(tableData) || await this.currentLayout(tableName);
+    const { pageSize } = layout;
+    const capacity = pageSize - PagedTableStore.HEADER_SIZE;
+
+    // Pages being changed get a copy of their entries; null marks a removed record
+    const pages = layout.pages.slice();
+    const changed = new Set();
+    const edit = pageNo => {
+      if (!changed.has(pageNo)) {
+        pages[pageNo] = pages[pageNo].slice();
+        changed.add(pageNo);
+      }
+      return pages[pageNo];
+    };
+
+    const kept = new Set();
+    const unplaced = [];
+    for (const row of tableData.rows) {
+      const location = layout.locations.get(row);
+      if (!location || kept.has(row)) {
+        unplaced.push(row);
+        continue;
+      }
+      kept.add(row);
+      if (!RowRecord.isUnchanged(row, location.entry.source)) {
+        edit(location.page)[location.slot] = PagedTableStore.entryOf(row, pageSize);
+      }
+    }
+    for (const [row, location] of layout.locations) {
+      if (!kept.has(row)) edit(location.page)[location.slot] = null;
+    }
+
+    // A row that grew too big for its page moves to another one
+    for (const pageNo of changed) {
+      const entries = pages[pageNo];
+      let used = PagedTableStore.usedBytes(entries);
+      for (let slot = 0; used > capacity && slot < entries.length; slot++) {
+        const entry = entries[slot];
+        if (!entry || entry === layout.pages[pageNo][slot]) continue;
+        entries[slot] = null;
+        used -= entry.bytes.length;
+        unplaced.push(entry.row);
+      }
+    }
+
+    let freeSpace = await this.readFreeSpaceMap(tableName, pages.length, pageSize);
+    const freeSpaceBefore = Buffer.from(freeSpace);
+    const used = new Map();
+    const usedBytes = pageNo => {
+      if (!used.has(pageNo)) used.set(pageNo, PagedTableStore.usedBytes(pages[pageNo]));
+      return used.get(pageNo);
+    };
+    for (const pageNo of changed) {
+      freeSpace[pageNo] = PagedTableStore.freeSpaceCategory(capacity - usedBytes(pageNo), pageSize);
+    }
+
+    for (const row of unplaced) {
+      const entry = PagedTableStore.entryOf(row, pageSize);
+      const { bytes } = entry;
+      let target = -1;
+      for (let pageNo = 0; pageNo < pages.length; pageNo++) {
+        // The map rounds down, so a page it vouches for has room; it is checked anyway
+        if (freeSpace[pageNo] * pageSize / 256 >= bytes.length && capacity - usedBytes(pageNo) >= bytes.length) {
+          target = pageNo;
+          break;
+        }
+      }
+      if (target === -1) {
+        target = pages.length;
+        pages.push([]);
+        if (freeSpace.length <= target) {
+          freeSpace = Buffer.concat([freeSpace, Buffer.alloc(pageSize)]);
+        }
+      }
+
+      used.set(target, usedBytes(target) + bytes.length);
+      edit(target).push(entry);
+      freeSpace[target] = PagedTableStore.freeSpaceCategory(capacity - usedBytes(target), pageSize);
+    }
+
+    const file = this.pagesFile(tableName);
+    for (const pageNo of Array.from(changed).sort((a, b) => a - b)) {
+      for (const entry of layout.pages[pageNo] || []) layout.locations.delete(entry.row);
+
+      const entries = pages[pageNo].filter(Boolean);
+      await this.transactions.writePage(file, pageNo, PagedTableStore.encodePage(entries, pageSize));
+      layout.pages[pageNo] = entries;
+      entries.forEach((entry, slot) => layout.locations.set(entry.row, { page: pageNo, slot, entry }));
+      this.notePages(file, pageNo, entries);
+    }
+
+    await this.writeFreeSpaceMap(tableName, freeSpace, freeSpaceBefore, pageSize);
+
+    // The descriptor only changes with groups and sequences
+    const descriptor = PagedTableStore.describe({
+      pageSize,
+      groups: Object.keys(tableData.groups || {}),
+      sequences: tableData.sequences || {}
+    });
+    if (JSON.stringify(descriptor) !== layout.descriptor) {
+      await this.transactions.writeJson(this.descriptorFile(tableName), descriptor);
+      layout.descriptor = JSON.stringify(descriptor);
+    }
+  }
+
+  async readSequences(tableName) {
+    return (await this.readDescriptor(tableName)).sequences || {};
+  }
+
+  /* Add one row version without reading the other rows: it goes to the first page the free-space
+   * map says has room, or a new page at the end, so only that page and its map page are written.
+   */
+  async insert(tableName, row, sequences) {
+    const descriptor = await this.readDescriptor(tableName);
+    const { pageSize } = descriptor;
+    const capacity = pageSize - PagedTableStore.HEADER_SIZE;
+    const entry = PagedTableStore.entryOf(row, pageSize);
+    const { bytes } = entry;
+
+    const file = this.pagesFile(tableName);
+    const pageCount = await this.transactions.pageCount(file, pageSize);
+    let freeSpace = await this.readFreeSpaceMap(tableName, pageCount, pageSize);
+    const freeSpaceBefore = Buffer.from(freeSpace);
+
+    let target = pageCount;
+    let entries = [];
+    for (let pageNo = 0; pageNo < pageCount; pageNo++) {
+      if (freeSpace[pageNo] * pageSize / 256 < bytes.length) continue;
+      const sources = this.decodedPage(await this.readDataPage(file, pageNo, pageSize));
+      if (capacity - PagedTableStore.usedBytes(sources) >= bytes.length) {
+        target = pageNo;
+        entries = sources;
+        break;
+      }
+    }
+    if (freeSpace.length <= target) {
+      freeSpace = Buffer.concat([freeSpace, Buffer.alloc(pageSize)]);
+    }
+
+    entries = [...entries, entry];
+    await this.transactions.writePage(file, target, PagedTableStore.encodePage(entries, pageSize));
+    freeSpace[target] = PagedTableStore.freeSpaceCategory(capacity - PagedTableStore.usedBytes(entries), pageSize);
+    await this.writeFreeSpaceMap(tableName, freeSpace, freeSpaceBefore, pageSize);
+    this.notePages(file, target, [entry]);
+
+    const groups = descriptor.groups || [];
+    const updated = PagedTableStore.describe({
+      pageSize,
+      groups: row.group && !groups.includes(row.group) ? [...groups, row.group] : groups,
+      sequences
+    });
+    if (JSON.stringify(updated) !== JSON.stringify(PagedTableStore.describe(descriptor))) {
+      await this.transactions.writeJson(this.descriptorFile(tableName), updated);
+    }
+  }
+
+  // Row versions in table order, read a page at a time, so a caller that stops early reads no further
+  async *scan(tableName) {
+    const { pageSize } = await this.readDescriptor(tableName);
+    const file = this.pagesFile(tableName);
+    const pageCount = await this.transactions.pageCount(file, pageSize);
+    for (let pageNo = 0; pageNo < pageCount; pageNo++) {
+      for (const source of this.decodedPage(await this.readDataPage(file, pageNo, pageSize))) {
+        yield RowRecord.toRow(source);
+      }
+    }
+  }
+
+  /* Every version of the given rows, in table order. Only the pages holding them are read when this
+   * process knows which those are; otherwise the whole table is, which tells it for next time.
+   */
+  async readVersions(tableName, rowIds) {
+    const { pageSize } = await this.readDescriptor(tableName);
+    const file = this.pagesFile(tableName);
+    const ids = new Set(rowIds);
+    // Counting the pages first notices another process's writes, which make what is known stale
+    const pageCount = await this.transactions.pageCount(file, pageSize);
+    const rowPages = this.knownRowPages(file) || new Map();
+
+    const pageNos = new Set();
+    for (const id of ids) {
+      for (const pageNo of rowPages.get(id) || []) pageNos.add(pageNo);
+    }
+
+    const rows = [];
+    const found = new Set();
+    for (const pageNo of Array.from(pageNos).sort((a, b) => a - b)) {
+      if (pageNo >= pageCount) continue;
+      for (const source of this.decodedPage(await this.readDataPage(file, pageNo, pageSize))) {
+        if (!ids.has(source.columns.id)) continue;
+        rows.push(RowRecord.toRow(source));
+        found.add(source.columns.id);
+      }
+    }
+    if (found.size === ids.size) return rows;
+
+    return (await this.read(tableName)).rows.filter(row => ids.has(row.id));
+  }
+
+  // Layout of the table as stored, for table data that wasn't read from it (a new table)
+  async currentLayout(tableName) {
+    if (await this.exists(tableName)) {
+      return await this.readLayout(tableName, await this.readDescriptor(tableName));
+    }
+    return { pageSize: this.pageSize, groups: [], sequences: {}, descriptor: null, pages: [], locations: new Map() };
+  }
+
+  // One byte per data page, read from the map's own pages; pages it doesn't cover count as full
+  async readFreeSpaceMap(tableName, pageCount, pageSize) {
+    const file = this.freeSpaceFile(tableName);
+    const mapPages = Math.ceil(pageCount / pageSize);
+    const freeSpace = Buffer.alloc(mapPages * pageSize);
+
+    const storedPages = Math.min(mapPages, await this.transactions.pageCount(file, pageSize));
+    for (let pageNo = 0; pageNo < storedPages; pageNo++) {
+      const page = await this.transactions.readPage(file, pageNo, pageSize);
+      if (page) page.copy(freeSpace, pageNo * pageSize);
+    }
+    return freeSpace;
+  }
+
+  // Write the map pages whose bytes changed
+  async writeFreeSpaceMap(tableName, freeSpace, freeSpaceBefore, pageSize) {
+    const file = this.freeSpaceFile(tableName);
+    for (let offset = 0; offset < freeSpace.length; offset += pageSize) {
+      const page = freeSpace.subarray(offset, offset + pageSize);
+      if (offset >= freeSpaceBefore.length || !page.equals(freeSpaceBefore.subarray(offset, offset + pageSize))) {
+        await this.transactions.writePage(file, offset / pageSize, Buffer.from(page));
+      }
+    }
+  }
+
+  async exists(tableName) {
+    return await this.transactions.exists(this.descriptorFile(tableName));
+  }
+
+  async drop(tableName) {
+    if (!await this.exists(tableName)) return;
+    for (const file of [this.descriptorFile(tableName), this.pagesFile(tableName), this.freeSpaceFile(tableName)]) {
+      await this.transactions.remove(file);
+    }
+  }
+
+  // Give the versions a transaction wrote its id, in its staged pages, once the commit has assigned one
+  stamp(tx) {
+    for (const [file, pages] of tx.pages) {
+      if (path.dirname(file) !== this.tablesDir || path.extname(file) !== '.pages') continue;
+
+      for (const page of pages.values()) {
+        let stamped = false;
+        let offset = PagedTableStore.HEADER_SIZE;
+        for (let record = page.readUInt16LE(4); record > 0; record--) {
+          for (const field of [offset + 4, offset + 8]) {
+            if (page.readUInt32LE(field) === PagedTableStore.PENDING_TX) {
+              page.writeUInt32LE(tx.id, field);
+              stamped = true;
+            }
+          }
+          offset += PagedTableStore.RECORD_HEADER_SIZE + page.readUInt32LE(offset);
+        }
+        if (stamped) {
+          page.writeUInt32LE(PagedTableStore.checksum(page), 0);
+        }
+      }
+    }
+  }
+
+  static addRowPages(rowPages, pageNo, entries) {
+    for (const { row } of entries) {
+      if (!rowPages.has(row.id)) rowPages.set(row.id, new Set());
+      rowPages.get(row.id).add(pageNo);
+    }
+  }
+
+  static describe({ pageSize, groups = [], sequences = {} }) {
+    return { format: 'paged', pageSize, groups, sequences };
+  }
+
+  // Records of a page as RowRecords, with their bytes
+  static decodePage(page) {
+    const sources = [];
+    let offset = PagedTableStore.HEADER_SIZE;
+    for (let record = page.readUInt16LE(4); record > 0; record--) {
+      const length = page.readUInt32LE(offset);
+      const end = offset + PagedTableStore.RECORD_HEADER_SIZE + length;
+      sources.push({
+        ...RowRecord.of(
+          JSON.parse(page.toString('utf8', offset + PagedTableStore.RECORD_HEADER_SIZE, end)),
+          PagedTableStore.decodeTransactionId(page.readUInt32LE(offset + 4)),
+          PagedTableStore.decodeTransactionId(page.readUInt32LE(offset + 8))
+        ),
+        bytes: page.subarray(offset, end)
+      });
+      offset = end;
+    }
+    return sources;
+  }
+
+  // A page entry for a new or changed row
+  static entryOf(row, pageSize) {
+    return { row, bytes: PagedTableStore.encodeRecord(row, pageSize), source: RowRecord.fromRow(row) };
+  }
+
+  static encodePage(entries, pageSize) {
+    const page = Buffer.alloc(pageSize);
+    let offset = PagedTableStore.HEADER_SIZE;
+    for (const { bytes } of entries) {
+      bytes.copy(page, offset);
+      offset += bytes.length;
+    }
+    page.writeUInt16LE(entries.length, 4);
+    page.writeUInt32LE(offset, 8);
+    page.writeUInt32LE(PagedTableStore.checksum(page), 0);
+    return page;
+  }
+
+  static encodeRecord(row, pageSize) {
+    const payload = Buffer.from(JSON.stringify(SnapshotManager.withoutVersion(row)), 'utf8');
+    const size = PagedTableStore.RECORD_HEADER_SIZE + payload.length;
+    if (size > pageSize - PagedTableStore.HEADER_SIZE) {
+      throw new Error(`Row is too large for a ${pageSize} byte page (${size} bytes)`);
+    }
+
+    const record = Buffer.alloc(size);
+    record.writeUInt32LE(payload.length, 0);
+    record.writeUInt32LE(PagedTableStore.encodeTransactionId(row.createdTx), 4);
+    record.writeUInt32LE(PagedTableStore.encodeTransactionId(row.deletedTx), 8);
+    payload.copy(record, PagedTableStore.RECORD_HEADER_SIZE);
+    return record;
+  }
+
+  static encodeTransactionId(transactionId) {
+    if (transactionId === undefined) return 0;
+    return transactionId === SnapshotManager.PENDING ? PagedTableStore.PENDING_TX : transactionId;
+  }
+
+  static decodeTransactionId(value) {
+    if (value === 0) return undefined;
+    return value === PagedTableStore.PENDING_TX ? SnapshotManager.PENDING : value;
+  }
+
+  static usedBytes(entries) {
+    return entries.reduce((sum, entry) => sum + (entry ? entry.bytes.length : 0), 0);
+  }
+
+  static freeSpaceCategory(freeBytes, pageSize) {
+    return Math.min(255, Math.floor(freeBytes * 256 / pageSize));
+  }
+
+  static checksum(page) {
+    return crypto.createHash('sha256').update(page.subarray(4)).digest().readUInt32LE(0);
+  }
+
+  static validatePageSize(pageSize) {
+    const size = Number(pageSize);
+    if (!Number.isInteger(size) || size < PagedTableStore.MIN_PAGE_SIZE || size > PagedTableStore.MAX_PAGE_SIZE || (size & (size - 1)) !== 0) {
+      throw new Error(`Page size must be a power of two between ${PagedTableStore.MIN_PAGE_SIZE} and ${PagedTableStore.MAX_PAGE_SIZE} bytes`);
+    }
+    return size;
+  }
+}
+
+PagedTableStore.PAGE_SIZE = 8192;
+PagedTableStore.MIN_PAGE_SIZE = 1024;
+PagedTableStore.MAX_PAGE_SIZE = 65536;
+PagedTableStore.HEADER_SIZE = 16;
+PagedTableStore.RECORD_HEADER_SIZE = 12;
+// Stands in for SnapshotManager.PENDING in a record header
+PagedTableStore.PENDING_TX = 0xFFFFFFFF;
+// A page failing its checksum is read again a few times before it is reported as corrupted
+PagedTableStore.MAX_READ_ATTEMPTS = 3;
+PagedTableStore.RETRY_MS = 20;
+/* Pages file -> { generation, rowPages }: the pages each row's versions are on, learnt by reading
+ * the whole table and kept up to date by this process's writes, which may only add pages (a
+ * rolled back write leaves a page listed that doesn't hold the row; readVersions just finds
+ * nothing there). Shared by every store in the process, as the buffer pool is; the buffer pool's
+ * generation of the file tells when another process wrote it and this went stale.
+ */
+PagedTableStore.rowPages = new Map();
+
+module.exports = PagedTableStore;
@@ -0,0 +1,49 @@
+const SnapshotManager = require('./SnapshotManager');
+
+/* A row as a table store decoded it: its columns, without the version columns, and its versions.
+ * Stores that write only the rows that changed (PagedTableStore, LogTableStore) keep the record a
+ * row was read from and hand out copies, so a write can tell which rows a statement changed.
+ */
+class RowRecord {
+  static of(columns, createdTx, deletedTx) {
+    return { columns, count: Object.keys(columns).length, createdTx, deletedTx };
+  }
+
+  static fromRow(row) {
+    return RowRecord.of(SnapshotManager.withoutVersion(row), row.createdTx, row.deletedTx);
+  }
+
+  // A fresh row for callers to change as they like
+  static toRow({ columns, createdTx, deletedTx }) {
+    const row = { ...columns };
+    if (createdTx !== undefined) row.createdTx = createdTx;
+    if (deletedTx !== undefined) row.deletedTx = deletedTx;
+    return row;
+  }
+
+  // Whether a row still holds what it was read as; much cheaper than encoding it again
+  static isUnchanged(row, record) {
+    if (row.createdTx !== record.createdTx || row.deletedTx !== record.deletedTx) return false;
+
+    let count = 0;
+    for (const key in row) {
+      if (key === 'createdTx' || key === 'deletedTx') continue;
+      if (row[key] !== record.columns[key]) return false;
+      count++;
+    }
+    return count === record.count;
+  }
+
+  // These stores derive group lists from the rows' group column instead of storing them
+  static groupLists(rows, names) {
+    const groups = {};
+    for (const name of names) groups[name] = new Set();
+    for (const row of rows) {
+      if (row.group && groups[row.group]) groups[row.group].add(row.id);
+    }
+    for (const name of names) groups[name] = Array.from(groups[name]);
+    return groups;
+  }
+}
+
+module.exports = RowRecord;
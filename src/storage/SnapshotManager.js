@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+const LockManager = require('./LockManager');
+
+/* Snapshots for readers (multi-version concurrency control).
+ * Every row version records the transaction that created it (createdTx) and, once it is deleted
+ * or replaced by an update, the transaction that did so (deletedTx). A snapshot is the id of
+ * the last commit when a read started: it sees the versions created up to that commit and not
+ * yet deleted by then, so writers never have to wait for readers.
+ * Deleted versions stay in the table file until vacuum removes the ones that no live snapshot
+ * can see. Each process publishes its oldest snapshot in snapshots/<pid>.json so that a vacuum
+ * in another process (the web server and the CLI share a database) keeps what it still needs.
+ */
+class SnapshotManager {
+  constructor(snapshotDir) {
+    this.snapshotDir = snapshotDir;
+    this.snapshots = new Set();
+    this.published = null;
+    this.publishing = Promise.resolve();
+  }
+
+  /* Start a snapshot of the latest commit; readLastTransactionId returns the id of the last commit.
+   * The id is read again once the snapshot is published, so a vacuum that missed the snapshot
+   * can only have removed versions that were deleted before it.
+   */
+  async open(readLastTransactionId) {
+    const snapshot = { transactionId: await readLastTransactionId() };
+    this.snapshots.add(snapshot);
+    try {
+      await this.publish();
+      snapshot.transactionId = await readLastTransactionId();
+    } catch (error) {
+      await this.close(snapshot);
+      throw error;
+    }
+    return snapshot;
+  }
+
+  async close(snapshot) {
+    this.snapshots.delete(snapshot);
+    await this.publish();
+  }
+
+  // Oldest snapshot still in use by any process, or lastTransactionId when there is none
+  async horizon(lastTransactionId) {
+    let horizon = lastTransactionId;
+    for (const snapshot of this.snapshots) {
+      horizon = Math.min(horizon, snapshot.transactionId);
+    }
+
+    if (!await fs.pathExists(this.snapshotDir)) return horizon;
+    for (const name of await fs.readdir(this.snapshotDir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(this.snapshotDir, name);
+      let published;
+      try {
+        published = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        // Being replaced right now; assume it could be anything
+        return 0;
+      }
+
+      if (published.pid === process.pid) continue;
+      if (!LockManager.isProcessAlive(published.pid)) {
+        await fs.remove(file);
+        continue;
+      }
+      horizon = Math.min(horizon, published.oldest);
+    }
+    return horizon;
+  }
+
+  // Write this process's oldest snapshot (or remove its file when it has none); writes happen in call order
+  async publish() {
+    this.publishing = this.publishing.catch(() => {}).then(() => this.writePublished());
+    await this.publishing;
+  }
+
+  async writePublished() {
+    let oldest = null;
+    for (const snapshot of this.snapshots) {
+      oldest = oldest === null ? snapshot.transactionId : Math.min(oldest, snapshot.transactionId);
+    }
+    if (oldest === this.published) return;
+
+    const file = path.join(this.snapshotDir, `${process.pid}.json`);
+    if (oldest === null) {
+      await fs.remove(file);
+    } else {
+      // Renamed into place so another process never reads half a file
+      const tempFile = `${file}.tmp`;
+      await fs.ensureDir(this.snapshotDir);
+      await fs.writeFile(tempFile, JSON.stringify({ pid: process.pid, oldest }));
+      await fs.rename(tempFile, file);
+    }
+    this.published = oldest;
+  }
+
+  // One manager per snapshot directory in this process, like LockManager
+  static forDirectory(snapshotDir) {
+    const key = path.resolve(snapshotDir);
+    if (!SnapshotManager.managers.has(key)) {
+      SnapshotManager.managers.set(key, new SnapshotManager(key));
+    }
+    return SnapshotManager.managers.get(key);
+  }
+
+  /* Whether a snapshot can see a row version. Without a snapshot (inside a transaction, or a
+   * write) the latest versions are visible, including the ones the transaction has written.
+   * Rows written before versions were recorded have no createdTx and are visible to everyone.
+   */
+  static isVisible(row, snapshot) {
+    if (!snapshot) return SnapshotManager.isLive(row);
+
+    const createdTx = row.createdTx === undefined ? 0 : row.createdTx;
+    if (createdTx === SnapshotManager.PENDING || createdTx > snapshot.transactionId) return false;
+    return row.deletedTx === undefined || row.deletedTx === SnapshotManager.PENDING || row.deletedTx > snapshot.transactionId;
+  }
+
+  // Not deleted, by a committed transaction or the current one
+  static isLive(row) {
+    return row.deletedTx === undefined;
+  }
+
+  // The row as callers see it, without its version columns
+  static withoutVersion(row) {
+    const { createdTx, deletedTx, ...columns } = row;
+    return columns;
+  }
+}
+
+// Stands in for the id of the transaction that wrote a version until its commit assigns one
+SnapshotManager.PENDING = 'pending';
+SnapshotManager.VERSION_COLUMNS = ['createdTx', 'deletedTx'];
+SnapshotManager.managers = new Map();
+
+module.exports = SnapshotManager;
@@ -1,6 +1,22 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const SQLParser = require('../parser/SQLParser');
+const ExpressionEvaluator = require('../query/ExpressionEvaluator');
+const QueryPlanner = require('../query/QueryPlanner');
+const QueryTrace = require('../query/QueryTrace');
+const JsonPath = require('../query/JsonPath');
+const TransactionManager = require('./TransactionManager');
+const LockManager = require('./LockManager');
+const SnapshotManager = require('./SnapshotManager');
+const RowRecord = require('./RowRecord');
+const DataFile = require('./DataFile');
+const JsonTableStore = require('./JsonTableStore');
+const PagedTableStore = require('./PagedTableStore');
+const LogTableStore = require('./LogTableStore');
+const BTreeIndex = require('./BTreeIndex');
+const FullTextIndex = require('./FullTextIndex');
+const ColumnTypes = require('./ColumnTypes');
 
 class StorageEngine {
   constructor(dataDir = './data') {
@@ -9,7 +25,45 @@ class StorageEngine {
     this.indexesDir = path.join(dataDir, 'indexes');
     this.walDir = path.join(dataDir, 'wal');
     this.metadataFile = path.join(dataDir, 'metadata.json');
+    this.parser = new SQLParser();
+    this.evaluator = new ExpressionEvaluator();
+    this.planner = new QueryPlanner();
+    // Parsed CHECK conditions, by the text metadata keeps them as
+    this.checkExpressions = new Map();
+    this.locks = LockManager.forDirectory(path.join(dataDir, 'locks'));
+    this.snapshots = SnapshotManager.forDirectory(path.join(dataDir, 'snapshots'));
+    this.transactions = new TransactionManager({
+      dataDir,
+      walDir: this.walDir,
+      metadataFile: this.metadataFile,
+      locks: this.locks,
+      snapshots: this.snapshots,
+      prepareCommit: tx => this.tables.stamp(tx)
+    });
+    // Table rows are stored in the format chosen for the database (see createTableStore)
+    this.tables = null;
     this.initialized = false;
+    this.vacuuming = null;
+    this.compacting = null;
+
+    // Every write operation runs in the caller's transaction, or commits on its own, and is named in its WAL entry
+    for (const name of StorageEngine.WRITE_OPERATIONS) {
+      const operation = this[name];
+      this[name] = async (...args) => {
+        const autocommit = !this.inTransaction();
+        const result = await this.transactions.run(() => operation.apply(this, args), { operation: name, table: args[0] });
+        if (autocommit) {
+          this.scheduleVacuum([name]);
+          this.scheduleCompaction([{ operation: name, table: args[0] }]);
+        }
+        return result;
+      };
+    }
+    // Reads outside a transaction see a snapshot of the last commit before they started
+    for (const name of StorageEngine.READ_OPERATIONS) {
+      const operation = this[name];
+      this[name] = (...args) => this.transactions.readConsistent(() => operation.apply(this, args));
+    }
   }
 
   async initialize() {
@@ -26,32 +80,411 @@ class StorageEngine {
       await fs.ensureDir(this.tablesDir);
       await fs.ensureDir(this.indexesDir);
       await fs.ensureDir(this.walDir);
-      
-      if (!await fs.pathExists(this.metadataFile)) {
+
+      // Replay the write-ahead log so commits interrupted by a crash are finished, then checkpoint it
+      await this.transactions.recover();
+      for (const directory of [this.dataDir, this.tablesDir, this.indexesDir]) {
+        await DataFile.removeTempFiles(directory);
+      }
+
+      const exists = await this.fileExists(this.metadataFile);
+      this.tables = this.createTableStore(exists ? (await this.loadMetadata()).settings : {});
+      if (!exists) {
         await this.saveMetadata({
           version: '1.0.0',
           tables: {},
           indexes: {},
-          lastTransactionId: 0
+          lastTransactionId: 0,
+          rowsTyped: true
         });
       }
+      await this.upgradeRowTypes();
+      await this.upgradeIndexes();
     } catch (error) {
       throw new Error(`Failed to initialize storage: ${error.message}`);
     }
   }
 
+  /* Convert the values rows were stored with before column types were checked (see ColumnTypes) to
+   * their column's type, once per database, and rebuild the indexes of the tables that changed. A
+   * value that isn't of its column's type is left as it is.
+   */
+  async upgradeRowTypes() {
+    const metadata = await this.loadMetadata();
+    if (metadata.rowsTyped) return;
+
+    let upgraded = true;
+    for (const [tableName, tableInfo] of Object.entries(metadata.tables)) {
+      try {
+        await this.transactions.run(async () => {
+          const tableData = await this.tables.read(tableName);
+          let changed = false;
+          for (const row of tableData.rows) {
+            for (const [column, columnInfo] of Object.entries(tableInfo.schema || {})) {
+              if (row[column] === undefined || row[column] === null) continue;
+
+              let value;
+              try {
+                value = ColumnTypes.coerce(row[column], columnInfo.type, column);
+              } catch (error) {
+                continue;
+              }
+              if (JSON.stringify(value) !== JSON.stringify(row[column])) {
+                row[column] = value;
+                changed = true;
+              }
+            }
+          }
+          if (!changed) return;
+
+          await this.tables.write(tableName, tableData);
+          for (const indexDef of tableInfo.indexes || []) {
+            await this.createIndex(tableName, indexDef);
+          }
+        }, { operation: 'upgradeRowTypes', table: tableName });
+      } catch (error) {
+        upgraded = false;
+        console.warn(`Could not convert the rows of table '${tableName}' to their column types: ${error.message}`);
+      }
+    }
+
+    if (upgraded) {
+      await this.transactions.run(async () => {
+        const current = await this.loadMetadata();
+        current.rowsTyped = true;
+        await this.saveMetadata(current);
+      });
+    }
+  }
+
+  // Build a B+tree for every index without one: indexes written before they were B+trees (a JSON map of keys to row ids)
+  async upgradeIndexes() {
+    const metadata = await this.loadMetadata();
+    for (const [tableName, tableInfo] of Object.entries(metadata.tables)) {
+      for (const indexDef of tableInfo.indexes || []) {
+        if (await this.fileExists(this.indexFile(tableName, indexDef.name))) continue;
+
+        // Until it is rebuilt, queries read the table instead of the index
+        try {
+          await this.transactions.run(async () => {
+            if (await this.fileExists(this.indexFile(tableName, indexDef.name))) return;
+            await this.createIndex(tableName, indexDef);
+            const legacyFile = this.legacyIndexFile(tableName, indexDef.name);
+            if (await this.fileExists(legacyFile)) {
+              await this.removeFile(legacyFile);
+            }
+          }, { operation: 'rebuildIndex', table: tableName });
+        } catch (error) {
+          console.warn(`Could not rebuild index '${indexDef.name}' on table '${tableName}': ${error.message}`);
+        }
+      }
+    }
+  }
+
+  // JSON files by default; the paged and log formats are chosen with the storageFormat setting (see DatabaseManager.createDatabase)
+  createTableStore(settings = {}) {
+    const options = { tablesDir: this.tablesDir, transactions: this.transactions };
+    const format = settings.storageFormat || 'json';
+    switch (format) {
+      case 'json':
+        return new JsonTableStore(options);
+      case 'paged':
+        return new PagedTableStore({ ...options, pageSize: settings.pageSize || PagedTableStore.PAGE_SIZE });
+      case 'log':
+        return new LogTableStore(options);
+      default:
+        throw new Error(`Unknown storage format '${format}'`);
+    }
+  }
+
+  // Transactions: BEGIN / COMMIT / ROLLBACK and DatabaseEngine.transaction()
+
+  beginTransaction() {
+    return this.transactions.begin();
+  }
+
+  async withinTransaction(tx, fn) {
+    return await this.transactions.within(tx, fn);
+  }
+
+  async commitTransaction(tx) {
+    let transactionId;
+    try {
+      transactionId = await this.transactions.commit(tx);
+    } catch (error) {
+      await this.transactions.rollback(tx);
+      throw error;
+    }
+    this.scheduleVacuum(tx.operations.map(({ operation }) => operation));
+    this.scheduleCompaction(tx.operations);
+    return transactionId;
+  }
+
+  async rollbackTransaction(tx) {
+    await this.transactions.rollback(tx);
+  }
+
+  inTransaction() {
+    return this.transactions.current() !== null;
+  }
+
+  // Flush rewritten files to disk and empty the write-ahead log (also done automatically as it grows)
+  async checkpoint() {
+    return await this.transactions.checkpoint();
+  }
+
+  async getWalStatus() {
+    return await this.transactions.getLogStatus();
+  }
+
+  // Run several reads against one snapshot (see TransactionManager.readConsistent)
+  async readConsistent(fn) {
+    return await this.transactions.readConsistent(fn);
+  }
+
+  // Row versions (see SnapshotManager)
+
+  // Rows the current read can see: its snapshot's, or the latest ones inside a transaction
+  visibleRows(tableData) {
+    const snapshot = this.transactions.snapshot();
+    return tableData.rows
+      .filter(row => SnapshotManager.isVisible(row, snapshot))
+      .map(SnapshotManager.withoutVersion);
+  }
+
+  // Latest versions, with their version columns, for writers
+  liveRows(tableData) {
+    return tableData.rows.filter(SnapshotManager.isLive);
+  }
+
+  // Table data as the current read sees it
+  visibleTable(tableData) {
+    return { ...tableData, rows: this.visibleRows(tableData) };
+  }
+
+  /* Replace the live version at position with newRow. A version written by this transaction is
+   * overwritten; a committed one is marked deleted and kept for older snapshots, with the new
+   * version right after it. Returns true when the old version was kept.
+   */
+  replaceRowVersion(tableData, position, newRow) {
+    const oldVersion = tableData.rows[position];
+    const newVersion = { ...newRow, createdTx: SnapshotManager.PENDING };
+
+    if (oldVersion.createdTx === SnapshotManager.PENDING) {
+      tableData.rows[position] = newVersion;
+      return false;
+    }
+    oldVersion.deletedTx = SnapshotManager.PENDING;
+    tableData.rows.splice(position + 1, 0, newVersion);
+    return true;
+  }
+
+  /* Delete the live versions of the given row ids. Versions written by this transaction are
+   * removed at once and returned, for their index entries to be removed too; committed ones are
+   * marked deleted and stay until vacuum.
+   */
+  deleteRowVersions(tableData, rowIds) {
+    const removed = [];
+    tableData.rows = tableData.rows.filter(row => {
+      if (!SnapshotManager.isLive(row) || !rowIds.has(row.id)) return true;
+      if (row.createdTx === SnapshotManager.PENDING) {
+        removed.push(row);
+        return false;
+      }
+      row.deletedTx = SnapshotManager.PENDING;
+      return true;
+    });
+    this.pruneGroups(tableData);
+    return removed;
+  }
+
+  // Group lists hold every row id that still has a version in the table
+  pruneGroups(tableData) {
+    const rowIds = new Set(tableData.rows.map(row => row.id));
+    for (const [name, groupRowIds] of Object.entries(tableData.groups)) {
+      tableData.groups[name] = groupRowIds.filter(id => rowIds.has(id));
+    }
+  }
+
+  // Row counts in the metadata count live rows; deadRows counts versions waiting for vacuum
+  refreshRowCounts(tableInfo, tableData) {
+    const liveRows = this.liveRows(tableData);
+    tableInfo.rowCount = liveRows.length;
+    tableInfo.deadRows = tableData.rows.length - liveRows.length;
+
+    for (const [name, group] of Object.entries(tableInfo.groups || {})) {
+      const groupRowIds = new Set(tableData.groups[name] || []);
+      group.rowCount = liveRows.filter(row => groupRowIds.has(row.id)).length;
+    }
+  }
+
+  // VACUUM: remove the row versions no snapshot can see from one table, or from every table
+  async vacuum(tableName = null) {
+    const tableNames = tableName ? [tableName] : Object.keys(await this.getAllTables());
+    const removed = {};
+    for (const name of tableNames) {
+      removed[name] = await this.vacuumTable(name);
+    }
+    return removed;
+  }
+
+  async vacuumTable(tableName) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const horizon = await this.transactions.vacuumHorizon();
+    const tableData = await this.tables.read(tableName);
+
+    const removed = tableData.rows.filter(row => !SnapshotManager.isLive(row) && row.deletedTx <= horizon);
+    if (removed.length > 0) {
+      const removedVersions = new Set(removed);
+      tableData.rows = tableData.rows.filter(row => !removedVersions.has(row));
+      this.pruneGroups(tableData);
+      await this.tables.write(tableName, tableData);
+      await this.updateIndexesForDelete(tableName, removed);
+    }
+
+    const deadRows = tableInfo.deadRows || 0;
+    this.refreshRowCounts(tableInfo, tableData);
+    if (removed.length > 0 || tableInfo.deadRows !== deadRows) {
+      await this.saveMetadata(metadata);
+    }
+    return removed.length;
+  }
+
+  /* After updates and deletes commit, vacuum in the background the tables whose dead versions
+   * reach AUTOVACUUM_MIN_DEAD_ROWS and AUTOVACUUM_RATIO of their live rows.
+   */
+  scheduleVacuum(operations) {
+    if (this.vacuuming || !operations.some(operation => StorageEngine.VACUUM_OPERATIONS.includes(operation))) return;
+
+    this.vacuuming = this.autovacuum()
+      .catch(error => {
+        // A table locked by a long transaction is vacuumed after a later write
+        if (!error.lockTimeout) console.warn(`Autovacuum failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.vacuuming = null;
+      });
+  }
+
+  async autovacuum() {
+    const metadata = await this.loadMetadata();
+    for (const tableInfo of Object.values(metadata.tables)) {
+      const deadRows = tableInfo.deadRows || 0;
+      if (deadRows >= StorageEngine.AUTOVACUUM_MIN_DEAD_ROWS && deadRows >= (tableInfo.rowCount || 0) * StorageEngine.AUTOVACUUM_RATIO) {
+        await this.vacuumTable(tableInfo.name);
+      }
+    }
+  }
+
+  // COMPACT TABLE: rewrite a table's row log without the lines later ones replaced (log format only)
+  async compactTable(tableName) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+    if (!this.tables.compact) {
+      throw new Error(`Table '${tableName}' is not stored in the log format`);
+    }
+
+    const result = await this.tables.compact(tableName);
+    if (result.reclaimedBytes > 0) {
+      // Totals over every compaction of the table, and the latest one
+      const compaction = tableInfo.compaction || { runs: 0, reclaimedBytes: 0 };
+      tableInfo.compaction = {
+        runs: compaction.runs + 1,
+        reclaimedBytes: compaction.reclaimedBytes + result.reclaimedBytes,
+        lastRun: { at: new Date().toISOString(), ...result }
+      };
+      await this.saveMetadata(metadata);
+    }
+    return result;
+  }
+
+  // The table's log size and how much of it compaction would reclaim, with what compaction reclaimed so far
+  async getCompactionStats(tableName) {
+    const tableInfo = await this.getTable(tableName);
+    if (!this.tables.stats) {
+      throw new Error(`Table '${tableName}' is not stored in the log format`);
+    }
+
+    const compaction = tableInfo.compaction || { runs: 0, reclaimedBytes: 0 };
+    return {
+      ...await this.tables.stats(tableName),
+      compactions: compaction.runs,
+      reclaimedBytes: compaction.reclaimedBytes,
+      lastCompaction: compaction.lastRun || null
+    };
+  }
+
+  /* After writes to tables in the log format commit, compact in the background those whose
+   * replaced lines reach AUTOCOMPACT_MIN_GARBAGE_BYTES and AUTOCOMPACT_RATIO of their log.
+   */
+  scheduleCompaction(operations) {
+    if (this.compacting || !this.tables.compact) return;
+    const tableNames = new Set(operations
+      .filter(({ operation }) => StorageEngine.COMPACTION_OPERATIONS.includes(operation))
+      .map(({ table }) => table));
+    if (tableNames.size === 0) return;
+
+    this.compacting = this.autocompact(Array.from(tableNames))
+      .catch(error => {
+        // A table locked by a long transaction is compacted after a later write
+        if (!error.lockTimeout) console.warn(`Background compaction failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.compacting = null;
+      });
+  }
+
+  async autocompact(tableNames) {
+    for (const tableName of tableNames) {
+      if (!await this.tables.exists(tableName)) continue;
+      const { bytes, garbageBytes } = await this.tables.stats(tableName);
+      if (garbageBytes >= StorageEngine.AUTOCOMPACT_MIN_GARBAGE_BYTES && garbageBytes >= bytes * StorageEngine.AUTOCOMPACT_RATIO) {
+        await this.compactTable(tableName);
+      }
+    }
+  }
+
+  // Table, index and metadata files are read and written through the current transaction, if any
+
+  async readJson(file) {
+    return await this.transactions.readJson(file);
+  }
+
+  async writeJson(file, data) {
+    return await this.transactions.writeJson(file, data);
+  }
+
+  async removeFile(file) {
+    return await this.transactions.remove(file);
+  }
+
+  async fileExists(file) {
+    return await this.transactions.exists(file);
+  }
+
   async loadMetadata() {
     try {
-      const metadata = await fs.readJson(this.metadataFile);
+      const metadata = await this.readJson(this.metadataFile);
       return metadata;
     } catch (error) {
+      if (error.corrupted) throw error;
       throw new Error(`Failed to load metadata: ${error.message}`);
     }
   }
 
   async saveMetadata(metadata) {
     try {
-      await fs.writeJson(this.metadataFile, metadata, { spaces: 2 });
+      await this.writeJson(this.metadataFile, metadata);
     } catch (error) {
       throw new Error(`Failed to save metadata: ${error.message}`);
     }
@@ -83,12 +516,11 @@ class StorageEngine {
     metadata.tables[tableName] = tableInfo;
     await this.saveMetadata(metadata);
 
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    await fs.writeJson(tableFile, { 
+    await this.tables.write(tableName, { 
       rows: [], 
       groups: {},
       sequences: processedSchema.autoIncrement || {}
-    }, { spaces: 2 });
+    });
 
     // Create indexes
     if (processedSchema.indexes.length > 0) {
@@ -124,6 +556,12 @@ class StorageEngine {
         columnInfo = { ...columnDef };
       }
 
+      // The type must be one there is, and the DEFAULT a value of it
+      ColumnTypes.parse(columnInfo.type);
+      if (columnInfo.default !== undefined) {
+        columnInfo.default = ColumnTypes.coerce(columnInfo.default, columnInfo.type, columnName);
+      }
+
       columns[columnName] = columnInfo;
 
       // Process constraints
@@ -146,16 +584,23 @@ class StorageEngine {
       }
 
       if (columnInfo.check) {
+        columnInfo.check = this.checkCondition(columnInfo.check);
         constraints.check.push({ column: columnName, condition: columnInfo.check });
       }
 
       if (columnInfo.foreignKey) {
-        foreignKeys.push({
+        const foreignKey = {
           column: columnName,
           references: columnInfo.foreignKey.references,
-          onDelete: columnInfo.foreignKey.onDelete || 'RESTRICT',
-          onUpdate: columnInfo.foreignKey.onUpdate || 'RESTRICT'
-        });
+          onDelete: String(columnInfo.foreignKey.onDelete || 'RESTRICT').toUpperCase(),
+          onUpdate: String(columnInfo.foreignKey.onUpdate || 'RESTRICT').toUpperCase()
+        };
+        for (const action of [foreignKey.onDelete, foreignKey.onUpdate]) {
+          if (!SQLParser.REFERENTIAL_ACTIONS.includes(action)) {
+            throw new Error(`Invalid foreign key action for column '${columnName}': ${action}`);
+          }
+        }
+        foreignKeys.push(foreignKey);
       }
 
       if (columnInfo.autoIncrement) {
@@ -167,6 +612,15 @@ class StorageEngine {
       }
     }
 
+    // Table-level CHECK constraints; every condition reads only columns of the table
+    for (const check of options.checks || []) {
+      constraints.check.push({ ...(check.name ? { name: check.name } : {}), condition: this.checkCondition(check.condition) });
+    }
+    const knownColumns = [...(options.columns || StorageEngine.BUILTIN_COLUMNS), ...Object.keys(columns)];
+    for (const check of constraints.check) {
+      this.validateCheckColumns(check, knownColumns);
+    }
+
     // Process composite indexes
     if (options.indexes) {
       for (const indexDef of options.indexes) {
@@ -231,13 +685,317 @@ class StorageEngine {
       throw new Error(`Table '${tableName}' does not exist`);
     }
 
+    const indexes = metadata.tables[tableName].indexes || [];
+    delete metadata.tables[tableName];
+    await this.saveMetadata(metadata);
+
+    await this.tables.drop(tableName);
+
+    for (const index of indexes) {
+      await this.removeIndexFiles(tableName, index.name);
+    }
+  }
+
+  /* Change a table's schema (ALTER TABLE), rewriting what depends on it in one transaction: the
+   * stored rows, constraints, foreign keys of any table that reference it, and index files.
+   * alteration: { action, column, definition (ADD_COLUMN), newName (RENAME_COLUMN, RENAME_TABLE),
+   * columnType (ALTER_COLUMN_TYPE) }. Returns { table, action, column, droppedIndexes }.
+   */
+  async alterTable(tableName, alteration) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const { action, column } = alteration;
+    if (action !== 'RENAME_TABLE' && action !== 'ADD_COLUMN' && !(column in (tableInfo.schema || {}))) {
+      throw new Error(StorageEngine.BUILTIN_COLUMNS.includes(column)
+        ? `Column '${column}' is a built-in column and cannot be changed`
+        : `Column '${column}' does not exist in table '${tableName}'`);
+    }
+
+    switch (action) {
+      case 'ADD_COLUMN':
+        return await this.addColumn(metadata, tableName, column, alteration.definition);
+      case 'DROP_COLUMN':
+        return await this.dropColumn(metadata, tableName, column);
+      case 'RENAME_COLUMN':
+        return await this.renameColumn(metadata, tableName, column, alteration.newName);
+      case 'ALTER_COLUMN_TYPE':
+        return await this.alterColumnType(metadata, tableName, column, alteration.columnType);
+      case 'RENAME_TABLE':
+        return await this.renameTable(metadata, tableName, alteration.newName);
+      default:
+        throw new Error(`Unsupported ALTER TABLE action: ${action}`);
+    }
+  }
+
+  // Existing rows get the column's DEFAULT (numbers in table order for AUTO_INCREMENT), or NULL
+  async addColumn(metadata, tableName, column, definition) {
+    const tableInfo = metadata.tables[tableName];
+    if (this.tableColumns(tableInfo).includes(column)) {
+      throw new Error(`Column '${column}' already exists in table '${tableName}'`);
+    }
+
+    const added = this.processTableSchema({ [column]: definition }, { columns: this.tableColumns(tableInfo) });
+    const columnInfo = added.columns[column];
+    const constraints = tableInfo.constraints = tableInfo.constraints || { primaryKey: null, unique: [], check: [], notNull: [] };
+    if (added.constraints.primaryKey && constraints.primaryKey) {
+      throw new Error('Table can only have one primary key');
+    }
+
+    const tableData = await this.tables.read(tableName);
+    const numbers = new Map();
+    if (columnInfo.autoIncrement) {
+      for (const row of tableData.rows) {
+        if (!numbers.has(row.id)) numbers.set(row.id, numbers.size + 1);
+      }
+      tableData.sequences = { ...tableData.sequences, [column]: numbers.size };
+    }
+    const valueFor = row => (columnInfo.autoIncrement ? numbers.get(row.id) : columnInfo.default !== undefined ? columnInfo.default : null);
+
+    // The rows must satisfy the new column's constraints, as an insert would
+    for (const row of this.liveRows(tableData)) {
+      const value = valueFor(row);
+      if (added.constraints.notNull.includes(column) && value === null) {
+        throw new Error(`Cannot add column '${column}' to table '${tableName}': it cannot be null and has no DEFAULT`);
+      }
+      this.validateCheckConstraints({ ...row, [column]: value }, added.constraints.check);
+      await this.validateForeignKeyConstraints(tableName, { [column]: value }, added.foreignKeys);
+    }
+
+    tableData.rows = tableData.rows.map(row => ({ ...row, [column]: valueFor(row) }));
+    await this.tables.write(tableName, tableData);
+
+    tableInfo.schema = { ...tableInfo.schema, [column]: columnInfo };
+    constraints.primaryKey = constraints.primaryKey || added.constraints.primaryKey;
+    for (const list of ['unique', 'check', 'notNull']) {
+      constraints[list] = [...(constraints[list] || []), ...added.constraints[list]];
+    }
+    tableInfo.foreignKeys = [...(tableInfo.foreignKeys || []), ...added.foreignKeys];
+    tableInfo.autoIncrement = { ...tableInfo.autoIncrement, ...added.autoIncrement };
+    tableInfo.indexes = [...(tableInfo.indexes || []), ...added.indexes];
+    await this.saveMetadata(metadata);
+
+    // A UNIQUE or PRIMARY KEY column fails here if existing rows would share its value
+    await this.createTableIndexes(tableName, added.indexes);
+
+    return { table: tableName, action: 'ADD_COLUMN', column, droppedIndexes: [] };
+  }
+
+  // Indexes on the column go with it; a column another table's foreign key references can't be dropped
+  async dropColumn(metadata, tableName, column) {
+    const tableInfo = metadata.tables[tableName];
+    const referencing = this.referencingForeignKeys(metadata, tableName, column);
+    if (referencing.length > 0) {
+      throw new Error(`Cannot drop column '${column}': it is referenced by foreign key(s) on ${referencing.map(({ table, foreignKey }) => `${table}.${foreignKey.column}`).join(', ')}`);
+    }
+
+    const tableData = await this.tables.read(tableName);
+    tableData.rows = tableData.rows.map(row => {
+      const { [column]: dropped, ...rest } = row;
+      return rest;
+    });
+    if (tableData.sequences && column in tableData.sequences) {
+      const { [column]: dropped, ...sequences } = tableData.sequences;
+      tableData.sequences = sequences;
+    }
+    await this.tables.write(tableName, tableData);
+
+    const { [column]: dropped, ...schema } = tableInfo.schema;
+    tableInfo.schema = schema;
+    const constraints = tableInfo.constraints || {};
+    if (constraints.primaryKey === column) constraints.primaryKey = null;
+    constraints.unique = (constraints.unique || []).filter(name => name !== column);
+    constraints.notNull = (constraints.notNull || []).filter(name => name !== column);
+    // CHECK constraints reading the column go with it
+    const droppedChecks = (constraints.check || []).filter(check => this.checkColumns(check).includes(column));
+    constraints.check = (constraints.check || []).filter(check => !droppedChecks.includes(check));
+    for (const check of droppedChecks) {
+      if (check.column && schema[check.column]) delete schema[check.column].check;
+    }
+    tableInfo.foreignKeys = (tableInfo.foreignKeys || []).filter(foreignKey => foreignKey.column !== column);
+    if (tableInfo.autoIncrement) delete tableInfo.autoIncrement[column];
+
+    const droppedIndexes = (tableInfo.indexes || []).filter(index => this.indexColumns(index).includes(column));
+    tableInfo.indexes = (tableInfo.indexes || []).filter(index => !droppedIndexes.includes(index));
+    await this.saveMetadata(metadata);
+
+    for (const index of droppedIndexes) {
+      await this.removeIndexFiles(tableName, index.name);
+    }
+    return { table: tableName, action: 'DROP_COLUMN', column, droppedIndexes: droppedIndexes.map(index => index.name) };
+  }
+
+  async renameColumn(metadata, tableName, column, newName) {
+    const tableInfo = metadata.tables[tableName];
+    if (this.tableColumns(tableInfo).includes(newName)) {
+      throw new Error(`Column '${newName}' already exists in table '${tableName}'`);
+    }
+    const rename = name => (name === column ? newName : name);
+    const renameIndexColumn = key => {
+      const parsed = JsonPath.parseKey(key);
+      return parsed ? JsonPath.describe(rename(parsed.column), parsed.path, parsed.text) : rename(key);
+    };
+    const renameInExpression = node => (node.type === 'COLUMN' && !node.table
+      ? { ...node, name: rename(node.name) }
+      : this.evaluator.mapChildren(node, renameInExpression));
+    const renameCheck = condition => this.evaluator.describe(renameInExpression(this.checkExpression(condition)));
+
+    // Keys keep their order, so rows and the schema list their columns as before
+    const renameKey = object => Object.fromEntries(Object.entries(object).map(([key, value]) => [rename(key), value]));
+
+    const tableData = await this.tables.read(tableName);
+    tableData.rows = tableData.rows.map(renameKey);
+    if (tableData.sequences) tableData.sequences = renameKey(tableData.sequences);
+    await this.tables.write(tableName, tableData);
+
+    tableInfo.schema = renameKey(tableInfo.schema);
+    for (const columnInfo of Object.values(tableInfo.schema)) {
+      if (columnInfo.check) columnInfo.check = renameCheck(columnInfo.check);
+    }
+    const constraints = tableInfo.constraints || {};
+    if (constraints.primaryKey) constraints.primaryKey = rename(constraints.primaryKey);
+    constraints.unique = (constraints.unique || []).map(rename);
+    constraints.notNull = (constraints.notNull || []).map(rename);
+    constraints.check = (constraints.check || []).map(check => ({
+      ...check,
+      ...(check.column ? { column: rename(check.column) } : {}),
+      condition: renameCheck(check.condition)
+    }));
+    tableInfo.foreignKeys = (tableInfo.foreignKeys || []).map(foreignKey => ({ ...foreignKey, column: rename(foreignKey.column) }));
+    for (const { foreignKey } of this.referencingForeignKeys(metadata, tableName, column)) {
+      foreignKey.references = `${tableName}.${newName}`;
+    }
+    if (tableInfo.autoIncrement) tableInfo.autoIncrement = renameKey(tableInfo.autoIncrement);
+
+    // Indexes on the column are built again under its new name; constraint indexes are named after it
+    const rebuilt = [];
+    tableInfo.indexes = (tableInfo.indexes || []).map(index => {
+      if (!this.indexColumns(index).includes(column)) return index;
+      const renamed = { ...index, columns: index.columns.map(renameIndexColumn) };
+      if (index.name === `pk_${column}` || index.name === `uk_${column}`) {
+        renamed.name = `${index.name.slice(0, 3)}${newName}`;
+      }
+      rebuilt.push({ oldName: index.name, index: renamed });
+      return renamed;
+    });
+    await this.saveMetadata(metadata);
+
+    for (const { oldName, index } of rebuilt) {
+      await this.removeIndexFiles(tableName, oldName);
+      await this.createIndex(tableName, index);
+    }
+    return { table: tableName, action: 'RENAME_COLUMN', column, newName, droppedIndexes: [] };
+  }
+
+  /* Values are converted to the new type, and the converted rows must still pass the table's CHECK
+   * constraints; a value that doesn't convert or a row that fails a check fails the whole change.
+   * A foreign key column, or one a foreign key references, keeps its type: the values on both
+   * sides must stay comparable.
+   */
+  async alterColumnType(metadata, tableName, column, columnType) {
+    ColumnTypes.parse(columnType);
+    const tableInfo = metadata.tables[tableName];
+    const foreignKey = (tableInfo.foreignKeys || []).find(candidate => candidate.column === column);
+    if (foreignKey) {
+      throw new Error(`Cannot change column '${column}' to ${columnType}: it is a foreign key referencing ${foreignKey.references}`);
+    }
+    const referencing = this.referencingForeignKeys(metadata, tableName, column);
+    if (referencing.length > 0) {
+      throw new Error(`Cannot change column '${column}' to ${columnType}: it is referenced by foreign key(s) on ${referencing.map(({ table, foreignKey }) => `${table}.${foreignKey.column}`).join(', ')}`);
+    }
+    const indexes = (tableInfo.indexes || []).filter(index => this.indexColumns(index).includes(column));
+    const pathIndex = indexes.find(index => index.columns.some(key => key !== column && JsonPath.baseColumn(key) === column));
+    if (pathIndex && !this.isJsonColumn({ [column]: { type: columnType } }, column)) {
+      throw new Error(`Cannot change column '${column}' to ${columnType}: index '${pathIndex.name}' reads a JSON path into it`);
+    }
+    for (const index of indexes.filter(index => index.fulltext)) {
+      this.validateFullTextColumns(index, { ...tableInfo.schema, [column]: { type: columnType } });
+    }
+
+    const tableData = await this.tables.read(tableName);
+    tableData.rows = tableData.rows.map(row => {
+      if (!(column in row)) return row;
+      return { ...row, [column]: this.convertColumnValue(row[column], columnType, column) };
+    });
+    for (const row of this.liveRows(tableData)) {
+      try {
+        this.validateCheckConstraints(row, tableInfo.constraints?.check);
+      } catch (error) {
+        throw new Error(`Cannot change column '${column}' to ${columnType}: ${error.message}`);
+      }
+    }
+    await this.tables.write(tableName, tableData);
+
+    tableInfo.schema[column] = { ...tableInfo.schema[column], type: columnType };
+    await this.saveMetadata(metadata);
+
+    // Keys are ordered for the column's type, so its indexes are built again
+    for (const index of indexes) {
+      await this.createIndex(tableName, index);
+    }
+    return { table: tableName, action: 'ALTER_COLUMN_TYPE', column, columnType, droppedIndexes: [] };
+  }
+
+  convertColumnValue(value, columnType, column) {
+    try {
+      return ColumnTypes.coerce(value, columnType, column);
+    } catch (error) {
+      throw new Error(`Cannot change column '${column}' to ${columnType}: ${JSON.stringify(value)} does not convert`);
+    }
+  }
+
+  // Rows, indexes and metadata move to the new name; foreign keys that reference the table follow it
+  async renameTable(metadata, tableName, newName) {
+    if (metadata.tables[newName]) {
+      throw new Error(`Table '${newName}' already exists`);
+    }
+    // Lock the new name too, until the change commits, so no one creates it meanwhile
+    await this.transactions.lockTable(this.transactions.current(), newName);
+
+    const tableInfo = metadata.tables[tableName];
+    for (const { foreignKey } of this.referencingForeignKeys(metadata, tableName)) {
+      foreignKey.references = `${newName}.${foreignKey.references.split('.')[1]}`;
+    }
     delete metadata.tables[tableName];
+    metadata.tables[newName] = { ...tableInfo, name: newName };
     await this.saveMetadata(metadata);
 
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    if (await fs.pathExists(tableFile)) {
-      await fs.remove(tableFile);
+    // Copies of the rows, so the store writes them as a new table
+    const tableData = await this.tables.read(tableName);
+    await this.tables.write(newName, {
+      rows: tableData.rows.map(row => ({ ...row })),
+      groups: { ...tableData.groups },
+      sequences: { ...tableData.sequences }
+    });
+    await this.tables.drop(tableName);
+
+    for (const index of tableInfo.indexes || []) {
+      await this.createIndex(newName, index);
+      await this.removeIndexFiles(tableName, index.name);
+    }
+    return { table: tableName, action: 'RENAME_TABLE', newName, droppedIndexes: [] };
+  }
+
+  // Foreign keys of every table that reference table (column), as { table, foreignKey }
+  referencingForeignKeys(metadata, tableName, column = null) {
+    const referencing = [];
+    for (const [name, info] of Object.entries(metadata.tables)) {
+      for (const foreignKey of info.foreignKeys || []) {
+        const [refTable, refColumn] = foreignKey.references.split('.');
+        if (refTable === tableName && (column === null || refColumn === column)) {
+          referencing.push({ table: name, foreignKey });
+        }
+      }
     }
+    return referencing;
+  }
+
+  tableColumns(tableInfo) {
+    return [...StorageEngine.BUILTIN_COLUMNS, ...Object.keys(tableInfo.schema || {})];
   }
 
   async insertRow(tableName, data, groupName = null) {
@@ -248,29 +1006,24 @@ class StorageEngine {
     }
 
     const tableInfo = metadata.tables[tableName];
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
+    // The constraints look rows up through the indexes, so only the sequences are read
+    const sequences = await this.tables.readSequences(tableName);
 
     // Validate constraints and process data
-    const processedData = await this.validateAndProcessRowData(tableName, data, tableInfo, tableData);
+    const processedData = await this.validateAndProcessRowData(tableName, data, tableInfo, sequences);
 
     const row = {
       id: uuidv4(),
-      ...processedData,
+      ...SnapshotManager.withoutVersion(processedData),
       created: new Date().toISOString(),
       group: groupName
     };
 
-    // Add to main table
-    tableData.rows.push(row);
+    // Add to main table, and to its group's list
+    await this.tables.insert(tableName, { ...row, createdTx: SnapshotManager.PENDING }, sequences);
 
     // Add to group if specified
     if (groupName) {
-      if (!tableData.groups[groupName]) {
-        tableData.groups[groupName] = [];
-      }
-      tableData.groups[groupName].push(row.id);
-      
       // Update metadata
       if (!metadata.tables[tableName].groups[groupName]) {
         metadata.tables[tableName].groups[groupName] = {
@@ -283,7 +1036,6 @@ class StorageEngine {
 
     metadata.tables[tableName].rowCount++;
     
-    await fs.writeJson(tableFile, tableData, { spaces: 2 });
     await this.saveMetadata(metadata);
 
     // Update indexes
@@ -293,7 +1045,7 @@ class StorageEngine {
   }
 
   // NEW: Validate and process row data with constraints
-  async validateAndProcessRowData(tableName, data, tableInfo, tableData) {
+  async validateAndProcessRowData(tableName, data, tableInfo, sequences) {
     const processedData = { ...data };
     const constraints = tableInfo.constraints || { notNull: [], unique: [], check: [] };
     const schema = tableInfo.schema || {};
@@ -301,15 +1053,14 @@ class StorageEngine {
     // Handle auto-increment columns FIRST
     for (const [column, autoInc] of Object.entries(tableInfo.autoIncrement || {})) {
       if (processedData[column] === undefined) {
-        const currentSequence = tableData.sequences?.[column];
+        const currentSequence = sequences[column];
         const currentValue = typeof currentSequence === 'number' ? currentSequence : (autoInc.current || 0);
         const step = autoInc.step || 1;
         const newValue = currentValue + step;
         processedData[column] = newValue;
         
         // Update the sequence immediately
-        tableData.sequences = tableData.sequences || {};
-        tableData.sequences[column] = newValue;
+        sequences[column] = newValue;
       }
     }
 
@@ -320,6 +1071,9 @@ class StorageEngine {
       }
     }
 
+    // Values take their column's type before the constraints below compare them
+    Object.assign(processedData, ColumnTypes.coerceRow(processedData, schema));
+
     // Check NOT NULL constraints AFTER auto-increment and defaults
     for (const column of constraints.notNull || []) {
       if (processedData[column] === undefined || processedData[column] === null) {
@@ -328,27 +1082,34 @@ class StorageEngine {
     }
 
     // Validate CHECK constraints
-    for (const checkConstraint of constraints.check || []) {
-      if (!this.evaluateCheckConstraint(processedData[checkConstraint.column], checkConstraint.condition)) {
-        throw new Error(`Check constraint failed for column '${checkConstraint.column}'`);
-      }
-    }
+    this.validateCheckConstraints(processedData, constraints.check);
 
     // Validate UNIQUE constraints
     for (const column of constraints.unique || []) {
       if (processedData[column] !== undefined) {
-        const existingRow = tableData.rows.find(row => row[column] === processedData[column]);
-        if (existingRow) {
+        if ((await this.findLiveRows(tableName, tableInfo, [column], [processedData[column]])).length > 0) {
           throw new Error(`Unique constraint violation for column '${column}'`);
         }
       }
     }
 
     // Validate PRIMARY KEY constraint
-    if (constraints.primaryKey && processedData[constraints.primaryKey] !== undefined) {
-      const existingRow = tableData.rows.find(row => row[constraints.primaryKey] === processedData[constraints.primaryKey]);
-      if (existingRow) {
-        throw new Error(`Primary key constraint violation for column '${constraints.primaryKey}'`);
+    const { primaryKey } = constraints;
+    if (primaryKey && processedData[primaryKey] !== undefined) {
+      if ((await this.findLiveRows(tableName, tableInfo, [primaryKey], [processedData[primaryKey]])).length > 0) {
+        throw new Error(`Primary key constraint violation for column '${primaryKey}'`);
+      }
+    }
+
+    // Unique indexes the user created, as validateUniqueIndexes checks them for updates
+    const constraintIndexes = this.constraintIndexNames(tableInfo);
+    for (const index of tableInfo.indexes || []) {
+      if (!index.unique || constraintIndexes.includes(index.name)) continue;
+
+      const values = BTreeIndex.keyOf(processedData, index.columns);
+      if (values.some(value => value === null)) continue;
+      if ((await this.findLiveRows(tableName, tableInfo, index.columns, values)).length > 0) {
+        throw new Error(`Unique index violation: duplicate value (${values.join(', ')}) for column(s) ${index.columns.join(', ')} in index '${index.name}'`);
       }
     }
 
@@ -358,9 +1119,56 @@ class StorageEngine {
     return processedData;
   }
 
-  // NEW: Validate foreign key constraints
-  async validateForeignKeyConstraints(tableName, data, foreignKeys) {
-    for (const fk of foreignKeys) {
+  /* Live rows whose values for columns are values, looked up in an index on exactly those columns
+   * when the table has one in step with it. Only the versions of the rows the index names are read;
+   * without such an index, or when the versions read don't account for every entry the index has
+   * under those values (another process wrote them meanwhile, say), the whole table is read.
+   */
+  async findLiveRows(tableName, tableInfo, columns, values) {
+    const valueKey = JSON.stringify(values);
+    const matches = row => JSON.stringify(BTreeIndex.keyOf(row, columns)) === valueKey;
+
+    const index = (tableInfo.indexes || []).find(indexDef =>
+      !indexDef.fulltext && JSON.stringify(indexDef.columns) === JSON.stringify(columns));
+    const tree = index && await this.openIndexTree(tableName, index.name);
+    if (tree && tree.size === (tableInfo.rowCount || 0) + (tableInfo.deadRows || 0)) {
+      const entries = new Map();
+      for await (const { rowId, count } of tree.scan({ lower: { key: values, inclusive: true }, upper: { key: values, inclusive: true } })) {
+        entries.set(rowId, (entries.get(rowId) || 0) + count);
+      }
+      if (entries.size === 0) return [];
+
+      const versions = (await this.tables.readVersions(tableName, Array.from(entries.keys()))).filter(matches);
+      const indexed = Array.from(entries.values()).reduce((sum, count) => sum + count, 0);
+      if (versions.length === indexed) return versions.filter(SnapshotManager.isLive);
+    }
+
+    return this.liveRows(await this.tables.read(tableName)).filter(matches);
+  }
+
+  /* Unique indexes the user created take no two live rows with the same values (those of PRIMARY KEY
+   * and UNIQUE columns are checked as constraints above); a row with a NULL in them never conflicts.
+   * An update is only checked when it changes the indexed values.
+   */
+  validateUniqueIndexes(tableInfo, row, otherRows, oldRow = null) {
+    const constraintIndexes = this.constraintIndexNames(tableInfo);
+    for (const index of tableInfo.indexes || []) {
+      if (!index.unique || constraintIndexes.includes(index.name)) continue;
+
+      const values = BTreeIndex.keyOf(row, index.columns);
+      if (values.some(value => value === null)) continue;
+      const valueKey = JSON.stringify(values);
+      if (oldRow && JSON.stringify(BTreeIndex.keyOf(oldRow, index.columns)) === valueKey) continue;
+
+      if (otherRows.some(other => JSON.stringify(BTreeIndex.keyOf(other, index.columns)) === valueKey)) {
+        throw new Error(`Unique index violation: duplicate value (${values.join(', ')}) for column(s) ${index.columns.join(', ')} in index '${index.name}'`);
+      }
+    }
+  }
+
+  // NEW: Validate foreign key constraints
+  async validateForeignKeyConstraints(tableName, data, foreignKeys) {
+    for (const fk of foreignKeys) {
       const value = data[fk.column];
       if (value !== undefined && value !== null) {
         const [refTable, refColumn] = fk.references.split('.');
@@ -370,28 +1178,149 @@ class StorageEngine {
           throw new Error(`Referenced table '${refTable}' does not exist`);
         }
 
-        const refTableFile = path.join(this.tablesDir, `${refTable}.json`);
-        const refTableData = await fs.readJson(refTableFile);
-        
-        const referencedRow = refTableData.rows.find(row => row[refColumn] === value);
-        if (!referencedRow) {
+        const referencedRows = await this.findLiveRows(refTable, refMetadata.tables[refTable], [refColumn], [value]);
+        if (referencedRows.length === 0) {
           throw new Error(`Foreign key constraint violation: value '${value}' not found in ${refTable}.${refColumn}`);
         }
       }
     }
   }
 
-  // NEW: Evaluate check constraints
-  evaluateCheckConstraint(value, condition) {
+  /* A delete or update that takes away a value rows of other tables (or this one) reference runs
+   * their foreign key's ON DELETE / ON UPDATE action: RESTRICT and NO ACTION (the default) refuse
+   * it, CASCADE deletes those rows or gives them the new value, and SET NULL and SET DEFAULT set
+   * their key to NULL or the column's DEFAULT. The actions are writes of the same transaction, so
+   * if one fails (a NOT NULL key set to NULL, say) the whole statement is undone. A value is only
+   * taken away when no live row of the table still holds it. changes are { oldRow, newRow }, with
+   * no newRow for deleted rows.
+   */
+  async applyReferentialActions(tableName, changes) {
+    const metadata = await this.loadMetadata();
+    const referencing = this.referencingForeignKeys(metadata, tableName);
+    if (referencing.length === 0 || changes.length === 0) return;
+
+    const liveRows = this.liveRows(await this.tables.read(tableName));
+    for (const { table, foreignKey } of referencing) {
+      const refColumn = foreignKey.references.split('.')[1];
+
+      // Old value -> new value (undefined when deleted)
+      const removed = new Map();
+      for (const { oldRow, newRow } of changes) {
+        const value = oldRow[refColumn];
+        if (value === null || value === undefined || (newRow && newRow[refColumn] === value)) continue;
+        if (liveRows.some(row => row[refColumn] === value)) continue;
+        removed.set(value, newRow ? newRow[refColumn] : undefined);
+      }
+
+      const children = this.liveRows(await this.tables.read(table)).filter(row => removed.has(row[foreignKey.column]));
+      if (children.length === 0) continue;
+
+      const deleted = changes.some(change => !change.newRow);
+      const action = (deleted ? foreignKey.onDelete : foreignKey.onUpdate) || 'RESTRICT';
+      const referencingValues = values => ({
+        type: 'IN',
+        operand: { type: 'COLUMN', name: foreignKey.column },
+        values: values.map(value => ({ type: 'LITERAL', value })),
+        negated: false
+      });
+      const oldValues = Array.from(removed.keys());
+
+      if (action === 'CASCADE' && deleted) {
+        await this.deleteRows(table, referencingValues(oldValues));
+      } else if (action === 'CASCADE') {
+        for (const newValue of new Set(removed.values())) {
+          const values = oldValues.filter(value => removed.get(value) === newValue);
+          await this.updateRows(table, { [foreignKey.column]: newValue }, referencingValues(values));
+        }
+      } else if (action === 'SET NULL' || action === 'SET DEFAULT') {
+        const columnInfo = metadata.tables[table].schema[foreignKey.column] || {};
+        const value = action === 'SET DEFAULT' && columnInfo.default !== undefined ? columnInfo.default : null;
+        // Rows whose key already is the DEFAULT don't change, so updateRows wouldn't check the key
+        if (value !== null && !liveRows.some(row => row[refColumn] === value)) {
+          throw new Error(`Cannot ${deleted ? 'delete' : 'update'} ${tableName}.${refColumn} = '${oldValues[0]}': ` +
+            `ON ${deleted ? 'DELETE' : 'UPDATE'} SET DEFAULT gives ${table}.${foreignKey.column} the value '${value}', which ${tableName}.${refColumn} does not hold`);
+        }
+        await this.updateRows(table, { [foreignKey.column]: value }, referencingValues(oldValues));
+      } else {
+        const [value] = children.map(row => row[foreignKey.column]);
+        throw new Error(`Cannot ${deleted ? 'delete' : 'update'} ${tableName}.${refColumn} = '${value}': ` +
+          `${children.length} row(s) of ${table}.${foreignKey.column} reference it (ON ${deleted ? 'DELETE' : 'UPDATE'} ${action})`);
+      }
+    }
+  }
+
+  /* CHECK conditions are expressions in the grammar of WHERE, kept in metadata as SQL text and
+   * evaluated by the ExpressionEvaluator, so they can only read the row they check. A column's
+   * condition may call the column $value.
+   */
+
+  // The text metadata keeps for a condition given as text (the web form) or parsed (CREATE TABLE)
+  checkCondition(condition) {
+    try {
+      const expression = typeof condition === 'string' ? this.parser.parseCondition(condition) : condition;
+      this.evaluator.checkFunctions(expression);
+      return this.evaluator.describe(expression);
+    } catch (error) {
+      const text = typeof condition === 'string' ? condition : this.evaluator.describe(condition);
+      throw new Error(`Invalid CHECK constraint (${text}): ${error.message}`);
+    }
+  }
+
+  checkExpression(condition) {
+    if (!this.checkExpressions.has(condition)) {
+      this.checkExpressions.set(condition, this.parser.parseCondition(condition));
+    }
+    return this.checkExpressions.get(condition);
+  }
+
+  // The columns a CHECK constraint reads
+  checkColumns(checkConstraint) {
+    const columns = new Set();
+    this.evaluator.walk(this.checkExpression(checkConstraint.condition), node => {
+      if (node.type === 'COLUMN') columns.add(node.name === '$value' ? checkConstraint.column : node.name);
+      return true;
+    });
+    return Array.from(columns);
+  }
+
+  // A condition may read the table's columns (and $value on a column), but not other tables or aggregates
+  validateCheckColumns(checkConstraint, columns) {
+    this.evaluator.walk(this.checkExpression(checkConstraint.condition), node => {
+      if (node.type === 'AGGREGATE') {
+        throw new Error(`CHECK constraint (${checkConstraint.condition}) cannot use ${this.evaluator.describe(node)}`);
+      }
+      if (node.type !== 'COLUMN') return true;
+      if (node.name === '$value' && !node.table && checkConstraint.column) return true;
+      if (node.table || !columns.includes(node.name)) {
+        throw new Error(`CHECK constraint (${checkConstraint.condition}) refers to unknown column '${this.evaluator.columnKey(node)}'`);
+      }
+      return true;
+    });
+  }
+
+  // A row satisfies a CHECK constraint unless its condition is false; NULL (unknown) passes, as in SQL
+  evaluateCheckConstraint(row, checkConstraint) {
+    const expression = this.checkExpression(checkConstraint.condition);
+    const values = checkConstraint.column ? { ...row, $value: row[checkConstraint.column] } : row;
     try {
-      // Simple check constraint evaluation
-      // In a real implementation, you'd want a proper expression parser
-      return eval(condition.replace(/\$value/g, JSON.stringify(value)));
+      return this.evaluator.evaluate(expression, values) !== false;
     } catch (error) {
       return false;
     }
   }
 
+  validateCheckConstraints(row, checks) {
+    for (const checkConstraint of checks || []) {
+      if (this.evaluateCheckConstraint(row, checkConstraint)) continue;
+      if (checkConstraint.column) {
+        throw new Error(`Check constraint failed for column '${checkConstraint.column}'`);
+      }
+      throw new Error(checkConstraint.name
+        ? `Check constraint '${checkConstraint.name}' failed`
+        : `Check constraint failed: ${checkConstraint.condition}`);
+    }
+  }
+
   // NEW: Update auto-increment sequences
   async updateAutoIncrementSequences(tableName, tableData, data) {
     const metadata = await this.loadMetadata();
@@ -418,61 +1347,383 @@ class StorageEngine {
 
   // NEW: Create an index
   async createIndex(tableName, indexDef) {
-    const indexFile = path.join(this.indexesDir, `${tableName}_${indexDef.name}.json`);
-    const indexData = {
-      tableName,
-      name: indexDef.name,
-      columns: indexDef.columns,
-      unique: indexDef.unique || false,
-      created: new Date().toISOString(),
-      entries: {}
-    };
-
-    // Build initial index from existing data
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    if (await fs.pathExists(tableFile)) {
-      const tableData = await fs.readJson(tableFile);
-      for (const row of tableData.rows) {
-        const indexKey = this.buildIndexKey(row, indexDef.columns);
-        if (!indexData.entries[indexKey]) {
-          indexData.entries[indexKey] = [];
+    const tableInfo = (await this.loadMetadata()).tables[tableName] || {};
+    const rows = await this.tables.exists(tableName) ? (await this.tables.read(tableName)).rows : [];
+
+    // A unique index may not be built over duplicates; rows with a NULL in the key never conflict
+    if (indexDef.unique) {
+      const seen = new Set();
+      for (const row of rows.filter(row => SnapshotManager.isLive(row))) {
+        const values = BTreeIndex.keyOf(row, indexDef.columns);
+        if (values.some(value => value === null)) continue;
+
+        const valueKey = JSON.stringify(values);
+        if (seen.has(valueKey)) {
+          throw new Error(`Cannot create unique index '${indexDef.name}': duplicate value (${values.join(', ')}) for column(s) ${indexDef.columns.join(', ')}`);
         }
-        indexData.entries[indexKey].push(row.id);
+        seen.add(valueKey);
+      }
+    }
+
+    if (indexDef.fulltext) {
+      await FullTextIndex.build({
+        file: this.indexFile(tableName, indexDef.name),
+        transactions: this.transactions,
+        evaluator: this.evaluator,
+        tokenizer: this.evaluator.tokenizer,
+        definition: { tableName, name: indexDef.name, columns: indexDef.columns },
+        rows
+      });
+      return;
+    }
+
+    // An entry for every row version, ordered the way ORDER BY sorts the columns' types
+    await BTreeIndex.build({
+      file: this.indexFile(tableName, indexDef.name),
+      transactions: this.transactions,
+      evaluator: this.evaluator,
+      definition: {
+        tableName,
+        name: indexDef.name,
+        columns: indexDef.columns,
+        types: this.indexKeyTypes(indexDef, tableInfo.schema),
+        unique: indexDef.unique || false
+      },
+      rows
+    });
+  }
+
+  // Build a new index over an existing table and register it in the table metadata
+  async addIndex(tableName, indexDef) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const indexes = tableInfo.indexes || [];
+    if (indexes.some(index => index.name === indexDef.name)) {
+      throw new Error(`Index '${indexDef.name}' already exists on table '${tableName}'`);
+    }
+
+    const knownColumns = this.tableColumns(tableInfo);
+    for (const key of indexDef.columns) {
+      const column = JsonPath.baseColumn(key);
+      if (!knownColumns.includes(column)) {
+        throw new Error(`Column '${column}' does not exist in table '${tableName}'`);
+      }
+      if (column !== key && !this.isJsonColumn(tableInfo.schema, column)) {
+        throw new Error(`Cannot index ${key}: '${column}' is not a JSON column`);
+      }
+    }
+
+    if (indexDef.fulltext) {
+      this.validateFullTextColumns(indexDef, tableInfo.schema);
+    }
+
+    const index = { name: indexDef.name, columns: indexDef.columns, unique: indexDef.unique || false };
+    if (indexDef.fulltext) index.fulltext = true;
+    await this.createIndex(tableName, index);
+
+    tableInfo.indexes = [...indexes, index];
+    await this.saveMetadata(metadata);
+
+    return index;
+  }
+
+  // Full-text search only makes sense over text
+  validateFullTextColumns(indexDef, schema) {
+    for (const column of indexDef.columns) {
+      const type = schema?.[column]?.type;
+      const baseType = type ? String(type).split('(')[0].toUpperCase() : null;
+      if (!StorageEngine.FULLTEXT_TYPES.includes(baseType)) {
+        const kind = type || (JsonPath.parseKey(column) ? 'a JSON path' : 'a built-in column');
+        throw new Error(`Full-text index '${indexDef.name}' needs VARCHAR or TEXT columns; '${column}' is ${kind}`);
+      }
+    }
+  }
+
+  isJsonColumn(schema, column) {
+    const type = schema?.[column]?.type;
+    return Boolean(type) && String(type).split('(')[0].toUpperCase() === 'JSON';
+  }
+
+  // The table columns an index reads, including those its JSON paths start from
+  indexColumns(indexDef) {
+    return indexDef.columns.map(key => JsonPath.baseColumn(key));
+  }
+
+  // How each index column orders its keys: by the column's type, and as text for a ->> path
+  indexKeyTypes(indexDef, schema) {
+    return indexDef.columns.map(key => {
+      const parsed = JsonPath.parseKey(key);
+      if (parsed) return parsed.text ? 'TEXT' : null;
+      return schema?.[key]?.type || null;
+    });
+  }
+
+  async dropIndex(tableName, indexName) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const indexes = tableInfo.indexes || [];
+    if (!indexes.some(index => index.name === indexName)) {
+      throw new Error(`Index '${indexName}' does not exist on table '${tableName}'`);
+    }
+
+    if (this.constraintIndexNames(tableInfo).includes(indexName)) {
+      throw new Error(`Index '${indexName}' enforces a PRIMARY KEY or UNIQUE constraint and cannot be dropped`);
+    }
+
+    tableInfo.indexes = indexes.filter(index => index.name !== indexName);
+    await this.saveMetadata(metadata);
+
+    await this.removeIndexFiles(tableName, indexName);
+  }
+
+  // Indexes created for PRIMARY KEY and UNIQUE columns belong to the constraint, not to the user
+  constraintIndexNames(tableInfo) {
+    const constraints = tableInfo.constraints || {};
+    return [
+      constraints.primaryKey ? `pk_${constraints.primaryKey}` : null,
+      ...(constraints.unique || []).map(column => `uk_${column}`)
+    ].filter(Boolean);
+  }
+
+  // Names of the tables that have an index called indexName
+  async findIndexTables(indexName) {
+    const metadata = await this.loadMetadata();
+    return Object.values(metadata.tables)
+      .filter(tableInfo => (tableInfo.indexes || []).some(index => index.name === indexName))
+      .map(tableInfo => tableInfo.name);
+  }
+
+  indexFile(tableName, indexName) {
+    return path.join(this.indexesDir, `${tableName}_${indexName}.btree`);
+  }
+
+  // Index files before B+trees were a JSON map of keys to row ids
+  legacyIndexFile(tableName, indexName) {
+    return path.join(this.indexesDir, `${tableName}_${indexName}.json`);
+  }
+
+  async removeIndexFiles(tableName, indexName) {
+    for (const file of [this.indexFile(tableName, indexName), this.legacyIndexFile(tableName, indexName)]) {
+      if (await this.fileExists(file)) {
+        await this.removeFile(file);
       }
     }
+  }
+
+  // The index's B+tree (a FullTextIndex for a FULLTEXT index), or null when it has none
+  async openIndex(tableName, indexName) {
+    const tree = await this.openIndexTree(tableName, indexName);
+    return tree && tree.meta.fulltext ? new FullTextIndex(tree, this.evaluator.tokenizer) : tree;
+  }
 
-    await fs.writeJson(indexFile, indexData, { spaces: 2 });
+  async openIndexTree(tableName, indexName) {
+    return await BTreeIndex.open({
+      file: this.indexFile(tableName, indexName),
+      transactions: this.transactions,
+      evaluator: this.evaluator
+    });
   }
 
-  // NEW: Build index key from row data
-  buildIndexKey(row, columns) {
-    return columns.map(col => row[col] || '').join('|');
+  // The B+trees of a table's indexes, skipping any without one
+  async openIndexes(tableName) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+    const trees = [];
+    for (const indexDef of tableInfo?.indexes || []) {
+      const tree = await this.openIndex(tableName, indexDef.name);
+      if (tree) trees.push({ indexDef, tree });
+    }
+    return trees;
   }
 
   // NEW: Update indexes for insert
   async updateIndexesForInsert(tableName, row) {
+    for (const { indexDef, tree } of await this.openIndexes(tableName)) {
+      await this.addIndexEntry(indexDef, tree, row);
+    }
+  }
+
+  /* Index the new versions of updated rows. A replaced version keeps its entry until vacuum
+   * removes it (change.keptOldVersion); otherwise the row id moves to its new key.
+   */
+  async updateIndexesForUpdate(tableName, changes) {
+    if (changes.length === 0) return;
+
+    for (const { indexDef, tree } of await this.openIndexes(tableName)) {
+      for (const { oldRow, newRow, keptOldVersion } of changes) {
+        const oldKey = BTreeIndex.keyOf(oldRow, indexDef.columns);
+        const newKey = BTreeIndex.keyOf(newRow, indexDef.columns);
+        if (!keptOldVersion) {
+          if (JSON.stringify(oldKey) === JSON.stringify(newKey)) continue;
+          await this.removeIndexEntry(indexDef, tree, oldRow);
+        }
+        await this.addIndexEntry(indexDef, tree, newRow);
+      }
+    }
+  }
+
+  // Remove the entry of each row version that was removed from the table, from every index of the table
+  async updateIndexesForDelete(tableName, rows) {
+    if (rows.length === 0) return;
+
+    for (const { indexDef, tree } of await this.openIndexes(tableName)) {
+      for (const row of rows) {
+        await this.removeIndexEntry(indexDef, tree, row);
+      }
+    }
+  }
+
+  // A full-text index takes an entry per term of the row version, others one under its key
+  async addIndexEntry(indexDef, tree, row) {
+    if (indexDef.fulltext) {
+      await tree.insertRow(row);
+    } else {
+      await tree.insert(BTreeIndex.keyOf(row, indexDef.columns), row.id);
+    }
+  }
+
+  // Look under the version's own key first, then anywhere in case the index has drifted
+  async removeIndexEntry(indexDef, tree, row) {
+    if (indexDef.fulltext) {
+      await tree.removeRow(row);
+    } else if (!await tree.remove(BTreeIndex.keyOf(row, indexDef.columns), row.id)) {
+      await tree.removeRowId(row.id);
+    }
+  }
+
+  // Build every index of a table again from its rows (REINDEX)
+  async reindexTable(tableName) {
     const metadata = await this.loadMetadata();
     const tableInfo = metadata.tables[tableName];
-    
-    if (!tableInfo.indexes) return;
 
-    for (const indexDef of tableInfo.indexes) {
-      const indexFile = path.join(this.indexesDir, `${tableName}_${indexDef.name}.json`);
-      if (await fs.pathExists(indexFile)) {
-        const indexData = await fs.readJson(indexFile);
-        const indexKey = this.buildIndexKey(row, indexDef.columns);
-        
-        if (!indexData.entries[indexKey]) {
-          indexData.entries[indexKey] = [];
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const rebuilt = [];
+    for (const indexDef of tableInfo.indexes || []) {
+      await this.createIndex(tableName, indexDef);
+      const tree = await this.openIndexTree(tableName, indexDef.name);
+      rebuilt.push({ index: indexDef.name, entries: tree.size });
+    }
+    return rebuilt;
+  }
+
+  /* Compare each index of a table with its rows (CHECK TABLE): every row version should have one
+   * entry, under the values it holds, and a unique index no two live rows with the same key.
+   * Returns a report per index with its status ('ok', 'mismatch', 'missing' or 'corrupted').
+   */
+  async checkTable(tableName) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const tableData = await this.tables.read(tableName);
+    const reports = [];
+    for (const indexDef of tableInfo.indexes || []) {
+      reports.push(await this.checkIndex(tableName, tableInfo, indexDef, tableData.rows));
+    }
+    return reports;
+  }
+
+  async checkIndex(tableName, tableInfo, indexDef, rows) {
+    const report = { index: indexDef.name, status: 'ok', entries: 0, rowVersions: rows.length, missing: 0, unexpected: 0, problems: [] };
+
+    // How many entries each row version calls for, by its key (each of its terms, for a full-text index) and row id
+    const expected = new Map();
+    for (const row of rows) {
+      const entries = indexDef.fulltext
+        ? FullTextIndex.entriesOf(row, indexDef.columns, this.evaluator.tokenizer)
+        : [[BTreeIndex.keyOf(row, indexDef.columns), row.id, 1]];
+      for (const [key, rowId, count] of entries) {
+        const entry = JSON.stringify([key, rowId]);
+        expected.set(entry, (expected.get(entry) || 0) + count);
+      }
+    }
+
+    let tree;
+    let outOfOrder = 0;
+    try {
+      tree = await this.openIndexTree(tableName, indexDef.name);
+      if (!tree) {
+        return { ...report, status: 'missing', missing: rows.length, problems: ['the index file is missing'] };
+      }
+
+      let previous = null;
+      for await (const { key, rowId, count } of tree.scan()) {
+        if (previous && tree.compareEntries(previous, [key, rowId]) >= 0) outOfOrder++;
+        previous = [key, rowId];
+
+        const entry = JSON.stringify([key, rowId]);
+        const wanted = expected.get(entry) || 0;
+        report.entries += count;
+        report.unexpected += Math.max(count - wanted, 0);
+        expected.set(entry, Math.max(wanted - count, 0));
+      }
+    } catch (error) {
+      if (!error.corrupted) throw error;
+      return { ...report, status: 'corrupted', problems: [error.message] };
+    }
+    report.missing = Array.from(expected.values()).reduce((sum, count) => sum + count, 0);
+
+    const { problems } = report;
+    const kind = meta => (meta.fulltext ? 'a full-text index' : meta.unique ? 'a unique index' : 'an index');
+    if (JSON.stringify(tree.meta.columns) !== JSON.stringify(indexDef.columns) || kind(tree.meta) !== kind(indexDef)) {
+      problems.push(`the index was built as ${kind(tree.meta)} on (${tree.meta.columns.join(', ')})`);
+    }
+    const types = indexDef.fulltext ? FullTextIndex.KEY_TYPES : this.indexKeyTypes(indexDef, tableInfo.schema);
+    if (JSON.stringify(tree.meta.types) !== JSON.stringify(types)) {
+      problems.push('the index orders its keys for other column types');
+    }
+    if (indexDef.fulltext && tree.meta.documents !== rows.length) {
+      problems.push(`the index counts ${tree.meta.documents} row versions but the table has ${rows.length}`);
+    }
+    if (outOfOrder > 0) {
+      problems.push(`${outOfOrder} entries are out of order`);
+    }
+    if (tree.size !== report.entries) {
+      problems.push(`the index counts ${tree.size} entries but holds ${report.entries}`);
+    }
+    if (report.missing > 0) {
+      problems.push(`${report.missing} row version(s) have no entry`);
+    }
+    if (report.unexpected > 0) {
+      problems.push(`${report.unexpected} entries match no row version`);
+    }
+    if (indexDef.unique) {
+      const seen = new Set();
+      for (const row of rows.filter(row => SnapshotManager.isLive(row))) {
+        const values = BTreeIndex.keyOf(row, indexDef.columns);
+        if (values.some(value => value === null)) continue;
+
+        const valueKey = JSON.stringify(values);
+        if (seen.has(valueKey)) {
+          problems.push(`duplicate value (${values.join(', ')}) in a unique index`);
         }
-        indexData.entries[indexKey].push(row.id);
-        
-        await fs.writeJson(indexFile, indexData, { spaces: 2 });
+        seen.add(valueKey);
       }
     }
+
+    if (problems.length > 0) report.status = 'mismatch';
+    return report;
   }
 
   // NEW: Advanced query methods with index support
+  // Returns the same rows, in the same order, as selectRows; an index only narrows the rows the WHERE clause is checked on.
+  // Pass options.trace (a QueryTrace) to record each step for EXPLAIN ANALYZE.
   async selectRowsWithIndex(tableName, conditions = {}, options = {}) {
     const metadata = await this.loadMetadata();
     const tableInfo = metadata.tables[tableName];
@@ -481,71 +1732,312 @@ class StorageEngine {
       throw new Error(`Table '${tableName}' does not exist`);
     }
 
-    // Try to use an index for the query
-    const bestIndex = this.findBestIndex(tableInfo.indexes || [], conditions);
+    const { groupName = null, trace = null } = options;
+    conditions = this.typedConditions(tableInfo, conditions);
+
+    // Try to use an index for the query: then only the rows it names are read
+    const plan = this.findBestIndex(tableInfo.indexes || [], conditions);
+    let rows = null;
+    let tableData;
     
-    if (bestIndex) {
-      return await this.selectRowsUsingIndex(tableName, bestIndex, conditions, options);
+    if (plan) {
+      rows = await QueryTrace.run(trace, plan.type, this.describeIndexPlan(tableName, plan),
+        () => this.selectRowsUsingIndex(tableName, plan, tableInfo));
+    }
+    if (rows) {
+      tableData = { rows, groups: RowRecord.groupLists(rows, Object.keys(tableInfo.groups || {})) };
+    } else {
+      tableData = await this.tables.read(tableName);
+      rows = await QueryTrace.run(trace, 'FULL_SCAN', tableName, () => this.visibleRows(tableData));
+    }
+
+    if (groupName) {
+      rows = await QueryTrace.run(trace, 'GROUP_FILTER', `group ${groupName}`,
+        () => this.filterRows({ ...tableData, rows }, null, groupName));
+    }
+    if (this.hasConditions(conditions)) {
+      rows = await QueryTrace.run(trace, 'FILTER', this.describeConditions(conditions),
+        () => this.filterRows({ ...tableData, rows }, conditions, null));
+    }
+    return rows;
+  }
+
+  // The steps selectRowsWithIndex would take, with row estimates from metadata and index files (for EXPLAIN)
+  async explainSelect(tableName, conditions = {}, groupName = null) {
+    const tableInfo = await this.getTable(tableName);
+    const steps = [];
+    conditions = this.typedConditions(tableInfo, conditions);
+
+    const plan = this.findBestIndex(tableInfo.indexes || [], conditions);
+    const candidates = plan ? await this.countIndexCandidates(tableName, plan) : null;
+    let estimatedRows = tableInfo.rowCount || 0;
+
+    if (candidates !== null) {
+      estimatedRows = candidates;
+      steps.push({ operation: plan.type, detail: this.describeIndexPlan(tableName, plan), estimatedRows });
     } else {
-      return await this.selectRows(tableName, conditions, options.groupName);
+      steps.push({ operation: 'FULL_SCAN', detail: tableName, estimatedRows });
     }
+
+    if (groupName) {
+      const groupRows = tableInfo.groups?.[groupName]?.rowCount || 0;
+      estimatedRows = Math.min(estimatedRows, groupRows);
+      steps.push({ operation: 'GROUP_FILTER', detail: `group ${groupName}`, estimatedRows });
+    }
+    // Filters are not costed, so the estimate stays an upper bound
+    if (this.hasConditions(conditions)) {
+      steps.push({ operation: 'FILTER', detail: this.describeConditions(conditions), estimatedRows });
+    }
+    return steps;
   }
 
   // NEW: Find best index for query conditions
   findBestIndex(indexes, conditions) {
-    const conditionColumns = Object.keys(conditions);
-    let bestIndex = null;
-    let bestScore = 0;
+    return this.planner.chooseIndex(indexes, conditions);
+  }
 
-    for (const index of indexes) {
-      const matchingColumns = index.columns.filter(col => conditionColumns.includes(col));
-      const score = matchingColumns.length / index.columns.length;
-      
-      if (score > bestScore) {
-        bestIndex = index;
-        bestScore = score;
+  // NEW: Select rows using index
+  // Returns the visible candidate rows in table order, reading only theirs, or null when the index is missing,
+  // out of step with the table (it has one entry per row version) or can't serve the plan's range
+  async selectRowsUsingIndex(tableName, plan, tableInfo) {
+    const tree = await this.openIndex(tableName, plan.index.name);
+    if (!tree || tree.size !== (tableInfo.rowCount || 0) + (tableInfo.deadRows || 0)) return null;
+
+    const candidateIds = await this.lookupIndex(tree, plan);
+    if (!candidateIds) return null;
+    if (candidateIds.size === 0) return [];
+    return this.visibleRows({ rows: await this.tables.readVersions(tableName, Array.from(candidateIds)) });
+  }
+
+  async countIndexCandidates(tableName, plan) {
+    const tree = await this.openIndex(tableName, plan.index.name);
+    if (!tree) return null;
+
+    const candidateIds = await this.lookupIndex(tree, plan);
+    return candidateIds && candidateIds.size;
+  }
+
+  // Ids of the rows with an entry in the plan's part of the index, or null when the index can't tell which
+  async lookupIndex(tree, plan) {
+    if (plan.type === 'INDEX_FULLTEXT') {
+      const { rowIds } = await tree.search(this.evaluator.tokenizer.queryTerms(plan.match.query));
+      return rowIds;
+    }
+
+    const bounds = this.indexBounds(tree, plan);
+    if (!bounds) return null;
+
+    const rowIds = new Set();
+    for await (const { rowId } of tree.scan(bounds)) {
+      rowIds.add(rowId);
+    }
+    return rowIds;
+  }
+
+  /* The keys a plan reads: those starting with its equality values, and with the next column in
+   * its range, if any. Null when the index orders that column unlike the WHERE clause compares it.
+   */
+  indexBounds(tree, plan) {
+    const { values, range } = plan;
+    let lower = values.length > 0 ? { key: values, inclusive: true } : null;
+    let upper = lower;
+    if (!range) return { lower, upper };
+
+    for (const bound of [range.lower, range.upper]) {
+      if (bound && !tree.canScanRange(values.length, bound.value, { like: Boolean(bound.like) })) return null;
+    }
+    if (range.lower) {
+      lower = { key: [...values, range.lower.value], inclusive: range.lower.inclusive };
+    }
+    if (range.upper) {
+      upper = { key: [...values, range.upper.value], inclusive: range.upper.inclusive };
+    }
+    return { lower, upper };
+  }
+
+  describeIndexPlan(tableName, plan) {
+    if (plan.type === 'INDEX_FULLTEXT') {
+      return `${tableName} using ${plan.index.name} (${this.describeMatch(plan.match)})`;
+    }
+
+    const keys = plan.columns.map((col, i) => `${col} = ${JSON.stringify(plan.values[i])}`);
+    if (plan.range) {
+      const { column, lower, upper } = plan.range;
+      if (lower) {
+        keys.push(lower.like ? `${column} LIKE ${JSON.stringify(lower.like)}` : `${column} ${lower.inclusive ? '>=' : '>'} ${JSON.stringify(lower.value)}`);
+      }
+      if (upper && !(upper.like && lower && upper.like === lower.like)) {
+        keys.push(upper.like ? `${column} LIKE ${JSON.stringify(upper.like)}` : `${column} ${upper.inclusive ? '<=' : '<'} ${JSON.stringify(upper.value)}`);
       }
     }
+    return `${tableName} using ${plan.index.name} (${keys.join(' AND ')})`;
+  }
 
-    return bestScore > 0 ? bestIndex : null;
+  describeMatch({ columns, query }) {
+    return `MATCH(${columns.join(', ')}) AGAINST(${JSON.stringify(query)})`;
   }
 
-  // NEW: Select rows using index
-  async selectRowsUsingIndex(tableName, index, conditions, options) {
-    const indexFile = path.join(this.indexesDir, `${tableName}_${index.name}.json`);
-    const indexData = await fs.readJson(indexFile);
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
-
-    // Build search key from conditions
-    const searchKey = index.columns.map(col => conditions[col] || '').join('|');
-    const rowIds = indexData.entries[searchKey] || [];
-    
-    // Get rows by IDs
-    let rows = tableData.rows.filter(row => rowIds.includes(row.id));
-    
-    // Apply remaining conditions not covered by index
-    const remainingConditions = {};
-    for (const [key, value] of Object.entries(conditions)) {
-      if (!index.columns.includes(key)) {
-        remainingConditions[key] = value;
+  hasConditions(conditions) {
+    return Boolean(conditions) && Object.keys(conditions).length > 0;
+  }
+
+  /* Conditions with the values compared to a column of the table's schema (by =, <>, <, >, IN and
+   * BETWEEN) converted to the column's type (see ColumnTypes.coerceOperand), like written values are.
+   */
+  typedConditions(tableInfo, conditions) {
+    const schema = tableInfo.schema || {};
+    if (!this.evaluator.isExpression(conditions)) {
+      if (!this.hasConditions(conditions)) return conditions;
+      return Object.fromEntries(Object.entries(conditions).map(([column, value]) =>
+        [column, schema[column] ? ColumnTypes.coerceOperand(value, schema[column].type) : value]));
+    }
+
+    const typeOf = node => node.type === 'COLUMN' && !node.table && schema[node.name] ? schema[node.name].type : null;
+    const coerce = (node, type) => node.type === 'LITERAL' ? { ...node, value: ColumnTypes.coerceOperand(node.value, type) } : node;
+    const convert = node => {
+      const copy = this.evaluator.mapChildren(node, convert);
+      if (copy.type === 'COMPARISON' && StorageEngine.TYPED_OPERATORS.includes(copy.operator)) {
+        const leftType = typeOf(copy.left);
+        const rightType = typeOf(copy.right);
+        if (leftType) copy.right = coerce(copy.right, leftType);
+        if (rightType) copy.left = coerce(copy.left, rightType);
+      } else if (copy.type === 'IN' && typeOf(copy.operand)) {
+        copy.values = copy.values.map(value => coerce(value, typeOf(copy.operand)));
+      } else if (copy.type === 'BETWEEN' && typeOf(copy.operand)) {
+        copy.low = coerce(copy.low, typeOf(copy.operand));
+        copy.high = coerce(copy.high, typeOf(copy.operand));
       }
+      return copy;
+    };
+    return convert(conditions);
+  }
+
+  describeConditions(conditions) {
+    return this.evaluator.isExpression(conditions) ? this.evaluator.describe(conditions) : JSON.stringify(conditions);
+  }
+
+  /* Return matching rows ordered by `column` using an index whose leading column it is,
+   * stopping once `limit` rows have been collected. Ties keep table file order so the
+   * result is identical to filtering and sorting the whole table. Returns null when no
+   * usable index exists or the index does not cover every row.
+   */
+  async selectRowsInIndexOrder(tableName, conditions, groupName, { column, direction = 'ASC', limit }) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
     }
 
-    if (Object.keys(remainingConditions).length > 0) {
-      rows = rows.filter(row => {
-        return Object.entries(remainingConditions).every(([key, value]) => {
-          if (typeof value === 'object' && value.operator) {
-            return this.evaluateCondition(row[key], value.operator, value.value);
-          }
-          return row[key] === value;
-        });
-      });
+    const index = (tableInfo.indexes || []).find(indexDef => !indexDef.fulltext && indexDef.columns[0] === column);
+    if (!index) return null;
+    conditions = this.typedConditions(tableInfo, conditions);
+
+    const tree = await this.openIndex(tableName, index.name);
+    if (!tree) return null;
+
+    const allVersions = await this.tables.read(tableName);
+    if (tree.size !== allVersions.rows.length) return null;
+    const tableData = this.visibleTable(allVersions);
+
+    // A row has at most one version visible to this read; the index has an entry for each version
+    const positions = new Map(tableData.rows.map((row, position) => [row.id, position]));
+    const type = tree.meta.types[0];
+    const groupRowIds = groupName ? new Set(tableData.groups[groupName] || []) : null;
+
+    // Only the part of the index the WHERE clause can match, when it bounds this index
+    const plan = this.planner.chooseIndex([index], conditions);
+    const bounds = (plan && this.indexBounds(tree, plan)) || {};
+
+    const rows = [];
+    const seen = new Set();
+    let run = [];
+    let runValue;
+
+    // Entries that compare equal (e.g. '5' and 5 in a NUMBER column) form one run in file order
+    const takeRun = () => {
+      run.sort((a, b) => a - b);
+      for (const position of run) {
+        if (rows.length >= limit) break;
+        const row = tableData.rows[position];
+        if (groupRowIds && !groupRowIds.has(row.id)) continue;
+        if (conditions && !this.rowMatches(row, conditions)) continue;
+
+        rows.push(row);
+      }
+      run = [];
+    };
+
+    for await (const { key, rowId } of tree.scan({ ...bounds, descending: direction === 'DESC' })) {
+      // Skip the entries of versions this read doesn't see
+      const position = positions.get(rowId);
+      if (position === undefined || seen.has(rowId)) continue;
+      if (this.evaluator.compareValues(tableData.rows[position][column], key[0], type) !== 0) continue;
+
+      if (run.length > 0 && this.evaluator.compareValues(runValue, key[0], type) !== 0) {
+        takeRun();
+        if (rows.length >= limit) return rows;
+      }
+      seen.add(rowId);
+      run.push(position);
+      runValue = key[0];
     }
+    takeRun();
 
     return rows;
   }
 
+  /* Order rows by how well they match MATCH ... AGAINST conditions (QueryPlanner.matchConditions),
+   * best first; rows that score the same keep their order. For each search term it holds, a row
+   * scores (1 + ln occurrences) * ln(1 + rows / rows holding the term), so rarer terms weigh more.
+   * The row and term counts come from the FULLTEXT index on the columns, or else from the rows
+   * this read sees.
+   */
+  async rankByRelevance(tableName, matches, rows) {
+    const tableInfo = await this.getTable(tableName);
+    const { tokenizer } = this.evaluator;
+    const scores = rows.map(() => 0);
+
+    for (const { columns, query } of matches) {
+      const terms = tokenizer.queryTerms(query);
+      const { total, frequencies } = await this.termFrequencies(tableName, tableInfo, columns, terms);
+
+      rows.forEach((row, position) => {
+        const counts = tokenizer.termCounts(columns.map(column => row[column]));
+        for (const term of terms) {
+          const count = counts.get(term);
+          if (!count) continue;
+          scores[position] += (1 + Math.log(count)) * Math.log(1 + total / Math.max(frequencies.get(term) || 0, 1));
+        }
+      });
+    }
+
+    return rows
+      .map((row, position) => ({ row, position }))
+      .sort((a, b) => scores[b.position] - scores[a.position] || a.position - b.position)
+      .map(({ row }) => row);
+  }
+
+  // How many rows there are and how many hold each term in columns: { total, frequencies }
+  async termFrequencies(tableName, tableInfo, columns, terms) {
+    const index = (tableInfo.indexes || []).find(indexDef => indexDef.fulltext && QueryPlanner.sameColumns(indexDef.columns, columns));
+    const tree = index ? await this.openIndex(tableName, index.name) : null;
+    if (tree) {
+      const { frequencies } = await tree.search(terms);
+      return { total: tree.size, frequencies };
+    }
+
+    const rows = this.visibleRows(await this.tables.read(tableName));
+    const frequencies = new Map(terms.map(term => [term, 0]));
+    for (const row of rows) {
+      const counts = this.evaluator.tokenizer.termCounts(columns.map(column => row[column]));
+      for (const term of terms) {
+        if (counts.has(term)) frequencies.set(term, frequencies.get(term) + 1);
+      }
+    }
+    return { total: rows.length, frequencies };
+  }
+
   // NEW: Create triggers
   async createTrigger(tableName, triggerName, event, timing, action) {
     const metadata = await this.loadMetadata();
@@ -605,9 +2097,43 @@ class StorageEngine {
       throw new Error(`Table '${tableName}' does not exist`);
     }
 
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
+    const tableData = await this.tables.read(tableName);
 
+    return this.filterRows(this.visibleTable(tableData), this.typedConditions(metadata.tables[tableName], conditions), groupName);
+  }
+
+  /* The rows a read sees, in table order, from offset on and at most limit of them (all without
+   * one), of a group when groupName is given. The table is scanned only as far as the last of them.
+   */
+  async selectRowRange(tableName, groupName = null, { limit = null, offset = 0 } = {}) {
+    const metadata = await this.loadMetadata();
+    const tableInfo = metadata.tables[tableName];
+
+    if (!tableInfo) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const rows = [];
+    if (limit === 0 || (groupName && !tableInfo.groups?.[groupName])) return rows;
+
+    const snapshot = this.transactions.snapshot();
+    let skipped = 0;
+    for await (const row of this.tables.scan(tableName)) {
+      if (!SnapshotManager.isVisible(row, snapshot)) continue;
+      if (groupName && row.group !== groupName) continue;
+      if (skipped < (offset || 0)) {
+        skipped++;
+        continue;
+      }
+
+      rows.push(SnapshotManager.withoutVersion(row));
+      if (limit !== null && rows.length >= limit) break;
+    }
+    return rows;
+  }
+
+  // Apply group and WHERE conditions to the rows of a loaded table
+  filterRows(tableData, conditions = {}, groupName = null) {
     let rows = tableData.rows;
 
     // Filter by group if specified
@@ -621,67 +2147,225 @@ class StorageEngine {
     }
 
     // Apply conditions
-    if (Object.keys(conditions).length > 0) {
-      rows = rows.filter(row => {
-        return Object.entries(conditions).every(([key, value]) => {
-          if (typeof value === 'object' && value.operator) {
-            return this.evaluateCondition(row[key], value.operator, value.value);
-          }
-          return row[key] === value;
-        });
-      });
+    if (conditions && Object.keys(conditions).length > 0) {
+      rows = rows.filter(row => this.rowMatches(row, conditions));
     }
 
     return rows;
   }
 
+  // Conditions are either a parsed WHERE expression or a { column: value } map
+  rowMatches(row, conditions) {
+    if (this.evaluator.isExpression(conditions)) {
+      return this.evaluator.matches(conditions, row);
+    }
+
+    return Object.entries(conditions || {}).every(([key, value]) => {
+      if (typeof value === 'object' && value.operator) {
+        return this.evaluateCondition(row[key], value.operator, value.value);
+      }
+      return row[key] === value;
+    });
+  }
+
+  // Update one row by id (the web edit form), with the same checks as updateRows
   async updateRow(tableName, rowId, updates) {
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
+    const metadata = await this.loadMetadata();
+    if (!metadata.tables[tableName]) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+    const tableInfo = metadata.tables[tableName];
+    const tableData = await this.tables.read(tableName);
 
-    const rowIndex = tableData.rows.findIndex(row => row.id === rowId);
+    const rowIndex = tableData.rows.findIndex(row => row.id === rowId && SnapshotManager.isLive(row));
     if (rowIndex === -1) {
       throw new Error(`Row with id '${rowId}' not found`);
     }
 
-    tableData.rows[rowIndex] = {
-      ...tableData.rows[rowIndex],
-      ...updates,
+    const oldRow = SnapshotManager.withoutVersion(tableData.rows[rowIndex]);
+    const newRow = {
+      ...oldRow,
+      ...ColumnTypes.coerceRow(updates, tableInfo.schema),
       updated: new Date().toISOString()
     };
+    await this.validateRowUpdate(tableName, oldRow, newRow, tableInfo, tableData);
+    const keptOldVersion = this.replaceRowVersion(tableData, rowIndex, newRow);
+
+    await this.tables.write(tableName, tableData);
+    if (keptOldVersion) {
+      this.refreshRowCounts(tableInfo, tableData);
+      await this.saveMetadata(metadata);
+    }
+    await this.updateIndexesForUpdate(tableName, [{ oldRow, newRow, keptOldVersion }]);
+    await this.applyReferentialActions(tableName, [{ oldRow, newRow }]);
+
+    return newRow;
+  }
+
+  // Update every row matching the conditions; all rows are validated before anything is written
+  async updateRows(tableName, updates, conditions = {}, groupName = null) {
+    const metadata = await this.loadMetadata();
+
+    if (!metadata.tables[tableName]) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    for (const column of ['id', 'created', 'updated', 'group', ...SnapshotManager.VERSION_COLUMNS]) {
+      if (Object.prototype.hasOwnProperty.call(updates, column)) {
+        throw new Error(`Column '${column}' cannot be updated`);
+      }
+    }
+
+    const tableInfo = metadata.tables[tableName];
+    const tableData = await this.tables.read(tableName);
+    this.validateAssignments(tableName, tableInfo, updates);
+
+    const matchingIds = new Set(this.filterRows(this.visibleTable(tableData), this.typedConditions(tableInfo, conditions), groupName).map(row => row.id));
+    if (matchingIds.size === 0) {
+      return [];
+    }
+
+    const now = new Date().toISOString();
+    const changes = [];
 
-    await fs.writeJson(tableFile, tableData, { spaces: 2 });
-    return tableData.rows[rowIndex];
+    for (let i = 0; i < tableData.rows.length; i++) {
+      const version = tableData.rows[i];
+      if (!SnapshotManager.isLive(version) || !matchingIds.has(version.id)) continue;
+
+      const oldRow = SnapshotManager.withoutVersion(version);
+      const assigned = this.assignedValues(updates, oldRow);
+      const newRow = { ...oldRow, ...ColumnTypes.coerceRow(assigned, tableInfo.schema), updated: now };
+      await this.validateRowUpdate(tableName, oldRow, newRow, tableInfo, tableData);
+
+      // Later rows are validated against the rows already updated by this statement
+      const keptOldVersion = this.replaceRowVersion(tableData, i, newRow);
+      if (keptOldVersion) i++; // past the new version
+      changes.push({ oldRow, newRow, keptOldVersion });
+    }
+
+    if (Object.keys(updates).some(column => tableInfo.autoIncrement?.[column])) {
+      for (const { newRow } of changes) {
+        const assigned = Object.fromEntries(Object.keys(updates).map(column => [column, newRow[column]]));
+        await this.updateAutoIncrementSequences(tableName, tableData, assigned);
+      }
+    }
+
+    await this.tables.write(tableName, tableData);
+    if (changes.some(change => change.keptOldVersion)) {
+      this.refreshRowCounts(tableInfo, tableData);
+      await this.saveMetadata(metadata);
+    }
+    await this.updateIndexesForUpdate(tableName, changes);
+    await this.applyReferentialActions(tableName, changes);
+
+    return changes.map(change => change.newRow);
+  }
+
+  /* An update's new values: plain values, or expressions (as SQLParser parses SET col = expr) that
+   * may only read the table's own columns. Expressions read the row as it was before the update.
+   */
+  validateAssignments(tableName, tableInfo, updates) {
+    const columns = this.tableColumns(tableInfo);
+    for (const value of Object.values(updates)) {
+      if (!this.evaluator.isExpression(value)) continue;
+      this.evaluator.checkFunctions(value);
+      this.evaluator.walk(value, node => {
+        if (node.type === 'AGGREGATE') {
+          throw new Error(`Aggregate functions are not allowed in SET: ${this.evaluator.describe(node)}`);
+        }
+        if (node.type === 'COLUMN' && (node.table || !columns.includes(node.name))) {
+          throw new Error(`Column '${this.evaluator.columnKey(node)}' does not exist in table '${tableName}'`);
+        }
+        return true;
+      });
+    }
+  }
+
+  assignedValues(updates, row) {
+    return Object.fromEntries(Object.entries(updates).map(([column, value]) =>
+      [column, this.evaluator.isExpression(value) ? this.evaluator.evaluate(value, row) : value]));
+  }
+
+  // Validate constraints for a row that is about to replace oldRow
+  async validateRowUpdate(tableName, oldRow, newRow, tableInfo, tableData) {
+    const constraints = tableInfo.constraints || { notNull: [], unique: [], check: [] };
+    const otherRows = this.liveRows(tableData).filter(row => row.id !== oldRow.id);
+
+    for (const column of constraints.notNull || []) {
+      if (newRow[column] === undefined || newRow[column] === null) {
+        throw new Error(`Column '${column}' cannot be null`);
+      }
+    }
+
+    this.validateCheckConstraints(newRow, constraints.check);
+
+    for (const column of constraints.unique || []) {
+      if (newRow[column] !== undefined && newRow[column] !== oldRow[column]) {
+        if (otherRows.some(row => row[column] === newRow[column])) {
+          throw new Error(`Unique constraint violation for column '${column}'`);
+        }
+      }
+    }
+
+    const primaryKey = constraints.primaryKey;
+    if (primaryKey && newRow[primaryKey] !== oldRow[primaryKey]) {
+      if (otherRows.some(row => row[primaryKey] === newRow[primaryKey])) {
+        throw new Error(`Primary key constraint violation for column '${primaryKey}'`);
+      }
+    }
+
+    this.validateUniqueIndexes(tableInfo, newRow, otherRows, oldRow);
+
+    // Only re-check foreign keys whose value actually changed
+    const changedForeignKeys = (tableInfo.foreignKeys || []).filter(fk => newRow[fk.column] !== oldRow[fk.column]);
+    await this.validateForeignKeyConstraints(tableName, newRow, changedForeignKeys);
   }
 
   async deleteRow(tableName, rowId) {
     const metadata = await this.loadMetadata();
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
+    const tableData = await this.tables.read(tableName);
 
-    const rowIndex = tableData.rows.findIndex(row => row.id === rowId);
-    if (rowIndex === -1) {
+    const row = this.liveRows(tableData).find(candidate => candidate.id === rowId);
+    if (!row) {
       throw new Error(`Row with id '${rowId}' not found`);
     }
 
-    const row = tableData.rows[rowIndex];
-    
-    // Remove from group if it belongs to one
-    if (row.group && tableData.groups[row.group]) {
-      const groupIndex = tableData.groups[row.group].indexOf(rowId);
-      if (groupIndex > -1) {
-        tableData.groups[row.group].splice(groupIndex, 1);
-        metadata.tables[tableName].groups[row.group].rowCount--;
-      }
+    const removedVersions = this.deleteRowVersions(tableData, new Set([rowId]));
+    this.refreshRowCounts(metadata.tables[tableName], tableData);
+
+    await this.tables.write(tableName, tableData);
+    await this.saveMetadata(metadata);
+    await this.updateIndexesForDelete(tableName, removedVersions);
+    await this.applyReferentialActions(tableName, [{ oldRow: row }]);
+
+    return SnapshotManager.withoutVersion(row);
+  }
+
+  // Delete every row matching the conditions, keeping groups, row counts and indexes in sync
+  async deleteRows(tableName, conditions = {}, groupName = null) {
+    const metadata = await this.loadMetadata();
+
+    if (!metadata.tables[tableName]) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    const tableInfo = metadata.tables[tableName];
+    const tableData = await this.tables.read(tableName);
+
+    const deletedRows = this.filterRows(this.visibleTable(tableData), this.typedConditions(tableInfo, conditions), groupName);
+    if (deletedRows.length === 0) {
+      return [];
     }
 
-    tableData.rows.splice(rowIndex, 1);
-    metadata.tables[tableName].rowCount--;
+    const removedVersions = this.deleteRowVersions(tableData, new Set(deletedRows.map(row => row.id)));
+    this.refreshRowCounts(tableInfo, tableData);
 
-    await fs.writeJson(tableFile, tableData, { spaces: 2 });
+    await this.tables.write(tableName, tableData);
     await this.saveMetadata(metadata);
+    await this.updateIndexesForDelete(tableName, removedVersions);
+    await this.applyReferentialActions(tableName, deletedRows.map(row => ({ oldRow: row })));
 
-    return row;
+    return deletedRows;
   }
 
   async createGroup(tableName, groupName) {
@@ -691,8 +2375,7 @@ class StorageEngine {
       throw new Error(`Table '${tableName}' does not exist`);
     }
 
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
+    const tableData = await this.tables.read(tableName);
 
     if (tableData.groups[groupName]) {
       throw new Error(`Group '${groupName}' already exists in table '${tableName}'`);
@@ -704,7 +2387,7 @@ class StorageEngine {
       rowCount: 0
     };
 
-    await fs.writeJson(tableFile, tableData, { spaces: 2 });
+    await this.tables.write(tableName, tableData);
     await this.saveMetadata(metadata);
 
     return { name: groupName, created: new Date().toISOString() };
@@ -712,8 +2395,7 @@ class StorageEngine {
 
   async deleteGroup(tableName, groupName) {
     const metadata = await this.loadMetadata();
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
+    const tableData = await this.tables.read(tableName);
 
     if (!tableData.groups[groupName]) {
       throw new Error(`Group '${groupName}' does not exist in table '${tableName}'`);
@@ -730,21 +2412,12 @@ class StorageEngine {
     delete tableData.groups[groupName];
     delete metadata.tables[tableName].groups[groupName];
 
-    await fs.writeJson(tableFile, tableData, { spaces: 2 });
+    await this.tables.write(tableName, tableData);
     await this.saveMetadata(metadata);
   }
 
   evaluateCondition(value, operator, target) {
-    switch (operator) {
-      case 'eq': return value === target;
-      case 'ne': return value !== target;
-      case 'gt': return value > target;
-      case 'gte': return value >= target;
-      case 'lt': return value < target;
-      case 'lte': return value <= target;
-      case 'like': return String(value).includes(String(target));
-      default: return false;
-    }
+    return this.evaluator.compare(operator, value, target);
   }
 
   async getAllTables() {
@@ -752,6 +2425,16 @@ class StorageEngine {
     return metadata.tables;
   }
 
+  async getTable(tableName) {
+    const metadata = await this.loadMetadata();
+
+    if (!metadata.tables[tableName]) {
+      throw new Error(`Table '${tableName}' does not exist`);
+    }
+
+    return metadata.tables[tableName];
+  }
+
   async getTableGroups(tableName) {
     const metadata = await this.loadMetadata();
     
@@ -769,10 +2452,9 @@ class StorageEngine {
       throw new Error(`Table '${tableName}' does not exist`);
     }
 
-    const tableFile = path.join(this.tablesDir, `${tableName}.json`);
-    const tableData = await fs.readJson(tableFile);
+    const tableData = await this.tables.read(tableName);
 
-    let rows = tableData.rows;
+    let rows = this.visibleRows(tableData);
 
     // Filter by group if specified
     if (groupName) {
@@ -788,4 +2470,35 @@ class StorageEngine {
   }
 }
 
+StorageEngine.WRITE_OPERATIONS = [
+  'createTable', 'dropTable', 'insertRow', 'updateRow', 'updateRows', 'deleteRow', 'deleteRows',
+  'createGroup', 'deleteGroup', 'addIndex', 'dropIndex', 'createTrigger', 'vacuumTable', 'compactTable',
+  'reindexTable', 'alterTable'
+];
+
+StorageEngine.READ_OPERATIONS = [
+  'selectRows', 'selectRowRange', 'selectRowsWithIndex', 'selectRowsInIndexOrder', 'explainSelect',
+  'getAllTables', 'getTable', 'getTableGroups', 'getRows', 'findIndexTables', 'getCompactionStats',
+  'checkTable', 'rankByRelevance'
+];
+
+// Writes that leave dead row versions behind, and when they are vacuumed automatically
+StorageEngine.VACUUM_OPERATIONS = ['updateRow', 'updateRows', 'deleteRow', 'deleteRows'];
+StorageEngine.AUTOVACUUM_MIN_DEAD_ROWS = 50;
+StorageEngine.AUTOVACUUM_RATIO = 0.2;
+
+// Writes that leave replaced lines in a row log, and when the log is compacted automatically
+StorageEngine.COMPACTION_OPERATIONS = ['updateRow', 'updateRows', 'deleteRow', 'deleteRows', 'vacuumTable'];
+StorageEngine.AUTOCOMPACT_MIN_GARBAGE_BYTES = 64 * 1024;
+StorageEngine.AUTOCOMPACT_RATIO = 0.5;
+
+// Columns every row has besides those of its table's schema
+StorageEngine.BUILTIN_COLUMNS = ['id', 'created', 'updated', 'group'];
+
+// Comparisons whose value is converted to the type of the column it is compared with (see typedConditions)
+StorageEngine.TYPED_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+
+// Column types a FULLTEXT index can be built on
+StorageEngine.FULLTEXT_TYPES = ['VARCHAR', 'TEXT'];
+
 module.exports = StorageEngine;
@@ -0,0 +1,639 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const DataFile = require('./DataFile');
+const BufferPool = require('./BufferPool');
+
+/* Stages the file writes of a transaction and commits them atomically through a write-ahead log.
+ * While a transaction is active, StorageEngine reads and writes its table, index and metadata
+ * files through this class: statements see the transaction's own changes, and nothing reaches
+ * disk before commit. A commit appends one entry to wal/wal.log holding the operations and the
+ * new contents of every changed file, fsyncs it, and only then rewrites the files.
+ * On startup (see recover) complete entries are replayed and a torn last entry is discarded,
+ * so either all of a transaction's files change or none do. Files are written atomically (see
+ * DataFile), so once they are written a checkpoint can simply empty the log. Page files (see
+ * PagedTableStore) are written in place instead, page by page, and row logs (see LogTableStore)
+ * are appended to; their entries hold the new pages and the appended text.
+ *
+ * Concurrency (see LockManager): a transaction locks each table it writes until it commits or
+ * rolls back, and a commit holds the database-wide commit lock while it logs and writes files.
+ * Reads outside a transaction take no locks; readConsistent runs them against a snapshot
+ * (see SnapshotManager).
+ */
+class TransactionManager {
+  constructor({ dataDir, walDir, metadataFile, locks, snapshots, pool = null, prepareCommit = null }) {
+    this.dataDir = dataDir;
+    this.walDir = walDir;
+    this.logFile = path.join(walDir, 'wal.log');
+    this.metadataFile = metadataFile;
+    this.locks = locks;
+    this.snapshots = snapshots;
+    this.pool = pool || BufferPool.forDirectory(dataDir);
+    // Called with the commit lock held once a transaction has its id, before anything is logged
+    this.prepareCommit = prepareCommit;
+    this.context = new AsyncLocalStorage();
+    this.readContext = new AsyncLocalStorage();
+    // Transactions this process has logged since the last checkpoint
+    this.logEntries = 0;
+  }
+
+  begin() {
+    return {
+      id: null,
+      active: true,
+      writes: new Map(),
+      // Page file -> (page number -> new page)
+      pages: new Map(),
+      // Appended file -> texts to append, in order
+      appends: new Map(),
+      // Version of each file when the transaction first saw it, and the metadata it started from
+      versions: new Map(),
+      metadataBase: null,
+      operations: [],
+      releases: []
+    };
+  }
+
+  current() {
+    return this.context.getStore() || null;
+  }
+
+  // Run fn inside tx. If fn fails, its own writes are undone but the transaction stays open.
+  async within(tx, fn) {
+    if (!tx.active) {
+      throw new Error('Transaction is no longer active');
+    }
+
+    const savepoint = {
+      writes: new Map(tx.writes),
+      pages: new Map(Array.from(tx.pages, ([file, pages]) => [file, new Map(pages)])),
+      appends: new Map(Array.from(tx.appends, ([file, texts]) => [file, texts.slice()])),
+      operations: tx.operations.length
+    };
+    try {
+      return await this.context.run(tx, fn);
+    } catch (error) {
+      tx.writes = savepoint.writes;
+      tx.pages = savepoint.pages;
+      tx.appends = savepoint.appends;
+      tx.operations.length = savepoint.operations;
+      throw error;
+    }
+  }
+
+  /* Run fn in the current transaction, or in a transaction of its own that commits when fn succeeds.
+   * operation ({ operation, table }) locks its table until the transaction ends and is recorded in
+   * the transaction's WAL entry.
+   */
+  async run(fn, operation = null) {
+    const logged = async tx => {
+      if (operation) {
+        await this.lockTable(tx, operation.table);
+        tx.operations.push(operation);
+      }
+      return await fn();
+    };
+
+    const current = this.current();
+    if (current) {
+      return await this.within(current, () => logged(current));
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const tx = this.begin();
+      let result;
+      try {
+        result = await this.within(tx, () => logged(tx));
+      } catch (error) {
+        await this.rollback(tx);
+        throw error;
+      }
+
+      try {
+        await this.commit(tx);
+        return result;
+      } catch (error) {
+        // Nothing was written, so a statement that lost a race with another writer can simply run again
+        if (!error.conflict || attempt >= TransactionManager.MAX_AUTOCOMMIT_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  async lockTable(tx, table) {
+    const name = `table-${table}`;
+    if (tx.releases.some(release => release.lockName === name)) return;
+
+    const release = await this.locks.acquire(name, tx, `table '${table}'`);
+    release.lockName = name;
+    tx.releases.push(release);
+  }
+
+  async commit(tx) {
+    if (!tx.active) {
+      throw new Error('Transaction is no longer active');
+    }
+    tx.active = false;
+
+    try {
+      if (tx.writes.size === 0 && tx.pages.size === 0 && tx.appends.size === 0) return null;
+      return await this.locks.withLock('commit', tx, () => this.apply(tx), 'the commit log');
+    } finally {
+      await this.releaseLocks(tx);
+    }
+  }
+
+  async rollback(tx) {
+    tx.active = false;
+    tx.writes.clear();
+    tx.pages.clear();
+    tx.appends.clear();
+    await this.releaseLocks(tx);
+  }
+
+  async releaseLocks(tx) {
+    for (const release of tx.releases.splice(0).reverse()) {
+      await release();
+    }
+  }
+
+  // Runs with the commit lock held
+  async apply(tx) {
+    for (const file of [...tx.writes.keys(), ...tx.pages.keys(), ...tx.appends.keys()]) {
+      if (file === this.metadataFile || !tx.versions.has(file)) continue;
+      if (tx.versions.get(file) !== await DataFile.version(file)) {
+        throw TransactionManager.conflict(`'${path.relative(this.dataDir, file)}' was changed by another transaction`);
+      }
+    }
+
+    // Metadata holds every table's entry, so changes made meanwhile to other tables are merged in
+    let metadata;
+    if (!tx.writes.has(this.metadataFile)) {
+      metadata = await DataFile.read(this.metadataFile);
+    } else {
+      metadata = DataFile.parse(tx.writes.get(this.metadataFile), this.metadataFile);
+      if (tx.versions.get(this.metadataFile) !== await DataFile.version(this.metadataFile)) {
+        metadata = this.mergeMetadata(tx.metadataBase, metadata, await DataFile.read(this.metadataFile));
+      }
+    }
+    metadata.lastTransactionId = (metadata.lastTransactionId || 0) + 1;
+    tx.id = metadata.lastTransactionId;
+    if (this.prepareCommit) {
+      await this.prepareCommit(tx);
+    }
+    tx.writes.set(this.metadataFile, DataFile.serialize(metadata));
+
+    const entry = {
+      transactionId: tx.id,
+      committed: new Date().toISOString(),
+      operations: tx.operations,
+      files: Array.from(tx.writes, ([file, contents]) => ({ file: path.relative(this.dataDir, file), contents }))
+    };
+    if (tx.pages.size > 0) {
+      entry.pages = Array.from(tx.pages, ([file, pages]) => ({
+        file: path.relative(this.dataDir, file),
+        pages: Array.from(pages, ([page, data]) => ({ page, data: data.toString('base64') }))
+      }));
+    }
+    if (tx.appends.size > 0) {
+      entry.appends = [];
+      for (const [file, texts] of tx.appends) {
+        // After the file the transaction wrote, or after the last complete line on disk
+        const offset = tx.writes.has(file) ? Buffer.byteLength(tx.writes.get(file) || '') : await TransactionManager.appendOffset(file);
+        entry.appends.push({ file: path.relative(this.dataDir, file), offset, data: texts.join('') });
+      }
+    }
+    await this.appendToLog(entry);
+
+    // From here on the transaction is committed: a crash while applying is finished by recover()
+    await this.applyEntry(entry);
+
+    const logSize = (await fs.stat(this.logFile)).size;
+    if (this.logEntries >= TransactionManager.CHECKPOINT_ENTRIES || logSize >= TransactionManager.CHECKPOINT_BYTES) {
+      await this.writeCheckpoint();
+    }
+    return tx.id;
+  }
+
+  /* Put this transaction's metadata changes on top of the latest metadata. Every table entry (or
+   * other top-level key) it changed replaces the latest one, unless another transaction changed it too.
+   */
+  mergeMetadata(base, mine, latest) {
+    if (!base) {
+      throw TransactionManager.conflict('database metadata was changed by another transaction');
+    }
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const changedKeys = (before = {}, after = {}) => new Set([...Object.keys(before), ...Object.keys(after)]
+      .filter(key => !same(before[key], after[key])));
+    const merged = { ...latest, tables: { ...latest.tables } };
+
+    for (const table of changedKeys(base.tables, mine.tables)) {
+      if (!same(base.tables[table], latest.tables[table])) {
+        throw TransactionManager.conflict(`table '${table}' was changed by another transaction`);
+      }
+      if (mine.tables[table] === undefined) {
+        delete merged.tables[table];
+      } else {
+        merged.tables[table] = mine.tables[table];
+      }
+    }
+
+    for (const key of changedKeys(base, mine)) {
+      if (key === 'tables' || key === 'lastTransactionId') continue;
+      if (!same(base[key], latest[key])) {
+        throw TransactionManager.conflict(`database metadata '${key}' was changed by another transaction`);
+      }
+      merged[key] = mine[key];
+    }
+    return merged;
+  }
+
+  // One line per committed transaction, with a checksum so a partially written line is recognised
+  async appendToLog(entry) {
+    const body = JSON.stringify(entry);
+    const line = `${JSON.stringify({ checksum: TransactionManager.checksum(body), entry })}\n`;
+
+    const handle = await fs.promises.open(this.logFile, 'a');
+    try {
+      await handle.appendFile(line);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    this.logEntries++;
+  }
+
+  // Complete entries in log order; reading stops at the first line that is torn or fails its checksum
+  async readLog() {
+    if (!await fs.pathExists(this.logFile)) return [];
+
+    const entries = [];
+    const lines = (await fs.readFile(this.logFile, 'utf8')).split('\n').filter(line => line.length > 0);
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        break;
+      }
+      if (!record.entry || record.checksum !== TransactionManager.checksum(JSON.stringify(record.entry))) break;
+      entries.push(record.entry);
+    }
+    return entries;
+  }
+
+  /* skipUnchanged leaves files that already hold the logged contents alone, so their version doesn't change.
+   * Pages and appends are written after the files (a table dropped and created again loses its old
+   * files first) and metadata last: once a snapshot sees a transaction's id, all of its files are in place.
+   */
+  async applyEntry(entry, { skipUnchanged = false } = {}) {
+    const metadataFile = path.relative(this.dataDir, this.metadataFile);
+    const appended = new Set((entry.appends || []).map(({ file }) => file));
+    for (const { file, contents } of entry.files.filter(({ file }) => file !== metadataFile)) {
+      await this.applyFile(file, contents, skipUnchanged, appended.has(file));
+    }
+    for (const { file, pages } of entry.pages || []) {
+      const data = new Map(pages.map(({ page, data }) => [page, Buffer.from(data, 'base64')]));
+      await this.pool.writePages(path.join(this.dataDir, file), data, { skipUnchanged });
+    }
+    for (const { file, offset, data } of entry.appends || []) {
+      await this.applyAppend(path.join(this.dataDir, file), offset, Buffer.from(data), skipUnchanged);
+    }
+    for (const { file, contents } of entry.files.filter(({ file }) => file === metadataFile)) {
+      await this.applyFile(file, contents, skipUnchanged);
+    }
+  }
+
+  async applyFile(file, contents, skipUnchanged, appendedTo = false) {
+    const target = path.join(this.dataDir, file);
+    if (contents === null) {
+      if (skipUnchanged && !await fs.pathExists(target)) return;
+      await fs.remove(target);
+      await DataFile.syncDirectory(path.dirname(target));
+      this.pool.invalidate(target);
+      return;
+    }
+    if (skipUnchanged && await fs.pathExists(target)) {
+      // A file that was appended to after this image may hold the appends too; they are checked next
+      const current = await fs.readFile(target, 'utf8');
+      if (current === contents || (appendedTo && current.startsWith(contents))) return;
+    }
+    await DataFile.write(target, contents);
+  }
+
+  /* Write appended text at the offset its commit chose, cutting off a torn line left beyond it.
+   * When replaying, text already there is left alone, and so is another commit's text that got
+   * there first (a process that kept running after one crashed): the crashed commit's appended
+   * rows are then lost, as its file images would be.
+   */
+  async applyAppend(target, offset, data, skipUnchanged) {
+    const exists = await fs.pathExists(target);
+    const handle = await fs.promises.open(target, exists ? 'r+' : 'w+');
+    try {
+      if (skipUnchanged) {
+        const current = Buffer.alloc(data.length);
+        const { bytesRead } = await handle.read(current, 0, data.length, offset);
+        if (!current.subarray(0, bytesRead).equals(data.subarray(0, bytesRead)) || bytesRead === data.length) return;
+      }
+      await handle.write(data, 0, data.length, offset);
+      if (!skipUnchanged) {
+        await handle.truncate(offset + data.length);
+      }
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    if (!exists) {
+      await DataFile.syncDirectory(path.dirname(target));
+    }
+  }
+
+  /* Replay the log when the database is opened. Entries are full file and page images, so only
+   * the last image of each file or page is needed and one already on disk is left alone (another
+   * process may be using the database); appends since a file's last image are replayed in order.
+   * A torn entry at the end never committed and is dropped. Returns the number of entries replayed.
+   */
+  async recover() {
+    await fs.ensureDir(this.walDir);
+    return await this.locks.withLock('commit', this, async () => {
+      const entries = await this.readLog();
+      const latest = new Map();
+      const latestPages = new Map();
+      let appends = [];
+      for (const entry of entries) {
+        for (const file of entry.files) {
+          latest.set(file.file, file);
+          // Pages and appends logged before the file was removed or replaced belong to the old file
+          if (file.contents === null) latestPages.delete(file.file);
+          appends = appends.filter(append => append.file !== file.file);
+        }
+        for (const { file, pages } of entry.pages || []) {
+          if (!latestPages.has(file)) latestPages.set(file, new Map());
+          for (const page of pages) latestPages.get(file).set(page.page, page);
+        }
+        appends.push(...entry.appends || []);
+      }
+      await this.applyEntry({
+        files: Array.from(latest.values()),
+        pages: Array.from(latestPages, ([file, pages]) => ({ file, pages: Array.from(pages.values()) })),
+        appends
+      }, { skipUnchanged: true });
+      await this.writeCheckpoint();
+      return entries.length;
+    }, 'the commit log');
+  }
+
+  // Empty the log; every entry in it has already been written to the data files
+  async checkpoint() {
+    return await this.locks.withLock('commit', this, () => this.writeCheckpoint(), 'the commit log');
+  }
+
+  async writeCheckpoint() {
+    const checkpointed = await this.getLogStatus();
+
+    const handle = await fs.promises.open(this.logFile, 'w');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    this.logEntries = 0;
+    return checkpointed;
+  }
+
+  async getLogStatus() {
+    const entries = await this.readLog();
+    const bytes = await fs.pathExists(this.logFile) ? (await fs.stat(this.logFile)).size : 0;
+    return { entries: entries.length, bytes };
+  }
+
+  /* Run a read outside any transaction against a snapshot of the latest commit: however long it
+   * takes, it sees the rows as they were at that commit and never waits for a writer.
+   */
+  async readConsistent(fn) {
+    if (this.current() || this.readContext.getStore()) {
+      return await fn();
+    }
+
+    const snapshot = await this.snapshots.open(() => this.lastTransactionId());
+    try {
+      return await this.readContext.run(snapshot, fn);
+    } finally {
+      await this.snapshots.close(snapshot);
+    }
+  }
+
+  // The snapshot of the read in progress, or null (no read, or inside a transaction)
+  snapshot() {
+    return this.current() ? null : this.readContext.getStore() || null;
+  }
+
+  // Versions deleted at or before this transaction id are invisible to every snapshot in use
+  async vacuumHorizon() {
+    return await this.snapshots.horizon(await this.lastTransactionId());
+  }
+
+  async lastTransactionId() {
+    if (!await fs.pathExists(this.metadataFile)) return 0;
+    const metadata = await DataFile.read(this.metadataFile);
+    return metadata.lastTransactionId || 0;
+  }
+
+  // File access for StorageEngine: staged contents first, then disk
+
+  async readJson(file) {
+    const tx = this.current();
+    if (!tx) {
+      return await DataFile.read(file);
+    }
+
+    if (tx.writes.has(file)) {
+      const contents = tx.writes.get(file);
+      if (contents === null) {
+        const error = new Error(`ENOENT: no such file or directory, open '${file}'`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      return DataFile.parse(contents, file);
+    }
+
+    await this.track(tx, file);
+    const data = await DataFile.read(file);
+    if (file === this.metadataFile && tx.metadataBase === null) {
+      tx.metadataBase = JSON.parse(JSON.stringify(data));
+    }
+    return data;
+  }
+
+  async writeJson(file, data) {
+    const tx = this.current();
+    if (!tx) {
+      return await DataFile.writeJson(file, data);
+    }
+    await this.track(tx, file);
+    tx.writes.set(file, DataFile.serialize(data));
+  }
+
+  async remove(file) {
+    const tx = this.current();
+    if (!tx) {
+      await fs.remove(file);
+      this.pool.invalidate(file);
+      return;
+    }
+    await this.track(tx, file);
+    tx.writes.set(file, null);
+    tx.pages.delete(file);
+    tx.appends.delete(file);
+  }
+
+  /* Text files that are appended to (see LogTableStore). staged() tells what the transaction has
+   * done to one so far: contents it replaced the file with (null: removed; undefined: none), the
+   * text it appended since and, for a page file, the pages it wrote. Outside a transaction it returns null.
+   */
+  async staged(file) {
+    const tx = this.current();
+    if (!tx) return null;
+
+    await this.track(tx, file);
+    return {
+      contents: tx.writes.get(file),
+      appended: (tx.appends.get(file) || []).join(''),
+      pages: tx.pages.get(file) || null
+    };
+  }
+
+  async writeText(file, text) {
+    const tx = this.current();
+    if (!tx) {
+      return await DataFile.write(file, text);
+    }
+    await this.track(tx, file);
+    tx.writes.set(file, text);
+    tx.appends.delete(file);
+  }
+
+  // Appends are only written by commits, through the write-ahead log
+  async appendText(file, text) {
+    const tx = this.current();
+    if (!tx) {
+      throw new Error('Files can only be appended to inside a transaction');
+    }
+    await this.track(tx, file);
+    if (!tx.appends.has(file)) {
+      tx.appends.set(file, []);
+    }
+    tx.appends.get(file).push(text);
+  }
+
+  /* Page files (see PagedTableStore): pages staged by the transaction first, then the buffer pool.
+   * pageCount also takes the version the transaction saw, like reading a file does.
+   */
+  async pageCount(file, pageSize) {
+    const tx = this.current();
+    let count = 0;
+    if (tx) {
+      await this.track(tx, file);
+    }
+    if (!tx || tx.writes.get(file) !== null) {
+      count = await this.pool.pageCount(file, pageSize);
+    }
+    for (const pageNo of tx && tx.pages.has(file) ? tx.pages.get(file).keys() : []) {
+      count = Math.max(count, pageNo + 1);
+    }
+    return count;
+  }
+
+  async readPage(file, pageNo, pageSize) {
+    const tx = this.current();
+    if (tx) {
+      const staged = tx.pages.get(file);
+      if (staged && staged.has(pageNo)) return staged.get(pageNo);
+      if (tx.writes.get(file) === null) return null;
+    }
+    return await this.pool.read(file, pageNo, pageSize);
+  }
+
+  // Pages are only written by commits, through the write-ahead log
+  async writePage(file, pageNo, data) {
+    const tx = this.current();
+    if (!tx) {
+      throw new Error('Pages can only be written inside a transaction');
+    }
+    await this.track(tx, file);
+    if (!tx.pages.has(file)) {
+      tx.pages.set(file, new Map());
+    }
+    tx.pages.get(file).set(pageNo, data);
+  }
+
+  // See BufferPool.generation
+  pageGeneration(file) {
+    return this.pool.generation(file);
+  }
+
+  // Forget a cached page that failed its checksum, so it is read from disk again
+  evictPage(file, pageNo) {
+    this.pool.evict(file, pageNo);
+  }
+
+  async exists(file) {
+    const tx = this.current();
+    if (tx) {
+      if (tx.writes.has(file)) return tx.writes.get(file) !== null;
+      await this.track(tx, file);
+    }
+    return await fs.pathExists(file);
+  }
+
+  // Remember the version a transaction first saw; taken before reading, so a commit in between is noticed
+  async track(tx, file) {
+    if (!tx.versions.has(file)) {
+      tx.versions.set(file, await DataFile.version(file));
+    }
+  }
+
+  // Where an append goes: after the last complete line, over a torn one left by a crash
+  static async appendOffset(file) {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    try {
+      const chunk = Buffer.alloc(4096);
+      let end = (await handle.stat()).size;
+      while (end > 0) {
+        const start = Math.max(0, end - chunk.length);
+        const { bytesRead } = await handle.read(chunk, 0, end - start, start);
+        const newline = chunk.subarray(0, bytesRead).lastIndexOf(0x0a);
+        if (newline !== -1) return start + newline + 1;
+        end = start;
+      }
+      return 0;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  static checksum(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  static conflict(reason) {
+    const error = new Error(`Transaction conflict: ${reason}; the transaction was rolled back`);
+    error.conflict = true;
+    return error;
+  }
+}
+
+TransactionManager.MAX_AUTOCOMMIT_ATTEMPTS = 5;
+// Checkpoint once this process has logged this many transactions, or the log reaches this size
+TransactionManager.CHECKPOINT_ENTRIES = 500;
+TransactionManager.CHECKPOINT_BYTES = 8 * 1024 * 1024;
+
+module.exports = TransactionManager;
@@ -0,0 +1,126 @@
+const path = require('path');
+const fs = require('fs-extra');
+const ColumnTypes = require('../src/storage/ColumnTypes');
+const { openTestDatabase, indexKeys } = require('./helpers/testDatabase');
+
+describe('ColumnTypes', () => {
+  const coerce = (value, type) => ColumnTypes.coerce(value, type, 'c');
+
+  test('parse splits the base type from its parameters', () => {
+    expect(ColumnTypes.parse('decimal(10, 2)')).toEqual({ baseType: 'DECIMAL', params: [10, 2] });
+    expect(ColumnTypes.parse('UUID')).toEqual({ baseType: 'UUID', params: [] });
+    expect(() => ColumnTypes.parse('MONEY')).toThrow('Invalid column type: MONEY');
+    expect(() => ColumnTypes.parse('INTEGER(5)')).toThrow('Invalid column type: INTEGER(5)');
+    expect(() => ColumnTypes.parse('DECIMAL(2,3)')).toThrow('Invalid column type: DECIMAL(2,3)');
+  });
+
+  test('numbers', () => {
+    expect(coerce('42', 'INTEGER')).toBe(42);
+    expect(() => coerce('4.5', 'INTEGER')).toThrow("Column 'c' expects INTEGER, got '4.5'");
+    expect(() => coerce('0x10', 'INTEGER')).toThrow("Column 'c' expects INTEGER, got '0x10'");
+    expect(coerce('3.14159', 'DECIMAL(8,2)')).toBe(3.14);
+    expect(() => coerce(123456.7, 'DECIMAL(6,2)')).toThrow("Column 'c' expects DECIMAL(6,2), got 123456.7, which has too many digits");
+    expect(coerce('1e3', 'NUMBER')).toBe(1000);
+  });
+
+  test('booleans take what a checkbox or a form sends', () => {
+    expect(coerce('yes', 'BOOLEAN')).toBe(true);
+    expect(coerce('Off', 'BOOLEAN')).toBe(false);
+    expect(coerce(1, 'BOOLEAN')).toBe(true);
+    expect(() => coerce('maybe', 'BOOLEAN')).toThrow("Column 'c' expects BOOLEAN, got 'maybe'");
+  });
+
+  test('text is length-checked', () => {
+    expect(coerce(12, 'VARCHAR(5)')).toBe('12');
+    expect(() => coerce('abcdef', 'VARCHAR(5)')).toThrow("Column 'c' is VARCHAR(5); the value is 6 characters long");
+    expect(coerce('', 'TEXT')).toBe('');
+  });
+
+  test('dates and times are normalised, and impossible ones refused', () => {
+    expect(coerce('2024-02-29', 'DATE')).toBe('2024-02-29');
+    expect(() => coerce('2023-02-29', 'DATE')).toThrow("Column 'c' expects DATE, got '2023-02-29'");
+    expect(coerce('2024-05-01 12:30', 'DATETIME')).toBe('2024-05-01T12:30:00.000Z');
+    expect(coerce('2024-05-01T14:30:00+02:00', 'DATETIME')).toBe('2024-05-01T12:30:00.000Z');
+    expect(() => coerce('2024-05-01 25:00', 'DATETIME')).toThrow("Column 'c' expects DATETIME");
+  });
+
+  test('UUIDs are stored lowercase', () => {
+    expect(coerce(' 123E4567-E89B-12D3-A456-426614174000 ', 'UUID')).toBe('123e4567-e89b-12d3-a456-426614174000');
+    expect(() => coerce('123', 'UUID')).toThrow("Column 'c' expects UUID, got '123'");
+  });
+
+  test('JSON text is parsed, and other values kept as they read back from JSON', () => {
+    expect(coerce('{"a": [1, 2]}', 'JSON')).toEqual({ a: [1, 2] });
+    expect(coerce({ at: new Date('2024-05-01T00:00:00Z') }, 'JSON')).toEqual({ at: '2024-05-01T00:00:00.000Z' });
+    expect(() => coerce(Infinity, 'JSON')).toThrow("Column 'c' expects JSON, got 'Infinity'");
+  });
+
+  test('blank strings are NULL outside text columns, and unknown types are left alone', () => {
+    expect(coerce('  ', 'INTEGER')).toBeNull();
+    expect(coerce(null, 'DATE')).toBeNull();
+    expect(coerce('anything', 'LEGACY')).toBe('anything');
+  });
+});
+
+describe('typed columns', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.query('CREATE TABLE orders (code UUID, quantity INTEGER, price DECIMAL(6,2), paid BOOLEAN, placed DATE)');
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('INSERT stores values as their column type', async () => {
+    await t.query("INSERT INTO orders (code, quantity, price, paid, placed) VALUES ('AAAAAAAA-0000-4000-8000-000000000001', '42', 9.999, 'yes', '2024-05-01')");
+    expect(await t.query('SELECT code, quantity, price, paid, placed FROM orders')).toEqual([
+      { code: 'aaaaaaaa-0000-4000-8000-000000000001', quantity: 42, price: 10, paid: true, placed: '2024-05-01' }
+    ]);
+  });
+
+  test('a value that does not fit is refused with the column named', async () => {
+    await expect(t.query("INSERT INTO orders (quantity) VALUES ('abc')")).rejects.toThrow("Column 'quantity' expects INTEGER, got 'abc'");
+    await expect(t.query("INSERT INTO orders (placed) VALUES ('tomorrow')")).rejects.toThrow("Column 'placed' expects DATE, got 'tomorrow'");
+    await expect(t.query('CREATE TABLE bad (x MONEY)')).rejects.toThrow('Invalid column type: MONEY');
+    expect(await t.query('SELECT * FROM orders')).toEqual([]);
+  });
+
+  test('WHERE compares values as the column type', async () => {
+    await t.query("INSERT INTO orders (code, quantity, paid, placed) VALUES ('aaaaaaaa-0000-4000-8000-000000000001', 42, true, '2024-05-01')");
+    const found = async where => (await t.query(`SELECT quantity FROM orders WHERE ${where}`)).length;
+    expect(await found("quantity = '42'")).toBe(1);
+    expect(await found("quantity IN ('41', '42')")).toBe(1);
+    expect(await found("paid = 'yes'")).toBe(1);
+    expect(await found("code = 'AAAAAAAA-0000-4000-8000-000000000001'")).toBe(1);
+    expect(await found("quantity BETWEEN '40' AND '50'")).toBe(1);
+    // A value that isn't of the type compares as it is, and matches nothing
+    expect(await found("quantity = 'lots'")).toBe(0);
+    expect((await t.query("UPDATE orders SET price = 5 WHERE quantity = '42'")).affectedRows).toBe(1);
+  });
+
+  test('rows stored before types were checked are converted when the database is opened', async () => {
+    await t.query('CREATE INDEX idx_quantity ON orders (quantity)');
+    await t.query("INSERT INTO orders (quantity, paid) VALUES (42, true)");
+    const { storage } = t.db;
+    const tableFile = path.join(storage.tablesDir, 'orders.json');
+    const tableData = await fs.readJson(tableFile);
+    Object.assign(tableData.rows[0], { quantity: '42', paid: 'yes' });
+    await fs.writeJson(tableFile, tableData);
+    const metadata = await fs.readJson(storage.metadataFile);
+    delete metadata.rowsTyped;
+    await fs.writeJson(storage.metadataFile, metadata);
+
+    const reopened = await t.reopen();
+    expect(await t.query('SELECT quantity, paid FROM orders WHERE quantity = 42', reopened)).toEqual([{ quantity: 42, paid: true }]);
+    expect(await indexKeys(reopened.storage, 'orders', 'idx_quantity')).toEqual([[42]]);
+  });
+
+  test('UPDATE converts assigned values too', async () => {
+    await t.query('INSERT INTO orders (quantity) VALUES (1)');
+    await t.query("UPDATE orders SET quantity = '7', paid = 'off'");
+    expect(await t.query('SELECT quantity, paid FROM orders')).toEqual([{ quantity: 7, paid: false }]);
+  });
+});
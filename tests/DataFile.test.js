@@ -0,0 +1,47 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const DataFile = require('../src/storage/DataFile');
+
+describe('DataFile', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbengine-test-'));
+    file = path.join(dir, 'table.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('round-trips data with a checksum that is not part of the returned contents', async () => {
+    await DataFile.writeJson(file, { rows: [{ id: 1 }] });
+    expect(JSON.parse(await fs.readFile(file, 'utf8')).checksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(await DataFile.read(file)).toEqual({ rows: [{ id: 1 }] });
+    expect(await fs.readdir(dir)).toEqual(['table.json']);
+  });
+
+  test('reports a file whose contents no longer match the checksum, or that is not JSON', async () => {
+    await DataFile.writeJson(file, { rows: [{ id: 1 }] });
+    const text = await fs.readFile(file, 'utf8');
+    await fs.writeFile(file, text.replace('"id": 1', '"id": 2'));
+    await expect(DataFile.read(file)).rejects.toThrow(`Data file '${file}' is corrupted: checksum mismatch`);
+
+    await fs.writeFile(file, text.slice(0, 20));
+    await expect(DataFile.read(file)).rejects.toMatchObject({ corrupted: true });
+  });
+
+  test('files written before checksums existed are read as they are', async () => {
+    await fs.writeJson(file, { rows: [] });
+    expect(await DataFile.read(file)).toEqual({ rows: [] });
+  });
+
+  test('removeTempFiles drops leftovers of interrupted writes only', async () => {
+    await fs.writeFile(path.join(dir, '.table.json.123.tmp'), '{');
+    await DataFile.writeJson(file, {});
+    await DataFile.removeTempFiles(dir);
+    expect(await fs.readdir(dir)).toEqual(['table.json']);
+  });
+});
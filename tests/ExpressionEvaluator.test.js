@@ -0,0 +1,117 @@
+const SQLParser = require('../src/parser/SQLParser');
+const ExpressionEvaluator = require('../src/query/ExpressionEvaluator');
+
+const parser = new SQLParser();
+const evaluator = new ExpressionEvaluator();
+
+// Evaluate a WHERE condition against one row
+const evaluate = (condition, row = {}) => evaluator.evaluate(parser.parse(`SELECT * FROM t WHERE ${condition}`).where, row);
+
+describe('ExpressionEvaluator', () => {
+  test('comparisons with NULL are unknown', () => {
+    expect(evaluate('a = 1', { a: null })).toBeNull();
+    expect(evaluate('a != 1', {})).toBeNull();
+    expect(evaluate('a = NULL', { a: 1 })).toBeNull();
+    expect(evaluate('a > 1', { a: 2 })).toBe(true);
+  });
+
+  test('AND, OR and NOT follow three-valued logic', () => {
+    const row = { t: 1, f: 0, n: null };
+    expect(evaluate('t = 1 AND n = 1', row)).toBeNull();
+    expect(evaluate('f = 1 AND n = 1', row)).toBe(false);
+    expect(evaluate('t = 1 OR n = 1', row)).toBe(true);
+    expect(evaluate('f = 1 OR n = 1', row)).toBeNull();
+    expect(evaluate('NOT n = 1', row)).toBeNull();
+    expect(evaluate('NOT f = 1', row)).toBe(true);
+  });
+
+  test('matches() only accepts rows where the condition is true', () => {
+    const where = parser.parse('SELECT * FROM t WHERE NOT a = 1').where;
+    expect(evaluator.matches(where, { a: 2 })).toBe(true);
+    expect(evaluator.matches(where, { a: null })).toBe(false);
+  });
+
+  test('IN is unknown when the value is missing from a list containing NULL', () => {
+    expect(evaluate('a IN (1, 2)', { a: 2 })).toBe(true);
+    expect(evaluate('a IN (1, NULL)', { a: 1 })).toBe(true);
+    expect(evaluate('a IN (1, NULL)', { a: 3 })).toBeNull();
+    expect(evaluate('a NOT IN (1, NULL)', { a: 3 })).toBeNull();
+    expect(evaluate('a NOT IN (1, 2)', { a: 3 })).toBe(true);
+  });
+
+  test('BETWEEN is inclusive and false as soon as one bound fails', () => {
+    expect(evaluate('a BETWEEN 1 AND 3', { a: 3 })).toBe(true);
+    expect(evaluate('a NOT BETWEEN 1 AND 3', { a: 4 })).toBe(true);
+    expect(evaluate('a BETWEEN 5 AND NULL', { a: 4 })).toBe(false);
+    expect(evaluate('a BETWEEN 1 AND NULL', { a: 4 })).toBeNull();
+  });
+
+  test('LIKE matches the whole value with % and _ wildcards', () => {
+    expect(evaluate("s LIKE 'ab%'", { s: 'abc' })).toBe(true);
+    expect(evaluate("s LIKE 'b%'", { s: 'abc' })).toBe(false);
+    expect(evaluate("s LIKE 'a_c'", { s: 'abc' })).toBe(true);
+    expect(evaluate("s LIKE 'a_c'", { s: 'abbc' })).toBe(false);
+    expect(evaluate("s LIKE '1.5%'", { s: '105' })).toBe(false);
+    expect(evaluate("s NOT LIKE '%x%'", { s: 'abc' })).toBe(true);
+    expect(evaluate("s LIKE 'a%'", { s: null })).toBeNull();
+  });
+
+  test('IS NULL treats missing columns as NULL', () => {
+    expect(evaluate('a IS NULL', {})).toBe(true);
+    expect(evaluate('a IS NOT NULL', { a: 0 })).toBe(true);
+  });
+
+  test('arithmetic propagates NULL and converts numeric strings', () => {
+    expect(evaluate("a * 2 + 1 = 9 AND b || 'x' = '4x'", { a: '4', b: 4 })).toBe(true);
+    expect(evaluate('a + 1 = 2', { a: null })).toBeNull();
+    expect(() => evaluate("a + 1 = 2", { a: 'abc' })).toThrow("Operator '+' requires numeric values, got 'abc'");
+  });
+
+  test('compareValues orders by the declared type with NULLs last', () => {
+    const sorted = (values, type) => [...values].sort((a, b) => evaluator.compareValues(a, b, type));
+    expect(sorted(['10', 9, null, '2'], 'INTEGER')).toEqual(['2', 9, '10', null]);
+    expect(sorted(['10', '9', '2'], 'VARCHAR(5)')).toEqual(['10', '2', '9']);
+    expect(sorted(['2024-02-01', '2023-12-31T10:00:00Z'], 'DATE')).toEqual(['2023-12-31T10:00:00Z', '2024-02-01']);
+    expect(sorted([5, 'abc', 1], 'INTEGER')).toEqual([1, 5, 'abc']);
+    expect(sorted(['b', 2, true])).toEqual([true, 2, 'b']);
+  });
+
+  test('describe renders expressions as result column names', () => {
+    const [sum, count] = parser.parse('SELECT SUM(a * (b + 1) - -c), COUNT(DISTINCT name) FROM t').columns;
+    expect(evaluator.describe(sum)).toBe('SUM(a * (b + 1) - -c)');
+    expect(evaluator.describe(count)).toBe('COUNT(DISTINCT name)');
+  });
+
+  describe('scalar functions', () => {
+    const value = (expression, row = {}) => evaluator.evaluate(parser.parse(`SELECT ${expression} FROM t`).columns[0], row);
+
+    test('text functions', () => {
+      expect(value("UPPER(name) || LOWER('AB')", { name: 'ann' })).toBe('ANNab');
+      expect(value('LENGTH(name)', { name: 'anna' })).toBe(4);
+      expect(value("SUBSTR('abcdef', 2, 3)")).toBe('bcd');
+      expect(value("SUBSTR('abcdef', -2)")).toBe('ef');
+    });
+
+    test('numeric and date functions', () => {
+      expect(value('ROUND(2.5)')).toBe(3);
+      expect(value('ROUND(-2.5)')).toBe(-3);
+      expect(value('ROUND(1.2345, 2)')).toBe(1.23);
+      expect(value('ABS(-4)')).toBe(4);
+      expect(value("DATE('2024-03-05T10:00:00Z')")).toBe('2024-03-05');
+      expect(value("DATE('soon')")).toBeNull();
+      expect(value('NOW()')).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('NULL arguments give NULL, except for COALESCE', () => {
+      expect(value('UPPER(name)', {})).toBeNull();
+      expect(value("COALESCE(nick, name, 'x')", { name: 'ann' })).toBe('ann');
+    });
+
+    test('unknown functions and wrong argument counts are rejected up front', () => {
+      const node = parser.parse('SELECT UPPER(a, b) FROM t').columns[0];
+      expect(() => evaluator.checkFunctions(node)).toThrow('UPPER expects 1 argument(s), got 2');
+      expect(() => evaluator.checkFunctions(parser.parse('SELECT nope(1) FROM t').columns[0])).toThrow('Unknown function: NOPE');
+      expect(() => evaluator.checkFunctions(parser.parse('SELECT SUBSTR(a) FROM t').columns[0])).toThrow('SUBSTR expects 2 to 3 argument(s), got 1');
+    });
+  });
+});
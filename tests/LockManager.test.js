@@ -0,0 +1,56 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const LockManager = require('../src/storage/LockManager');
+
+describe('LockManager', () => {
+  let lockDir;
+  let locks;
+
+  beforeEach(async () => {
+    lockDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'dbengine-test-')), 'locks');
+    locks = new LockManager(lockDir, { timeoutMs: 200, retryMs: 5 });
+  });
+
+  afterEach(async () => {
+    await fs.remove(path.dirname(lockDir));
+  });
+
+  test('a second owner waits until the lock is released; the owner may take it again', async () => {
+    const order = [];
+    const release = await locks.acquire('t', 'a');
+    const again = await locks.acquire('t', 'a');
+    expect(await fs.readJson(path.join(lockDir, 't.lock'))).toMatchObject({ pid: process.pid });
+
+    const waiting = locks.withLock('t', 'b', async () => order.push('b'));
+    await again();
+    order.push('a');
+    await release();
+    await waiting;
+
+    expect(order).toEqual(['a', 'b']);
+    expect(await fs.pathExists(path.join(lockDir, 't.lock'))).toBe(false);
+  });
+
+  test('gives up after the timeout with a lockTimeout error', async () => {
+    await locks.acquire('t', 'a');
+    await expect(locks.acquire('t', 'b', "table 't'")).rejects.toMatchObject({
+      message: "Timed out waiting for the lock on table 't'; another transaction is holding it",
+      lockTimeout: true
+    });
+  });
+
+  test('waits on a lock file held by another live process and removes one left by a dead process', async () => {
+    await fs.ensureDir(lockDir);
+    const lockFile = path.join(lockDir, 't.lock');
+    jest.spyOn(LockManager, 'isProcessAlive').mockReturnValue(true);
+    await fs.writeJson(lockFile, { pid: process.pid + 1 });
+    await expect(locks.acquire('t', 'a')).rejects.toMatchObject({ lockTimeout: true });
+
+    LockManager.isProcessAlive.mockReturnValue(false);
+    const release = await locks.acquire('t', 'a');
+    expect((await fs.readJson(lockFile)).pid).toBe(process.pid);
+    await release();
+    LockManager.isProcessAlive.mockRestore();
+  });
+});
@@ -0,0 +1,61 @@
+const SQLParser = require('../src/parser/SQLParser');
+const QueryPlanner = require('../src/query/QueryPlanner');
+
+const parser = new SQLParser();
+const planner = new QueryPlanner();
+const where = condition => parser.parse(`SELECT * FROM t WHERE ${condition}`).where;
+
+const INDEXES = [
+  { name: 'idx_a', columns: ['a'], unique: false },
+  { name: 'idx_a_b', columns: ['a', 'b'], unique: false },
+  { name: 'uk_c', columns: ['c'], unique: true }
+];
+
+describe('QueryPlanner', () => {
+  test('collects top-level equalities against non-NULL literals', () => {
+    expect(planner.equalityConditions(where("a = 1 AND 'x' = b AND c > 2 AND d = NULL"))).toEqual(new Map([['a', 1], ['b', 'x']]));
+    expect(planner.equalityConditions(where('a = 1 OR b = 2')).size).toBe(0);
+    expect(planner.equalityConditions(where('NOT a = 1')).size).toBe(0);
+    expect(planner.equalityConditions(where('t.a = 1')).size).toBe(0);
+  });
+
+  test('reads legacy condition maps', () => {
+    expect(planner.equalityConditions({ a: 1, b: { operator: 'eq', value: 2 }, c: { operator: 'gt', value: 3 }, d: null }))
+      .toEqual(new Map([['a', 1], ['b', 2]]));
+  });
+
+  test('prefers the index binding the most leading columns', () => {
+    expect(planner.chooseIndex(INDEXES, where('b = 2 AND a = 1'))).toEqual({
+      type: 'INDEX_LOOKUP', index: INDEXES[1], columns: ['a', 'b'], values: [1, 2]
+    });
+    expect(planner.chooseIndex(INDEXES, where('a = 1'))).toMatchObject({ type: 'INDEX_LOOKUP', index: INDEXES[0] });
+    expect(planner.chooseIndex(INDEXES.slice(1), where('a = 1'))).toMatchObject({ type: 'INDEX_PREFIX', columns: ['a'], values: [1] });
+  });
+
+  test('breaks ties in favour of a unique index', () => {
+    expect(planner.chooseIndex([INDEXES[0], INDEXES[2]], where('a = 1 AND c = 5')).index.name).toBe('uk_c');
+    expect(planner.chooseIndex([INDEXES[2], INDEXES[0]], where('a = 1 AND c = 5')).index.name).toBe('uk_c');
+  });
+
+  test('scans when no index leads with a bound column', () => {
+    expect(planner.chooseIndex(INDEXES, where('b = 2'))).toBeNull();
+    expect(planner.chooseIndex(INDEXES, where('b > 2'))).toBeNull();
+    expect(planner.chooseIndex(INDEXES, null)).toBeNull();
+  });
+
+  test('collects range bounds from comparisons, BETWEEN and LIKE prefixes', () => {
+    expect(planner.rangeConditions(where("a > 1 AND 5 >= a AND b BETWEEN 2 AND 4 AND c LIKE 'ab%' AND d LIKE '%x'"))).toEqual(new Map([
+      ['a', { lower: { value: 1, inclusive: false }, upper: { value: 5, inclusive: true } }],
+      ['b', { lower: { value: 2, inclusive: true }, upper: { value: 4, inclusive: true } }],
+      ['c', { lower: { value: 'ab', inclusive: true, like: 'ab%' }, upper: { value: 'ac', inclusive: false, like: 'ab%' } }]
+    ]));
+    expect(planner.rangeConditions(where('a > 1 OR a < 0')).size).toBe(0);
+  });
+
+  test('a range on the column after the equalities beats a shorter prefix match', () => {
+    expect(planner.chooseIndex(INDEXES, where('a > 2'))).toMatchObject({ type: 'INDEX_RANGE', index: INDEXES[0], range: { column: 'a' } });
+    expect(planner.chooseIndex(INDEXES.slice(1), where('a = 1 AND b < 3'))).toMatchObject({
+      type: 'INDEX_RANGE', columns: ['a'], values: [1], range: { column: 'b', lower: null, upper: { value: 3, inclusive: false } }
+    });
+  });
+});
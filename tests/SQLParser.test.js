@@ -0,0 +1,315 @@
+const SQLParser = require('../src/parser/SQLParser');
+
+const parser = new SQLParser();
+const column = name => ({ type: 'COLUMN', name });
+const literal = value => ({ type: 'LITERAL', value });
+
+describe('SQLParser', () => {
+  describe('UPDATE', () => {
+    test('parses SET assignments, GROUP and WHERE', () => {
+      expect(parser.parse("UPDATE users GROUP admins SET age = 40, email = 'a@b.c' WHERE age > 35")).toEqual({
+        type: 'UPDATE',
+        table: 'users',
+        group: 'admins',
+        assignments: { age: literal(40), email: literal('a@b.c') },
+        where: { type: 'COMPARISON', operator: 'gt', left: column('age'), right: literal(35) }
+      });
+    });
+
+    test('SET values are arithmetic expressions with the usual precedence', () => {
+      const { assignments } = parser.parse("UPDATE t SET v = v * 2 + 1, label = name || '!', w = -(v - 1), n = NULL, d = -4");
+      expect(assignments).toEqual({
+        v: { type: 'ARITHMETIC', operator: '+', left: { type: 'ARITHMETIC', operator: '*', left: column('v'), right: literal(2) }, right: literal(1) },
+        label: { type: 'ARITHMETIC', operator: '||', left: column('name'), right: literal('!') },
+        w: { type: 'NEGATE', operand: { type: 'ARITHMETIC', operator: '-', left: column('v'), right: literal(1) } },
+        n: literal(null),
+        d: literal(-4)
+      });
+    });
+
+    test('rejects malformed statements', () => {
+      expect(() => parser.parse('UPDATE t age = 1')).toThrow('Expected SET clause');
+      expect(() => parser.parse('UPDATE t SET age 1')).toThrow("Expected '=' after column 'age'");
+      expect(() => parser.parse('UPDATE t SET age =')).toThrow("Expected value for column 'age'");
+      expect(() => parser.parse('UPDATE t SET age = (1 + 2')).toThrow('Expected closing parenthesis');
+    });
+  });
+
+  describe('DELETE', () => {
+    test('parses GROUP and WHERE', () => {
+      expect(parser.parse("DELETE FROM users GROUP admins WHERE name = 'x'")).toEqual({
+        type: 'DELETE',
+        table: 'users',
+        group: 'admins',
+        where: { type: 'COMPARISON', operator: 'eq', left: column('name'), right: literal('x') }
+      });
+      expect(parser.parse('DELETE FROM users')).toEqual({ type: 'DELETE', table: 'users', group: null, where: null });
+    });
+
+    test('requires FROM and a table name', () => {
+      expect(() => parser.parse('DELETE users')).toThrow('Expected FROM after DELETE');
+      expect(() => parser.parse('DELETE FROM')).toThrow('Expected table name');
+    });
+  });
+
+  describe('WHERE expressions', () => {
+    const where = condition => parser.parse(`SELECT * FROM t WHERE ${condition}`).where;
+
+    test('NOT binds tighter than AND, and AND tighter than OR', () => {
+      expect(where('a = 1 OR NOT b = 2 AND c = 3')).toEqual({
+        type: 'OR',
+        left: { type: 'COMPARISON', operator: 'eq', left: column('a'), right: literal(1) },
+        right: {
+          type: 'AND',
+          left: { type: 'NOT', operand: { type: 'COMPARISON', operator: 'eq', left: column('b'), right: literal(2) } },
+          right: { type: 'COMPARISON', operator: 'eq', left: column('c'), right: literal(3) }
+        }
+      });
+    });
+
+    test('parentheses override precedence', () => {
+      expect(where('(a = 1 OR b = 2) AND c = 3')).toMatchObject({ type: 'AND', left: { type: 'OR' } });
+    });
+
+    test('IN, BETWEEN, LIKE and IS NULL, each with NOT', () => {
+      expect(where("a NOT IN (1, 'x', NULL)")).toEqual({
+        type: 'IN', operand: column('a'), values: [literal(1), literal('x'), literal(null)], negated: true
+      });
+      expect(where('a BETWEEN 1 AND 5 AND b = 2')).toEqual({
+        type: 'AND',
+        left: { type: 'BETWEEN', operand: column('a'), low: literal(1), high: literal(5), negated: false },
+        right: { type: 'COMPARISON', operator: 'eq', left: column('b'), right: literal(2) }
+      });
+      expect(where("name NOT LIKE 'a_%'")).toEqual({ type: 'LIKE', operand: column('name'), pattern: literal('a_%'), negated: true });
+      expect(where('a IS NOT NULL')).toEqual({ type: 'IS_NULL', operand: column('a'), negated: true });
+    });
+
+    test('comparisons take arithmetic operands', () => {
+      expect(where('a + 1 > b * 2')).toEqual({
+        type: 'COMPARISON',
+        operator: 'gt',
+        left: { type: 'ARITHMETIC', operator: '+', left: column('a'), right: literal(1) },
+        right: { type: 'ARITHMETIC', operator: '*', left: column('b'), right: literal(2) }
+      });
+    });
+
+    test('rejects malformed conditions and trailing tokens', () => {
+      expect(() => where('(a = 1')).toThrow('Expected closing parenthesis');
+      expect(() => where('a IN 1')).toThrow('Expected opening parenthesis after IN');
+      expect(() => where('a BETWEEN 1 OR 2')).toThrow('Expected AND in BETWEEN expression');
+      expect(() => where('a IS 1')).toThrow('Expected NULL after IS');
+      expect(() => where('a NOT = 1')).toThrow('Unexpected token: NOT');
+      expect(() => where('a = 1 b')).toThrow('Unexpected token: b');
+    });
+  });
+
+  describe('ORDER BY, LIMIT and OFFSET', () => {
+    test('parses sort keys with directions and the row window', () => {
+      expect(parser.parse('SELECT * FROM t WHERE a > 1 ORDER BY a DESC, b LIMIT 10 OFFSET 20')).toMatchObject({
+        orderBy: [{ expression: column('a'), direction: 'DESC' }, { expression: column('b'), direction: 'ASC' }],
+        limit: 10,
+        offset: 20
+      });
+      expect(parser.parse('SELECT * FROM t')).toMatchObject({ orderBy: [], limit: null, offset: null });
+    });
+
+    test('requires BY and non-negative integer counts', () => {
+      expect(() => parser.parse('SELECT * FROM t ORDER a')).toThrow('Expected BY after ORDER');
+      expect(() => parser.parse('SELECT * FROM t LIMIT -1')).toThrow('Expected a non-negative integer after LIMIT');
+      expect(() => parser.parse('SELECT * FROM t LIMIT 5 OFFSET 1.5')).toThrow('Expected a non-negative integer after OFFSET');
+      expect(() => parser.parse('SELECT * FROM t LIMIT 5 ORDER BY a')).toThrow('Unexpected token: ORDER');
+    });
+  });
+
+  describe('aggregates and GROUP BY', () => {
+    test('GROUP name selects a custom group, GROUP BY groups rows', () => {
+      expect(parser.parse('SELECT role, COUNT(*) FROM users GROUP admins GROUP BY role HAVING COUNT(*) > 1')).toMatchObject({
+        columns: ['role', { type: 'AGGREGATE', name: 'COUNT', argument: null, distinct: false }],
+        group: 'admins',
+        groupBy: [column('role')],
+        having: {
+          type: 'COMPARISON',
+          operator: 'gt',
+          left: { type: 'AGGREGATE', name: 'COUNT', argument: null },
+          right: literal(1)
+        }
+      });
+      expect(parser.parse('SELECT COUNT(*) FROM users GROUP BY group')).toMatchObject({ group: null, groupBy: [column('group')] });
+    });
+
+    test('aggregate calls take DISTINCT and any expression', () => {
+      const { columns } = parser.parse('SELECT count(DISTINCT role), SUM(price * qty) FROM t');
+      expect(columns).toEqual([
+        { type: 'AGGREGATE', name: 'COUNT', argument: column('role'), distinct: true },
+        { type: 'AGGREGATE', name: 'SUM', argument: { type: 'ARITHMETIC', operator: '*', left: column('price'), right: column('qty') }, distinct: false }
+      ]);
+    });
+
+    test('rejects malformed aggregate calls', () => {
+      expect(() => parser.parse('SELECT SUM(*) FROM t')).toThrow('SUM(*) is not supported');
+      expect(() => parser.parse('SELECT COUNT(a FROM t')).toThrow('Expected closing parenthesis for COUNT');
+    });
+  });
+
+  describe('JOIN', () => {
+    test('parses aliases, join types and qualified columns', () => {
+      expect(parser.parse('SELECT u.name, o.* FROM users AS u LEFT OUTER JOIN orders o ON u.id = o.user_id INNER JOIN items ON items.id = o.item')).toMatchObject({
+        table: 'users',
+        alias: 'u',
+        joins: [
+          {
+            type: 'LEFT',
+            table: 'orders',
+            alias: 'o',
+            on: { type: 'COMPARISON', operator: 'eq', left: { type: 'COLUMN', table: 'u', name: 'id' }, right: { type: 'COLUMN', table: 'o', name: 'user_id' } }
+          },
+          { type: 'INNER', table: 'items', alias: 'items' }
+        ]
+      });
+    });
+
+    test('requires ON and JOIN after a join type', () => {
+      expect(() => parser.parse('SELECT * FROM a JOIN b')).toThrow("Expected ON after joined table 'b'");
+      expect(() => parser.parse('SELECT * FROM a JOIN b WHERE a.x = 1')).toThrow("Expected ON after joined table 'b'");
+      expect(() => parser.parse('SELECT * FROM a LEFT b ON x = y')).toThrow('Expected JOIN');
+    });
+  });
+
+  describe('computed columns', () => {
+    test('select-list items are expressions with optional aliases', () => {
+      expect(parser.parse('SELECT price * qty AS total, UPPER(name) label, 1 FROM t').columns).toEqual([
+        { type: 'ALIAS', name: 'total', expression: { type: 'ARITHMETIC', operator: '*', left: column('price'), right: column('qty') } },
+        { type: 'ALIAS', name: 'label', expression: { type: 'FUNCTION', name: 'UPPER', args: [column('name')] } },
+        literal(1)
+      ]);
+    });
+
+    test('function calls take any number of arguments', () => {
+      const [now, coalesce] = parser.parse("SELECT now(), COALESCE(a, b || 'x', 0) FROM t").columns;
+      expect(now).toEqual({ type: 'FUNCTION', name: 'NOW', args: [] });
+      expect(coalesce.args).toHaveLength(3);
+    });
+
+    test('rejects a missing alias', () => {
+      expect(() => parser.parse('SELECT a AS FROM t')).toThrow('Expected alias after AS');
+    });
+  });
+
+  describe('CREATE INDEX and DROP INDEX', () => {
+    test('parses the index definition', () => {
+      expect(parser.parse('CREATE UNIQUE INDEX ix ON t (a, b)')).toEqual({
+        type: 'CREATE_INDEX', table: 't', index: { name: 'ix', columns: ['a', 'b'], unique: true }
+      });
+      expect(parser.parse('DROP INDEX ix')).toEqual({ type: 'DROP_INDEX', table: null, index: 'ix' });
+      expect(parser.parse('DROP INDEX ix ON t')).toEqual({ type: 'DROP_INDEX', table: 't', index: 'ix' });
+    });
+
+    test('rejects incomplete statements', () => {
+      expect(() => parser.parse('CREATE INDEX ix t (a)')).toThrow('Expected ON after index name');
+      expect(() => parser.parse('DROP INDEX')).toThrow('Expected index name');
+    });
+  });
+
+  describe('EXPLAIN', () => {
+    test('wraps the explained statement', () => {
+      expect(parser.parse('EXPLAIN ANALYZE DELETE FROM t')).toEqual({
+        type: 'EXPLAIN',
+        analyze: true,
+        statement: { type: 'DELETE', table: 't', group: null, where: null }
+      });
+      expect(parser.parse('EXPLAIN SELECT * FROM t')).toMatchObject({ analyze: false, statement: { type: 'SELECT' } });
+    });
+  });
+
+  describe('transaction control', () => {
+    test('parses BEGIN [TRANSACTION], COMMIT and ROLLBACK', () => {
+      expect(parser.parse('BEGIN')).toEqual({ type: 'BEGIN' });
+      expect(parser.parse('BEGIN TRANSACTION;')).toEqual({ type: 'BEGIN' });
+      expect(parser.parse('COMMIT')).toEqual({ type: 'COMMIT' });
+      expect(parser.parse('ROLLBACK')).toEqual({ type: 'ROLLBACK' });
+      expect(() => parser.parse('COMMIT x')).toThrow('Unexpected token: x');
+    });
+  });
+
+  describe('VACUUM', () => {
+    test('takes an optional table name', () => {
+      expect(parser.parse('VACUUM')).toEqual({ type: 'VACUUM', table: null });
+      expect(parser.parse('VACUUM accounts;')).toEqual({ type: 'VACUUM', table: 'accounts' });
+    });
+  });
+
+  describe('COMPACT', () => {
+    test('requires TABLE and a table name', () => {
+      expect(parser.parse('COMPACT TABLE clicks')).toEqual({ type: 'COMPACT', table: 'clicks' });
+      expect(() => parser.parse('COMPACT clicks')).toThrow('Expected TABLE after COMPACT');
+    });
+  });
+
+  describe('REINDEX and CHECK TABLE', () => {
+    test('name one table', () => {
+      expect(parser.parse('REINDEX seats')).toEqual({ type: 'REINDEX', table: 'seats' });
+      expect(parser.parse('REINDEX TABLE seats')).toEqual({ type: 'REINDEX', table: 'seats' });
+      expect(parser.parse('CHECK TABLE seats;')).toEqual({ type: 'CHECK_TABLE', table: 'seats' });
+      expect(() => parser.parse('CHECK TABLE')).toThrow('Expected table name');
+    });
+  });
+
+  describe('full-text search', () => {
+    test('parses CREATE FULLTEXT INDEX and MATCH ... AGAINST', () => {
+      expect(parser.parse('CREATE FULLTEXT INDEX ft ON posts (title, body)').index).toEqual({
+        name: 'ft', columns: ['title', 'body'], unique: false, fulltext: true
+      });
+      expect(parser.parse("SELECT * FROM posts WHERE MATCH(title, body) AGAINST('x y')").where).toEqual({
+        type: 'MATCH', columns: [column('title'), column('body')], query: literal('x y')
+      });
+    });
+  });
+
+  describe('ALTER TABLE', () => {
+    const alteration = sql => parser.parse(sql).alteration;
+
+    test('parses each kind of change', () => {
+      expect(parser.parse("ALTER TABLE t ADD COLUMN s VARCHAR(20) NOT NULL DEFAULT 'a'")).toEqual({
+        type: 'ALTER_TABLE',
+        table: 't',
+        alteration: { action: 'ADD_COLUMN', column: 's', definition: { type: 'VARCHAR(20)', notNull: true, default: 'a' } }
+      });
+      expect(alteration('ALTER TABLE t DROP COLUMN a')).toEqual({ action: 'DROP_COLUMN', column: 'a' });
+      expect(alteration('ALTER TABLE t RENAME COLUMN a TO b')).toEqual({ action: 'RENAME_COLUMN', column: 'a', newName: 'b' });
+      expect(alteration('ALTER TABLE t ALTER COLUMN a TYPE INTEGER')).toEqual({ action: 'ALTER_COLUMN_TYPE', column: 'a', columnType: 'INTEGER' });
+      expect(alteration('ALTER TABLE t RENAME TO u')).toEqual({ action: 'RENAME_TABLE', newName: 'u' });
+    });
+  });
+
+  describe('keywords as names', () => {
+    test('keywords added with later features still name columns and tables', () => {
+      expect(parser.parse('SELECT desc, offset FROM t').columns).toEqual(['desc', 'offset']);
+      expect(parser.parse('CREATE TABLE t (match VARCHAR(5), left INTEGER)').schema).toEqual({
+        match: { type: 'VARCHAR(5)' }, left: { type: 'INTEGER' }
+      });
+      expect(parser.parse('INSERT INTO vacuum (asc, distinct) VALUES (1, 2)')).toMatchObject({ table: 'vacuum', columns: ['asc', 'distinct'] });
+      expect(parser.parse('UPDATE t SET having = 1 WHERE match = 2 AND join IS NULL')).toMatchObject({
+        assignments: { having: literal(1) },
+        where: { type: 'AND', left: { left: column('match') }, right: { operand: column('join') } }
+      });
+      expect(parser.parse('ALTER TABLE alter RENAME COLUMN desc TO asc')).toMatchObject({
+        table: 'alter', alteration: { column: 'desc', newName: 'asc' }
+      });
+    });
+
+    test('where the keyword can be meant, it is the keyword', () => {
+      const select = parser.parse('SELECT l.desc AS inner FROM t AS l LEFT JOIN u ON l.id = u.id ORDER BY desc DESC LIMIT 2 OFFSET 1');
+      expect(select).toMatchObject({
+        columns: [{ type: 'ALIAS', name: 'inner', expression: { type: 'COLUMN', table: 'l', name: 'desc' } }],
+        alias: 'l',
+        joins: [{ type: 'LEFT', table: 'u' }],
+        orderBy: [{ expression: column('desc'), direction: 'DESC' }],
+        limit: 2,
+        offset: 1
+      });
+      expect(parser.parse("SELECT * FROM t WHERE MATCH(match) AGAINST('x')").where).toEqual({
+        type: 'MATCH', columns: [column('match')], query: literal('x')
+      });
+    });
+  });
+});
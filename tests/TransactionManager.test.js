@@ -0,0 +1,106 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const TransactionManager = require('../src/storage/TransactionManager');
+const LockManager = require('../src/storage/LockManager');
+
+describe('TransactionManager', () => {
+  let dataDir;
+  let manager;
+  let fileA;
+  let fileB;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbengine-test-'));
+    manager = new TransactionManager({
+      dataDir,
+      walDir: path.join(dataDir, 'wal'),
+      metadataFile: path.join(dataDir, 'metadata.json'),
+      locks: new LockManager(path.join(dataDir, 'locks'))
+    });
+    await fs.ensureDir(manager.walDir);
+    await fs.writeJson(manager.metadataFile, { tables: {}, lastTransactionId: 0 });
+    fileA = path.join(dataDir, 'a.json');
+    fileB = path.join(dataDir, 'b.json');
+    await fs.writeJson(fileA, { v: 1 });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dataDir);
+  });
+
+  test('writes are staged, visible inside the transaction and written on commit', async () => {
+    const tx = manager.begin();
+    await manager.within(tx, async () => {
+      await manager.writeJson(fileA, { v: 2 });
+      await manager.writeJson(fileB, { v: 3 });
+      expect(await manager.readJson(fileA)).toEqual({ v: 2 });
+      expect(await manager.exists(fileB)).toBe(true);
+    });
+    expect(await fs.readJson(fileA)).toEqual({ v: 1 });
+    expect(await fs.pathExists(fileB)).toBe(false);
+
+    expect(await manager.commit(tx)).toBe(1);
+    expect(await fs.readJson(fileA)).toEqual({ v: 2 });
+    expect(await fs.readJson(fileB)).toEqual({ v: 3 });
+    expect((await fs.readJson(manager.metadataFile)).lastTransactionId).toBe(1);
+  });
+
+  test('a failing step undoes only its own writes', async () => {
+    const tx = manager.begin();
+    await manager.within(tx, () => manager.writeJson(fileA, { v: 2 }));
+    await expect(manager.within(tx, async () => {
+      await manager.writeJson(fileB, { v: 3 });
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    await manager.commit(tx);
+    expect(await fs.readJson(fileA)).toEqual({ v: 2 });
+    expect(await fs.pathExists(fileB)).toBe(false);
+  });
+
+  test('rollback discards every staged write and closes the transaction', async () => {
+    const tx = manager.begin();
+    await manager.within(tx, () => manager.remove(fileA));
+    await manager.rollback(tx);
+    expect(await fs.readJson(fileA)).toEqual({ v: 1 });
+    await expect(manager.within(tx, async () => {})).rejects.toThrow('Transaction is no longer active');
+  });
+
+  test('a transaction that read a file changed by a later commit is refused', async () => {
+    const first = manager.begin();
+    const second = manager.begin();
+    await manager.within(first, async () => manager.writeJson(fileA, { v: (await manager.readJson(fileA)).v + 1 }));
+    await manager.within(second, async () => manager.writeJson(fileA, { v: (await manager.readJson(fileA)).v + 10 }));
+
+    await manager.commit(first);
+    await expect(manager.commit(second)).rejects.toThrow("Transaction conflict: 'a.json' was changed by another transaction");
+    expect(await fs.readJson(fileA)).toEqual({ v: 2 });
+  });
+
+  test('recover replays complete log entries and drops a torn last one', async () => {
+    const tx = manager.begin();
+    await manager.within(tx, () => manager.writeJson(fileB, { v: 3 }));
+    jest.spyOn(manager, 'applyEntry').mockRejectedValueOnce(new Error('crash'));
+    await expect(manager.commit(tx)).rejects.toThrow('crash');
+    expect(await fs.pathExists(fileB)).toBe(false);
+
+    const torn = JSON.stringify({ checksum: 'x', entry: { files: [{ file: 'a.json', contents: '{"v":9}' }] } });
+    await fs.appendFile(manager.logFile, torn.slice(0, 20));
+
+    expect(await manager.recover()).toBe(1);
+    expect(await fs.readJson(fileA)).toEqual({ v: 1 });
+    expect(await fs.readJson(fileB)).toEqual({ v: 3 });
+    expect(manager.getLogStatus()).toEqual({ entries: 0, bytes: 0 });
+    expect(await fs.readFile(manager.logFile, 'utf8')).toBe('');
+  });
+
+  test('each commit appends one checksummed entry naming its operations', async () => {
+    await manager.run(() => manager.writeJson(fileA, { v: 2 }), { operation: 'insertRow', table: 'a' });
+    const [entry] = await manager.readLog();
+    expect(entry).toMatchObject({ transactionId: 1, operations: [{ operation: 'insertRow', table: 'a' }] });
+    expect(entry.files.map(file => file.file).sort()).toEqual(['a.json', 'metadata.json']);
+    expect(manager.getLogStatus()).toMatchObject({ entries: 1 });
+  });
+});
+});
@@ -0,0 +1,59 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('aggregates, GROUP BY and HAVING', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('orders', { customer: 'VARCHAR(20)', total: 'INTEGER', region: 'VARCHAR(10)' });
+    await t.db.storage.createGroup('orders', 'web');
+    await t.query("INSERT INTO orders (customer, total, region) VALUES ('ann', 10, 'north')");
+    await t.query("INSERT INTO orders (customer, total, region) VALUES ('ann', 30, 'north')");
+    await t.query("INSERT INTO orders GROUP web (customer, total, region) VALUES ('bob', 5, 'south')");
+    await t.query("INSERT INTO orders GROUP web (customer, total, region) VALUES ('cat', 20, 'north')");
+    await t.query("INSERT INTO orders GROUP web (customer, region) VALUES ('cat', 'north')");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('aggregates over the whole table name their columns after the call', async () => {
+    expect(await t.query('SELECT COUNT(*), COUNT(total), SUM(total), AVG(total), MIN(total), MAX(total) FROM orders')).toEqual([{
+      'COUNT(*)': 5, 'COUNT(total)': 4, 'SUM(total)': 65, 'AVG(total)': 16.25, 'MIN(total)': 5, 'MAX(total)': 30
+    }]);
+    expect(await t.query('SELECT COUNT(DISTINCT customer) FROM orders')).toEqual([{ 'COUNT(DISTINCT customer)': 3 }]);
+  });
+
+  test('a custom GROUP and SQL GROUP BY can be combined', async () => {
+    expect(await t.query('SELECT COUNT(*), SUM(total) FROM orders GROUP web')).toEqual([{ 'COUNT(*)': 3, 'SUM(total)': 25 }]);
+    expect(await t.query('SELECT region, COUNT(*) FROM orders GROUP web GROUP BY region ORDER BY region')).toEqual([
+      { region: 'north', 'COUNT(*)': 2 },
+      { region: 'south', 'COUNT(*)': 1 }
+    ]);
+    expect(await t.query('SELECT group, COUNT(*) FROM orders GROUP BY group ORDER BY group')).toEqual([
+      { group: 'web', 'COUNT(*)': 3 },
+      { group: null, 'COUNT(*)': 2 }
+    ]);
+  });
+
+  test('HAVING and ORDER BY can use aggregates', async () => {
+    expect(await t.query('SELECT customer, SUM(total) FROM orders GROUP BY customer HAVING COUNT(*) > 1 ORDER BY SUM(total) DESC')).toEqual([
+      { customer: 'ann', 'SUM(total)': 40 },
+      { customer: 'cat', 'SUM(total)': 20 }
+    ]);
+  });
+
+  test('an empty input still yields one row without GROUP BY', async () => {
+    expect(await t.query("SELECT COUNT(*), SUM(total) FROM orders WHERE customer = 'nobody'")).toEqual([{ 'COUNT(*)': 0, 'SUM(total)': null }]);
+    expect(await t.query("SELECT customer, COUNT(*) FROM orders WHERE customer = 'nobody' GROUP BY customer")).toEqual([]);
+  });
+
+  test('rejects ungrouped columns and misplaced aggregates', async () => {
+    await expect(t.query('SELECT customer, COUNT(*) FROM orders')).rejects.toThrow("Column 'customer' must appear in GROUP BY or be used in an aggregate function");
+    await expect(t.query('SELECT * FROM orders GROUP BY region')).rejects.toThrow('SELECT * cannot be combined with GROUP BY or aggregate functions');
+    await expect(t.query('SELECT region FROM orders WHERE COUNT(*) > 1 GROUP BY region')).rejects.toThrow('Aggregate functions are not allowed in WHERE; use HAVING instead');
+    await expect(t.query('SELECT SUM(COUNT(*)) FROM orders')).rejects.toThrow('Aggregate functions cannot be nested');
+    await expect(t.query('UPDATE orders SET total = MAX(total)')).rejects.toThrow('Aggregate functions are not allowed in SET: MAX(total)');
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('ALTER TABLE', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('users', { name: { type: 'VARCHAR(20)', unique: true }, age: 'VARCHAR(5)' });
+    await t.query('CREATE INDEX idx_age ON users (age)');
+    await t.query("INSERT INTO users (name, age) VALUES ('ann', '42')");
+    await t.query("INSERT INTO users (name, age) VALUES ('ben', '7')");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const schema = async table => (await t.db.storage.getTable(table)).schema;
+
+  test('ADD COLUMN fills existing rows with the DEFAULT, or refuses NOT NULL without one', async () => {
+    const result = await t.query("ALTER TABLE users ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'active'");
+    expect(result.message).toBe("Column 'status' added to table 'users'");
+    expect(await t.query('SELECT name, status FROM users')).toEqual([{ name: 'ann', status: 'active' }, { name: 'ben', status: 'active' }]);
+
+    await expect(t.query('ALTER TABLE users ADD COLUMN city VARCHAR(10) NOT NULL'))
+      .rejects.toThrow("Cannot add column 'city' to table 'users': it cannot be null and has no DEFAULT");
+    await expect(t.query('ALTER TABLE users ADD COLUMN name TEXT')).rejects.toThrow("Column 'name' already exists in table 'users'");
+    expect(Object.keys(await schema('users'))).toEqual(['name', 'age', 'status']);
+  });
+
+  test('RENAME COLUMN carries the values, constraints and indexes over', async () => {
+    await t.query('ALTER TABLE users RENAME COLUMN name TO login');
+    expect(await t.query("SELECT login FROM users WHERE login = 'ann'")).toEqual([{ login: 'ann' }]);
+    await expect(t.query("INSERT INTO users (login, age) VALUES ('ann', '1')")).rejects.toThrow("Unique constraint violation for column 'login'");
+    await expect(t.query('ALTER TABLE users RENAME COLUMN age TO login')).rejects.toThrow("Column 'login' already exists in table 'users'");
+    expect((await t.query('CHECK TABLE users')).every(report => report.status === 'ok')).toBe(true);
+  });
+
+  test('ALTER COLUMN TYPE converts the stored values, or changes nothing', async () => {
+    await t.query("INSERT INTO users (name, age) VALUES ('cat', 'old')");
+    await expect(t.query('ALTER TABLE users ALTER COLUMN age TYPE INTEGER'))
+      .rejects.toThrow('Cannot change column \'age\' to INTEGER: "old" does not convert');
+    expect((await schema('users')).age.type).toBe('VARCHAR(5)');
+
+    // Deleted versions are converted too until they are vacuumed
+    await t.query("DELETE FROM users WHERE name = 'cat'");
+    await t.query('VACUUM users');
+    const result = await t.query('ALTER TABLE users ALTER COLUMN age TYPE INTEGER');
+    expect(result.message).toBe("Column 'age' of table 'users' changed to INTEGER");
+    expect(await t.query('SELECT name FROM users ORDER BY age')).toEqual([{ name: 'ben' }, { name: 'ann' }]);
+    expect(await t.query('SELECT age FROM users WHERE age > 10')).toEqual([{ age: 42 }]);
+  });
+
+  test('ALTER COLUMN TYPE checks the converted rows against CHECK constraints', async () => {
+    await t.query('CREATE TABLE prices (amount NUMBER CHECK ($value > 0))');
+    await t.query('INSERT INTO prices (amount) VALUES (0.004)');
+    await expect(t.query('ALTER TABLE prices ALTER COLUMN amount TYPE DECIMAL(6,2)'))
+      .rejects.toThrow("Cannot change column 'amount' to DECIMAL(6,2): Check constraint failed for column 'amount'");
+    expect((await schema('prices')).amount.type).toBe('NUMBER');
+    expect(await t.query('SELECT amount FROM prices')).toEqual([{ amount: 0.004 }]);
+  });
+
+  test('ALTER COLUMN TYPE leaves foreign key columns on either side alone', async () => {
+    await t.query('CREATE TABLE posts (author VARCHAR(20) REFERENCES users(name))');
+    await expect(t.query('ALTER TABLE posts ALTER COLUMN author TYPE TEXT'))
+      .rejects.toThrow("Cannot change column 'author' to TEXT: it is a foreign key referencing users.name");
+    await expect(t.query('ALTER TABLE users ALTER COLUMN name TYPE TEXT'))
+      .rejects.toThrow("Cannot change column 'name' to TEXT: it is referenced by foreign key(s) on posts.author");
+    expect((await schema('users')).name.type).toBe('VARCHAR(20)');
+  });
+
+  test('DROP COLUMN drops the indexes on it', async () => {
+    const result = await t.query('ALTER TABLE users DROP COLUMN age');
+    expect(result.message).toBe("Column 'age' dropped from table 'users', with index(es) idx_age");
+    expect(await t.query('SELECT * FROM users WHERE name = \'ann\'')).toEqual([expect.not.objectContaining({ age: '42' })]);
+    expect((await t.db.storage.getTable('users')).indexes.map(index => index.name)).toEqual(['uk_name']);
+    await expect(t.query('ALTER TABLE users DROP COLUMN id')).rejects.toThrow("Column 'id'");
+  });
+
+  test('RENAME TO moves the table files and keeps the data', async () => {
+    await t.db.createTableDirect('teams', { title: 'VARCHAR(10)' });
+    await expect(t.query('ALTER TABLE users RENAME TO teams')).rejects.toThrow("Table 'teams' already exists");
+
+    expect((await t.query('ALTER TABLE users RENAME TO members')).message).toBe("Table 'users' renamed to 'members'");
+    expect((await t.query('SELECT name FROM members')).map(row => row.name)).toEqual(['ann', 'ben']);
+    await expect(t.query('SELECT * FROM users')).rejects.toThrow("Table 'users' does not exist");
+    expect(await fs.pathExists(path.join(t.db.storage.tablesDir, 'users.json'))).toBe(false);
+  });
+
+  test('a failing change leaves the table as it was', async () => {
+    await expect(t.query('ALTER TABLE nothing ADD COLUMN a TEXT')).rejects.toThrow("Table 'nothing' does not exist");
+    jest.spyOn(t.db.storage, 'createIndex').mockRejectedValueOnce(new Error('disk full'));
+    await expect(t.query('ALTER TABLE users RENAME COLUMN age TO years')).rejects.toThrow('disk full');
+    expect(Object.keys(await schema('users'))).toEqual(['name', 'age']);
+    expect(await t.query("SELECT age FROM users WHERE name = 'ann'")).toEqual([{ age: '42' }]);
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const { openTestDatabase, indexKeys } = require('./helpers/testDatabase');
+
+describe('B+tree indexes', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('words', { word: 'VARCHAR(80)', n: 'INTEGER' });
+    await t.query('CREATE INDEX idx_word ON words (word)');
+    await t.query('CREATE INDEX idx_n ON words (n)');
+    // Long keys, so the tree splits into several levels
+    await t.db.transaction(async tx => {
+      for (let i = 0; i < 400; i++) {
+        await tx.executeQuery(`INSERT INTO words (word, n) VALUES ('${String(i).padStart(3, '0')}${'x'.repeat(60)}', ${i % 50})`);
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('keeps keys in order across splits, with NULLs last', async () => {
+    await t.query("INSERT INTO words (word) VALUES ('zzz')");
+    const tree = await t.db.storage.openIndex('words', 'idx_n');
+    expect(tree.size).toBe(401);
+
+    const keys = (await indexKeys(t.db.storage, 'words', 'idx_word')).map(([word]) => word);
+    expect(keys).toHaveLength(401);
+    expect(keys).toEqual([...keys].sort());
+    expect((await indexKeys(t.db.storage, 'words', 'idx_n')).slice(-1)).toEqual([[null]]);
+  });
+
+  test('range and LIKE prefix scans read only the matching part of the index', async () => {
+    const tree = await t.db.storage.openIndex('words', 'idx_n');
+    const readNode = jest.spyOn(tree, 'readNode');
+    const entries = [];
+    for await (const entry of tree.scan({ lower: { key: [10], inclusive: true }, upper: { key: [12], inclusive: false } })) {
+      entries.push(entry.key[0]);
+    }
+    expect(entries).toEqual([...Array(8).fill(10), ...Array(8).fill(11)]);
+    expect(readNode.mock.calls.length).toBeLessThan(10);
+
+    const [step] = await t.query("EXPLAIN SELECT * FROM words WHERE word LIKE '12%'");
+    expect(step).toMatchObject({ operation: 'INDEX_RANGE' });
+    expect((await t.query("SELECT n FROM words WHERE word LIKE '12%'")).map(row => row.n)).toEqual(Array.from({ length: 10 }, (_, i) => (120 + i) % 50));
+  });
+
+  test('a WHERE range on an indexed column is read in index order, without a sort', async () => {
+    const steps = await t.query('EXPLAIN SELECT n FROM words WHERE n > 47 ORDER BY n');
+    expect(steps.map(step => step.operation)).not.toContain('SORT');
+    expect((await t.query('SELECT n FROM words WHERE n > 47 ORDER BY n')).map(row => row.n)).toEqual([...Array(8).fill(48), ...Array(8).fill(49)]);
+  });
+
+  test('indexes kept in the old JSON files are rebuilt as B+trees when the database opens', async () => {
+    const btreeFile = t.db.storage.indexFile('words', 'idx_n');
+    const legacyFile = t.db.storage.legacyIndexFile('words', 'idx_n');
+    // Empty the write-ahead log first, or recovery would write the B+tree back
+    await t.db.storage.checkpoint();
+    await fs.remove(btreeFile);
+    await fs.writeJson(legacyFile, { entries: {} });
+
+    const reopened = await t.reopen();
+    expect(await fs.pathExists(btreeFile)).toBe(true);
+    expect(await fs.pathExists(legacyFile)).toBe(false);
+    expect(await indexKeys(reopened.storage, 'words', 'idx_n')).toHaveLength(400);
+  });
+});
@@ -0,0 +1,59 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('CHECK constraints', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.query(`CREATE TABLE trips (
+      seats INTEGER CHECK ($value > 0 AND $value <= 100),
+      status TEXT CHECK (status IN ('open', 'closed')),
+      start_date DATE,
+      end_date DATE,
+      CHECK (end_date > start_date),
+      CONSTRAINT short_trip CHECK (end_date < '2030-01-01')
+    )`);
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const insert = row => t.query(`INSERT INTO trips (${Object.keys(row).join(', ')}) VALUES (${Object.values(row).join(', ')})`);
+
+  test('rows that leave every condition true or unknown are accepted', async () => {
+    await insert({ seats: 10, status: "'open'", start_date: "'2024-05-01'", end_date: "'2024-05-03'" });
+    // Columns left out are NULL, which leaves their conditions unknown
+    await insert({ status: "'closed'" });
+    expect((await t.query('SELECT seats, status FROM trips')).map(row => row.status)).toEqual(['open', 'closed']);
+  });
+
+  test('a false condition fails with the column, the condition or the constraint name', async () => {
+    await expect(insert({ seats: 0 })).rejects.toThrow("Check constraint failed for column 'seats'");
+    await expect(insert({ seats: 5, status: "'gone'" })).rejects.toThrow("Check constraint failed for column 'status'");
+    await expect(insert({ start_date: "'2024-05-03'", end_date: "'2024-05-01'" })).rejects.toThrow('Check constraint failed: end_date > start_date');
+    await expect(insert({ start_date: "'2031-01-01'", end_date: "'2031-01-02'" })).rejects.toThrow("Check constraint 'short_trip' failed");
+
+    await insert({ seats: 5 });
+    await expect(t.query('UPDATE trips SET seats = seats + 100')).rejects.toThrow("Check constraint failed for column 'seats'");
+    expect(await t.query('SELECT seats FROM trips')).toEqual([{ seats: 5 }]);
+  });
+
+  test('conditions are parsed, never run as code', async () => {
+    await expect(t.query('CREATE TABLE bad (n INTEGER CHECK (process.exit(1)))')).rejects.toThrow('Expected ) after CHECK condition');
+    await expect(t.query('CREATE TABLE bad (n INTEGER CHECK (other > 1))')).rejects.toThrow("refers to unknown column 'other'");
+    await expect(t.query('CREATE TABLE bad (n INTEGER CHECK (COUNT(n) > 1))')).rejects.toThrow('cannot use COUNT(n)');
+    await expect(t.db.createTableDirect('bad', { n: { type: 'INTEGER', check: "$value > 0; require('fs')" } }))
+      .rejects.toThrow('Invalid CHECK constraint');
+  });
+
+  test('renaming a column renames it in conditions, and dropping it drops them', async () => {
+    await t.query('ALTER TABLE trips RENAME COLUMN end_date TO finish');
+    await expect(t.query("INSERT INTO trips (start_date, finish) VALUES ('2024-05-03', '2024-05-01')"))
+      .rejects.toThrow('Check constraint failed: finish > start_date');
+
+    await t.query('ALTER TABLE trips DROP COLUMN finish');
+    await t.query("INSERT INTO trips (seats, start_date) VALUES (5, '2040-01-01')");
+    await expect(t.query('INSERT INTO trips (seats) VALUES (500)')).rejects.toThrow("Check constraint failed for column 'seats'");
+  });
+});
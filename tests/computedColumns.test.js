@@ -0,0 +1,64 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('computed columns', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('lines', { item: 'VARCHAR(20)', price: 'NUMBER', qty: 'INTEGER' });
+    await t.query("INSERT INTO lines (item, price, qty) VALUES ('pen', 1.5, 4)");
+    await t.query("INSERT INTO lines (item, price, qty) VALUES ('ink', 12, 1)");
+    await t.query("INSERT INTO lines (item, price) VALUES ('pad', 3)");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('expressions are named by their alias or their text', async () => {
+    expect(await t.query("SELECT UPPER(item), price * qty AS total, item || '!' FROM lines WHERE qty IS NOT NULL")).toEqual([
+      { 'UPPER(item)': 'PEN', total: 6, "item || '!'": 'pen!' },
+      { 'UPPER(item)': 'INK', total: 12, "item || '!'": 'ink!' }
+    ]);
+  });
+
+  test('NULL inputs give NULL, COALESCE picks the first non-NULL value', async () => {
+    expect(await t.query("SELECT price * qty AS total, COALESCE(qty, 0) AS qty FROM lines WHERE item = 'pad'")).toEqual([{ total: null, qty: 0 }]);
+  });
+
+  test('dividing by zero gives NULL', async () => {
+    expect(await t.query("SELECT price / (qty - 1) AS unit, qty % 0 AS rest FROM lines WHERE item = 'ink'")).toEqual([{ unit: null, rest: null }]);
+    expect(await t.query('SELECT item FROM lines WHERE price / 0 IS NULL AND qty IS NOT NULL')).toEqual([{ item: 'pen' }, { item: 'ink' }]);
+  });
+
+  test('every selected column is in every row, NULL where the row has no value', async () => {
+    expect(await t.query('SELECT item, qty FROM lines')).toEqual([
+      { item: 'pen', qty: 4 },
+      { item: 'ink', qty: 1 },
+      { item: 'pad', qty: null }
+    ]);
+  });
+
+  test('ORDER BY can use an alias, WHERE and GROUP BY can use expressions', async () => {
+    expect((await t.query('SELECT item, price * COALESCE(qty, 1) AS total FROM lines ORDER BY total DESC')).map(row => row.item)).toEqual(['ink', 'pen', 'pad']);
+    expect(await t.query('SELECT item FROM lines WHERE LENGTH(item) = 3 AND price * 2 > 5')).toEqual([{ item: 'ink' }, { item: 'pad' }]);
+    expect(await t.query('SELECT qty IS NULL AS missing, COUNT(*) FROM lines GROUP BY qty IS NULL ORDER BY missing')).toEqual([
+      { missing: false, 'COUNT(*)': 2 },
+      { missing: true, 'COUNT(*)': 1 }
+    ]);
+  });
+
+  test('UPDATE SET can call functions', async () => {
+    await t.query("UPDATE lines SET item = UPPER(item), qty = COALESCE(qty, 0) + 1 WHERE price > 2");
+    expect(await t.query('SELECT item, qty FROM lines')).toEqual([
+      { item: 'pen', qty: 4 },
+      { item: 'INK', qty: 2 },
+      { item: 'PAD', qty: 1 }
+    ]);
+    await expect(t.query('UPDATE lines SET item = LOWER()')).rejects.toThrow('LOWER expects 1 argument(s), got 0');
+  });
+
+  test('unknown functions fail even when no row matches', async () => {
+    await expect(t.query("SELECT nope(item) FROM lines WHERE item = 'none'")).rejects.toThrow('Unknown function: NOPE');
+  });
+});
@@ -0,0 +1,50 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('concurrent writers', () => {
+  let t;
+  let other;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('stock', { item: { type: 'VARCHAR(10)', unique: true }, qty: 'INTEGER' });
+    await t.db.createTableDirect('log', { note: 'VARCHAR(20)' });
+    await t.query("INSERT INTO stock (item, qty) VALUES ('bolt', 10)");
+    // A second engine on the same directory, like the CLI running next to the web server
+    other = await t.reopen();
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('a writer waits for the transaction holding its table, then sees its changes', async () => {
+    await t.query('BEGIN');
+    await t.query("UPDATE stock SET qty = qty - 3 WHERE item = 'bolt'");
+
+    let done = false;
+    const waiting = t.query("UPDATE stock SET qty = qty * 2 WHERE item = 'bolt'", other).then(() => { done = true; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(done).toBe(false);
+
+    await t.query('COMMIT');
+    await waiting;
+    expect(await t.query('SELECT qty FROM stock', other)).toEqual([{ qty: 14 }]);
+  });
+
+  test('writers to different tables do not wait for each other and both changes are kept', async () => {
+    await t.query('BEGIN');
+    await t.query("INSERT INTO stock (item, qty) VALUES ('nut', 5)");
+    await t.query("INSERT INTO log (note) VALUES ('outside')", other);
+    await t.query('COMMIT');
+
+    expect((await t.query('SELECT item FROM stock')).map(row => row.item)).toEqual(['bolt', 'nut']);
+    expect(await t.query('SELECT note FROM log')).toEqual([{ note: 'outside' }]);
+    const metadata = await t.db.storage.loadMetadata();
+    expect([metadata.tables.stock.rowCount, metadata.tables.log.rowCount]).toEqual([2, 1]);
+  });
+
+  test('concurrent autocommit statements on one table are all applied', async () => {
+    await Promise.all([1, 2, 3, 4].map(n => t.query(`UPDATE stock SET qty = qty + ${n}`, n % 2 ? t.db : other)));
+    expect(await t.query('SELECT qty FROM stock')).toEqual([{ qty: 20 }]);
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { openTestDatabase, indexKeys } = require('./helpers/testDatabase');
+
+describe('CREATE INDEX and DROP INDEX', () => {
+  let t;
+
+  const indexFile = name => path.join(t.db.storage.indexesDir, `books_${name}.btree`);
+  const indexNames = async () => (await t.db.storage.getTable('books')).indexes.map(index => index.name);
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('books', { isbn: { type: 'VARCHAR(20)', unique: true }, title: 'VARCHAR(50)', shelf: 'INTEGER' });
+    await t.db.createTableDirect('films', { title: 'VARCHAR(50)' });
+    await t.query("INSERT INTO books (isbn, title, shelf) VALUES ('1', 'Dune', 3)");
+    await t.query("INSERT INTO books (isbn, title, shelf) VALUES ('2', 'Emma', 3)");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('builds the index over existing rows and registers it', async () => {
+    const result = await t.query('CREATE INDEX by_shelf ON books (shelf, title)');
+    expect(result.message).toBe("Index 'by_shelf' created on table 'books'");
+    expect(await indexNames()).toEqual(['uk_isbn', 'by_shelf']);
+    expect(await indexKeys(t.db.storage, 'books', 'by_shelf')).toEqual([[3, 'Dune'], [3, 'Emma']]);
+
+    // Later writes keep the new index current, and lookups can use it
+    await t.query("INSERT INTO books (isbn, title, shelf) VALUES ('3', 'Ulysses', 5)");
+    expect(await t.db.storage.selectRowsWithIndex('books', { shelf: 5, title: 'Ulysses' })).toHaveLength(1);
+  });
+
+  test('a UNIQUE index is refused over duplicate values, but NULLs never conflict', async () => {
+    await expect(t.query('CREATE UNIQUE INDEX one_per_shelf ON books (shelf)'))
+      .rejects.toThrow("Cannot create unique index 'one_per_shelf': duplicate value (3) for column(s) shelf");
+    expect(await indexNames()).toEqual(['uk_isbn']);
+    expect(await fs.pathExists(indexFile('one_per_shelf'))).toBe(false);
+
+    await t.query("UPDATE books SET shelf = NULL");
+    await t.query('CREATE UNIQUE INDEX one_per_shelf ON books (shelf)');
+    expect(await indexNames()).toContain('one_per_shelf');
+  });
+
+  test('rejects unknown tables, columns and duplicate names', async () => {
+    await expect(t.query('CREATE INDEX ix ON nothing (a)')).rejects.toThrow("Table 'nothing' does not exist");
+    await expect(t.query('CREATE INDEX ix ON books (author)')).rejects.toThrow("Column 'author' does not exist in table 'books'");
+    await t.query('CREATE INDEX ix ON books (title)');
+    await expect(t.query('CREATE INDEX ix ON books (shelf)')).rejects.toThrow("Index 'ix' already exists on table 'books'");
+  });
+
+  test('DROP INDEX removes the index, naming the table when the name is ambiguous', async () => {
+    await t.query('CREATE INDEX by_title ON books (title)');
+    await t.query('CREATE INDEX by_title ON films (title)');
+    await expect(t.query('DROP INDEX by_title')).rejects.toThrow("Index 'by_title' exists on tables books, films; use DROP INDEX by_title ON <table>");
+
+    expect((await t.query('DROP INDEX by_title ON books')).message).toBe("Index 'by_title' dropped from table 'books'");
+    expect(await indexNames()).toEqual(['uk_isbn']);
+    expect(await fs.pathExists(indexFile('by_title'))).toBe(false);
+
+    await t.query('DROP INDEX by_title');
+    await expect(t.query('DROP INDEX by_title')).rejects.toThrow("Index 'by_title' does not exist");
+  });
+
+  test('indexes that enforce a constraint cannot be dropped', async () => {
+    await expect(t.query('DROP INDEX uk_isbn')).rejects.toThrow("Index 'uk_isbn' enforces a PRIMARY KEY or UNIQUE constraint and cannot be dropped");
+  });
+});
@@ -0,0 +1,97 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const StorageEngine = require('../src/storage/StorageEngine');
+const { openTestDatabase, indexKeys } = require('./helpers/testDatabase');
+
+describe('DELETE statements', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('items', { sku: 'VARCHAR(10)', qty: 'INTEGER' });
+    for (const [sku, qty] of [['a', 1], ['b', 2], ['c', 3]]) {
+      await t.query(`INSERT INTO items (sku, qty) VALUES ('${sku}', ${qty})`);
+    }
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('removes the rows WHERE matches and reports how many', async () => {
+    const result = await t.query('DELETE FROM items WHERE qty >= 2');
+    expect(result).toMatchObject({ success: true, affectedRows: 2, message: '2 row(s) deleted' });
+    expect(await t.query('SELECT sku FROM items')).toEqual([{ sku: 'a' }]);
+  });
+
+  test('without WHERE empties the table', async () => {
+    expect((await t.query('DELETE FROM items')).affectedRows).toBe(3);
+    expect(await t.query('SELECT * FROM items')).toEqual([]);
+  });
+
+  test('rejects a missing FROM or an unknown table', async () => {
+    await expect(t.query('DELETE items')).rejects.toThrow('Expected FROM after DELETE');
+    await expect(t.query('DELETE FROM nothing')).rejects.toThrow("Table 'nothing' does not exist");
+  });
+});
+
+describe('StorageEngine.deleteRows', () => {
+  let dataDir;
+  let storage;
+
+  const keys = async name => (await indexKeys(storage, 'parts', name)).map(([value]) => value);
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbengine-test-'));
+    storage = await new StorageEngine(dataDir).initialize();
+    await storage.createTable('parts', {
+      code: { type: 'VARCHAR(10)', unique: true },
+      bin: { type: 'VARCHAR(10)', index: true }
+    });
+    await storage.insertRow('parts', { code: 'p1', bin: 'x' }, 'north');
+    await storage.insertRow('parts', { code: 'p2', bin: 'x' }, 'north');
+    await storage.insertRow('parts', { code: 'p3', bin: 'y' }, 'south');
+    await storage.insertRow('parts', { code: 'p4', bin: 'y' });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dataDir);
+  });
+
+  test('keeps groups and row counts in step', async () => {
+    const deleted = await storage.deleteRows('parts', { bin: 'x' }, 'north');
+    expect(deleted.map(row => row.code).sort()).toEqual(['p1', 'p2']);
+
+    const metadata = await storage.loadMetadata();
+    expect(metadata.tables.parts.rowCount).toBe(2);
+    expect(metadata.tables.parts.groups.north.rowCount).toBe(0);
+    expect(metadata.tables.parts.groups.south.rowCount).toBe(1);
+
+    // Deleted versions stay in the file, and in their group, until VACUUM removes them
+    expect(metadata.tables.parts.deadRows).toBe(2);
+    expect(await storage.vacuum('parts')).toEqual({ parts: 2 });
+    const tableData = await fs.readJson(path.join(storage.tablesDir, 'parts.json'));
+    expect(tableData.groups.north).toEqual([]);
+    expect(tableData.groups.south).toHaveLength(1);
+  });
+
+  test('a GROUP only deletes rows of that group', async () => {
+    expect(await storage.deleteRows('parts', { bin: 'y' }, 'south')).toHaveLength(1);
+    expect((await storage.selectRows('parts', {})).map(row => row.code).sort()).toEqual(['p1', 'p2', 'p4']);
+  });
+
+  test('drops the deleted ids from every index once vacuumed', async () => {
+    await storage.deleteRows('parts', { bin: 'x' });
+    expect(await storage.selectRowsWithIndex('parts', { code: 'p1' })).toEqual([]);
+    await storage.vacuum('parts');
+    expect(await keys('uk_code')).toEqual(['p3', 'p4']);
+    expect(await keys('idx_bin')).toEqual(['y', 'y']);
+
+    const [p3] = await storage.selectRows('parts', { code: 'p3' });
+    await storage.deleteRow('parts', p3.id);
+    await storage.vacuum('parts');
+    expect(await keys('idx_bin')).toEqual(['y']);
+    expect(await storage.selectRowsWithIndex('parts', { code: 'p3' })).toEqual([]);
+  });
+});
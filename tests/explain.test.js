@@ -0,0 +1,63 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('EXPLAIN and EXPLAIN ANALYZE', () => {
+  let t;
+
+  const operations = steps => steps.map(step => step.operation);
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('parts', { n: 'INTEGER', label: 'VARCHAR(10)' });
+    await t.db.storage.createGroup('parts', 'spare');
+    await t.query('CREATE INDEX idx_n ON parts (n)');
+    for (let i = 0; i < 6; i++) {
+      await t.query(`INSERT INTO parts ${i < 2 ? 'GROUP spare ' : ''}(n, label) VALUES (${i % 3}, 'p${i}')`);
+    }
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('EXPLAIN lists the access path and each step with estimated rows', async () => {
+    expect(await t.query('EXPLAIN SELECT * FROM parts WHERE n = 1')).toEqual([
+      { step: 1, operation: 'INDEX_LOOKUP', detail: 'parts using idx_n (n = 1)', estimatedRows: 2 },
+      { step: 2, operation: 'FILTER', detail: 'n = 1', estimatedRows: 2 }
+    ]);
+
+    const steps = await t.query("EXPLAIN SELECT label FROM parts GROUP spare WHERE label LIKE 'p%' ORDER BY label LIMIT 1");
+    expect(operations(steps)).toEqual(['FULL_SCAN', 'GROUP_FILTER', 'FILTER', 'SORT', 'LIMIT', 'PROJECT']);
+    expect(steps[0].estimatedRows).toBe(6);
+    expect(steps[1]).toMatchObject({ detail: 'group spare', estimatedRows: 2 });
+    expect(steps[4].estimatedRows).toBe(1);
+  });
+
+  test('EXPLAIN shows an ordered index scan that stops early', async () => {
+    const [scan] = await t.query('EXPLAIN SELECT n FROM parts ORDER BY n DESC LIMIT 2');
+    expect(scan).toEqual({ step: 1, operation: 'INDEX_ORDER_SCAN', detail: 'parts using idx_n ordered by n DESC, stopping after 2 row(s)', estimatedRows: 2 });
+  });
+
+  test('EXPLAIN does not run UPDATE or DELETE', async () => {
+    const result = await t.db.executeQuery('EXPLAIN DELETE FROM parts WHERE n = 2');
+    expect(result.message).toBe('Query plan for DELETE');
+    expect(operations(result.data)).toEqual(['FULL_SCAN', 'FILTER', 'DELETE']);
+    expect(await t.query('SELECT * FROM parts')).toHaveLength(6);
+  });
+
+  test('EXPLAIN ANALYZE runs the statement and reports actual rows and times', async () => {
+    const result = await t.db.executeQuery('EXPLAIN ANALYZE SELECT n, COUNT(*) FROM parts GROUP BY n HAVING COUNT(*) > 1');
+    expect(result.data.map(({ operation, actualRows }) => [operation, actualRows])).toEqual([
+      ['FULL_SCAN', 6], ['AGGREGATE', 3], ['HAVING', 3], ['PROJECT', 3]
+    ]);
+    expect(result.data.every(step => typeof step.timeMs === 'number')).toBe(true);
+    expect(result.explain).toMatchObject({ analyze: true, statement: 'SELECT', resultRows: 3 });
+
+    const update = await t.db.executeQuery("EXPLAIN ANALYZE UPDATE parts SET label = 'x' WHERE n = 0");
+    expect(update.message).toMatch(/^Executed in [\d.]+ ms; 2 row\(s\) affected$/);
+    expect(await t.query("SELECT n FROM parts WHERE label = 'x'")).toEqual([{ n: 0 }, { n: 0 }]);
+  });
+
+  test('only SELECT, UPDATE and DELETE can be explained', async () => {
+    await expect(t.query('EXPLAIN INSERT INTO parts (n) VALUES (1)')).rejects.toThrow('EXPLAIN supports SELECT, UPDATE and DELETE statements');
+  });
+});
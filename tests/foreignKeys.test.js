@@ -0,0 +1,119 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('foreign key actions', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.query('CREATE TABLE users (uid VARCHAR(10) PRIMARY KEY, name VARCHAR(20))');
+    for (const uid of ['u1', 'u2', 'guest']) {
+      await t.query(`INSERT INTO users (uid, name) VALUES ('${uid}', '${uid} name')`);
+    }
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const insertAll = async (table, columns, rows) => {
+    for (const values of rows) {
+      await t.query(`INSERT INTO ${table} (${columns}) VALUES (${values.map(value => `'${value}'`).join(', ')})`);
+    }
+  };
+  const column = async (table, name) => (await t.query(`SELECT ${name} FROM ${table} ORDER BY ${name}`)).map(row => row[name]);
+
+  test('RESTRICT, the default, refuses to take away a referenced value', async () => {
+    await t.query('CREATE TABLE posts (pid VARCHAR(10), uid VARCHAR(10) FOREIGN_KEY(users.uid))');
+    await insertAll('posts', 'pid, uid', [['p1', 'u1']]);
+
+    await expect(t.query("DELETE FROM users WHERE uid = 'u1'"))
+      .rejects.toThrow("Cannot delete users.uid = 'u1': 1 row(s) of posts.uid reference it (ON DELETE RESTRICT)");
+    await expect(t.query("UPDATE users SET uid = 'u9' WHERE uid = 'u1'"))
+      .rejects.toThrow("Cannot update users.uid = 'u1': 1 row(s) of posts.uid reference it (ON UPDATE RESTRICT)");
+    expect(await column('users', 'uid')).toEqual(['guest', 'u1', 'u2']);
+
+    // Unreferenced rows can go
+    await t.query("DELETE FROM users WHERE uid = 'u2'");
+    expect(await column('users', 'uid')).toEqual(['guest', 'u1']);
+  });
+
+  test('CASCADE deletes referencing rows, and goes on to the rows that reference them', async () => {
+    await t.query('CREATE TABLE orders (oid VARCHAR(10) PRIMARY KEY, uid VARCHAR(10) REFERENCES users(uid) ON DELETE CASCADE)');
+    await t.query('CREATE TABLE items (oid VARCHAR(10) REFERENCES orders(oid) ON DELETE CASCADE, sku VARCHAR(10))');
+    await insertAll('orders', 'oid, uid', [['o1', 'u1'], ['o2', 'u1'], ['o3', 'u2']]);
+    await insertAll('items', 'oid, sku', [['o1', 'a'], ['o2', 'b'], ['o3', 'c']]);
+
+    await t.query("DELETE FROM users WHERE uid = 'u1'");
+    expect(await column('orders', 'oid')).toEqual(['o3']);
+    expect(await column('items', 'sku')).toEqual(['c']);
+  });
+
+  test('ON UPDATE CASCADE gives referencing rows the new value', async () => {
+    await t.query('CREATE TABLE orders (oid VARCHAR(10), uid VARCHAR(10) REFERENCES users(uid) ON UPDATE CASCADE)');
+    await insertAll('orders', 'oid, uid', [['o1', 'u1'], ['o2', 'u2']]);
+
+    await t.query("UPDATE users SET uid = 'u7' WHERE uid = 'u1'");
+    expect(await t.query('SELECT oid, uid FROM orders ORDER BY oid')).toEqual([
+      { oid: 'o1', uid: 'u7' },
+      { oid: 'o2', uid: 'u2' }
+    ]);
+  });
+
+  test('SET NULL clears the key of referencing rows', async () => {
+    await t.query('CREATE TABLE notes (body VARCHAR(10), uid VARCHAR(10) FOREIGN_KEY(users.uid) ON DELETE SET NULL)');
+    await insertAll('notes', 'body, uid', [['n1', 'u1'], ['n2', 'u2']]);
+
+    await t.query("DELETE FROM users WHERE uid = 'u1'");
+    expect(await t.query('SELECT body, uid FROM notes ORDER BY body')).toEqual([
+      { body: 'n1', uid: null },
+      { body: 'n2', uid: 'u2' }
+    ]);
+  });
+
+  test('SET DEFAULT gives referencing rows the column default', async () => {
+    await t.query("CREATE TABLE notes (body VARCHAR(10), uid VARCHAR(10) DEFAULT 'guest' FOREIGN_KEY(users.uid) ON DELETE SET DEFAULT ON UPDATE SET DEFAULT)");
+    await insertAll('notes', 'body, uid', [['n1', 'u1'], ['n2', 'u2']]);
+
+    await t.query("DELETE FROM users WHERE uid = 'u1'");
+    await t.query("UPDATE users SET uid = 'u3' WHERE uid = 'u2'");
+    expect(await column('notes', 'uid')).toEqual(['guest', 'guest']);
+  });
+
+  test('SET DEFAULT is refused when the referenced table does not hold the default', async () => {
+    await t.query("CREATE TABLE notes (body VARCHAR(10), uid VARCHAR(10) DEFAULT 'guest' FOREIGN_KEY(users.uid) ON DELETE SET DEFAULT ON UPDATE SET DEFAULT)");
+    await insertAll('notes', 'body, uid', [['n1', 'guest'], ['n2', 'u1']]);
+
+    // Rows that already hold the default would be left pointing at the deleted row
+    await expect(t.query("DELETE FROM users WHERE uid = 'guest'"))
+      .rejects.toThrow("Cannot delete users.uid = 'guest': ON DELETE SET DEFAULT gives notes.uid the value 'guest', which users.uid does not hold");
+    await expect(t.query("UPDATE users SET uid = 'nobody' WHERE uid = 'guest'"))
+      .rejects.toThrow('ON UPDATE SET DEFAULT');
+    expect(await column('users', 'uid')).toEqual(['guest', 'u1', 'u2']);
+    expect(await column('notes', 'uid')).toEqual(['guest', 'u1']);
+  });
+
+  test('an action that fails undoes the whole statement', async () => {
+    await t.query('CREATE TABLE orders (oid VARCHAR(10), uid VARCHAR(10) REFERENCES users(uid) ON DELETE CASCADE)');
+    await t.query('CREATE TABLE notes (body VARCHAR(10), uid VARCHAR(10) NOT NULL FOREIGN_KEY(users.uid) ON DELETE SET NULL)');
+    await insertAll('orders', 'oid, uid', [['o1', 'u1']]);
+    await insertAll('notes', 'body, uid', [['n1', 'u1']]);
+
+    await expect(t.query("DELETE FROM users WHERE uid = 'u1'")).rejects.toThrow();
+    expect(await column('users', 'uid')).toEqual(['guest', 'u1', 'u2']);
+    expect(await column('orders', 'oid')).toEqual(['o1']);
+    expect(await column('notes', 'uid')).toEqual(['u1']);
+  });
+
+  test('inserts and updates, including single-row edits, must reference an existing value', async () => {
+    await t.query('CREATE TABLE posts (pid VARCHAR(10), uid VARCHAR(10) FOREIGN_KEY(users.uid))');
+    await expect(t.query("INSERT INTO posts (pid, uid) VALUES ('p1', 'zz')"))
+      .rejects.toThrow("Foreign key constraint violation: value 'zz' not found in users.uid");
+    await insertAll('posts', 'pid, uid', [['p1', 'u1']]);
+
+    await expect(t.query("UPDATE posts SET uid = 'zz'")).rejects.toThrow('Foreign key constraint violation');
+    const [post] = await t.db.storage.selectRows('posts');
+    await expect(t.db.updateRowDirect('posts', post.id, { uid: 'zz' })).rejects.toThrow('Foreign key constraint violation');
+    await t.db.updateRowDirect('posts', post.id, { uid: 'u2' });
+    expect(await column('posts', 'uid')).toEqual(['u2']);
+  });
+});
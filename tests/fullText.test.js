@@ -0,0 +1,72 @@
+const TextTokenizer = require('../src/query/TextTokenizer');
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('TextTokenizer', () => {
+  const tokenizer = new TextTokenizer();
+
+  test('keeps lowercased words of letters and digits, without stop words or single characters', () => {
+    expect(tokenizer.tokenize('The B+tree of Köln, 2024 edition: a x-ray')).toEqual(['tree', 'köln', '2024', 'edition', 'ray']);
+    expect(tokenizer.tokenize(null)).toEqual([]);
+    expect(tokenizer.queryTerms('engine Engine storage')).toEqual(['engine', 'storage']);
+  });
+});
+
+describe('FULLTEXT indexes and MATCH ... AGAINST', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('posts', { title: 'VARCHAR(50)', body: 'TEXT' });
+    await t.db.createTableDirect('drafts', { title: 'VARCHAR(50)', body: 'TEXT' });
+    const posts = [
+      ['Storage engines', 'An engine stores pages; the engine also logs.'],
+      ['Query planning', 'The planner picks an index for the storage layer.'],
+      ['Cooking', 'Nothing about databases here.']
+    ];
+    for (const table of ['posts', 'drafts']) {
+      for (const [title, body] of posts) {
+        await t.query(`INSERT INTO ${table} (title, body) VALUES ('${title}', '${body}')`);
+      }
+    }
+    await t.query('CREATE FULLTEXT INDEX ft_posts ON posts (title, body)');
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const titles = async sql => (await t.query(sql)).map(row => row.title);
+
+  test('finds rows holding any of the words, most relevant first, with or without the index', async () => {
+    for (const table of ['posts', 'drafts']) {
+      expect(await titles(`SELECT title FROM ${table} WHERE MATCH(title, body) AGAINST('ENGINE storage')`))
+        .toEqual(['Storage engines', 'Query planning']);
+      expect(await titles(`SELECT title FROM ${table} WHERE MATCH(title, body) AGAINST('stor')`)).toEqual([]);
+    }
+
+    const [fulltext] = await t.query("EXPLAIN SELECT title FROM posts WHERE MATCH(title, body) AGAINST('engine')");
+    expect(fulltext).toMatchObject({ operation: 'INDEX_FULLTEXT', detail: expect.stringContaining('ft_posts') });
+    const [scan] = await t.query("EXPLAIN SELECT title FROM drafts WHERE MATCH(title, body) AGAINST('engine')");
+    expect(scan.operation).toBe('FULL_SCAN');
+  });
+
+  test('an ORDER BY replaces the relevance order', async () => {
+    expect(await titles("SELECT title FROM posts WHERE MATCH(title, body) AGAINST('engine storage') ORDER BY title"))
+      .toEqual(['Query planning', 'Storage engines']);
+  });
+
+  test('the index follows inserts, updates and deletes', async () => {
+    await t.query("INSERT INTO posts (title, body) VALUES ('Recipes', 'A storage jar')");
+    await t.query("UPDATE posts SET body = 'Engine oil' WHERE title = 'Cooking'");
+    await t.query("DELETE FROM posts WHERE title = 'Query planning'");
+
+    expect((await titles("SELECT title FROM posts WHERE MATCH(title, body) AGAINST('storage')")).sort()).toEqual(['Recipes', 'Storage engines']);
+    expect((await titles("SELECT title FROM posts WHERE MATCH(title, body) AGAINST('oil')"))).toEqual(['Cooking']);
+    expect((await t.query('CHECK TABLE posts')).find(report => report.index === 'ft_posts').status).toBe('ok');
+  });
+
+  test('a full-text index only covers text columns', async () => {
+    await t.db.createTableDirect('counts', { n: 'INTEGER' });
+    await expect(t.query('CREATE FULLTEXT INDEX ft_n ON counts (n)')).rejects.toThrow("Full-text index 'ft_n' needs VARCHAR or TEXT columns; 'n' is INTEGER");
+  });
+});
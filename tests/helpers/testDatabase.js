@@ -0,0 +1,56 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const DatabaseEngine = require('../../src/DatabaseEngine');
+
+/* A DatabaseEngine over a fresh temporary directory, switched to a database 'test' that stores
+ * its tables in the given format. reopen() opens the same directory again, as a restarted process
+ * (or a second process sharing the database) would; close() waits for background work and removes it.
+ */
+async function openTestDatabase(storageFormat = 'json') {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbengine-test-'));
+
+  const engines = [];
+
+  const open = async () => {
+    const db = new DatabaseEngine(dataDir);
+    await db.initialize('main');
+    if (!(await db.listDatabases()).some(database => database.name === 'test')) {
+      await db.createDatabase('test', { storageFormat });
+    }
+    await db.switchDatabase('test');
+    engines.push(db);
+    return db;
+  };
+
+  const db = await open();
+  return {
+    db,
+    dataDir,
+    reopen: open,
+    // Run one statement; those that return rows (SELECT, VACUUM, COMPACT) return just the rows
+    query: async (sql, engine = db) => {
+      const result = await engine.executeQuery(sql);
+      return Array.isArray(result.data) ? result.data : result;
+    },
+    close: async () => {
+      for (const engine of engines) {
+        await engine.storage.vacuuming;
+        await engine.storage.compacting;
+      }
+      await fs.remove(dataDir);
+    }
+  };
+}
+
+// The keys in an index's B+tree, in index order, one per row version
+async function indexKeys(storage, tableName, indexName) {
+  const tree = await storage.openIndex(tableName, indexName);
+  const keys = [];
+  for await (const { key, count } of tree.scan()) {
+    for (let i = 0; i < count; i++) keys.push(key);
+  }
+  return keys;
+}
+
+module.exports = { openTestDatabase, indexKeys };
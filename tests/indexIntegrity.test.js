@@ -0,0 +1,67 @@
+const fs = require('fs-extra');
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('unique indexes, CHECK TABLE and REINDEX', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('seats', { hall: 'VARCHAR(5)', seat: 'INTEGER', guest: 'VARCHAR(20)' });
+    await t.query('CREATE UNIQUE INDEX uk_place ON seats (hall, seat)');
+    await t.query('CREATE INDEX idx_guest ON seats (guest)');
+    await t.query("INSERT INTO seats (hall, seat, guest) VALUES ('A', 1, 'ann')");
+    await t.query("INSERT INTO seats (hall, seat, guest) VALUES ('A', 2, 'ben')");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const statuses = async () => (await t.query('CHECK TABLE seats')).map(({ index, status }) => [index, status]);
+
+  test('inserts and updates may not duplicate a unique index key', async () => {
+    const violation = "Unique index violation: duplicate value (A, 1) for column(s) hall, seat in index 'uk_place'";
+    await expect(t.query("INSERT INTO seats (hall, seat, guest) VALUES ('A', 1, 'cat')")).rejects.toThrow(violation);
+    await expect(t.query("UPDATE seats SET seat = 1 WHERE guest = 'ben'")).rejects.toThrow(violation);
+
+    const [ben] = await t.db.storage.selectRows('seats', { guest: 'ben' });
+    await expect(t.db.storage.updateRow('seats', ben.id, { seat: 1 })).rejects.toThrow(violation);
+
+    // A key that is free again, and keys with a NULL, never conflict
+    await t.query("UPDATE seats SET seat = 3 WHERE guest = 'ben'");
+    await t.query("UPDATE seats SET seat = 2 WHERE guest = 'ann'");
+    await t.query("INSERT INTO seats (hall, guest) VALUES ('A', 'dan')");
+    await t.query("INSERT INTO seats (hall, guest) VALUES ('A', 'eve')");
+    expect((await t.query('SELECT guest, seat FROM seats ORDER BY guest')).map(row => [row.guest, row.seat ?? null]))
+      .toEqual([['ann', 2], ['ben', 3], ['dan', null], ['eve', null]]);
+  });
+
+  test('CHECK TABLE reports every index as ok while it matches the rows', async () => {
+    const [report] = await t.query('CHECK TABLE seats');
+    expect(report).toMatchObject({ table: 'seats', index: 'uk_place', status: 'ok', entries: 2, rowVersions: 2, problems: '' });
+    expect(await statuses()).toEqual([['uk_place', 'ok'], ['idx_guest', 'ok']]);
+  });
+
+  test('CHECK TABLE finds drifted, missing and damaged indexes, and REINDEX repairs them', async () => {
+    const [ann] = await t.db.storage.selectRows('seats', { guest: 'ann' });
+    const tree = await t.db.storage.openIndex('seats', 'idx_guest');
+    await t.db.storage.transactions.run(() => tree.remove(['ann'], ann.id));
+    await t.db.storage.checkpoint();
+    await fs.remove(t.db.storage.indexFile('seats', 'uk_place'));
+
+    const reports = await t.query('CHECK TABLE seats');
+    expect(reports.map(({ index, status, missing }) => [index, status, missing])).toEqual([['uk_place', 'missing', 2], ['idx_guest', 'mismatch', 1]]);
+
+    const rebuilt = await t.query('REINDEX seats');
+    expect(rebuilt).toEqual([
+      { table: 'seats', index: 'uk_place', entries: 2 },
+      { table: 'seats', index: 'idx_guest', entries: 2 }
+    ]);
+    expect(await statuses()).toEqual([['uk_place', 'ok'], ['idx_guest', 'ok']]);
+  });
+
+  test('REINDEX and CHECK TABLE need an existing table', async () => {
+    await expect(t.query('REINDEX nothing')).rejects.toThrow("Table 'nothing' does not exist");
+    await expect(t.query('CHECK TABLE nothing')).rejects.toThrow("Table 'nothing' does not exist");
+  });
+});
@@ -0,0 +1,68 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('JOIN', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('users', { name: 'VARCHAR(20)', code: 'INTEGER' });
+    await t.db.createTableDirect('orders', { user_code: 'INTEGER', amount: 'INTEGER', name: 'VARCHAR(20)' });
+    await t.db.storage.createGroup('users', 'admins');
+    await t.query("INSERT INTO users GROUP admins (name, code) VALUES ('ann', 1)");
+    await t.query("INSERT INTO users (name, code) VALUES ('bob', 2)");
+    await t.query("INSERT INTO users (name, code) VALUES ('cyd', 3)");
+    await t.query("INSERT INTO orders (user_code, amount, name) VALUES (1, 10, 'pens')");
+    await t.query("INSERT INTO orders (user_code, amount, name) VALUES (1, 25, 'ink')");
+    await t.query("INSERT INTO orders (user_code, amount, name) VALUES (2, 7, 'tape')");
+    await t.query("INSERT INTO orders (amount, name) VALUES (3, 'lost')");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  test('INNER JOIN pairs rows on equal keys, naming columns alias.column', async () => {
+    expect(await t.query('SELECT u.name, o.amount FROM users u JOIN orders o ON o.user_code = u.code ORDER BY o.amount')).toEqual([
+      { 'u.name': 'bob', 'o.amount': 7 },
+      { 'u.name': 'ann', 'o.amount': 10 },
+      { 'u.name': 'ann', 'o.amount': 25 }
+    ]);
+  });
+
+  test('LEFT JOIN keeps unmatched rows with NULL columns', async () => {
+    const rows = await t.query('SELECT u.name, o.amount FROM users AS u LEFT JOIN orders AS o ON u.code = o.user_code AND o.amount > 8 ORDER BY u.name, o.amount');
+    expect(rows).toEqual([
+      { 'u.name': 'ann', 'o.amount': 10 },
+      { 'u.name': 'ann', 'o.amount': 25 },
+      { 'u.name': 'bob', 'o.amount': null },
+      { 'u.name': 'cyd', 'o.amount': null }
+    ]);
+  });
+
+  test('works with WHERE, custom groups and aggregates', async () => {
+    expect(await t.query('SELECT u.name, SUM(o.amount) FROM users u LEFT JOIN orders o ON u.code = o.user_code WHERE u.code < 3 GROUP BY u.name ORDER BY u.name')).toEqual([
+      { 'u.name': 'ann', 'SUM(o.amount)': 35 },
+      { 'u.name': 'bob', 'SUM(o.amount)': 7 }
+    ]);
+    expect(await t.query('SELECT amount FROM users u GROUP admins JOIN orders o ON u.code = o.user_code ORDER BY amount')).toEqual([
+      { amount: 10 },
+      { amount: 25 }
+    ]);
+  });
+
+  test('conditions other than equality are checked per pair', async () => {
+    expect(await t.query('SELECT u.name, o.name FROM users u JOIN orders o ON o.amount < u.code ORDER BY u.name')).toEqual([]);
+    expect((await t.query('SELECT u.name FROM users u JOIN orders o ON o.amount > u.code * 8')).map(row => row['u.name']).sort()).toEqual(['ann', 'ann', 'bob', 'cyd']);
+  });
+
+  test('rejects ambiguous and unknown references', async () => {
+    await expect(t.query('SELECT name FROM users u JOIN orders o ON u.code = o.user_code'))
+      .rejects.toThrow("Column 'name' is ambiguous; qualify it as u.name or o.name");
+    await expect(t.query('SELECT x.name FROM users u JOIN orders o ON u.code = o.user_code')).rejects.toThrow("Unknown table or alias 'x'");
+    await expect(t.query('SELECT u.name FROM users u JOIN orders u ON u.code = u.user_code')).rejects.toThrow("Duplicate table alias 'u'");
+  });
+
+  test('a table alias also works on a single-table query', async () => {
+    expect(await t.query('SELECT u.name FROM users u WHERE u.code = 2')).toEqual([{ 'u.name': 'bob' }]);
+  });
+});
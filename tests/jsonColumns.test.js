@@ -0,0 +1,54 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('JSON columns', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.query('CREATE TABLE events (kind VARCHAR(20), payload JSON)');
+    await t.query('INSERT INTO events (kind, payload) VALUES (\'login\', \'{"user": {"name": "ann", "age": 31}, "tags": ["web", "beta"]}\')');
+    await t.query('INSERT INTO events (kind, payload) VALUES (\'logout\', \'{"user": {"name": "ben", "age": 25}, "tags": ["app"]}\')');
+    await t.query('INSERT INTO events (kind, payload) VALUES (\'ping\', \'[1, 2, 3]\')');
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const kinds = async where => (await t.query(`SELECT kind FROM events WHERE ${where}`)).map(row => row.kind);
+
+  test('JSON text is stored as the value it reads as, and invalid JSON is refused', async () => {
+    const [login] = await t.query("SELECT payload FROM events WHERE kind = 'login'");
+    expect(login.payload).toEqual({ user: { name: 'ann', age: 31 }, tags: ['web', 'beta'] });
+    await expect(t.query("INSERT INTO events (payload) VALUES ('{nope')")).rejects.toThrow("Column 'payload' expects JSON, got '{nope'");
+  });
+
+  test('-> reads JSON, ->> reads text, and a missing step is NULL', async () => {
+    const rows = await t.query("SELECT payload->'user'->>'name' AS name, payload->'tags'->0 AS first, payload->-1 AS last FROM events");
+    expect(rows).toEqual([
+      { name: 'ann', first: 'web', last: null },
+      { name: 'ben', first: 'app', last: null },
+      { name: null, first: null, last: 3 }
+    ]);
+    expect(await kinds("payload->'user'->'age' > 30")).toEqual(['login']);
+  });
+
+  test('@> and <@ test containment', async () => {
+    expect(await kinds('payload @> \'{"tags": ["web"]}\'')).toEqual(['login']);
+    expect(await kinds('payload @> \'{"user": {"age": 25}}\'')).toEqual(['logout']);
+    expect(await kinds("payload <@ '[1, 2, 3, 4]'")).toEqual(['ping']);
+  });
+
+  test('an index on a path answers conditions written with the same path', async () => {
+    await t.query("CREATE INDEX idx_events_name ON events (payload->'user'->>'name')");
+    const useIndex = jest.spyOn(t.db.storage, 'selectRowsUsingIndex');
+    expect(await kinds("payload->'user'->>'name' = 'ben'")).toEqual(['logout']);
+    expect(await kinds("payload->'user'->>'name' LIKE 'a%'")).toEqual(['login']);
+    expect(useIndex.mock.calls.map(([, plan]) => plan.index.name)).toEqual(['idx_events_name', 'idx_events_name']);
+    useIndex.mockRestore();
+
+    await t.query("UPDATE events SET payload = '{\"user\": {\"name\": \"cat\"}}' WHERE kind = 'logout'");
+    expect(await kinds("payload->'user'->>'name' = 'cat'")).toEqual(['logout']);
+    expect(await kinds("payload->'user'->>'name' = 'ben'")).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('log storage', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase('log');
+    await t.db.createTableDirect('clicks', { page: { type: 'VARCHAR(20)', index: true }, hits: 'INTEGER' });
+    for (const page of ['home', 'about', 'shop']) {
+      await t.query(`INSERT INTO clicks (page, hits) VALUES ('${page}', 1)`);
+    }
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const logFile = () => path.join(t.db.storage.tablesDir, 'clicks.log');
+  // Row lines, after the header line naming the log's format and generation
+  const lines = async () => (await fs.readFile(logFile(), 'utf8')).split('\n').filter(line => line.length > 0).slice(1);
+  const hits = async engine => (await t.query('SELECT page, hits FROM clicks ORDER BY page', engine)).map(row => [row.page, row.hits]);
+
+  test('a write appends lines for the rows it changed and leaves earlier lines alone', async () => {
+    const before = await fs.readFile(logFile(), 'utf8');
+    expect(await lines()).toHaveLength(3);
+
+    await t.query("UPDATE clicks SET hits = hits + 1 WHERE page = 'shop'");
+    const after = await fs.readFile(logFile(), 'utf8');
+    expect(after.startsWith(before)).toBe(true);
+    expect((await lines()).length).toBeGreaterThan(3);
+    expect(await hits()).toEqual([['about', 1], ['home', 1], ['shop', 2]]);
+  });
+
+  test('another engine picks up what was appended since it last read the log', async () => {
+    const other = await t.reopen();
+    expect(await hits(other)).toHaveLength(3);
+
+    await t.query("DELETE FROM clicks WHERE page = 'about'");
+    await t.query("INSERT INTO clicks (page, hits) VALUES ('blog', 4)");
+    expect(await hits(other)).toEqual([['blog', 4], ['home', 1], ['shop', 1]]);
+  });
+
+  test('COMPACT TABLE rewrites the log with the current rows only', async () => {
+    for (let i = 0; i < 5; i++) {
+      await t.query('UPDATE clicks SET hits = hits + 1');
+    }
+    await t.query("DELETE FROM clicks WHERE page = 'home'");
+    await t.query('VACUUM clicks');
+    const stats = await t.db.storage.getCompactionStats('clicks');
+    expect(stats.garbageBytes).toBeGreaterThan(0);
+
+    const [result] = await t.query('COMPACT TABLE clicks');
+    expect(result).toMatchObject({ table: 'clicks', bytesBefore: stats.bytes });
+    expect(result.reclaimedBytes).toBe(result.bytesBefore - result.bytesAfter);
+    expect(await lines()).toHaveLength(2);
+    expect(await hits()).toEqual([['about', 6], ['shop', 6]]);
+
+    expect(await t.db.storage.getCompactionStats('clicks')).toMatchObject({ garbageBytes: 0, compactions: 1, reclaimedBytes: result.reclaimedBytes });
+    const reopened = await t.reopen();
+    expect(await hits(reopened)).toEqual([['about', 6], ['shop', 6]]);
+  });
+
+  test('a line cut short by a crash is ignored', async () => {
+    await fs.appendFile(logFile(), '{"id":"torn","page":"x');
+    const reopened = await t.reopen();
+    expect(await hits(reopened)).toHaveLength(3);
+
+    await t.query("INSERT INTO clicks (page, hits) VALUES ('blog', 1)", reopened);
+    const reread = await t.reopen();
+    expect((await hits(reread)).map(([page]) => page)).toEqual(['about', 'blog', 'home', 'shop']);
+  });
+
+  test('COMPACT is refused for other formats and inside a transaction', async () => {
+    await t.query('BEGIN');
+    await expect(t.query('COMPACT TABLE clicks')).rejects.toThrow('COMPACT cannot run inside a transaction');
+    await t.query('ROLLBACK');
+
+    await t.db.createDatabase('plain');
+    await t.db.switchDatabase('plain');
+    await t.db.createTableDirect('notes', { body: 'TEXT' });
+    await expect(t.query('COMPACT TABLE notes')).rejects.toThrow("Table 'notes' is not stored in the log format");
+  });
+});
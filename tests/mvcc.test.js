@@ -0,0 +1,76 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe.each(['json', 'paged', 'log'])('snapshots and VACUUM (%s storage)', storageFormat => {
+  let t;
+  let writer;
+
+  beforeEach(async () => {
+    t = await openTestDatabase(storageFormat);
+    await t.db.createTableDirect('accounts', { name: { type: 'VARCHAR(20)', unique: true }, balance: 'INTEGER' });
+    await t.query("INSERT INTO accounts (name, balance) VALUES ('alice', 100)");
+    await t.query("INSERT INTO accounts (name, balance) VALUES ('bob', 50)");
+    // A second engine on the same database, as the web server and the CLI would be
+    writer = await t.reopen();
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const balances = engine => t.query('SELECT name, balance FROM accounts ORDER BY name', engine);
+  const vacuum = async engine => (await t.query('VACUUM accounts', engine))[0].removedVersions;
+
+  test('a read keeps seeing the commit it started from', async () => {
+    const storage = t.db.storage;
+    const seen = await storage.readConsistent(async () => {
+      const before = await storage.selectRows('accounts');
+      await t.query("UPDATE accounts SET balance = 0 WHERE name = 'alice'", writer);
+      await t.query("DELETE FROM accounts WHERE name = 'bob'", writer);
+      await t.query("INSERT INTO accounts (name, balance) VALUES ('carol', 10)", writer);
+      const after = await storage.selectRows('accounts');
+      return { before, after };
+    });
+
+    expect(seen.after).toEqual(seen.before);
+    expect(seen.after.map(row => row.balance).sort()).toEqual([100, 50]);
+    expect(await balances()).toEqual([
+      { name: 'alice', balance: 0 },
+      { name: 'carol', balance: 10 }
+    ]);
+  });
+
+  test('updates and deletes leave dead versions until VACUUM removes them', async () => {
+    await t.query("UPDATE accounts SET balance = balance + 1 WHERE name = 'alice'");
+    await t.query("DELETE FROM accounts WHERE name = 'bob'");
+    expect((await t.db.storage.getTable('accounts')).deadRows).toBe(2);
+
+    expect(await vacuum()).toBe(2);
+    const tableInfo = await t.db.storage.getTable('accounts');
+    expect(tableInfo.deadRows).toBe(0);
+    expect(tableInfo.rowCount).toBe(1);
+    expect(await balances()).toEqual([{ name: 'alice', balance: 101 }]);
+    expect(await vacuum()).toBe(0);
+  });
+
+  test('VACUUM keeps the versions an open snapshot can still see', async () => {
+    const storage = t.db.storage;
+    await storage.readConsistent(async () => {
+      await storage.selectRows('accounts');
+      await t.query("UPDATE accounts SET balance = 0 WHERE name = 'alice'", writer);
+      expect(await vacuum(writer)).toBe(0);
+      expect((await storage.selectRows('accounts', { name: 'alice' }))[0].balance).toBe(100);
+    });
+
+    expect(await vacuum(writer)).toBe(1);
+    expect(await balances()).toEqual([
+      { name: 'alice', balance: 0 },
+      { name: 'bob', balance: 50 }
+    ]);
+  });
+
+  test('VACUUM is refused inside a transaction', async () => {
+    await t.query('BEGIN');
+    await expect(t.query('VACUUM')).rejects.toThrow('VACUUM cannot run inside a transaction');
+    await t.query('ROLLBACK');
+  });
+});
@@ -0,0 +1,65 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('ORDER BY, LIMIT and OFFSET', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('scores', {
+      player: { type: 'VARCHAR(20)', index: true },
+      points: 'INTEGER',
+      team: 'VARCHAR(10)'
+    });
+    await t.query("INSERT INTO scores (player, points, team) VALUES ('dan', 9, 'red')");
+    await t.query("INSERT INTO scores (player, points, team) VALUES ('amy', 10, 'blue')");
+    await t.query("INSERT INTO scores (player, points, team) VALUES ('cal', 9, 'blue')");
+    await t.query("INSERT INTO scores (player, team) VALUES ('bea', 'red')");
+    await t.query("INSERT INTO scores (player, points, team) VALUES ('eve', 2, 'red')");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const players = async sql => (await t.query(sql)).map(row => row.player);
+
+  test('sorts by several columns and directions, NULLs last when ascending', async () => {
+    expect(await players('SELECT player FROM scores ORDER BY points, player DESC')).toEqual(['eve', 'dan', 'cal', 'amy', 'bea']);
+    expect(await players('SELECT player FROM scores ORDER BY team DESC, points DESC')).toEqual(['bea', 'dan', 'eve', 'amy', 'cal']);
+  });
+
+  test('compares by the declared column type', async () => {
+    // Values written through the web form arrive as strings
+    const [eve] = await t.db.storage.selectRows('scores', { player: 'eve' });
+    await t.db.updateRowDirect('scores', eve.id, { points: '3' });
+    expect(await players('SELECT player FROM scores WHERE points IS NOT NULL ORDER BY points DESC')).toEqual(['amy', 'dan', 'cal', 'eve']);
+  });
+
+  test('LIMIT and OFFSET page through the sorted rows', async () => {
+    expect(await players('SELECT player FROM scores ORDER BY points DESC LIMIT 2')).toEqual(['bea', 'amy']);
+    expect(await players('SELECT player FROM scores ORDER BY points DESC LIMIT 2 OFFSET 2')).toEqual(['dan', 'cal']);
+    expect(await players('SELECT player FROM scores LIMIT 10 OFFSET 4')).toEqual(['eve']);
+    expect(await players('SELECT player FROM scores OFFSET 5')).toEqual([]);
+  });
+
+  test('an indexed ORDER BY with LIMIT stops early instead of sorting the table', async () => {
+    const selectRows = jest.spyOn(t.db.storage, 'selectRows');
+    expect(await players("SELECT player FROM scores WHERE team = 'red' ORDER BY player DESC LIMIT 2 OFFSET 1")).toEqual(['dan', 'bea']);
+    expect(selectRows).not.toHaveBeenCalled();
+
+    expect(await t.db.storage.selectRowsInIndexOrder('scores', null, null, { column: 'player', limit: 3 }))
+      .toEqual([expect.objectContaining({ player: 'amy' }), expect.objectContaining({ player: 'bea' }), expect.objectContaining({ player: 'cal' })]);
+    expect(await t.db.storage.selectRowsInIndexOrder('scores', null, null, { column: 'points', limit: 3 })).toBeNull();
+  });
+
+  test('getTableData returns one page of rows', async () => {
+    expect((await t.db.getTableData('scores', null, { limit: 2, offset: 3 })).map(row => row.player)).toEqual(['bea', 'eve']);
+    expect(await t.db.getTableData('scores')).toHaveLength(5);
+
+    await t.db.storage.createGroup('scores', 'late');
+    await t.db.insertRowDirect('scores', { player: 'fay', points: 4 }, 'late');
+    await t.db.insertRowDirect('scores', { player: 'gus', points: 5 }, 'late');
+    expect((await t.db.getTableData('scores', 'late', { limit: 1, offset: 1 })).map(row => row.player)).toEqual(['gus']);
+    expect(await t.db.getTableData('scores', 'early')).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+const path = require('path');
+const fs = require('fs-extra');
+const PagedTableStore = require('../src/storage/PagedTableStore');
+const SecurityManager = require('../src/security/SecurityManager');
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('paged storage', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase('paged');
+    await t.db.createTableDirect('events', { kind: { type: 'VARCHAR(20)', index: true }, payload: 'TEXT' });
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const tableFile = extension => path.join(t.db.storage.tablesDir, `events${extension}`);
+  const insert = (kind, payload = 'x') => t.query(`INSERT INTO events (kind, payload) VALUES ('${kind}', '${payload}')`);
+
+  test('stores rows in pages next to a descriptor and a free-space map', async () => {
+    const database = (await t.db.listDatabases()).find(({ name }) => name === 'test');
+    expect(database.settings).toMatchObject({ storageFormat: 'paged', pageSize: 8192 });
+    for (let i = 0; i < 5; i++) await insert(`k${i}`);
+
+    expect((await fs.stat(tableFile('.pages'))).size).toBe(8192);
+    expect((await fs.readJson(tableFile('.json'))).rows).toBeUndefined();
+    expect((await t.query('SELECT kind FROM events WHERE kind = \'k3\'')).map(row => row.kind)).toEqual(['k3']);
+  });
+
+  test('adds pages as they fill up and keeps every row after a restart', async () => {
+    const payload = 'p'.repeat(1000);
+    for (let i = 0; i < 20; i++) await insert(`k${i}`, payload);
+    const pages = (await fs.stat(tableFile('.pages'))).size / 8192;
+    expect(pages).toBeGreaterThan(2);
+
+    const reopened = await t.reopen();
+    const kinds = (await t.query('SELECT kind FROM events', reopened)).map(row => row.kind);
+    expect(kinds.sort()).toEqual(Array.from({ length: 20 }, (_, i) => `k${i}`).sort());
+  });
+
+  test('reuses the space of vacuumed rows instead of growing the file', async () => {
+    const payload = 'p'.repeat(1000);
+    for (let i = 0; i < 20; i++) await insert(`k${i}`, payload);
+    const size = (await fs.stat(tableFile('.pages'))).size;
+
+    await t.query("DELETE FROM events WHERE kind != 'k0'");
+    await t.query('VACUUM events');
+    for (let i = 0; i < 10; i++) await insert(`n${i}`, payload);
+    expect((await fs.stat(tableFile('.pages'))).size).toBe(size);
+  });
+
+  test('an insert writes only the page it goes to, and finds duplicates through the unique index', async () => {
+    await t.db.createTableDirect('codes', { code: { type: 'VARCHAR(20)', unique: true }, payload: 'TEXT' });
+    const insertCode = (code, engine) => t.query(`INSERT INTO codes (code, payload) VALUES ('${code}', '${'p'.repeat(1000)}')`, engine);
+    for (let i = 0; i < 20; i++) await insertCode(`c${i}`);
+    // Reading the table once tells this process which page each row is on
+    expect(await t.query('SELECT code FROM codes')).toHaveLength(20);
+
+    const { storage } = t.db;
+    const read = jest.spyOn(storage.tables, 'read');
+    const writePage = jest.spyOn(storage.transactions, 'writePage');
+    await insertCode('c20');
+    await expect(insertCode('c7')).rejects.toThrow("Unique constraint violation for column 'code'");
+    expect(writePage.mock.calls.filter(([file]) => path.basename(file) === 'codes.pages')).toHaveLength(1);
+    expect(read).not.toHaveBeenCalled();
+
+    // The version an update replaced stays until vacuum, but only the live one holds its value
+    await t.query("UPDATE codes SET code = 'c7b' WHERE code = 'c7'");
+    read.mockClear();
+    await insertCode('c7');
+    await expect(insertCode('c7b')).rejects.toThrow("Unique constraint violation for column 'code'");
+    expect(read).not.toHaveBeenCalled();
+    read.mockRestore();
+    writePage.mockRestore();
+
+    // Rows another engine added are found too
+    await insertCode('c30', await t.reopen());
+    await expect(insertCode('c30')).rejects.toThrow("Unique constraint violation for column 'code'");
+  });
+
+  test('a page of table data reads the table only as far as its last row', async () => {
+    for (let i = 0; i < 20; i++) await insert(`k${i}`, 'p'.repeat(1000));
+    const readPage = jest.spyOn(t.db.storage.transactions, 'readPage');
+
+    const rows = await t.db.getTableData('events', null, { limit: 2, offset: 1 });
+    expect(rows.map(row => row.kind)).toEqual(['k1', 'k2']);
+    expect(readPage.mock.calls.filter(([file]) => file === tableFile('.pages')).map(([, pageNo]) => pageNo)).toEqual([0]);
+    readPage.mockRestore();
+
+    expect(await t.db.getTableData('events', null, { offset: 18 })).toHaveLength(2);
+  });
+
+  test('paged tables have no row limit unless one is set', async () => {
+    expect(t.db.security.maxRowsFor('paged')).toBe(Infinity);
+    expect(t.db.security.maxRowsFor('json')).toBe(10000);
+
+    t.db.security = new SecurityManager({ maxRowsPerTable: 2 });
+    await t.db.insertRowDirect('events', { kind: 'a' });
+    await t.db.insertRowDirect('events', { kind: 'b' });
+    await expect(t.db.insertRowDirect('events', { kind: 'c' })).rejects.toThrow('Maximum number of rows (2) exceeded for table');
+  });
+
+  test('refuses rows larger than a page and page sizes that are not a power of two', async () => {
+    await expect(insert('big', 'b'.repeat(9000))).rejects.toThrow('Row is too large for a 8192 byte page');
+    await expect(t.db.createDatabase('odd', { storageFormat: 'paged', pageSize: 5000 }))
+      .rejects.toThrow(`Page size must be a power of two between ${PagedTableStore.MIN_PAGE_SIZE} and ${PagedTableStore.MAX_PAGE_SIZE} bytes`);
+    await expect(t.db.createDatabase('odd', { storageFormat: 'csv' })).rejects.toThrow('Storage format must be one of: json, paged, log');
+  });
+
+  test('a damaged page is reported instead of being read', async () => {
+    await insert('k0');
+    const pagesFile = tableFile('.pages');
+    const bytes = await fs.readFile(pagesFile);
+    bytes[PagedTableStore.HEADER_SIZE + 20] ^= 0xff;
+    await fs.writeFile(pagesFile, bytes);
+
+    await expect(t.query('SELECT * FROM events')).rejects.toThrow(`Data file '${pagesFile}' is corrupted: page 0 failed its checksum`);
+  });
+});
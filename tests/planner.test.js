@@ -0,0 +1,98 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+/* The same rows in a table with indexes and in one without: every query must find the same rows
+ * in both, whether the planner reads an index or scans the table.
+ */
+const WORDS = ['apple', 'banana', 'cherry', 'date'];
+
+const CONDITIONS = [
+  'n = 7',
+  'n = 1000',
+  'n = 7 AND word = \'date\'',
+  'word = \'banana\' AND n = 5',
+  'n = 3 AND score > 50',
+  'n > 30',
+  'n >= 10 AND n < 15',
+  'n BETWEEN 5 AND 8 AND word = \'banana\'',
+  'word > \'b\' AND word < \'c\'',
+  'word LIKE \'d%\'',
+  'n = 3 OR word = \'apple\'',
+  'NOT n = 4',
+  'word = \'cherry\'',
+  'word IS NULL',
+  'n = \'7\''
+];
+
+describe.each(['json', 'paged', 'log'])('query planner (%s storage)', storageFormat => {
+  let t;
+
+  beforeAll(async () => {
+    t = await openTestDatabase(storageFormat);
+    for (const table of ['indexed', 'plain']) {
+      await t.db.createTableDirect(table, { k: 'INTEGER', n: 'INTEGER', word: 'VARCHAR(10)', score: 'NUMBER' });
+    }
+    await t.query('CREATE INDEX idx_n_word ON indexed (n, word)');
+    await t.query('CREATE INDEX idx_word ON indexed (word)');
+
+    for (let k = 0; k < 60; k++) {
+      // Every fifth row leaves word NULL
+      const columns = k % 5 === 0 ? 'k, n, score' : 'k, n, word, score';
+      const values = k % 5 === 0 ? `${k}, ${k % 20}, ${(k * 37) % 100}` : `${k}, ${k % 20}, '${WORDS[k % 4]}', ${(k * 37) % 100}`;
+      for (const table of ['indexed', 'plain']) {
+        await t.query(`INSERT INTO ${table} (${columns}) VALUES (${values})`);
+      }
+    }
+  });
+
+  afterAll(async () => {
+    await t.close();
+  });
+
+  const keys = async (table, condition) => (await t.query(`SELECT k FROM ${table} WHERE ${condition}`)).map(row => row.k);
+
+  test('equality, composite-prefix and range conditions are answered from an index', async () => {
+    const useIndex = jest.spyOn(t.db.storage, 'selectRowsUsingIndex');
+    await keys('indexed', 'n = 7 AND word = \'date\'');
+    await keys('indexed', 'n = 7');
+    await keys('indexed', 'n > 7');
+    await keys('indexed', 'word LIKE \'ch%\'');
+    expect(useIndex.mock.calls.map(([, plan]) => [plan.type, plan.index.name])).toEqual([
+      ['INDEX_LOOKUP', 'idx_n_word'],
+      ['INDEX_PREFIX', 'idx_n_word'],
+      ['INDEX_RANGE', 'idx_n_word'],
+      ['INDEX_RANGE', 'idx_word']
+    ]);
+    useIndex.mockRestore();
+  });
+
+  test('index plans find the same rows, in the same order, as a full scan', async () => {
+    for (const condition of CONDITIONS) {
+      expect([condition, await keys('indexed', condition)]).toEqual([condition, await keys('plain', condition)]);
+    }
+  });
+
+  test('an index plan reads only the rows it names', async () => {
+    const { tables } = t.db.storage;
+    // A full scan tells the paged store which page each row is on
+    await keys('indexed', 'NOT n = 4');
+    const read = jest.spyOn(tables, 'read');
+    const readVersions = jest.spyOn(tables, 'readVersions');
+
+    expect(await keys('indexed', 'n = 7')).toEqual([7, 27, 47]);
+    expect(readVersions.mock.calls.map(([, rowIds]) => rowIds.length)).toEqual([3]);
+    // A JSON table is one file, read whole either way
+    expect(read).toHaveBeenCalledTimes(storageFormat === 'json' ? 1 : 0);
+    read.mockRestore();
+    readVersions.mockRestore();
+  });
+
+  test('indexes stay in step with the table through updates and deletes', async () => {
+    for (const table of ['indexed', 'plain']) {
+      await t.query(`UPDATE ${table} SET n = n + 100, word = 'date' WHERE k < 15`);
+      await t.query(`DELETE FROM ${table} WHERE n = 12 OR word IS NULL`);
+    }
+    for (const condition of [...CONDITIONS, 'n = 107 AND word = \'date\'', 'n = 112']) {
+      expect([condition, await keys('indexed', condition)]).toEqual([condition, await keys('plain', condition)]);
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('transactions', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('accounts', { owner: { type: 'VARCHAR(10)', unique: true }, balance: { type: 'INTEGER', check: '$value >= 0' } });
+    await t.db.createTableDirect('audit', { note: 'VARCHAR(40)' });
+    await t.query("INSERT INTO accounts (owner, balance) VALUES ('ann', 100)");
+    await t.query("INSERT INTO accounts (owner, balance) VALUES ('bob', 0)");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const balances = async () => (await t.query('SELECT owner, balance FROM accounts')).map(row => [row.owner, row.balance]);
+  const notes = async () => (await t.query('SELECT note FROM audit')).map(row => row.note);
+
+  test('COMMIT writes every change of the transaction together', async () => {
+    expect((await t.query('BEGIN')).message).toBe('Transaction started');
+    await t.query("UPDATE accounts SET balance = balance - 30 WHERE owner = 'ann'");
+    await t.query("UPDATE accounts SET balance = balance + 30 WHERE owner = 'bob'");
+    await t.query("INSERT INTO audit (note) VALUES ('ann to bob')");
+
+    // The transaction sees its own changes; the files don't have them yet
+    expect(await balances()).toEqual([['ann', 70], ['bob', 30]]);
+    const tableFile = path.join(t.db.storage.tablesDir, 'audit.json');
+    expect((await fs.readJson(tableFile)).rows).toEqual([]);
+
+    expect((await t.query('COMMIT')).message).toMatch(/^Transaction \d+ committed$/);
+    expect((await fs.readJson(tableFile)).rows).toHaveLength(1);
+    expect(await balances()).toEqual([['ann', 70], ['bob', 30]]);
+  });
+
+  test('ROLLBACK discards the changes, and a failed statement leaves the transaction open', async () => {
+    await t.query('BEGIN');
+    await t.query("INSERT INTO audit (note) VALUES ('kept until rollback')");
+    await expect(t.query("UPDATE accounts SET balance = balance - 500 WHERE owner = 'ann'")).rejects.toThrow("Check constraint failed for column 'balance'");
+    expect(await notes()).toEqual(['kept until rollback']);
+
+    expect((await t.query('ROLLBACK')).message).toBe('Transaction rolled back');
+    expect(await notes()).toEqual([]);
+    expect(await balances()).toEqual([['ann', 100], ['bob', 0]]);
+  });
+
+  test('statement errors for misplaced transaction control', async () => {
+    await expect(t.query('COMMIT')).rejects.toThrow('No transaction in progress');
+    await expect(t.query('ROLLBACK')).rejects.toThrow('No transaction in progress');
+    await t.query('BEGIN TRANSACTION');
+    await expect(t.query('BEGIN')).rejects.toThrow('A transaction is already in progress');
+    await expect(t.db.switchDatabase('other')).rejects.toThrow('Cannot switch databases inside a transaction; COMMIT or ROLLBACK first');
+    expect((await t.query('COMMIT')).message).toBe('Transaction committed (no changes)');
+  });
+
+  test('db.transaction commits when the callback resolves and rolls back when it throws', async () => {
+    const result = await t.db.transaction(async tx => {
+      await tx.executeQuery("INSERT INTO audit (note) VALUES ('one')");
+      await tx.insertRowDirect('audit', { note: 'two' });
+      return 'done';
+    });
+    expect(result).toBe('done');
+    expect(await notes()).toEqual(['one', 'two']);
+
+    await expect(t.db.transaction(async tx => {
+      await tx.executeQuery("UPDATE accounts SET balance = 0 WHERE owner = 'ann'");
+      await tx.executeQuery("INSERT INTO accounts (owner, balance) VALUES ('bob', 1)");
+    })).rejects.toThrow("Unique constraint violation for column 'owner'");
+    expect(await balances()).toEqual([['ann', 100], ['bob', 0]]);
+    expect(t.db.inTransaction()).toBe(false);
+  });
+
+  test('callers that share the engine can be refused transaction control', async () => {
+    for (const statement of ['BEGIN', 'COMMIT', 'ROLLBACK']) {
+      await expect(t.db.executeQuery(statement, {}, { transactions: false }))
+        .rejects.toThrow(`${statement} is not available here: every query runs as its own transaction`);
+    }
+    expect(t.db.inTransaction()).toBe(false);
+    await t.db.executeQuery("INSERT INTO audit (note) VALUES ('on its own')", {}, { transactions: false });
+    expect(await notes()).toEqual(['on its own']);
+  });
+});
@@ -0,0 +1,88 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('UPDATE', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('staff', {
+      name: { type: 'VARCHAR(20)', unique: true },
+      dept: { type: 'VARCHAR(20)', notNull: true },
+      salary: { type: 'INTEGER', check: '$value >= 0' },
+      extra: 'INTEGER'
+    });
+    await t.query("INSERT INTO staff (name, dept, salary, extra) VALUES ('ann', 'ops', 100, 5)");
+    await t.query("INSERT INTO staff (name, dept, salary, extra) VALUES ('ben', 'dev', 200, 10)");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const staff = () => t.query('SELECT name, dept, salary, extra FROM staff');
+
+  test('updates the rows WHERE matches and reports how many', async () => {
+    const result = await t.query("UPDATE staff SET salary = 150, dept = 'qa' WHERE name = 'ann'");
+    expect(result.affectedRows).toBe(1);
+    expect(result.message).toBe('1 row(s) updated');
+    expect(await staff()).toEqual([
+      { name: 'ann', dept: 'qa', salary: 150, extra: 5 },
+      { name: 'ben', dept: 'dev', salary: 200, extra: 10 }
+    ]);
+
+    expect((await t.query("UPDATE staff SET extra = 0 WHERE name = 'nobody'")).affectedRows).toBe(0);
+    expect((await t.query('UPDATE staff SET extra = 0')).affectedRows).toBe(2);
+  });
+
+  test('SET values are expressions evaluated against each row', async () => {
+    await t.query("UPDATE staff SET salary = salary * 2 + extra, name = name || '!' WHERE dept = 'dev'");
+    await t.query('UPDATE staff SET extra = -(extra + 1)');
+    expect(await staff()).toEqual([
+      { name: 'ann', dept: 'ops', salary: 100, extra: -6 },
+      { name: 'ben!', dept: 'dev', salary: 410, extra: -11 }
+    ]);
+  });
+
+  test('every SET expression reads the row as it was before the update', async () => {
+    await t.query('UPDATE staff SET name = dept, dept = name');
+    expect((await staff()).map(({ name, dept }) => [name, dept])).toEqual([['ops', 'ann'], ['dev', 'ben']]);
+  });
+
+  test('SET takes negative literals and NULL', async () => {
+    await t.query("UPDATE staff SET extra = -3, salary = NULL WHERE name = 'ann'");
+    expect((await staff())[0]).toEqual({ name: 'ann', dept: 'ops', salary: null, extra: -3 });
+  });
+
+  test('constraint violations fail the whole statement', async () => {
+    await expect(t.query('UPDATE staff SET salary = salary - 150')).rejects.toThrow("Check constraint failed for column 'salary'");
+    await expect(t.query('UPDATE staff SET dept = NULL')).rejects.toThrow("Column 'dept' cannot be null");
+    await expect(t.query("UPDATE staff SET name = 'same'")).rejects.toThrow("Unique constraint violation for column 'name'");
+    await expect(t.query('UPDATE staff SET salary = wage + 1')).rejects.toThrow("Column 'wage' does not exist in table 'staff'");
+    await expect(t.query("UPDATE staff SET id = 'x'")).rejects.toThrow("Column 'id' cannot be updated");
+    expect((await staff()).map(row => row.salary)).toEqual([100, 200]);
+  });
+
+  test('single-row edits are checked like UPDATE statements', async () => {
+    const [ann] = await t.db.storage.selectRows('staff', { name: 'ann' });
+    await expect(t.db.updateRowDirect('staff', ann.id, { salary: -1 })).rejects.toThrow("Check constraint failed for column 'salary'");
+    await expect(t.db.updateRowDirect('staff', ann.id, { name: 'ben' })).rejects.toThrow("Unique constraint violation for column 'name'");
+    // Form values arrive as text and are converted to the column type
+    await t.db.updateRowDirect('staff', ann.id, { salary: '150' });
+    expect((await staff()).map(row => [row.name, row.salary])).toEqual([['ann', 150], ['ben', 200]]);
+    await expect(t.db.updateRowDirect('staff', ann.id, { salary: 'lots' })).rejects.toThrow("Column 'salary' expects INTEGER, got 'lots'");
+  });
+
+  test('GROUP limits the update to the rows of that group', async () => {
+    await t.db.storage.createGroup('staff', 'leads');
+    await t.db.insertRowDirect('staff', { name: 'cat', dept: 'ops', salary: 300, extra: 0 }, 'leads');
+
+    await t.query('UPDATE staff GROUP leads SET extra = 50');
+    expect((await staff()).map(row => row.extra)).toEqual([5, 10, 50]);
+  });
+
+  test('indexes follow updated values', async () => {
+    await t.query("UPDATE staff SET name = 'anna' WHERE name = 'ann'");
+    expect(await t.db.storage.selectRowsWithIndex('staff', { name: 'anna' })).toHaveLength(1);
+    expect(await t.db.storage.selectRowsWithIndex('staff', { name: 'ann' })).toHaveLength(0);
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('write-ahead log', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('accounts', { name: { type: 'VARCHAR(20)', unique: true }, balance: 'INTEGER' });
+    await t.query("INSERT INTO accounts (name, balance) VALUES ('alice', 100)");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  // A commit whose log entry was written, but whose files were not: the process "crashed" in between
+  async function crashAfterLogging(sql) {
+    const transactions = t.db.storage.transactions;
+    jest.spyOn(transactions, 'applyEntry').mockRejectedValueOnce(new Error('simulated crash'));
+    await expect(t.query(sql)).rejects.toThrow('simulated crash');
+    transactions.applyEntry.mockRestore();
+    return transactions.logFile;
+  }
+
+  test('recovery replays a logged commit whose files were never written', async () => {
+    await crashAfterLogging("INSERT INTO accounts (name, balance) VALUES ('bob', 50)");
+    expect(await t.query("SELECT name FROM accounts WHERE name = 'bob'")).toEqual([]);
+
+    const reopened = await t.reopen();
+    expect(await t.query('SELECT name, balance FROM accounts ORDER BY name', reopened)).toEqual([
+      { name: 'alice', balance: 100 },
+      { name: 'bob', balance: 50 }
+    ]);
+    // Recovery checkpoints the log once the entries are applied
+    expect((await reopened.storage.getWalStatus()).entries).toBe(0);
+  });
+
+  test('recovery drops a torn last entry, so none of its changes appear', async () => {
+    const logFile = await crashAfterLogging("UPDATE accounts SET balance = 0 WHERE name = 'alice'");
+    const { size } = await fs.stat(logFile);
+    await fs.truncate(logFile, size - 10);
+
+    const reopened = await t.reopen();
+    expect(await t.query('SELECT name, balance FROM accounts', reopened)).toEqual([{ name: 'alice', balance: 100 }]);
+    expect((await reopened.storage.getWalStatus()).bytes).toBe(0);
+  });
+
+  test('a checkpoint empties the log and keeps every committed change', async () => {
+    await t.query("INSERT INTO accounts (name, balance) VALUES ('bob', 50)");
+    await t.query("UPDATE accounts SET balance = balance - 25 WHERE name = 'alice'");
+    const before = await t.db.storage.getWalStatus();
+    expect(before.entries).toBeGreaterThan(0);
+
+    expect(await t.db.storage.checkpoint()).toEqual(before);
+    expect(await t.db.storage.getWalStatus()).toEqual({ entries: 0, bytes: 0 });
+
+    const reopened = await t.reopen();
+    expect(await t.query('SELECT name, balance FROM accounts ORDER BY name', reopened)).toEqual([
+      { name: 'alice', balance: 75 },
+      { name: 'bob', balance: 50 }
+    ]);
+  });
+
+  test('a rolled back transaction leaves nothing in the log', async () => {
+    const before = await t.db.storage.getWalStatus();
+    await t.query('BEGIN');
+    await t.query("INSERT INTO accounts (name, balance) VALUES ('bob', 50)");
+    await t.query('ROLLBACK');
+
+    expect(await t.db.storage.getWalStatus()).toEqual(before);
+    expect(await t.query("SELECT name FROM accounts WHERE name = 'bob'")).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+const { openTestDatabase } = require('./helpers/testDatabase');
+
+describe('WHERE clauses', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await openTestDatabase();
+    await t.db.createTableDirect('people', { name: 'VARCHAR(20)', age: 'INTEGER', city: 'VARCHAR(20)' });
+    await t.query("INSERT INTO people (name, age, city) VALUES ('ann', 31, 'Oslo')");
+    await t.query("INSERT INTO people (name, age, city) VALUES ('bob', 25, 'Rome')");
+    await t.query("INSERT INTO people (name, age) VALUES ('cyd', 40)");
+  });
+
+  afterEach(async () => {
+    await t.close();
+  });
+
+  const names = async condition => (await t.query(`SELECT name FROM people WHERE ${condition}`)).map(row => row.name);
+
+  test('SELECT filters with nested boolean conditions', async () => {
+    expect(await names("(age > 30 OR city = 'Rome') AND NOT name = 'cyd'")).toEqual(['ann', 'bob']);
+    expect(await names("city IN ('Oslo', 'Paris') OR age BETWEEN 35 AND 45")).toEqual(['ann', 'cyd']);
+    expect(await names("name LIKE '_o%'")).toEqual(['bob']);
+  });
+
+  test('rows whose condition is unknown are left out, even under NOT', async () => {
+    expect(await names("city = 'Oslo'")).toEqual(['ann']);
+    expect(await names("NOT city = 'Oslo'")).toEqual(['bob']);
+    expect(await names('city IS NULL')).toEqual(['cyd']);
+  });
+
+  test('UPDATE and DELETE use the same conditions', async () => {
+    expect((await t.query("UPDATE people SET city = 'Bern' WHERE city IS NULL OR age < 30")).affectedRows).toBe(2);
+    expect((await t.query("DELETE FROM people WHERE city = 'Bern' AND name LIKE 'c%'")).affectedRows).toBe(1);
+    expect(await t.query('SELECT name, city FROM people')).toEqual([
+      { name: 'ann', city: 'Oslo' },
+      { name: 'bob', city: 'Bern' }
+    ]);
+  });
+
+  test('columns and tables may be named after keywords added with later features', async () => {
+    await t.query('CREATE TABLE offset (match VARCHAR(5), left INTEGER, desc VARCHAR(10))');
+    await t.query("INSERT INTO offset (match, left, desc) VALUES ('a', 2, 'two')");
+    await t.query("INSERT INTO offset (match, left, desc) VALUES ('b', 1, 'one')");
+    await t.query("UPDATE offset SET left = left * 10 WHERE match = 'b'");
+    expect(await t.query('SELECT desc, left FROM offset WHERE left > 1 ORDER BY left DESC')).toEqual([
+      { desc: 'one', left: 10 },
+      { desc: 'two', left: 2 }
+    ]);
+  });
+});